@@ -0,0 +1,59 @@
+/**
+ * 自动备份配置
+ * 定义备份调度的检查频率和各备份频率对应的间隔
+ */
+
+const backupConfig = {
+  // 调度检查的cron表达式，默认每10分钟检查一次到期的备份
+  cron: process.env.BACKUP_SCHEDULER_CRON || '*/10 * * * *',
+
+  // cron使用的时区
+  timezone: process.env.BACKUP_TIMEZONE || 'Asia/Shanghai',
+
+  // 是否启用自动备份调度
+  enabled: process.env.BACKUP_SCHEDULER_ENABLED !== 'false',
+
+  // 单次检查最多提交的备份数量，避免集中提交大量快照操作
+  batchSize: parseInt(process.env.BACKUP_BATCH_SIZE, 10) || 50
+};
+
+/**
+ * 按备份频率推算时间点
+ * @param {Date} from - 起始时间
+ * @param {string} frequency - daily / weekly / monthly
+ * @param {number} direction - 1 向后推算，-1 向前推算
+ * @returns {Date}
+ */
+backupConfig.shift = function(from, frequency, direction = 1) {
+  const date = new Date(from);
+  if (frequency === 'monthly') {
+    // 月末日期按目标月份的最后一天计算，例如1月31日的下一次为2月28日
+    const day = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + direction);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(day, lastDay));
+  } else {
+    const days = frequency === 'daily' ? 1 : 7;
+    date.setDate(date.getDate() + days * direction);
+  }
+  return date;
+};
+
+/**
+ * 计算下次备份时间，从未备份过时立即备份
+ * @returns {Date}
+ */
+backupConfig.getNextBackupAt = function(lastBackupAt, frequency, now = new Date()) {
+  return lastBackupAt ? this.shift(lastBackupAt, frequency, 1) : now;
+};
+
+/**
+ * 计算到期时间界限：上次备份早于该时间的云电脑需要备份
+ * @returns {Date}
+ */
+backupConfig.getDueBefore = function(frequency, now = new Date()) {
+  return this.shift(now, frequency, -1);
+};
+
+module.exports = backupConfig;
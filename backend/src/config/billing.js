@@ -0,0 +1,177 @@
+/**
+ * 账单配置
+ * 定义账期（按计费时区的自然月）、税率、付款期限和月度账单的生成时间，
+ * 以及账期计算和用量区间按账期拆分
+ */
+
+const billingConfig = {
+  // 账单生成的cron表达式，默认每月1日02:00生成上月账单
+  cron: process.env.INVOICE_CRON || '0 2 1 * *',
+
+  // 是否启用月度账单生成
+  enabled: process.env.INVOICE_ENABLED !== 'false',
+
+  // 生成后是否直接开具，关闭时保留为草稿等待管理员核对
+  autoIssue: process.env.INVOICE_AUTO_ISSUE !== 'false',
+
+  // 账期所在时区，账期从当地每月1日0点开始
+  timezone: process.env.BILLING_TIMEZONE || 'Asia/Shanghai',
+
+  // 货币
+  currency: 'CNY',
+
+  // 税率（增值税），0.06 表示 6%
+  taxRate: process.env.INVOICE_TAX_RATE !== undefined ? parseFloat(process.env.INVOICE_TAX_RATE) : 0.06,
+
+  // 开具后的付款期限（天）
+  dueDays: parseInt(process.env.INVOICE_DUE_DAYS, 10) || 15,
+
+  // 账单抬头中的开票方名称
+  issuer: process.env.INVOICE_ISSUER || 'CloudPC',
+
+  // 账单明细的资源类型：名称和用量单位
+  resources: {
+    compute: { label: '计算', unit: '小时' },
+    storage: { label: '关机期间系统盘存储', unit: 'GB·小时' },
+    snapshot: { label: '快照存储', unit: 'GB·小时' },
+    bandwidth: { label: '超出套餐的带宽', unit: 'Mbps·小时' }
+  },
+
+  // 账单状态名称
+  statuses: {
+    draft: '草稿',
+    issued: '待付款',
+    paid: '已付款',
+    void: '已作废'
+  }
+};
+
+const PERIOD_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+/**
+ * 按计费时区格式化日期
+ * @param {Date} date - 时间点
+ * @returns {string} YYYY-MM-DD
+ */
+billingConfig.formatDate = function(date) {
+  return date ? new Intl.DateTimeFormat('en-CA', {
+    timeZone: this.timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date) : '';
+};
+
+// 时间点在指定时区相对UTC的偏移（毫秒）
+const getOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  const local = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return local - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// 指定时区某月1日0点对应的时间点，monthIndex 从0开始，可以超出0-11
+const getMonthStart = (year, monthIndex, timeZone) => {
+  const utc = Date.UTC(year, monthIndex, 1);
+  const offset = getOffset(new Date(utc - getOffset(new Date(utc), timeZone)), timeZone);
+  return new Date(utc - offset);
+};
+
+const toPeriod = (year, monthIndex, timeZone) => {
+  const normalized = new Date(Date.UTC(year, monthIndex, 1));
+  const key = `${normalized.getUTCFullYear()}-${String(normalized.getUTCMonth() + 1).padStart(2, '0')}`;
+  return {
+    key,
+    start: getMonthStart(year, monthIndex, timeZone),
+    end: getMonthStart(year, monthIndex + 1, timeZone)
+  };
+};
+
+/**
+ * 校验账期格式
+ * @param {string} key - 如 2026-10
+ * @returns {boolean}
+ */
+billingConfig.isValidPeriod = function(key) {
+  return typeof key === 'string' && PERIOD_PATTERN.test(key);
+};
+
+/**
+ * 时间点所在的账期
+ * @param {Date} date - 时间点
+ * @returns {{key: string, start: Date, end: Date}} end 为下一账期的开始时间
+ */
+billingConfig.getPeriod = function(date = new Date()) {
+  const [year, month] = new Intl.DateTimeFormat('en-CA', {
+    timeZone: this.timezone,
+    year: 'numeric',
+    month: '2-digit'
+  }).format(date).split('-').map(Number);
+  return toPeriod(year, month - 1, this.timezone);
+};
+
+/**
+ * 按账期代码获取账期
+ * @param {string} key - 如 2026-10
+ * @returns {{key: string, start: Date, end: Date}}
+ */
+billingConfig.getPeriodByKey = function(key) {
+  const [, year, month] = key.match(PERIOD_PATTERN);
+  return toPeriod(Number(year), Number(month) - 1, this.timezone);
+};
+
+/**
+ * 时间点所在账期的上一个账期
+ */
+billingConfig.getPreviousPeriod = function(date = new Date()) {
+  const current = this.getPeriod(date);
+  return this.getPeriod(new Date(current.start.getTime() - 1));
+};
+
+/**
+ * 把时间段按账期边界拆分，保证每段只属于一个账期
+ * @param {Date} startedAt - 开始时间
+ * @param {Date} endedAt - 结束时间
+ * @returns {{from: Date, to: Date}[]}
+ */
+billingConfig.splitByPeriod = function(startedAt, endedAt) {
+  const segments = [];
+  let from = startedAt;
+  while (endedAt > from) {
+    const { end } = this.getPeriod(from);
+    if (end >= endedAt) {
+      break;
+    }
+    segments.push({ from, to: end });
+    from = end;
+  }
+  segments.push({ from, to: endedAt });
+  return segments;
+};
+
+/**
+ * 按税率计算税额和合计，金额保留两位小数
+ * @param {number} subtotal - 不含税金额
+ * @param {number} taxRate - 税率
+ * @returns {{subtotal: number, tax: number, total: number}}
+ */
+billingConfig.calculateTotals = function(subtotal, taxRate = this.taxRate) {
+  const amount = Math.round(subtotal * 100) / 100;
+  const tax = Math.round(amount * taxRate * 100) / 100;
+  return {
+    subtotal: amount,
+    tax,
+    total: Math.round((amount + tax) * 100) / 100
+  };
+};
+
+module.exports = billingConfig;
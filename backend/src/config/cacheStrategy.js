@@ -105,6 +105,9 @@ class CacheStrategy {
       
       // 当云电脑创建/更新/删除时，需要失效的缓存类型
       cloudpcChanged: ['cloudpc', 'stats', 'api'],
+
+      // 当用户名下的云电脑增减（如所有权转移）时，需要失效的缓存类型
+      userCloudPCsChanged: ['cloudpc', 'stats'],
       
       // 当配置更新时，需要失效的缓存类型
       configUpdated: ['config', 'api'],
@@ -138,6 +141,18 @@ class CacheStrategy {
           this.generateKey('cloudpc', data.cloudpcId),
           this.generateKey('stats')
         );
+        // 详情缓存随状态变化失效，避免轮询读到过期状态
+        if (data.cloudpcId) {
+          patterns.push(this.generateKey('cloudpc', 'detail', data.cloudpcId));
+        }
+        break;
+        
+      case 'userCloudPCsChanged':
+        // 列表缓存键中包含查询条件里的用户ID
+        patterns.push(
+          this.generateKey('cloudpc', 'list', `*"user":"${data.userId}"*`),
+          this.generateKey('stats')
+        );
         break;
         
       case 'configUpdated':
@@ -0,0 +1,40 @@
+/**
+ * 连接文件配置
+ * 定义 .rdp 文件和 SSH config 片段的默认选项，以及下载令牌的有效期
+ */
+
+const connectionFileConfig = {
+  // 下载令牌有效期(秒)，令牌只能使用一次
+  tokenTTL: parseInt(process.env.CONNECTION_FILE_TOKEN_TTL, 10) || 300,
+
+  // 远程桌面默认选项，用户偏好和下载时的参数依次覆盖
+  rdp: {
+    screenMode: 'fullscreen',
+    width: 1920,
+    height: 1080,
+    multiMonitor: false,
+    redirectDrives: false,
+    redirectClipboard: true,
+    redirectPrinters: false,
+    audio: 'local',
+    username: ''
+  },
+
+  // SSH默认选项，username 为空时按操作系统选择默认用户
+  ssh: {
+    username: '',
+    identityFile: '',
+    forwardAgent: false,
+    serverAliveInterval: 60
+  },
+
+  // 操作系统 -> SSH默认用户
+  defaultSshUsers: {
+    'Ubuntu 20.04': 'ubuntu',
+    'Ubuntu 22.04': 'ubuntu',
+    'CentOS 8': 'centos',
+    'Debian 11': 'debian'
+  }
+};
+
+module.exports = connectionFileConfig;
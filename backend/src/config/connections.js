@@ -0,0 +1,67 @@
+/**
+ * 连接代理配置
+ * 定义连接票据的有效期、签名密钥以及各协议网关的对外地址
+ */
+
+const connectionConfig = {
+  // 连接票据有效期(秒)，票据只能使用一次
+  ticketTTL: parseInt(process.env.CONNECTION_TICKET_TTL, 10) || 60,
+
+  // 票据签名密钥，未单独配置时使用JWT密钥
+  secret: process.env.CONNECTION_TICKET_SECRET || process.env.JWT_SECRET,
+
+  // 网关调用校验接口时使用的密钥，未配置时校验接口不可用
+  gatewayKey: process.env.CONNECTION_GATEWAY_KEY,
+
+  // 网关对外地址，用户客户端连接到网关，由网关转发到云电脑
+  gateway: {
+    host: process.env.CONNECTION_GATEWAY_HOST || 'localhost',
+    rdpPort: parseInt(process.env.CONNECTION_GATEWAY_RDP_PORT, 10) || 3389,
+    sshPort: parseInt(process.env.CONNECTION_GATEWAY_SSH_PORT, 10) || 2222
+  },
+
+  // 网页控制台地址
+  consoleUrl: process.env.CONNECTION_CONSOLE_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/console`,
+
+  // 协议 -> 支持的操作系统
+  protocols: {
+    rdp: { name: '远程桌面', os: ['Windows 10', 'Windows 11'] },
+    ssh: { name: 'SSH', os: ['Ubuntu 20.04', 'Ubuntu 22.04', 'CentOS 8', 'Debian 11'] },
+    console: { name: '网页控制台', os: null }
+  }
+};
+
+/**
+ * 判断协议是否支持该操作系统
+ * @param {string} protocol - rdp / ssh / console
+ * @param {string} os - 云电脑操作系统
+ * @returns {boolean}
+ */
+connectionConfig.supports = function(protocol, os) {
+  const definition = this.protocols[protocol];
+  return Boolean(definition) && (!definition.os || definition.os.includes(os));
+};
+
+/**
+ * 生成客户端使用的连接地址
+ * @param {string} protocol - rdp / ssh / console
+ * @param {string} cloudPCId - 云电脑ID
+ * @param {string} ticket - 连接票据
+ * @returns {string}
+ */
+connectionConfig.buildConnectionUrl = function(protocol, cloudPCId, ticket) {
+  const { host, rdpPort, sshPort } = this.gateway;
+  const encoded = encodeURIComponent(ticket);
+
+  switch (protocol) {
+    case 'rdp':
+      return `rdp://full%20address=s:${host}:${rdpPort}&gatewayaccesstoken=s:${encoded}`;
+    case 'ssh':
+      // SSH网关以票据作为密码
+      return `ssh://${cloudPCId}@${host}:${sshPort}`;
+    default:
+      return `${this.consoleUrl}/${cloudPCId}?ticket=${encoded}`;
+  }
+};
+
+module.exports = connectionConfig;
@@ -0,0 +1,48 @@
+/**
+ * 空闲自动关机配置
+ * 定义空闲检查的频率，以及按云电脑空闲策略判断当前应采取的动作
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const idleConfig = {
+  // 空闲检查的cron表达式，默认每分钟检查一次
+  cron: process.env.IDLE_MONITOR_CRON || '* * * * *',
+
+  // 是否启用空闲检查
+  enabled: process.env.IDLE_MONITOR_ENABLED !== 'false'
+};
+
+/**
+ * 判断云电脑的空闲状态
+ * CPU使用率达到阈值视为活跃；否则从开始空闲和最近一次会话操作中较晚的时间起计算空闲时长
+ * 到达关机时间前先进入预警，只有发出过预警才会关机
+ * @param {Object} policy - 空闲策略 { cpuThreshold, idleMinutes, warningMinutes, idleSince, warnedAt }
+ * @param {Object} activity - { cpuUsage, lastActivityAt }
+ * @param {Date} now - 当前时间
+ * @returns {{action: string, idleSince?: Date, stopAt?: Date, warned?: boolean}} action 为 active / idle / warn / stop
+ */
+idleConfig.getIdleState = function(policy, { cpuUsage = 0, lastActivityAt } = {}, now = new Date()) {
+  if (cpuUsage >= policy.cpuThreshold) {
+    return { action: 'active' };
+  }
+
+  const idleSince = policy.idleSince || now;
+  const start = lastActivityAt && lastActivityAt > idleSince ? lastActivityAt : idleSince;
+  const stopAt = new Date(start.getTime() + policy.idleMinutes * MINUTE_MS);
+  const warnAt = new Date(stopAt.getTime() - policy.warningMinutes * MINUTE_MS);
+
+  // 预警必须是针对本轮空闲发出的，用户中途操作过则需要重新预警
+  const warned = Boolean(policy.warnedAt && policy.warnedAt >= warnAt);
+
+  let action = 'idle';
+  if (now >= stopAt && warned) {
+    action = 'stop';
+  } else if (now >= warnAt) {
+    action = 'warn';
+  }
+
+  return { action, idleSince, stopAt, warned };
+};
+
+module.exports = idleConfig;
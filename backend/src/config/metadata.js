@@ -0,0 +1,94 @@
+/**
+ * 元数据服务配置
+ * 定义元数据和用户数据的限制、实例身份令牌，以及用户数据格式与操作系统的对应关系
+ */
+
+const crypto = require('crypto');
+
+const metadataConfig = {
+  // 云电脑内访问元数据服务的地址，通常由宿主机上的本地代理转发到 /metadata/v1
+  serviceUrl: process.env.METADATA_SERVICE_URL || 'http://169.254.169.254/metadata/v1',
+
+  // 实例身份令牌的签名密钥
+  secret: process.env.METADATA_TOKEN_SECRET || process.env.JWT_SECRET,
+
+  // 自定义元数据的数量和长度限制
+  maxKeys: 32,
+  maxValueLength: 256,
+  keyPattern: /^[A-Za-z0-9_.-]{1,64}$/,
+
+  // 用户数据最大字节数
+  maxUserDataBytes: 64 * 1024,
+
+  // 用户数据格式：cloud-init 用于Linux镜像，powershell 用于Windows镜像
+  userDataFormats: {
+    'cloud-init': { name: 'cloud-init', os: ['Ubuntu 20.04', 'Ubuntu 22.04', 'CentOS 8', 'Debian 11'] },
+    powershell: { name: 'PowerShell', os: ['Windows 10', 'Windows 11'] }
+  }
+};
+
+const sign = (cloudPCId) => crypto
+  .createHmac('sha256', metadataConfig.secret)
+  .update(String(cloudPCId))
+  .digest('hex');
+
+/**
+ * 生成实例身份令牌，创建实例时注入云电脑，访问元数据服务时携带
+ * @param {string} cloudPCId - 云电脑ID
+ * @returns {string} <云电脑ID>.<签名>
+ */
+metadataConfig.getInstanceToken = function(cloudPCId) {
+  return `${cloudPCId}.${sign(cloudPCId)}`;
+};
+
+/**
+ * 校验实例身份令牌
+ * @param {string} token - 实例身份令牌
+ * @returns {string|null} 令牌对应的云电脑ID，无效时返回null
+ */
+metadataConfig.parseInstanceToken = function(token) {
+  const [cloudPCId, signature] = String(token || '').split('.');
+  if (!/^[0-9a-f]{24}$/.test(cloudPCId || '') || !/^[0-9a-f]{64}$/.test(signature || '')) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(cloudPCId), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? cloudPCId : null;
+};
+
+/**
+ * 校验用户数据与操作系统是否匹配
+ * cloud-init 内容须以 #cloud-config 或 #! 开头
+ * @param {Object} userData - { format, content }
+ * @param {string} os - 云电脑操作系统
+ * @returns {string|null} 不符合时的原因
+ */
+metadataConfig.validateUserData = function({ format, content } = {}, os) {
+  const definition = this.userDataFormats[format];
+  if (!definition) {
+    return `不支持的用户数据格式: ${format}`;
+  }
+  if (!definition.os.includes(os)) {
+    return `${os} 不支持 ${definition.name} 格式的用户数据`;
+  }
+  if (Buffer.byteLength(content || '', 'utf8') > this.maxUserDataBytes) {
+    return `用户数据不能超过${this.maxUserDataBytes / 1024}KB`;
+  }
+  if (format === 'cloud-init' && !/^(#cloud-config|#!)/.test(content || '')) {
+    return 'cloud-init 用户数据须以 #cloud-config 或 #! 开头';
+  }
+  return null;
+};
+
+/**
+ * 用户数据响应的内容类型
+ */
+metadataConfig.getUserDataContentType = function({ format, content }) {
+  if (format === 'powershell') {
+    return 'text/x-powershell';
+  }
+  return String(content).startsWith('#!') ? 'text/x-shellscript' : 'text/cloud-config';
+};
+
+module.exports = metadataConfig;
@@ -0,0 +1,65 @@
+/**
+ * 计量计费配置
+ * 定义用量区间的结算频率和计价规则，以及按区间快照的规格和单价计算用量与费用
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const round = (value) => Number(value.toFixed(4));
+
+const meteringConfig = {
+  // 定时结算的cron表达式，默认每小时结算一次未结束的用量区间
+  cron: process.env.METERING_CRON || '5 * * * *',
+
+  // 是否启用计量
+  enabled: process.env.METERING_ENABLED !== 'false',
+
+  // 用量区间最长持续时间（分钟），超过后在定时结算时切分
+  checkpointMinutes: parseInt(process.env.METERING_CHECKPOINT_MINUTES) || 60,
+
+  // 按小时单价计费的状态，其余状态只收取存储费用
+  computeStates: ['running', 'restarting'],
+
+  // 关机期间系统盘存储单价（元/GB/小时），运行期间已包含在小时单价中
+  storageHourlyPerGB: parseFloat(process.env.METERING_STORAGE_HOURLY_PER_GB) || 0.0002,
+
+  // 带宽：套餐内包含的带宽，超出部分按 Mbps 每小时计价
+  bandwidth: {
+    includedMbps: parseInt(process.env.METERING_INCLUDED_BANDWIDTH) || 100,
+    hourlyPerMbps: parseFloat(process.env.METERING_BANDWIDTH_HOURLY_PER_MBPS) || 0.002
+  }
+};
+
+/**
+ * 计算用量区间的用量和费用
+ * 规格和单价取区间开始时的快照，区间内发生变化时会先结束旧区间
+ * @param {Object} record - { status, startedAt, storage, bandwidth, snapshotGB, hourly, snapshotHourly }
+ * @param {Date} endedAt - 结束时间
+ * @returns {{quantities: Object, cost: Object}}
+ */
+meteringConfig.rate = function(record, endedAt) {
+  const hours = Math.max(endedAt - record.startedAt, 0) / HOUR_MS;
+  const computeHours = this.computeStates.includes(record.status) ? hours : 0;
+  const extraBandwidth = Math.max((record.bandwidth || 0) - this.bandwidth.includedMbps, 0);
+
+  const cost = {
+    compute: round((record.hourly || 0) * computeHours),
+    storage: round((record.storage || 0) * (hours - computeHours) * this.storageHourlyPerGB),
+    snapshot: round((record.snapshotHourly || 0) * hours),
+    bandwidth: round(extraBandwidth * computeHours * this.bandwidth.hourlyPerMbps)
+  };
+  cost.total = round(cost.compute + cost.storage + cost.snapshot + cost.bandwidth);
+
+  return {
+    quantities: {
+      hours: round(hours),
+      computeHours: round(computeHours),
+      storageGBHours: round((record.storage || 0) * hours),
+      snapshotGBHours: round((record.snapshotGB || 0) * hours),
+      bandwidthMbpsHours: round((record.bandwidth || 0) * computeHours)
+    },
+    cost
+  };
+};
+
+module.exports = meteringConfig;
@@ -0,0 +1,22 @@
+/**
+ * 云电脑网络配置
+ * 定义各机房分配给云电脑的地址段和远程连接端口范围
+ */
+
+const LOCATIONS = ['beijing', 'shanghai', 'guangzhou', 'shenzhen'];
+
+const networkConfig = {
+  // 机房 -> 地址段，例如 CLOUDPC_SUBNET_BEIJING=10.10.1.0/24
+  subnets: LOCATIONS.reduce((acc, location, index) => {
+    acc[location] = process.env[`CLOUDPC_SUBNET_${location.toUpperCase()}`] || `10.10.${index + 1}.0/24`;
+    return acc;
+  }, {}),
+
+  // 远程连接端口范围，同一机房内不重复
+  portRange: {
+    min: parseInt(process.env.CLOUDPC_PORT_MIN, 10) || 20000,
+    max: parseInt(process.env.CLOUDPC_PORT_MAX, 10) || 29999
+  }
+};
+
+module.exports = networkConfig;
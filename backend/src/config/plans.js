@@ -0,0 +1,179 @@
+/**
+ * 套餐配置
+ * 定义内置套餐的价格、资源配额和价格页展示的功能，服务启动时写入套餐表，之后以套餐表为准
+ * 配额为用户名下所有云电脑的合计值，null 表示不限制
+ */
+
+const plans = {
+  basic: {
+    name: '基础版',
+    description: '适合个人用户和轻度使用',
+    prices: { monthly: 99, yearly: 999 },
+    popular: false,
+    sortOrder: 1,
+    features: [
+      { name: '2个云电脑实例', included: true },
+      { name: '4核CPU', included: true },
+      { name: '8GB内存', included: true },
+      { name: '100GB存储空间', included: true },
+      { name: 'Windows 10/11', included: true },
+      { name: '24x7在线支持', included: true },
+      { name: '99.9%可用性保证', included: true },
+      { name: '24小时技术支持', included: false },
+      { name: '数据备份服务', included: false },
+      { name: '定制化配置', included: false }
+    ],
+    quotas: {
+      instances: 2,
+      cpu: 4,
+      memory: 8,
+      storage: 100,
+      snapshots: 5,
+      snapshotSizeGB: 100
+    }
+  },
+  professional: {
+    name: '专业版',
+    description: '适合企业和专业用户',
+    prices: { monthly: 199, yearly: 1999 },
+    popular: true,
+    sortOrder: 2,
+    features: [
+      { name: '5个云电脑实例', included: true },
+      { name: '8核CPU', included: true },
+      { name: '16GB内存', included: true },
+      { name: '500GB存储空间', included: true },
+      { name: 'Windows/Linux系统', included: true },
+      { name: '24x7在线支持', included: true },
+      { name: '99.9%可用性保证', included: true },
+      { name: '24小时技术支持', included: true },
+      { name: '每日数据备份', included: true },
+      { name: '定制化配置', included: false }
+    ],
+    quotas: {
+      instances: 5,
+      cpu: 8,
+      memory: 16,
+      storage: 500,
+      snapshots: 10,
+      snapshotSizeGB: 500
+    }
+  },
+  enterprise: {
+    name: '企业版',
+    description: '适合大型企业和高性能需求',
+    prices: { monthly: 399, yearly: 3999 },
+    popular: false,
+    sortOrder: 3,
+    features: [
+      { name: '无限云电脑实例', included: true },
+      { name: '16核CPU', included: true },
+      { name: '32GB内存', included: true },
+      { name: '2TB存储空间', included: true },
+      { name: '多系统支持', included: true },
+      { name: '24x7在线支持', included: true },
+      { name: '99.99%可用性保证', included: true },
+      { name: '专属技术经理', included: true },
+      { name: '实时数据备份', included: true },
+      { name: '定制化配置', included: true }
+    ],
+    quotas: {
+      instances: null,
+      cpu: null,
+      memory: null,
+      storage: 2048,
+      snapshots: 50,
+      snapshotSizeGB: 2048
+    }
+  }
+};
+
+const planConfig = {
+  plans,
+
+  // 新注册用户和订阅到期后的默认套餐
+  defaultPlan: plans[process.env.DEFAULT_PLAN] ? process.env.DEFAULT_PLAN : 'basic',
+
+  // 套餐代码格式
+  codePattern: /^[a-z][a-z0-9-]{1,29}$/,
+
+  // 订阅周期：名称和月数
+  cycles: {
+    monthly: { label: '按月', months: 1 },
+    yearly: { label: '按年', months: 12 }
+  },
+
+  // 订阅续费检查的cron表达式，默认每小时检查一次到期的订阅
+  renewCron: process.env.SUBSCRIPTION_RENEW_CRON || '0 * * * *',
+
+  // 是否启用订阅自动续费
+  renewEnabled: process.env.SUBSCRIPTION_RENEW_ENABLED !== 'false',
+
+  // 配额项及名称
+  resources: {
+    instances: { label: '云电脑实例数量', unit: '个' },
+    cpu: { label: 'CPU总核数', unit: '核' },
+    memory: { label: '内存总量', unit: 'GB' },
+    storage: { label: '存储总量', unit: 'GB' },
+    snapshots: { label: '快照数量', unit: '个' },
+    snapshotSizeGB: { label: '快照总大小', unit: 'GB' }
+  }
+};
+
+const round = (value) => Math.round(value * 100) / 100 || 0;
+
+/**
+ * 计算订阅周期的结束时间，按自然月递增，结束日期为每月的续费日，当月没有该日期时取当月最后一天
+ * @param {Date} start - 周期开始时间
+ * @param {string} cycle - monthly / yearly
+ * @param {number} anchorDay - 续费日（1-31），默认为开始日期
+ * @returns {Date}
+ */
+planConfig.getPeriodEnd = function(start, cycle, anchorDay = new Date(start).getUTCDate()) {
+  const end = new Date(start);
+  const day = anchorDay;
+  end.setUTCDate(1);
+  end.setUTCMonth(end.getUTCMonth() + this.cycles[cycle].months);
+  const lastDay = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1, 0)).getUTCDate();
+  end.setUTCDate(Math.min(day, lastDay));
+  return end;
+};
+
+/**
+ * 判断套餐变更的类型：按月价比较升降级，套餐不变时为切换周期
+ * @param {Object} current - 当前套餐 { code, prices }
+ * @param {Object} target - 目标套餐 { code, prices }
+ * @returns {string} upgrade / downgrade / cycle
+ */
+planConfig.getChangeType = function(current, target) {
+  if (current.code === target.code) {
+    return 'cycle';
+  }
+  return target.prices.monthly >= current.prices.monthly ? 'upgrade' : 'downgrade';
+};
+
+/**
+ * 按剩余时间折算套餐变更的费用
+ * 退还当前周期未使用部分的费用；周期不变时新套餐只收取剩余时间的费用，
+ * 周期改变时从变更时起开始新周期，收取新周期的全额费用
+ * @param {Object} current - { price, start, end } 当前订阅的价格和周期
+ * @param {number} price - 新套餐在目标周期的价格
+ * @param {boolean} sameCycle - 周期是否不变
+ * @param {Date} now - 变更时间
+ * @returns {{remaining: number, credit: number, charge: number, amount: number}} amount 为正时需要支付，为负时退还
+ */
+planConfig.calculateProration = function(current, price, sameCycle, now = new Date()) {
+  const total = current.end - current.start;
+  const remaining = total > 0 ? Math.min(Math.max((current.end - now) / total, 0), 1) : 0;
+  const credit = round(current.price * remaining);
+  const charge = round(price * (sameCycle ? remaining : 1));
+
+  return {
+    remaining: Math.round(remaining * 10000) / 10000,
+    credit,
+    charge,
+    amount: round(charge - credit)
+  };
+};
+
+module.exports = planConfig;
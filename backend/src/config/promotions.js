@@ -0,0 +1,113 @@
+/**
+ * 促销配置
+ * 定义优惠券类型、注册赠送金额，以及优惠码的兑换条件和账单优惠金额的计算
+ */
+
+const billingConfig = require('./billing');
+
+const promotionConfig = {
+  // 优惠码格式：大写字母、数字和连字符，兑换时不区分大小写
+  codePattern: /^[A-Z0-9][A-Z0-9-]{3,31}$/,
+
+  // 注册赠送的余额（元），为0时不赠送
+  trialCredit: parseFloat(process.env.PROMO_TRIAL_CREDIT) || 0,
+
+  // 满减和赠送余额的单张金额上限（元）
+  maxValue: parseFloat(process.env.PROMO_MAX_VALUE) || 10000,
+
+  // 优惠券类型：percentage 按比例折扣账单，fixed 从账单中减去固定金额，credit 兑换后直接赠送余额
+  types: {
+    percentage: { label: '折扣' },
+    fixed: { label: '立减' },
+    credit: { label: '赠送余额' }
+  },
+
+  // 抵扣账单的优惠券类型
+  discountTypes: ['percentage', 'fixed'],
+
+  // 可以限定优惠范围的账单资源
+  resources: Object.keys(billingConfig.resources),
+
+  // 兑换记录状态
+  statuses: {
+    active: '待使用',
+    applied: '已使用'
+  }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * 规范化优惠码，去掉首尾空白并转为大写
+ * @param {string} code - 用户输入的优惠码
+ * @returns {string}
+ */
+promotionConfig.normalizeCode = function(code) {
+  return String(code || '').trim().toUpperCase();
+};
+
+/**
+ * 检查优惠券当前能否被用户兑换
+ * @param {Object} coupon - 优惠券
+ * @param {Object} context - { plan: 用户当前套餐, redeemed: 用户已兑换该券的次数, now }
+ * @returns {string|null} 不能兑换的原因，可以兑换时为 null
+ */
+promotionConfig.getRedeemError = function(coupon, { plan, redeemed = 0, now = new Date() } = {}) {
+  if (!coupon || !coupon.isActive) {
+    return '优惠码无效';
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return '优惠码尚未生效';
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return '优惠码已过期';
+  }
+  if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+    return '优惠码已被领完';
+  }
+  if (redeemed >= (coupon.maxRedemptionsPerUser || 1)) {
+    return '已达到该优惠码的兑换次数上限';
+  }
+  if (coupon.plans && coupon.plans.length > 0 && !coupon.plans.includes(plan)) {
+    return '当前套餐不能使用该优惠码';
+  }
+  return null;
+};
+
+/**
+ * 按兑换顺序计算每张优惠券对账单明细的优惠金额
+ * 每张券只抵扣优惠范围内的明细，前一张券抵扣后的余额再由下一张券抵扣；
+ * 折扣券按剩余金额的比例计算并受最高优惠金额限制，立减券最多抵扣到零，未用完的部分不结转
+ * @param {Object[]} lineItems - 账单明细 { resource, amount }
+ * @param {Object[]} redemptions - 兑换记录 { type, value, maxDiscount, resources }
+ * @returns {number[]} 与兑换记录一一对应的优惠金额
+ */
+promotionConfig.calculateDiscounts = function(lineItems, redemptions) {
+  const remaining = lineItems.map(item => item.amount);
+
+  return redemptions.map(redemption => {
+    const scope = redemption.resources || [];
+    const eligible = lineItems
+      .map((item, index) => index)
+      .filter(index => scope.length === 0 || scope.includes(lineItems[index].resource));
+    const base = round(eligible.reduce((sum, index) => sum + remaining[index], 0));
+
+    let discount = redemption.type === 'percentage'
+      ? round(base * redemption.value / 100)
+      : Math.min(round(redemption.value), base);
+    if (redemption.type === 'percentage' && redemption.maxDiscount) {
+      discount = Math.min(discount, round(redemption.maxDiscount));
+    }
+
+    let left = discount;
+    eligible.forEach(index => {
+      const used = Math.min(remaining[index], left);
+      remaining[index] = round(remaining[index] - used);
+      left = round(left - used);
+    });
+
+    return discount;
+  });
+};
+
+module.exports = promotionConfig;
@@ -0,0 +1,63 @@
+/**
+ * 云电脑驱动配置
+ * 定义各机房使用的资源驱动以及驱动自身的参数
+ */
+
+const LOCATIONS = ['beijing', 'shanghai', 'guangzhou', 'shenzhen'];
+
+const providerConfig = {
+  // 未单独配置的机房使用的默认驱动
+  defaultDriver: process.env.CLOUDPC_DEFAULT_DRIVER || 'simulator',
+
+  // 机房 -> 驱动名称，例如 CLOUDPC_DRIVER_BEIJING=docker
+  locations: LOCATIONS.reduce((acc, location) => {
+    const driver = process.env[`CLOUDPC_DRIVER_${location.toUpperCase()}`];
+    if (driver) {
+      acc[location] = driver;
+    }
+    return acc;
+  }, {}),
+
+  // 模拟驱动：只在内存中记录状态，用于开发和演示环境
+  simulator: {
+    createDelay: parseInt(process.env.SIMULATOR_CREATE_DELAY, 10) || 1000,
+    startDelay: parseInt(process.env.SIMULATOR_START_DELAY, 10) || 3000,
+    stopDelay: parseInt(process.env.SIMULATOR_STOP_DELAY, 10) || 2000,
+    rebootDelay: parseInt(process.env.SIMULATOR_REBOOT_DELAY, 10) || 5000,
+    resizeDelay: parseInt(process.env.SIMULATOR_RESIZE_DELAY, 10) || 2000,
+    snapshotDelay: parseInt(process.env.SIMULATOR_SNAPSHOT_DELAY, 10) || 3000,
+    restoreDelay: parseInt(process.env.SIMULATOR_RESTORE_DELAY, 10) || 3000,
+    migrateDelay: parseInt(process.env.SIMULATOR_MIGRATE_DELAY, 10) || 5000
+  },
+
+  // 本地Docker驱动：每台云电脑对应宿主机上的一个容器
+  docker: {
+    binary: process.env.DOCKER_BIN || 'docker',
+    commandTimeout: parseInt(process.env.DOCKER_COMMAND_TIMEOUT, 10) || 60000,
+    containerPrefix: process.env.DOCKER_CONTAINER_PREFIX || 'cloudpc-',
+    // 存储限制依赖overlay2+xfs等存储驱动，默认关闭
+    limitStorage: process.env.DOCKER_LIMIT_STORAGE === 'true',
+    // 操作系统 -> 镜像
+    images: {
+      'Windows 10': process.env.DOCKER_IMAGE_WINDOWS_10 || 'dockurr/windows:10',
+      'Windows 11': process.env.DOCKER_IMAGE_WINDOWS_11 || 'dockurr/windows:11',
+      'Ubuntu 20.04': process.env.DOCKER_IMAGE_UBUNTU_20 || 'ubuntu:20.04',
+      'Ubuntu 22.04': process.env.DOCKER_IMAGE_UBUNTU_22 || 'ubuntu:22.04',
+      'CentOS 8': process.env.DOCKER_IMAGE_CENTOS_8 || 'centos:8',
+      'Debian 11': process.env.DOCKER_IMAGE_DEBIAN_11 || 'debian:11'
+    },
+    // 容器内远程桌面端口
+    guestPort: parseInt(process.env.DOCKER_GUEST_PORT, 10) || 3389
+  }
+};
+
+/**
+ * 获取指定机房使用的驱动名称
+ * @param {string} location - 机房位置
+ * @returns {string} 驱动名称
+ */
+providerConfig.getDriverName = function(location) {
+  return this.locations[location] || this.defaultDriver;
+};
+
+module.exports = providerConfig;
@@ -0,0 +1,34 @@
+/**
+ * 回收站配置
+ * 定义删除云电脑后的保留期以及到期清理任务的执行频率
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const recycleBinConfig = {
+  // 删除后在回收站中保留的天数，到期后彻底删除实例、快照并释放地址
+  retentionDays: parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS, 10) || 7,
+
+  // 清理任务的cron表达式，默认每10分钟检查一次
+  cron: process.env.RECYCLE_BIN_PURGE_CRON || '*/10 * * * *',
+
+  // 是否启用到期清理
+  enabled: process.env.RECYCLE_BIN_PURGE_ENABLED !== 'false',
+
+  // 单次清理最多处理的云电脑数量
+  batchSize: parseInt(process.env.RECYCLE_BIN_BATCH_SIZE, 10) || 20,
+
+  // 清理失败后重试的间隔(毫秒)
+  retryDelay: 60 * 60 * 1000
+};
+
+/**
+ * 计算彻底删除时间
+ * @param {Date} deletedAt - 删除时间
+ * @returns {Date}
+ */
+recycleBinConfig.getPurgeAt = function(deletedAt) {
+  return new Date(deletedAt.getTime() + this.retentionDays * DAY_MS);
+};
+
+module.exports = recycleBinConfig;
@@ -0,0 +1,55 @@
+/**
+ * 机房与可用区配置
+ * 定义首次启动时初始化的机房、每个可用区的默认容量以及机房代码格式
+ * 之后机房、可用区、容量和价格系数由管理员通过接口维护
+ */
+
+const regionConfig = {
+  // 云电脑未指定机房时使用的机房
+  defaultRegion: process.env.CLOUDPC_DEFAULT_REGION || 'beijing',
+
+  // 机房和可用区代码：小写字母开头，只含小写字母、数字和连字符
+  codePattern: /^[a-z][a-z0-9-]{1,31}$/,
+
+  // 价格系数范围
+  multiplierRange: { min: 0.1, max: 10 },
+
+  // 新建可用区的默认容量（CPU核数 / 内存GB / 存储GB）
+  defaultCapacity: {
+    cpu: parseInt(process.env.ZONE_DEFAULT_CPU, 10) || 256,
+    memory: parseInt(process.env.ZONE_DEFAULT_MEMORY, 10) || 1024,
+    storage: parseInt(process.env.ZONE_DEFAULT_STORAGE, 10) || 20480
+  },
+
+  // 首次启动时初始化的机房，每个机房一个可用区
+  defaults: [
+    { code: 'beijing', name: '北京' },
+    { code: 'shanghai', name: '上海' },
+    { code: 'guangzhou', name: '广州' },
+    { code: 'shenzhen', name: '深圳' }
+  ]
+};
+
+// 计入容量的资源
+regionConfig.resources = ['cpu', 'memory', 'storage'];
+
+/**
+ * 按机房价格系数计算小时单价
+ * @param {number} hourly - 基础小时单价
+ * @param {number} multiplier - 机房价格系数
+ * @returns {number}
+ */
+regionConfig.applyMultiplier = function(hourly, multiplier = 1) {
+  return Number((hourly * multiplier).toFixed(4));
+};
+
+/**
+ * 默认可用区代码，例如 beijing-a
+ * @param {string} region - 机房代码
+ * @returns {string}
+ */
+regionConfig.getDefaultZoneCode = function(region) {
+  return `${region}-a`;
+};
+
+module.exports = regionConfig;
@@ -0,0 +1,59 @@
+/**
+ * 电源计划配置
+ * 定义电源计划的默认时区、数量上限，以及cron表达式、时区和日期的校验
+ */
+
+const cron = require('node-cron');
+
+const scheduleConfig = {
+  // 是否启用电源计划调度
+  enabled: process.env.POWER_SCHEDULER_ENABLED !== 'false',
+
+  // 未指定时区时使用的默认时区
+  defaultTimezone: process.env.POWER_SCHEDULE_TIMEZONE || 'Asia/Shanghai',
+
+  // 每台云电脑最多的电源计划数量
+  maxPerCloudPC: parseInt(process.env.POWER_SCHEDULE_MAX_PER_CLOUDPC, 10) || 10
+};
+
+/**
+ * 校验cron表达式：只支持5段（分 时 日 月 周），同一分钟内最多执行一次
+ * @param {string} expression - 如 50 8 * * 1-5
+ * @returns {boolean}
+ */
+scheduleConfig.isValidCron = function(expression) {
+  return typeof expression === 'string'
+    && expression.trim().split(/\s+/).length === 5
+    && cron.validate(expression.trim());
+};
+
+/**
+ * 校验IANA时区名称
+ * @param {string} timezone - 如 Asia/Shanghai
+ * @returns {boolean}
+ */
+scheduleConfig.isValidTimezone = function(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * 计算时间点在指定时区的日期，用于匹配跳过日期
+ * @param {Date} date - 时间点
+ * @param {string} timezone - 时区
+ * @returns {string} YYYY-MM-DD
+ */
+scheduleConfig.getLocalDate = function(date, timezone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+module.exports = scheduleConfig;
@@ -0,0 +1,11 @@
+/**
+ * 快照配置
+ * 定义快照存储计价，快照配额由用户套餐决定（见 plans.js）
+ */
+
+const snapshotConfig = {
+  // 快照存储单价（元/GB/小时）
+  hourlyRatePerGB: parseFloat(process.env.SNAPSHOT_HOURLY_RATE_PER_GB) || 0.0005
+};
+
+module.exports = snapshotConfig;
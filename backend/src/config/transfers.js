@@ -0,0 +1,21 @@
+/**
+ * 所有权转移配置
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const transferConfig = {
+  // 转移请求的有效天数，超时未接受自动失效
+  expiryDays: parseInt(process.env.OWNERSHIP_TRANSFER_EXPIRY_DAYS, 10) || 7
+};
+
+/**
+ * 计算转移请求的失效时间
+ * @param {Date} createdAt - 发起时间
+ * @returns {Date}
+ */
+transferConfig.getExpiresAt = function(createdAt) {
+  return new Date(createdAt.getTime() + this.expiryDays * DAY_MS);
+};
+
+module.exports = transferConfig;
@@ -0,0 +1,121 @@
+/**
+ * 预付费余额配置
+ * 定义余额扣费的频率、低余额预警阈值，以及余额流水的复式记账分录
+ */
+
+const walletConfig = {
+  // 用量扣费的cron表达式，默认每10分钟扣除已结束用量区间的费用
+  cron: process.env.WALLET_CHARGE_CRON || '*/10 * * * *',
+
+  // 是否启用余额扣费和欠费停机
+  enabled: process.env.WALLET_ENABLED !== 'false',
+
+  // 只扣除在此时间之后结束的用量区间，避免启用余额功能时扣除历史用量
+  chargeSince: process.env.WALLET_CHARGE_SINCE ? new Date(process.env.WALLET_CHARGE_SINCE) : null,
+
+  // 每笔扣费最多包含的用量区间数
+  chargeBatchSize: parseInt(process.env.WALLET_CHARGE_BATCH_SIZE, 10) || 500,
+
+  // 默认的低余额预警阈值（元），用户可以自行设置
+  lowBalanceThreshold: process.env.WALLET_LOW_BALANCE !== undefined ? parseFloat(process.env.WALLET_LOW_BALANCE) : 50,
+
+  // 单笔充值上限（元）
+  maxTopup: parseFloat(process.env.WALLET_MAX_TOPUP) || 100000,
+
+  // 货币
+  currency: 'CNY',
+
+  // 记账科目：wallet 为用户余额，其余为平台侧科目
+  accounts: {
+    wallet: '用户余额',
+    cash: '充值收款',
+    revenue: '云电脑收入',
+    adjustment: '余额调整',
+    promotion: '促销赠送'
+  },
+
+  // 流水类型：名称和对方科目
+  types: {
+    topup: { label: '充值', account: 'cash' },
+    charge: { label: '扣费', account: 'revenue' },
+    refund: { label: '退款', account: 'revenue' },
+    adjustment: { label: '调整', account: 'adjustment' },
+    credit: { label: '赠送', account: 'promotion' }
+  }
+};
+
+/**
+ * 金额保留4位小数，与用量费用的精度一致
+ * @param {number} value - 金额
+ * @returns {number}
+ */
+walletConfig.round = function(value) {
+  return Math.round(value * 10000) / 10000 || 0;
+};
+
+/**
+ * 按流水类型生成分录：用户余额的变动额与对方科目等额反向，各分录合计为零
+ * 充值、退款和赠送增加余额，扣费减少余额，调整按金额的正负增减余额
+ * @param {string} type - topup / charge / refund / adjustment / credit
+ * @param {number} amount - 金额，调整可以为负数，其余类型必须为正数
+ * @returns {{account: string, amount: number}[]}
+ */
+walletConfig.buildEntries = function(type, amount) {
+  const definition = this.types[type];
+  if (!definition) {
+    throw new Error(`不支持的流水类型: ${type}`);
+  }
+
+  const value = this.round(amount);
+  if (value === 0 || (type !== 'adjustment' && value < 0)) {
+    throw new Error('金额无效');
+  }
+
+  const delta = type === 'charge' ? -value : value;
+  return [
+    { account: 'wallet', amount: delta },
+    { account: definition.account, amount: this.round(-delta) }
+  ];
+};
+
+/**
+ * 校验分录是否借贷平衡：至少两条分录、科目有效、金额非零且合计为零
+ * @param {{account: string, amount: number}[]} entries - 分录
+ * @returns {boolean}
+ */
+walletConfig.isBalanced = function(entries) {
+  if (!Array.isArray(entries) || entries.length < 2) {
+    return false;
+  }
+  if (entries.some(entry => !this.accounts[entry.account] || !entry.amount)) {
+    return false;
+  }
+  return this.round(entries.reduce((sum, entry) => sum + entry.amount, 0)) === 0;
+};
+
+/**
+ * 分录中用户余额的变动额
+ * @param {{account: string, amount: number}[]} entries - 分录
+ * @returns {number}
+ */
+walletConfig.getWalletDelta = function(entries) {
+  return this.round(entries
+    .filter(entry => entry.account === 'wallet')
+    .reduce((sum, entry) => sum + entry.amount, 0));
+};
+
+/**
+ * 判断余额状态
+ * @param {number} balance - 余额
+ * @param {number|null} threshold - 预警阈值，未设置时使用默认阈值
+ * @returns {string} negative（欠费）/ low（低于预警阈值）/ ok
+ */
+walletConfig.getBalanceState = function(balance, threshold) {
+  if (balance < 0) {
+    return 'negative';
+  }
+  const limit = threshold === undefined || threshold === null ? this.lowBalanceThreshold : threshold;
+  return balance < limit ? 'low' : 'ok';
+};
+
+module.exports = walletConfig;
@@ -1,5 +1,12 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { AppError, handleValidationError } = require('./errorHandler');
+const planConfig = require('../config/plans');
+const scheduleConfig = require('../config/schedules');
+const metadataConfig = require('../config/metadata');
+const regionConfig = require('../config/regions');
+const billingConfig = require('../config/billing');
+const walletConfig = require('../config/wallet');
+const promotionConfig = require('../config/promotions');
 
 // 处理验证结果
 const handleValidation = (req, res, next) => {
@@ -10,6 +17,24 @@ const handleValidation = (req, res, next) => {
   next();
 };
 
+// 自定义元数据：键值均为字符串，数量和长度受限
+const isValidMetadata = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const entries = Object.entries(value);
+  return entries.length <= metadataConfig.maxKeys && entries.every(([key, item]) =>
+    metadataConfig.keyPattern.test(key) &&
+    typeof item === 'string' &&
+    item.length <= metadataConfig.maxValueLength
+  );
+};
+
+const metadataField = () => body('metadata')
+  .optional()
+  .custom(isValidMetadata)
+  .withMessage(`元数据最多${metadataConfig.maxKeys}项，键只能包含字母、数字和 . _ -，值为不超过${metadataConfig.maxValueLength}个字符的字符串`);
+
 // 用户注册验证
 const validateRegister = [
   body('name')
@@ -50,7 +75,13 @@ const validateCreateCloudPC = [
     .trim()
     .isLength({ min: 1, max: 50 })
     .withMessage('云电脑名称必须为1-50个字符'),
+  body('image')
+    .optional()
+    .isMongoId()
+    .withMessage('镜像ID格式不正确'),
+  // 指定镜像时操作系统以镜像为准
   body('os')
+    .if(body('image').not().exists())
     .isIn(['Windows 10', 'Windows 11', 'Ubuntu 20.04', 'Ubuntu 22.04', 'CentOS 8', 'Debian 11'])
     .withMessage('不支持的操作系统'),
   body('cpu')
@@ -64,13 +95,31 @@ const validateCreateCloudPC = [
     .withMessage('存储空间必须为10GB-10TB'),
   body('location')
     .optional()
-    .isIn(['beijing', 'shanghai', 'guangzhou', 'shenzhen'])
-    .withMessage('不支持的机房位置'),
+    .matches(regionConfig.codePattern)
+    .withMessage('机房位置格式不正确'),
+  body('zone')
+    .optional()
+    .matches(regionConfig.codePattern)
+    .withMessage('可用区格式不正确'),
   body('description')
     .optional()
     .trim()
     .isLength({ max: 500 })
     .withMessage('描述不能超过500个字符'),
+  metadataField(),
+  body('userData')
+    .optional()
+    .isObject()
+    .withMessage('用户数据必须为对象'),
+  body('userData.format')
+    .if(body('userData').exists())
+    .isIn(Object.keys(metadataConfig.userDataFormats))
+    .withMessage('用户数据格式必须为cloud-init或powershell'),
+  body('userData.content')
+    .if(body('userData').exists())
+    .isString()
+    .notEmpty()
+    .withMessage('用户数据内容不能为空'),
   handleValidation
 ];
 
@@ -96,6 +145,217 @@ const validateUpdateCloudPC = [
     .trim()
     .isLength({ min: 1, max: 20 })
     .withMessage('每个标签为1-20个字符'),
+  body('backupEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('backupEnabled必须为布尔值')
+    .toBoolean(),
+  body('autoBackup.frequency')
+    .optional()
+    .isIn(['daily', 'weekly', 'monthly'])
+    .withMessage('备份频率必须为daily、weekly或monthly'),
+  body('autoBackup.retention')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('备份保留期必须为1-365天')
+    .toInt(),
+  body('idlePolicy.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('idlePolicy.enabled必须为布尔值')
+    .toBoolean(),
+  body('idlePolicy.cpuThreshold')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('CPU阈值必须为1-100')
+    .toInt(),
+  body('idlePolicy.idleMinutes')
+    .optional()
+    .isInt({ min: 5, max: 1440 })
+    .withMessage('空闲时间必须为5-1440分钟')
+    .toInt(),
+  body('idlePolicy.warningMinutes')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('预警时间必须为1-60分钟')
+    .toInt(),
+  metadataField(),
+  handleValidation
+];
+
+// 云电脑配置调整验证
+const validateResizeCloudPC = [
+  body('cpu')
+    .optional()
+    .isInt({ min: 1, max: 32 })
+    .withMessage('CPU核心数必须为1-32')
+    .toInt(),
+  body('memory')
+    .optional()
+    .isInt({ min: 1, max: 128 })
+    .withMessage('内存必须为1-128GB')
+    .toInt(),
+  body('storage')
+    .optional()
+    .isInt({ min: 10, max: 10000 })
+    .withMessage('存储空间必须为10GB-10TB')
+    .toInt(),
+  body()
+    .custom(value => ['cpu', 'memory', 'storage'].some(field => value[field] !== undefined))
+    .withMessage('至少需要指定CPU、内存或存储中的一项'),
+  handleValidation
+];
+
+// 批量操作验证：ids 和 filter 二选一
+const validateBulkAction = [
+  body('action')
+    .isIn(['start', 'stop', 'restart', 'delete'])
+    .withMessage('批量操作必须为start、stop、restart或delete'),
+  body()
+    .custom(value => (value.ids !== undefined) !== (value.filter !== undefined))
+    .withMessage('请提供云电脑ID列表或筛选条件（二选一）'),
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('云电脑ID列表必须为1-100个'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('云电脑ID格式不正确'),
+  body('filter')
+    .optional()
+    .custom(value => value && (value.tag !== undefined || value.status !== undefined))
+    .withMessage('筛选条件至少包含标签或状态'),
+  body('filter.tag')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('标签为1-20个字符'),
+  body('filter.status')
+    .optional()
+    .isIn(['stopped', 'starting', 'running', 'stopping', 'restarting', 'restoring', 'capturing', 'error'])
+    .withMessage('状态值不正确'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun必须为布尔值')
+    .toBoolean(),
+  handleValidation
+];
+
+// 云电脑克隆验证
+const validateCloneCloudPC = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('云电脑名称必须为1-50个字符'),
+  body('snapshotId')
+    .optional()
+    .isMongoId()
+    .withMessage('快照ID格式不正确'),
+  body('location')
+    .optional()
+    .matches(regionConfig.codePattern)
+    .withMessage('机房位置格式不正确'),
+  handleValidation
+];
+
+// 申请连接票据验证
+const validateConnectCloudPC = [
+  param('id').isMongoId().withMessage('云电脑ID格式不正确'),
+  body('protocol')
+    .optional()
+    .isIn(['rdp', 'ssh', 'console'])
+    .withMessage('连接协议必须为rdp、ssh或console'),
+  handleValidation
+];
+
+// 连接偏好字段，rdp、ssh 为两类选项所在的对象路径
+const connectionPreferenceFields = (rdp, ssh) => [
+  body(`${rdp}screenMode`)
+    .optional()
+    .isIn(['fullscreen', 'window'])
+    .withMessage('显示模式必须为fullscreen或window'),
+  body(`${rdp}width`)
+    .optional()
+    .isInt({ min: 640, max: 7680 })
+    .withMessage('分辨率宽度必须为640-7680')
+    .toInt(),
+  body(`${rdp}height`)
+    .optional()
+    .isInt({ min: 480, max: 4320 })
+    .withMessage('分辨率高度必须为480-4320')
+    .toInt(),
+  body([
+    `${rdp}multiMonitor`,
+    `${rdp}redirectDrives`,
+    `${rdp}redirectClipboard`,
+    `${rdp}redirectPrinters`,
+    `${ssh}forwardAgent`
+  ])
+    .optional()
+    .isBoolean()
+    .withMessage('连接选项必须为布尔值')
+    .toBoolean(),
+  body(`${rdp}audio`)
+    .optional()
+    .isIn(['local', 'remote', 'none'])
+    .withMessage('音频模式必须为local、remote或none'),
+  body([...new Set([`${rdp}username`, `${ssh}username`])])
+    .optional()
+    .matches(/^[A-Za-z0-9._@\\-]{0,64}$/)
+    .withMessage('用户名只能包含字母、数字和 . _ @ \\ -，最多64个字符'),
+  body(`${ssh}identityFile`)
+    .optional()
+    .matches(/^[^\r\n]{0,200}$/)
+    .withMessage('密钥路径不能超过200个字符'),
+  body(`${ssh}serverAliveInterval`)
+    .optional()
+    .isInt({ min: 0, max: 3600 })
+    .withMessage('保活间隔必须为0-3600秒')
+    .toInt()
+];
+
+// 连接偏好更新验证
+const validateUpdatePreferences = [
+  ...connectionPreferenceFields('rdp.', 'ssh.'),
+  handleValidation
+];
+
+// 申请连接文件下载验证，options 为本次下载的 rdp 或 ssh 选项
+const validateConnectionFile = [
+  param('id').isMongoId().withMessage('云电脑ID格式不正确'),
+  body('type')
+    .isIn(['rdp', 'ssh'])
+    .withMessage('文件类型必须为rdp或ssh'),
+  body('options')
+    .optional()
+    .isObject()
+    .withMessage('连接选项必须为对象'),
+  ...connectionPreferenceFields('options.', 'options.'),
+  handleValidation
+];
+
+// 连接文件下载令牌验证
+const validateDownloadToken = [
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('下载链接无效'),
+  handleValidation
+];
+
+// 网关校验连接票据验证
+const validateRedeemTicket = [
+  body('ticket')
+    .isString()
+    .notEmpty()
+    .withMessage('连接票据不能为空'),
+  body('protocol')
+    .optional()
+    .isIn(['rdp', 'ssh', 'console'])
+    .withMessage('连接协议必须为rdp、ssh或console'),
+  body('clientIp')
+    .optional()
+    .isIP()
+    .withMessage('客户端IP格式不正确'),
   handleValidation
 ];
 
@@ -123,11 +383,1136 @@ const validatePagination = [
     .withMessage('排序字段不支持'),
   query('status')
     .optional()
-    .isIn(['stopped', 'starting', 'running', 'stopping', 'restarting', 'error'])
+    .isIn(['stopped', 'starting', 'running', 'stopping', 'restarting', 'restoring', 'capturing', 'error'])
     .withMessage('状态值不支持'),
   handleValidation
 ];
 
+// 快照ID验证
+const validateSnapshotId = [
+  param('id').isMongoId().withMessage('云电脑ID格式不正确'),
+  param('snapshotId').isMongoId().withMessage('快照ID格式不正确'),
+  handleValidation
+];
+
+// 备份ID验证
+const validateBackupId = [
+  param('id').isMongoId().withMessage('云电脑ID格式不正确'),
+  param('backupId').isMongoId().withMessage('备份ID格式不正确'),
+  handleValidation
+];
+
+// 电源计划ID验证
+const validateScheduleId = [
+  param('id').isMongoId().withMessage('云电脑ID格式不正确'),
+  param('scheduleId').isMongoId().withMessage('计划ID格式不正确'),
+  handleValidation
+];
+
+// 电源计划字段，更新时所有字段可选
+const scheduleFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('计划名称必须为1-50个字符'),
+    field('action')
+      .isIn(['start', 'stop', 'restart'])
+      .withMessage('计划操作必须为start、stop或restart'),
+    field('cron')
+      .custom(value => scheduleConfig.isValidCron(value))
+      .withMessage('cron表达式格式不正确，例如 50 8 * * 1-5'),
+    body('timezone')
+      .optional()
+      .custom(value => scheduleConfig.isValidTimezone(value))
+      .withMessage('时区格式不正确，例如 Asia/Shanghai'),
+    body('skipDates')
+      .optional()
+      .isArray({ max: 366 })
+      .withMessage('跳过日期最多366个'),
+    body('skipDates.*')
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('跳过日期格式必须为YYYY-MM-DD'),
+    body('enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('enabled必须为布尔值')
+      .toBoolean()
+  ];
+};
+
+// 电源计划创建验证
+const validateCreateSchedule = [
+  param('id').isMongoId().withMessage('云电脑ID格式不正确'),
+  ...scheduleFields(false),
+  handleValidation
+];
+
+// 电源计划更新验证
+const validateUpdateSchedule = [
+  param('id').isMongoId().withMessage('云电脑ID格式不正确'),
+  param('scheduleId').isMongoId().withMessage('计划ID格式不正确'),
+  ...scheduleFields(true),
+  handleValidation
+];
+
+// 电源计划执行记录查询验证
+const validateScheduleExecutionQuery = [
+  param('id').isMongoId().withMessage('云电脑ID格式不正确'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('页码必须为正整数')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('每页数量必须为1-100')
+    .toInt(),
+  query('schedule')
+    .optional()
+    .isMongoId()
+    .withMessage('计划ID格式不正确'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'submitted', 'skipped', 'failed'])
+    .withMessage('执行状态不支持'),
+  handleValidation
+];
+
+// 用量明细查询验证
+const validateUsageQuery = [
+  param('id').isMongoId().withMessage('云电脑ID格式不正确'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('页码必须为正整数')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('每页数量必须为1-100')
+    .toInt(),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('开始时间格式不正确'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('结束时间格式不正确'),
+  handleValidation
+];
+
+// 快照创建验证
+const validateCreateSnapshot = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('快照名称必须为1-50个字符'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('快照描述不能超过200个字符'),
+  handleValidation
+];
+
+// 快照恢复验证：恢复为新云电脑时需要提供名称
+const validateRestoreSnapshot = [
+  body('asNew')
+    .optional()
+    .isBoolean()
+    .withMessage('asNew必须为布尔值')
+    .toBoolean(),
+  body('name')
+    .if(body('asNew').equals('true'))
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('云电脑名称必须为1-50个字符'),
+  body('location')
+    .optional()
+    .matches(regionConfig.codePattern)
+    .withMessage('机房位置格式不正确'),
+  handleValidation
+];
+
+// 镜像ID验证
+const validateImageId = [
+  param('id').isMongoId().withMessage('镜像ID格式不正确'),
+  handleValidation
+];
+
+// 镜像列表查询验证
+const validateImageQuery = [
+  query('type')
+    .optional()
+    .isIn(['base', 'custom'])
+    .withMessage('镜像类型不支持'),
+  query('os')
+    .optional()
+    .isIn(['Windows 10', 'Windows 11', 'Ubuntu 20.04', 'Ubuntu 22.04', 'CentOS 8', 'Debian 11'])
+    .withMessage('不支持的操作系统'),
+  handleValidation
+];
+
+// 公共基础镜像创建验证（管理员）
+const validateCreateImage = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('镜像名称必须为1-50个字符'),
+  body('os')
+    .isIn(['Windows 10', 'Windows 11', 'Ubuntu 20.04', 'Ubuntu 22.04', 'CentOS 8', 'Debian 11'])
+    .withMessage('不支持的操作系统'),
+  body('driver')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('驱动名称不能为空'),
+  body('providerImageId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('驱动镜像标识必须为1-200个字符'),
+  body('minStorage')
+    .optional()
+    .isInt({ min: 10, max: 10000 })
+    .withMessage('最小存储空间必须为10GB-10TB')
+    .toInt(),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('描述不能超过500个字符'),
+  handleValidation
+];
+
+// 捕获自定义镜像验证
+const validateCaptureImage = [
+  body('cloudPC')
+    .isMongoId()
+    .withMessage('云电脑ID格式不正确'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('镜像名称必须为1-50个字符'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('描述不能超过500个字符'),
+  body('visibility')
+    .optional()
+    .isIn(['public', 'private'])
+    .withMessage('可见性必须为public或private'),
+  handleValidation
+];
+
+// 镜像更新验证
+const validateUpdateImage = [
+  param('id').isMongoId().withMessage('镜像ID格式不正确'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('镜像名称必须为1-50个字符'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('描述不能超过500个字符'),
+  body('visibility')
+    .optional()
+    .isIn(['public', 'private'])
+    .withMessage('可见性必须为public或private'),
+  body('tags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('标签最多10个'),
+  handleValidation
+];
+
+// 模板ID验证
+const validateTemplateId = [
+  param('id').isMongoId().withMessage('模板ID格式不正确'),
+  handleValidation
+];
+
+// 模板字段验证，创建时必填，更新时可选
+const templateFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('模板名称必须为1-50个字符'),
+    field('image')
+      .isMongoId()
+      .withMessage('镜像ID格式不正确'),
+    field('cpu')
+      .isInt({ min: 1, max: 32 })
+      .withMessage('CPU核心数必须为1-32')
+      .toInt(),
+    field('memory')
+      .isInt({ min: 1, max: 128 })
+      .withMessage('内存必须为1-128GB')
+      .toInt(),
+    field('storage')
+      .isInt({ min: 10, max: 10000 })
+      .withMessage('存储空间必须为10GB-10TB')
+      .toInt(),
+    body('bandwidth')
+      .optional()
+      .isInt({ min: 1, max: 10000 })
+      .withMessage('带宽必须为1-10000Mbps')
+      .toInt(),
+    body('location')
+      .optional()
+      .matches(regionConfig.codePattern)
+      .withMessage('机房位置格式不正确'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('描述不能超过500个字符'),
+    body('visibility')
+      .optional()
+      .isIn(['public', 'private'])
+      .withMessage('可见性必须为public或private'),
+    body('tags')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('标签最多10个'),
+    body('tags.*')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('每个标签为1-20个字符')
+  ];
+};
+
+// 模板创建验证
+const validateCreateTemplate = [
+  ...templateFields(false),
+  handleValidation
+];
+
+// 模板更新验证
+const validateUpdateTemplate = [
+  param('id').isMongoId().withMessage('模板ID格式不正确'),
+  ...templateFields(true),
+  handleValidation
+];
+
+// 模板部署验证
+const validateDeployTemplate = [
+  param('id').isMongoId().withMessage('模板ID格式不正确'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('云电脑名称必须为1-50个字符'),
+  body('location')
+    .optional()
+    .matches(regionConfig.codePattern)
+    .withMessage('机房位置格式不正确'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('描述不能超过500个字符'),
+  handleValidation
+];
+
+// 地址池机房验证
+const validatePoolLocation = [
+  param('location')
+    .matches(regionConfig.codePattern)
+    .withMessage('机房位置格式不正确'),
+  handleValidation
+];
+
+// 地址池更新验证
+const validateUpdateAddressPool = [
+  param('location')
+    .matches(regionConfig.codePattern)
+    .withMessage('机房位置格式不正确'),
+  body('subnet')
+    .optional()
+    .matches(/^(\d{1,3}\.){3}\d{1,3}\/([8-9]|[12]\d|3[0-2])$/)
+    .withMessage('地址段格式不正确，例如 10.10.1.0/24'),
+  body('portRange.min')
+    .if(body('portRange').exists())
+    .isInt({ min: 1024, max: 65535 })
+    .withMessage('端口号必须为1024-65535')
+    .toInt(),
+  body('portRange.max')
+    .if(body('portRange').exists())
+    .isInt({ min: 1024, max: 65535 })
+    .withMessage('端口号必须为1024-65535')
+    .toInt(),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('描述不能超过200个字符'),
+  handleValidation
+];
+
+// 地址保留验证
+const validateReserveAddress = [
+  param('location')
+    .matches(regionConfig.codePattern)
+    .withMessage('机房位置格式不正确'),
+  body('kind')
+    .isIn(['ip', 'port'])
+    .withMessage('保留类型必须为ip或port'),
+  body('value')
+    .optional()
+    .custom((value, { req }) => (req.body.kind === 'port'
+      ? Number.isInteger(Number(value)) && value >= 1024 && value <= 65535
+      : /^(\d{1,3}\.){3}\d{1,3}$/.test(value)))
+    .withMessage('保留的IP或端口格式不正确'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('原因不能超过200个字符'),
+  handleValidation
+];
+
+// 地址保留记录ID验证
+const validateReservationId = [
+  param('location')
+    .matches(regionConfig.codePattern)
+    .withMessage('机房位置格式不正确'),
+  param('reservationId').isMongoId().withMessage('保留记录ID格式不正确'),
+  handleValidation
+];
+
+// 可用区容量字段（CPU核数 / 内存GB / 存储GB）
+const zoneCapacityFields = () => [
+  body('capacity')
+    .optional()
+    .isObject()
+    .withMessage('容量必须为对象'),
+  ...regionConfig.resources.map(resource => body(`capacity.${resource}`)
+    .optional()
+    .isInt({ min: 0, max: 10000000 })
+    .withMessage('容量必须为非负整数')
+    .toInt())
+];
+
+const zoneFields = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('可用区名称必须为1-50个字符'),
+    body('available')
+      .optional()
+      .isBoolean()
+      .withMessage('available必须为布尔值')
+      .toBoolean(),
+    ...zoneCapacityFields()
+  ];
+};
+
+const regionFields = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('机房名称必须为1-50个字符'),
+    body('available')
+      .optional()
+      .isBoolean()
+      .withMessage('available必须为布尔值')
+      .toBoolean(),
+    body('pricingMultiplier')
+      .optional()
+      .isFloat(regionConfig.multiplierRange)
+      .withMessage(`价格系数必须为${regionConfig.multiplierRange.min}-${regionConfig.multiplierRange.max}`)
+      .toFloat(),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('描述不能超过200个字符')
+  ];
+};
+
+// 机房列表查询验证：指定配置时需同时提供CPU、内存和存储
+const validateRegionQuery = [
+  query('cpu')
+    .optional()
+    .isInt({ min: 1, max: 32 })
+    .withMessage('CPU核心数必须为1-32')
+    .toInt(),
+  query('memory')
+    .if(query('cpu').exists())
+    .isInt({ min: 1, max: 128 })
+    .withMessage('内存必须为1-128GB')
+    .toInt(),
+  query('storage')
+    .if(query('cpu').exists())
+    .isInt({ min: 10, max: 10000 })
+    .withMessage('存储空间必须为10GB-10TB')
+    .toInt(),
+  handleValidation
+];
+
+// 机房创建验证
+const validateCreateRegion = [
+  body('code')
+    .matches(regionConfig.codePattern)
+    .withMessage('机房代码只能包含小写字母、数字和连字符，2-32个字符'),
+  ...regionFields(false),
+  body('subnet')
+    .optional()
+    .matches(/^(\d{1,3}\.){3}\d{1,3}\/([8-9]|[12]\d|3[0-2])$/)
+    .withMessage('地址段格式不正确，例如 10.10.1.0/24'),
+  body('zones')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('可用区最多10个'),
+  body('zones.*.code')
+    .matches(regionConfig.codePattern)
+    .withMessage('可用区代码只能包含小写字母、数字和连字符，2-32个字符'),
+  body('zones.*.name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('可用区名称必须为1-50个字符'),
+  body('zones.*.available')
+    .optional()
+    .isBoolean()
+    .withMessage('available必须为布尔值')
+    .toBoolean(),
+  ...regionConfig.resources.map(resource => body(`zones.*.capacity.${resource}`)
+    .optional()
+    .isInt({ min: 0, max: 10000000 })
+    .withMessage('容量必须为非负整数')
+    .toInt()),
+  handleValidation
+];
+
+// 机房更新验证
+const validateUpdateRegion = [
+  param('code')
+    .matches(regionConfig.codePattern)
+    .withMessage('机房代码格式不正确'),
+  ...regionFields(true),
+  handleValidation
+];
+
+// 可用区创建验证
+const validateCreateZone = [
+  param('code')
+    .matches(regionConfig.codePattern)
+    .withMessage('机房代码格式不正确'),
+  body('code')
+    .matches(regionConfig.codePattern)
+    .withMessage('可用区代码只能包含小写字母、数字和连字符，2-32个字符'),
+  ...zoneFields(false),
+  handleValidation
+];
+
+// 可用区更新验证
+const validateUpdateZone = [
+  param('code')
+    .matches(regionConfig.codePattern)
+    .withMessage('机房代码格式不正确'),
+  param('zoneCode')
+    .matches(regionConfig.codePattern)
+    .withMessage('可用区代码格式不正确'),
+  ...zoneFields(true),
+  handleValidation
+];
+
+const hostFields = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 64 })
+      .withMessage('宿主机名称必须为1-64个字符'),
+    body('address')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('地址不能超过255个字符'),
+    ...zoneCapacityFields()
+  ];
+};
+
+// 宿主机列表查询验证
+const validateHostQuery = [
+  query('zone')
+    .optional()
+    .matches(regionConfig.codePattern)
+    .withMessage('可用区代码格式不正确'),
+  query('status')
+    .optional()
+    .isIn(['active', 'maintenance'])
+    .withMessage('状态必须为active或maintenance'),
+  handleValidation
+];
+
+// 宿主机登记验证
+const validateCreateHost = [
+  ...hostFields(false),
+  body('zone')
+    .matches(regionConfig.codePattern)
+    .withMessage('可用区代码格式不正确'),
+  body('capacity')
+    .isObject()
+    .withMessage('请提供宿主机容量'),
+  ...regionConfig.resources.map(resource => body(`capacity.${resource}`)
+    .exists()
+    .withMessage('请提供CPU、内存和磁盘容量')),
+  handleValidation
+];
+
+// 宿主机更新验证
+const validateUpdateHost = [
+  param('id').isMongoId().withMessage('宿主机ID格式不正确'),
+  ...hostFields(true),
+  handleValidation
+];
+
+// 宿主机ID验证
+const validateHostId = [
+  param('id').isMongoId().withMessage('宿主机ID格式不正确'),
+  handleValidation
+];
+
+// 宿主机维护验证
+const validateHostMaintenance = [
+  param('id').isMongoId().withMessage('宿主机ID格式不正确'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('维护原因不能超过200个字符'),
+  body('evacuate')
+    .optional()
+    .isBoolean()
+    .withMessage('evacuate必须为布尔值')
+    .toBoolean(),
+  handleValidation
+];
+
+// 账单查询验证
+const validateInvoiceQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('页码必须为正整数')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('每页数量必须为1-100')
+    .toInt(),
+  query('status')
+    .optional()
+    .isIn(['draft', 'issued', 'paid', 'void'])
+    .withMessage('账单状态不支持'),
+  query('period')
+    .optional()
+    .custom(value => billingConfig.isValidPeriod(value))
+    .withMessage('账期格式应为YYYY-MM'),
+  query('user')
+    .optional()
+    .isMongoId()
+    .withMessage('用户ID格式不正确'),
+  handleValidation
+];
+
+// 生成账单验证
+const validateGenerateInvoices = [
+  body('period')
+    .custom(value => billingConfig.isValidPeriod(value))
+    .withMessage('账期格式应为YYYY-MM'),
+  body('user')
+    .optional()
+    .isMongoId()
+    .withMessage('用户ID格式不正确'),
+  body('issue')
+    .optional()
+    .isBoolean()
+    .withMessage('issue必须为布尔值')
+    .toBoolean(),
+  handleValidation
+];
+
+// 账单ID验证
+const validateInvoiceId = [
+  param('id').isMongoId().withMessage('账单ID格式不正确'),
+  handleValidation
+];
+
+// 账单导出验证
+const validateInvoiceExport = [
+  param('id').isMongoId().withMessage('账单ID格式不正确'),
+  param('format').isIn(['pdf', 'csv']).withMessage('导出格式只支持pdf和csv'),
+  handleValidation
+];
+
+// 登记付款验证
+const validateInvoicePayment = [
+  param('id').isMongoId().withMessage('账单ID格式不正确'),
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('付款说明不能超过200个字符'),
+  handleValidation
+];
+
+// 作废账单验证
+const validateVoidInvoice = [
+  param('id').isMongoId().withMessage('账单ID格式不正确'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('作废原因必须为1-500个字符'),
+  handleValidation
+];
+
+// 余额流水查询验证，管理员查询其他用户时通过 user 指定
+const validateWalletTransactionQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('页码必须为正整数')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('每页数量必须为1-100')
+    .toInt(),
+  query('type')
+    .optional()
+    .isIn(Object.keys(walletConfig.types))
+    .withMessage('流水类型不支持'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('开始时间格式不正确'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('结束时间格式不正确'),
+  query('user')
+    .optional()
+    .isMongoId()
+    .withMessage('用户ID格式不正确'),
+  handleValidation
+];
+
+// 低余额预警阈值验证，传 null 表示恢复系统默认值
+const validateWalletThreshold = [
+  body('lowBalanceThreshold')
+    .custom(value => value === null || (typeof value === 'number' && value >= 0 && value <= 1000000))
+    .withMessage('预警阈值必须为0-1000000的数字'),
+  handleValidation
+];
+
+// 余额充值、退款和调整验证，只有调整可以为负数
+const validateWalletTransaction = (type) => [
+  param('userId').isMongoId().withMessage('用户ID格式不正确'),
+  body('amount')
+    .custom(value => typeof value === 'number' && Number.isFinite(value)
+      && (type === 'adjustment' ? value !== 0 : value > 0)
+      && Math.abs(value) <= walletConfig.maxTopup)
+    .withMessage(type === 'adjustment'
+      ? `调整金额必须为非零数字，绝对值不超过${walletConfig.maxTopup}`
+      : `金额必须为大于0且不超过${walletConfig.maxTopup}的数字`),
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('单号必须为1-100个字符'),
+  body('description')
+    .if(() => type !== 'topup')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('必须填写说明，不超过500个字符'),
+  body('description')
+    .if(() => type === 'topup')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('说明不能超过500个字符'),
+  handleValidation
+];
+
+const validateWalletTopup = validateWalletTransaction('topup');
+const validateWalletRefund = validateWalletTransaction('refund');
+const validateWalletAdjustment = validateWalletTransaction('adjustment');
+
+// 套餐内容验证，创建时名称和价格必填
+const planFields = (required) => {
+  const field = (path) => (required ? body(path) : body(path).optional());
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('套餐名称必须为1-50个字符'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('描述不能超过200个字符'),
+    ...Object.keys(planConfig.cycles).map(cycle => field(`prices.${cycle}`)
+      .isFloat({ min: 0, max: 1000000 })
+      .withMessage('价格必须为0-1000000的数字')
+      .toFloat()),
+    body('quotas')
+      .optional()
+      .isObject()
+      .withMessage('配额必须为对象'),
+    ...Object.keys(planConfig.resources).map(resource => body(`quotas.${resource}`)
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('配额必须为非负整数')
+      .toInt()),
+    body('features')
+      .optional()
+      .isArray({ max: 30 })
+      .withMessage('功能列表最多30项'),
+    body('features.*.name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('功能名称必须为1-100个字符'),
+    body('features.*.included')
+      .optional()
+      .isBoolean()
+      .withMessage('included必须为布尔值')
+      .toBoolean(),
+    body('popular')
+      .optional()
+      .isBoolean()
+      .withMessage('popular必须为布尔值')
+      .toBoolean(),
+    body('sortOrder')
+      .optional()
+      .isInt()
+      .withMessage('排序必须为整数')
+      .toInt(),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive必须为布尔值')
+      .toBoolean()
+  ];
+};
+
+// 新增套餐验证
+const validateCreatePlan = [
+  body('code')
+    .matches(planConfig.codePattern)
+    .withMessage('套餐代码只能包含小写字母、数字和连字符，以字母开头，长度2-30'),
+  ...planFields(true),
+  handleValidation
+];
+
+// 调整套餐验证
+const validateUpdatePlan = [
+  param('code').matches(planConfig.codePattern).withMessage('套餐代码格式不正确'),
+  ...planFields(false),
+  handleValidation
+];
+
+// 套餐代码验证
+const validatePlanCode = [
+  param('code').matches(planConfig.codePattern).withMessage('套餐代码格式不正确'),
+  handleValidation
+];
+
+// 订阅套餐验证
+const validateSubscribe = [
+  body('plan')
+    .matches(planConfig.codePattern)
+    .withMessage('套餐代码格式不正确'),
+  body('cycle')
+    .isIn(Object.keys(planConfig.cycles))
+    .withMessage('订阅周期只支持monthly和yearly'),
+  handleValidation
+];
+
+// 变更订阅验证，套餐和周期至少提供一项
+const validateChangeSubscription = [
+  body('plan')
+    .optional()
+    .matches(planConfig.codePattern)
+    .withMessage('套餐代码格式不正确'),
+  body('cycle')
+    .optional()
+    .isIn(Object.keys(planConfig.cycles))
+    .withMessage('订阅周期只支持monthly和yearly'),
+  body()
+    .custom(value => Boolean(value && (value.plan || value.cycle)))
+    .withMessage('请指定目标套餐或订阅周期'),
+  handleValidation
+];
+
+// 优惠码验证，兑换时不区分大小写
+const couponCode = () => body('code')
+  .trim()
+  .toUpperCase()
+  .matches(promotionConfig.codePattern)
+  .withMessage('优惠码只能包含字母、数字和连字符，长度4-32');
+
+// 优惠券内容验证，创建时名称和优惠额度必填；折扣比例不超过100%由模型校验
+const couponFields = (required) => {
+  const field = (path) => (required ? body(path) : body(path).optional());
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('优惠券名称必须为1-50个字符'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('描述不能超过200个字符'),
+    field('value')
+      .isFloat({ min: 0.01, max: promotionConfig.maxValue })
+      .withMessage(`优惠额度必须为0.01-${promotionConfig.maxValue}的数字`)
+      .toFloat(),
+    body('maxDiscount')
+      .optional({ nullable: true })
+      .isFloat({ min: 0.01, max: promotionConfig.maxValue })
+      .withMessage(`最高优惠金额必须为0.01-${promotionConfig.maxValue}的数字`)
+      .toFloat(),
+    body('plans')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('适用套餐最多20个'),
+    body('plans.*')
+      .matches(planConfig.codePattern)
+      .withMessage('套餐代码格式不正确'),
+    body('resources')
+      .optional()
+      .isArray()
+      .withMessage('优惠范围必须为数组'),
+    body('resources.*')
+      .isIn(promotionConfig.resources)
+      .withMessage(`优惠范围只支持${promotionConfig.resources.join('、')}`),
+    ...['startsAt', 'expiresAt'].map(path => body(path)
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('时间格式不正确')
+      .toDate()),
+    body('maxRedemptions')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('兑换次数上限必须为正整数')
+      .toInt(),
+    body('maxRedemptionsPerUser')
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('每人兑换次数上限必须为1-1000')
+      .toInt(),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive必须为布尔值')
+      .toBoolean()
+  ];
+};
+
+// 创建优惠券验证
+const validateCreateCoupon = [
+  couponCode(),
+  body('type')
+    .isIn(Object.keys(promotionConfig.types))
+    .withMessage('优惠券类型只支持percentage、fixed和credit'),
+  ...couponFields(true),
+  handleValidation
+];
+
+// 调整优惠券验证，优惠码和类型不能修改
+const validateUpdateCoupon = [
+  param('id').isMongoId().withMessage('优惠券ID格式不正确'),
+  ...couponFields(false),
+  handleValidation
+];
+
+// 优惠券ID验证
+const validateCouponId = [
+  param('id').isMongoId().withMessage('优惠券ID格式不正确'),
+  handleValidation
+];
+
+// 优惠券查询验证
+const validateCouponQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('页码必须为正整数')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('每页数量必须为1-100')
+    .toInt(),
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive必须为布尔值')
+    .toBoolean(),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('搜索关键词不能超过50个字符'),
+  handleValidation
+];
+
+// 兑换优惠码验证
+const validateRedeemCoupon = [
+  couponCode(),
+  handleValidation
+];
+
+// 管理员为用户兑换优惠码验证
+const validateGrantCoupon = [
+  param('userId').isMongoId().withMessage('用户ID格式不正确'),
+  couponCode(),
+  handleValidation
+];
+
+// 兑换记录查询验证，管理员可以按用户和优惠券筛选
+const validateRedemptionQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('页码必须为正整数')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('每页数量必须为1-100')
+    .toInt(),
+  query('status')
+    .optional()
+    .isIn(Object.keys(promotionConfig.statuses))
+    .withMessage('兑换状态只支持active和applied'),
+  query('user')
+    .optional()
+    .isMongoId()
+    .withMessage('用户ID格式不正确'),
+  query('coupon')
+    .optional()
+    .isMongoId()
+    .withMessage('优惠券ID格式不正确'),
+  handleValidation
+];
+
+// 配额用户ID验证
+const validateQuotaUserId = [
+  param('userId').isMongoId().withMessage('用户ID格式不正确'),
+  handleValidation
+];
+
+// 用户配额更新验证，配额项传 null 表示恢复为套餐配额
+const validateUpdateUserQuota = [
+  param('userId').isMongoId().withMessage('用户ID格式不正确'),
+  body('plan')
+    .optional()
+    .matches(planConfig.codePattern)
+    .withMessage('套餐代码格式不正确'),
+  body('overrides')
+    .optional()
+    .isObject()
+    .withMessage('配额调整必须为对象'),
+  ...Object.keys(planConfig.resources).map(resource => body(`overrides.${resource}`)
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('配额必须为非负整数')
+    .toInt()),
+  handleValidation
+];
+
+// 发起所有权转移验证
+const validateCreateTransfer = [
+  body('cloudPCId')
+    .isMongoId()
+    .withMessage('云电脑ID格式不正确'),
+  body('recipientEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('接收方邮箱格式不正确'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('附言不能超过200个字符'),
+  handleValidation
+];
+
+// 转移请求ID验证
+const validateTransferId = [
+  param('transferId').isMongoId().withMessage('转移请求ID格式不正确'),
+  handleValidation
+];
+
+// 转移请求列表查询验证
+const validateTransferQuery = [
+  query('direction')
+    .optional()
+    .isIn(['incoming', 'outgoing'])
+    .withMessage('方向必须为incoming或outgoing'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'rejected', 'cancelled', 'expired'])
+    .withMessage('转移状态不支持'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('页码必须为正整数')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('每页数量必须为1-100')
+    .toInt(),
+  handleValidation
+];
+
+// 操作ID验证
+const validateOperationId = [
+  param('opId').isMongoId().withMessage('操作ID格式不正确'),
+  handleValidation
+];
+
+// 操作列表查询验证
+const validateOperationQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('页码必须为正整数')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('每页数量必须为1-100')
+    .toInt(),
+  query('status')
+    .optional()
+    .isIn(['queued', 'running', 'succeeded', 'failed', 'cancelled'])
+    .withMessage('操作状态不支持'),
+  handleValidation
+];
+
 // 用户资料更新验证
 const validateUpdateProfile = [
   body('name')
@@ -204,8 +1589,78 @@ module.exports = {
   validateLogin,
   validateCreateCloudPC,
   validateUpdateCloudPC,
+  validateResizeCloudPC,
+  validateCloneCloudPC,
+  validateConnectCloudPC,
+  validateRedeemTicket,
+  validateUpdatePreferences,
+  validateConnectionFile,
+  validateDownloadToken,
+  validateBulkAction,
   validateCloudPCId,
   validatePagination,
+  validateSnapshotId,
+  validateCreateSnapshot,
+  validateRestoreSnapshot,
+  validateBackupId,
+  validateScheduleId,
+  validateCreateSchedule,
+  validateUpdateSchedule,
+  validateScheduleExecutionQuery,
+  validateUsageQuery,
+  validateImageId,
+  validateImageQuery,
+  validateCreateImage,
+  validateCaptureImage,
+  validateUpdateImage,
+  validateTemplateId,
+  validateCreateTemplate,
+  validateUpdateTemplate,
+  validateDeployTemplate,
+  validatePoolLocation,
+  validateUpdateAddressPool,
+  validateReserveAddress,
+  validateReservationId,
+  validateRegionQuery,
+  validateCreateRegion,
+  validateUpdateRegion,
+  validateCreateZone,
+  validateUpdateZone,
+  validateHostQuery,
+  validateCreateHost,
+  validateUpdateHost,
+  validateHostId,
+  validateHostMaintenance,
+  validateInvoiceQuery,
+  validateGenerateInvoices,
+  validateInvoiceId,
+  validateInvoiceExport,
+  validateInvoicePayment,
+  validateVoidInvoice,
+  validateWalletTransactionQuery,
+  validateWalletThreshold,
+  validateWalletTopup,
+  validateWalletRefund,
+  validateWalletAdjustment,
+  validateCreatePlan,
+  validateUpdatePlan,
+  validatePlanCode,
+  validateSubscribe,
+  validateChangeSubscription,
+  validateCreateCoupon,
+  validateUpdateCoupon,
+  validateCouponId,
+  validateCouponQuery,
+  validateRedeemCoupon,
+  validateGrantCoupon,
+  validateRedemptionQuery,
+  validateQuotaUserId,
+  validateUpdateUserQuota,
+  validateCreateTransfer,
+  validateTransferId,
+  validateTransferQuery,
+  validateOperationId,
+  validateOperationQuery,
   validateUpdateProfile,
   validatePasswordChange,
   validateResetPassword,
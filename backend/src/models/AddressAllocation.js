@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const regionConfig = require('../config/regions');
+
+// 每条记录占用一个IP或端口，唯一索引保证并发分配时不会重复
+const addressAllocationSchema = new mongoose.Schema({
+  location: {
+    type: String,
+    required: true,
+    match: [regionConfig.codePattern, '机房代码格式不正确']
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['ip', 'port']
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  // allocated: 已分配给云电脑；reserved: 管理员保留，不参与自动分配
+  status: {
+    type: String,
+    enum: ['allocated', 'reserved'],
+    default: 'allocated'
+  },
+  cloudPC: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CloudPC',
+    index: true
+  },
+  reason: {
+    type: String,
+    maxlength: [200, '原因不能超过200个字符']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// 索引
+addressAllocationSchema.index({ location: 1, kind: 1, value: 1 }, { unique: true });
+addressAllocationSchema.index({ location: 1, status: 1 });
+
+module.exports = mongoose.model('AddressAllocation', addressAllocationSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const regionConfig = require('../config/regions');
+
+const addressPoolSchema = new mongoose.Schema({
+  location: {
+    type: String,
+    required: [true, '机房位置不能为空'],
+    unique: true,
+    match: [regionConfig.codePattern, '机房代码格式不正确']
+  },
+  subnet: {
+    type: String,
+    required: [true, '地址段不能为空'],
+    match: [/^(\d{1,3}\.){3}\d{1,3}\/([8-9]|[12]\d|3[0-2])$/, '地址段格式不正确']
+  },
+  portRange: {
+    min: {
+      type: Number,
+      required: true,
+      min: [1024, '端口号不能小于1024'],
+      max: [65535, '端口号不能大于65535']
+    },
+    max: {
+      type: Number,
+      required: true,
+      min: [1024, '端口号不能小于1024'],
+      max: [65535, '端口号不能大于65535']
+    }
+  },
+  description: {
+    type: String,
+    maxlength: [200, '描述不能超过200个字符']
+  },
+  // 轮转分配的游标，每次分配递增，对可分配数量取模得到候选地址
+  cursor: {
+    ip: {
+      type: Number,
+      default: 0
+    },
+    port: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AddressPool', addressPoolSchema);
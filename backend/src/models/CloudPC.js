@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const regionConfig = require('../config/regions');
 
 const cloudPCSchema = new mongoose.Schema({
   name: {
@@ -15,7 +16,7 @@ const cloudPCSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['stopped', 'starting', 'running', 'stopping', 'restarting', 'error'],
+    enum: ['stopped', 'starting', 'running', 'stopping', 'restarting', 'restoring', 'capturing', 'error'],
     default: 'stopped',
     index: true
   },
@@ -42,6 +43,15 @@ const cloudPCSchema = new mongoose.Schema({
     min: [10, '至少需要10GB存储空间'],
     max: [10000, '最多支持10TB存储空间']
   },
+  // 创建时使用的镜像和模板
+  image: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image'
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template'
+  },
   ip: {
     type: String,
     required: true,
@@ -61,8 +71,17 @@ const cloudPCSchema = new mongoose.Schema({
   },
   location: {
     type: String,
-    default: 'beijing',
-    enum: ['beijing', 'shanghai', 'guangzhou', 'shenzhen']
+    default: regionConfig.defaultRegion,
+    match: [regionConfig.codePattern, '机房代码格式不正确']
+  },
+  // 放置云电脑的可用区，开通时按容量选择
+  zone: {
+    type: String
+  },
+  // 运行云电脑的宿主机，可用区未登记宿主机时为空
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Host'
   },
   pricing: {
     hourly: {
@@ -74,6 +93,12 @@ const cloudPCSchema = new mongoose.Schema({
       type: String,
       default: 'CNY',
       enum: ['CNY', 'USD']
+    },
+    // 快照存储费用（元/小时），按已完成快照的实际大小计算
+    snapshotHourly: {
+      type: Number,
+      default: 0,
+      min: [0, '价格不能为负数']
     }
   },
   tags: [{
@@ -85,6 +110,28 @@ const cloudPCSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, '描述不能超过500个字符']
   },
+  // 自定义元数据，云电脑内可通过元数据服务读取
+  metadata: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // 创建时附带的首次启动脚本，Linux为cloud-init，Windows为PowerShell
+  userData: {
+    format: {
+      type: String,
+      enum: ['cloud-init', 'powershell']
+    },
+    // 脚本可能包含敏感信息，默认不随云电脑返回
+    content: {
+      type: String,
+      select: false
+    },
+    // 云电脑首次从元数据服务获取用户数据的时间
+    fetchedAt: {
+      type: Date
+    }
+  },
   rdpUrl: {
     type: String
   },
@@ -94,6 +141,14 @@ const cloudPCSchema = new mongoose.Schema({
   webUrl: {
     type: String
   },
+  provider: {
+    driver: {
+      type: String
+    },
+    instanceId: {
+      type: String
+    }
+  },
   backupEnabled: {
     type: Boolean,
     default: false
@@ -109,6 +164,10 @@ const cloudPCSchema = new mongoose.Schema({
       default: 30, // 保留30天
       min: [1, '保留期至少1天'],
       max: [365, '保留期最多365天']
+    },
+    // 最近一次自动备份的提交时间，用于计算下次备份时间
+    lastBackupAt: {
+      type: Date
     }
   },
   monitoring: {
@@ -147,6 +206,39 @@ const cloudPCSchema = new mongoose.Schema({
       }
     }
   },
+  // 空闲自动关机：没有会话操作且CPU使用率低于阈值持续指定时间后自动关机
+  idlePolicy: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    cpuThreshold: {
+      type: Number,
+      default: 5,
+      min: [1, 'CPU阈值至少1%'],
+      max: [100, 'CPU阈值最多100%']
+    },
+    idleMinutes: {
+      type: Number,
+      default: 30,
+      min: [5, '空闲时间至少5分钟'],
+      max: [1440, '空闲时间最多1440分钟']
+    },
+    warningMinutes: {
+      type: Number,
+      default: 5,
+      min: [1, '预警时间至少1分钟'],
+      max: [60, '预警时间最多60分钟']
+    },
+    // 开始空闲的时间，恢复活跃或离开运行状态时清除
+    idleSince: {
+      type: Date
+    },
+    // 本轮空闲发出关机预警的时间
+    warnedAt: {
+      type: Date
+    }
+  },
   usage: {
     cpuUsage: {
       type: Number,
@@ -191,7 +283,64 @@ const cloudPCSchema = new mongoose.Schema({
       type: String,
       enum: ['hourly', 'daily', 'monthly'],
       default: 'hourly'
-    }
+    },
+    // 单价变更记录，计费时按生效时间分段折算
+    rateHistory: [{
+      hourly: {
+        type: Number,
+        required: true
+      },
+      // 变更前的单价，早于首条记录的用量按此计价
+      previousHourly: {
+        type: Number
+      },
+      effectiveFrom: {
+        type: Date,
+        default: Date.now
+      },
+      reason: {
+        type: String
+      },
+      cpu: Number,
+      memory: Number,
+      storage: Number
+    }]
+  },
+  // 进行中的配置调整，完成或失败后清除
+  pendingResize: {
+    operation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Operation'
+    },
+    cpu: Number,
+    memory: Number,
+    storage: Number,
+    requestedAt: Date
+  },
+  // 进行中的宿主机迁移，完成或失败后清除
+  pendingMigration: {
+    operation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Operation'
+    },
+    fromHost: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Host'
+    },
+    toHost: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Host'
+    },
+    requestedAt: Date
+  },
+  // 移入回收站的时间，未删除时为空
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // 回收站到期彻底删除的时间
+  purgeAt: {
+    type: Date
   },
   logs: [{
     level: {
@@ -222,14 +371,36 @@ const cloudPCSchema = new mongoose.Schema({
       type: String,
       maxlength: [200, '快照描述不能超过200个字符']
     },
+    // manual: 用户手动创建；backup: 自动备份，按保留期清理
+    kind: {
+      type: String,
+      enum: ['manual', 'backup'],
+      default: 'manual'
+    },
+    // 快照大小(MB)，由驱动在快照完成后返回
     size: {
       type: Number,
-      required: true
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['creating', 'available', 'failed'],
+      default: 'creating'
+    },
+    providerSnapshotId: {
+      type: String
+    },
+    operation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Operation'
     },
     createdAt: {
       type: Date,
       default: Date.now
     },
+    completedAt: {
+      type: Date
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -241,24 +412,6 @@ const cloudPCSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// 虚拟字段：运行时长
-cloudPCSchema.virtual('runtime').get(function() {
-  if (this.status === 'running') {
-    const now = new Date();
-    const startTime = this.updatedAt;
-    return Math.floor((now - startTime) / 1000); // 秒数
-  }
-  return 0;
-});
-
-// 虚拟字段：预估成本
-cloudPCSchema.virtual('estimatedCost').get(function() {
-  const hourlyRate = this.pricing.hourly;
-  const runtime = this.runtime;
-  const hours = runtime / 3600; // 转换为小时
-  return (hourlyRate * hours).toFixed(4);
-});
-
 // 静态方法：获取可用配置
 cloudPCSchema.statics.getAvailableConfigs = function() {
   return [
@@ -297,6 +450,47 @@ cloudPCSchema.statics.getAvailableConfigs = function() {
   ];
 };
 
+// 超出配置档位自带存储的部分按GB计价（元/GB/小时）
+const EXTRA_STORAGE_HOURLY_RATE = 0.001;
+
+// 静态方法：按CPU和内存查找配置档位
+cloudPCSchema.statics.findTier = function(cpu, memory) {
+  return this.getAvailableConfigs().find(tier => tier.cpu === cpu && tier.memory === memory) || null;
+};
+
+// 静态方法：计算小时单价（档位价格 + 额外存储费用）
+cloudPCSchema.statics.calculateHourlyPrice = function({ cpu, memory, storage }) {
+  const tier = this.findTier(cpu, memory);
+  if (!tier) {
+    return null;
+  }
+  const extraStorage = Math.max(storage - tier.storage, 0);
+  return Number((tier.hourly + extraStorage * EXTRA_STORAGE_HOURLY_RATE).toFixed(4));
+};
+
+// 虚拟字段：已完成快照占用的存储(MB)
+cloudPCSchema.virtual('snapshotSize').get(function() {
+  return (this.snapshots || [])
+    .filter(snapshot => snapshot.isActive && snapshot.status === 'available')
+    .reduce((sum, snapshot) => sum + snapshot.size, 0);
+});
+
+// 实例方法：获取指定时间生效的小时单价
+// 早于所有变更记录时返回首次变更前的单价，没有变更记录时返回当前单价
+cloudPCSchema.methods.getHourlyRateAt = function(date) {
+  const history = ((this.billing && this.billing.rateHistory) || [])
+    .slice()
+    .sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+  const effective = history.filter(entry => entry.effectiveFrom <= date).pop();
+  if (effective) {
+    return effective.hourly;
+  }
+  if (history.length > 0 && typeof history[0].previousHourly === 'number') {
+    return history[0].previousHourly;
+  }
+  return this.pricing.hourly;
+};
+
 // 实例方法：添加日志
 cloudPCSchema.methods.addLog = function(level, message, source = 'user') {
   this.logs.push({
@@ -312,20 +506,42 @@ cloudPCSchema.methods.addLog = function(level, message, source = 'user') {
   return this.save();
 };
 
-// 实例方法：创建快照
-cloudPCSchema.methods.createSnapshot = function(name, description = '') {
+// 实例方法：创建快照记录，实际大小在驱动完成快照后回写
+cloudPCSchema.methods.createSnapshot = async function(name, description = '', kind = 'manual') {
   this.snapshots.push({
     name,
     description,
-    size: this.storage * 1024, // 估算大小(MB)
+    kind,
+    status: 'creating',
     createdAt: new Date()
   });
-  return this.save();
+  await this.save();
+  return this.snapshots[this.snapshots.length - 1];
 };
 
+// 回收站中的云电脑默认不参与查询和统计，查询条件中显式指定 deletedAt 时不做处理
+const excludeDeleted = function() {
+  if (this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+};
+
+cloudPCSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments'], excludeDeleted);
+
+cloudPCSchema.pre('aggregate', function() {
+  const [first] = this.pipeline();
+  if (!(first && first.$match && first.$match.deletedAt !== undefined)) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
 // 索引
 cloudPCSchema.index({ user: 1, status: 1 });
+cloudPCSchema.index({ deletedAt: 1, purgeAt: 1 });
 cloudPCSchema.index({ createdAt: -1 });
-cloudPCSchema.index({ ip: 1 });
+// IP由地址池分配，同一机房内不重复；回收站中的云电脑保留地址直到彻底删除
+cloudPCSchema.index({ location: 1, ip: 1 }, { unique: true });
+cloudPCSchema.index({ zone: 1 });
+cloudPCSchema.index({ host: 1 });
 
 module.exports = mongoose.model('CloudPC', cloudPCSchema);
\ No newline at end of file
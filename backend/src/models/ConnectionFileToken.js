@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// 连接文件下载令牌：每次申请下载生成一个，只能使用一次，数据库中只保存令牌的哈希
+const connectionFileTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  cloudPC: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CloudPC',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['rdp', 'ssh']
+  },
+  // 申请时合并好的选项，下载时按此生成文件
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  downloadIp: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// 索引
+connectionFileTokenSchema.index({ cloudPC: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ConnectionFileToken', connectionFileTokenSchema);
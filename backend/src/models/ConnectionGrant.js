@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// 连接授权记录：每次签发连接票据生成一条，网关兑换票据时更新
+const connectionGrantSchema = new mongoose.Schema({
+  cloudPC: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CloudPC',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  protocol: {
+    type: String,
+    required: true,
+    enum: ['rdp', 'ssh', 'console']
+  },
+  // 票据ID，对应票据中的 jti
+  ticketId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // issued: 已签发未使用；used: 已由网关兑换；rejected: 兑换时校验未通过；expired: 过期后才尝试兑换
+  status: {
+    type: String,
+    enum: ['issued', 'used', 'rejected', 'expired'],
+    default: 'issued'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // 申请票据时的客户端信息
+  requestIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  // 兑换票据的网关和连接来源
+  usedAt: {
+    type: Date
+  },
+  gateway: {
+    type: String
+  },
+  clientIp: {
+    type: String
+  },
+  reason: {
+    type: String,
+    maxlength: [500, '原因不能超过500个字符']
+  }
+}, {
+  timestamps: true
+});
+
+// 索引
+connectionGrantSchema.index({ cloudPC: 1, createdAt: -1 });
+connectionGrantSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ConnectionGrant', connectionGrantSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const promotionConfig = require('../config/promotions');
+
+// 优惠券：用户凭优惠码兑换，折扣和立减券在生成账单时抵扣，赠送余额券兑换后直接入账
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, '优惠码是必需的'],
+    trim: true,
+    uppercase: true,
+    match: [promotionConfig.codePattern, '优惠码只能包含大写字母、数字和连字符，长度4-32']
+  },
+  name: {
+    type: String,
+    required: [true, '优惠券名称是必需的'],
+    trim: true,
+    maxlength: [50, '优惠券名称不能超过50个字符']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, '描述不能超过200个字符']
+  },
+  type: {
+    type: String,
+    enum: Object.keys(promotionConfig.types),
+    required: true
+  },
+  // 折扣券为折扣比例（%），立减券和赠送余额券为金额（元）
+  value: {
+    type: Number,
+    required: true,
+    min: [0.01, '优惠金额必须大于0']
+  },
+  // 折扣券单张账单的最高优惠金额（元），为空时不限
+  maxDiscount: {
+    type: Number,
+    min: [0.01, '最高优惠金额必须大于0'],
+    default: null
+  },
+  // 可以兑换的套餐，为空时不限
+  plans: [{
+    type: String,
+    lowercase: true
+  }],
+  // 抵扣的账单资源，为空时抵扣全部明细
+  resources: [{
+    type: String,
+    enum: promotionConfig.resources
+  }],
+  startsAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  // 总兑换次数上限，为空时不限
+  maxRedemptions: {
+    type: Number,
+    min: [1, '兑换次数上限至少为1'],
+    default: null
+  },
+  // 每个用户的兑换次数上限
+  maxRedemptionsPerUser: {
+    type: Number,
+    min: [1, '每人兑换次数上限至少为1'],
+    default: 1
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// 折扣比例不能超过100%，结束时间必须晚于开始时间
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    return next(new Error('折扣比例不能超过100%'));
+  }
+  if (this.type !== 'percentage' && this.value > promotionConfig.maxValue) {
+    return next(new Error(`优惠金额不能超过${promotionConfig.maxValue}元`));
+  }
+  if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+    return next(new Error('结束时间必须晚于开始时间'));
+  }
+  next();
+});
+
+// 索引
+couponSchema.index({ code: 1 }, { unique: true });
+couponSchema.index({ isActive: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const promotionConfig = require('../config/promotions');
+
+// 优惠码兑换记录：保存兑换时的优惠条件，之后调整优惠券不影响已兑换的记录
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 用户第几次兑换该券，从0开始，用于限制每人兑换次数
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  type: {
+    type: String,
+    enum: Object.keys(promotionConfig.types),
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  maxDiscount: {
+    type: Number,
+    default: null
+  },
+  resources: [{
+    type: String,
+    enum: promotionConfig.resources
+  }],
+  // 优惠券的结束时间：只抵扣在此之前开始的账期
+  expiresAt: {
+    type: Date
+  },
+  // active：待抵扣账单或待入账；applied：已抵扣账单或已赠送余额
+  status: {
+    type: String,
+    enum: Object.keys(promotionConfig.statuses),
+    default: 'active'
+  },
+  // 抵扣的账单，账单作废后释放
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  // 实际优惠或赠送的金额
+  amount: {
+    type: Number
+  },
+  // 赠送余额的流水
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerTransaction'
+  },
+  appliedAt: {
+    type: Date
+  },
+  // 操作人：用户本人或代为兑换的管理员
+  redeemedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// 索引
+couponRedemptionSchema.index({ coupon: 1, user: 1, sequence: 1 }, { unique: true });
+couponRedemptionSchema.index({ user: 1, status: 1, createdAt: 1 });
+couponRedemptionSchema.index({ coupon: 1, createdAt: -1 });
+couponRedemptionSchema.index({ invoice: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
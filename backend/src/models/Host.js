@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const regionConfig = require('../config/regions');
+
+// 资源数量（CPU核数 / 内存GB / 磁盘GB）
+const resourceFields = () => ({
+  cpu: {
+    type: Number,
+    default: 0,
+    min: [0, 'CPU不能为负数']
+  },
+  memory: {
+    type: Number,
+    default: 0,
+    min: [0, '内存不能为负数']
+  },
+  storage: {
+    type: Number,
+    default: 0,
+    min: [0, '磁盘不能为负数']
+  }
+});
+
+const hostSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, '宿主机名称不能为空'],
+    unique: true,
+    trim: true,
+    maxlength: [64, '名称不能超过64个字符']
+  },
+  // 驱动连接宿主机使用的地址
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [255, '地址不能超过255个字符']
+  },
+  zone: {
+    type: String,
+    required: [true, '所属可用区不能为空'],
+    match: [regionConfig.codePattern, '可用区代码格式不正确']
+  },
+  // 维护中的宿主机不再放置新的云电脑
+  status: {
+    type: String,
+    enum: ['active', 'maintenance'],
+    default: 'active'
+  },
+  maintenance: {
+    reason: {
+      type: String,
+      maxlength: [200, '维护原因不能超过200个字符']
+    },
+    startedAt: Date,
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // 物理资源总量
+  capacity: resourceFields(),
+  // 已分配给云电脑（含回收站中）的资源
+  allocated: resourceFields()
+}, {
+  timestamps: true
+});
+
+// 虚拟字段：剩余可分配的资源
+hostSchema.virtual('free').get(function() {
+  return regionConfig.resources.reduce((acc, resource) => {
+    acc[resource] = Math.max((this.capacity[resource] || 0) - (this.allocated[resource] || 0), 0);
+    return acc;
+  }, {});
+});
+
+hostSchema.set('toJSON', { virtuals: true });
+hostSchema.set('toObject', { virtuals: true });
+
+// 索引
+hostSchema.index({ zone: 1, status: 1 });
+
+module.exports = mongoose.model('Host', hostSchema);
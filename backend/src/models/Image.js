@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const imageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, '镜像名称不能为空'],
+    trim: true,
+    maxlength: [50, '名称不能超过50个字符']
+  },
+  description: {
+    type: String,
+    maxlength: [500, '描述不能超过500个字符']
+  },
+  os: {
+    type: String,
+    required: [true, '操作系统不能为空'],
+    enum: ['Windows 10', 'Windows 11', 'Ubuntu 20.04', 'Ubuntu 22.04', 'CentOS 8', 'Debian 11']
+  },
+  // base: 基础系统镜像；custom: 从云电脑捕获的自定义镜像
+  type: {
+    type: String,
+    enum: ['base', 'custom'],
+    default: 'custom',
+    index: true
+  },
+  // public: 所有用户可用（仅管理员可设置）；private: 仅所有者可用
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    default: 'private'
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  sourceCloudPC: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CloudPC'
+  },
+  // 镜像所在驱动，为空表示任意驱动可用（使用驱动的默认系统镜像）
+  driver: {
+    type: String
+  },
+  // 驱动侧的镜像标识，为空时使用驱动按操作系统配置的默认镜像
+  providerImageId: {
+    type: String
+  },
+  // 镜像大小(MB)
+  size: {
+    type: Number,
+    default: 0
+  },
+  // 使用该镜像的最小存储空间(GB)
+  minStorage: {
+    type: Number,
+    default: 10,
+    min: [10, '最小存储空间至少10GB']
+  },
+  status: {
+    type: String,
+    enum: ['creating', 'available', 'failed'],
+    default: 'available'
+  },
+  operation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Operation'
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [20, '标签不能超过20个字符']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// 静态方法：用户可见镜像的查询条件（公共镜像和自己的私有镜像）
+imageSchema.statics.accessibleBy = function(userId) {
+  return {
+    isActive: true,
+    $or: [
+      { visibility: 'public' },
+      { owner: userId }
+    ]
+  };
+};
+
+// 实例方法：用户是否可以使用该镜像
+imageSchema.methods.isAccessibleBy = function(user) {
+  if (!this.isActive) return false;
+  return this.visibility === 'public' ||
+    (this.owner && this.owner.toString() === user.id) ||
+    user.role === 'admin';
+};
+
+// 实例方法：用户是否可以修改或删除该镜像
+imageSchema.methods.isManageableBy = function(user) {
+  return user.role === 'admin' || (!!this.owner && this.owner.toString() === user.id);
+};
+
+// 索引
+imageSchema.index({ visibility: 1, isActive: 1 });
+imageSchema.index({ type: 1, os: 1 });
+
+module.exports = mongoose.model('Image', imageSchema);
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const billingConfig = require('../config/billing');
+
+// 账单明细：每台云电脑每种资源一行
+const lineItemSchema = new mongoose.Schema({
+  cloudPC: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CloudPC'
+  },
+  cloudPCName: {
+    type: String
+  },
+  resource: {
+    type: String,
+    required: true,
+    enum: ['compute', 'storage', 'snapshot', 'bandwidth']
+  },
+  description: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  unit: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// 账单优惠：每张抵扣账单的优惠券一行
+const discountSchema = new mongoose.Schema({
+  redemption: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CouponRedemption',
+    required: true
+  },
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  code: {
+    type: String
+  },
+  description: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// 月度账单：按账期汇总用户名下的用量区间，作废后可以重新生成
+const invoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 账期，如 2026-10
+  period: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-(0[1-9]|1[0-2])$/, '账期格式不正确']
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  // 同一账期第几次生成，作废后重新生成时递增
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // draft: 草稿，可重新生成；issued: 已开具待付款；paid: 已付款；void: 已作废
+  status: {
+    type: String,
+    enum: ['draft', 'issued', 'paid', 'void'],
+    default: 'draft'
+  },
+  currency: {
+    type: String,
+    default: billingConfig.currency
+  },
+  lineItems: [lineItemSchema],
+  // 明细合计，不含优惠
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  discounts: [discountSchema],
+  // 优惠合计，税额按减去优惠后的金额计算
+  discount: {
+    type: Number,
+    default: 0
+  },
+  taxRate: {
+    type: Number,
+    default: billingConfig.taxRate,
+    min: [0, '税率不能为负数'],
+    max: [1, '税率不能超过100%']
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  issuedAt: {
+    type: Date
+  },
+  dueAt: {
+    type: Date
+  },
+  paidAt: {
+    type: Date
+  },
+  // 付款方式或流水号等说明
+  paymentReference: {
+    type: String,
+    maxlength: [200, '付款说明不能超过200个字符']
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidReason: {
+    type: String,
+    maxlength: [500, '原因不能超过500个字符']
+  },
+  // 操作人：生成、开具、收款或作废账单的管理员，自动任务为空
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// 索引
+invoiceSchema.index({ user: 1, period: 1, revision: 1 }, { unique: true });
+invoiceSchema.index({ user: 1, periodStart: -1 });
+invoiceSchema.index({ status: 1, period: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
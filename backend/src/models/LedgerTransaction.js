@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const walletConfig = require('../config/wallet');
+
+// 余额流水：每笔流水由合计为零的分录组成，wallet 分录为用户余额的变动
+const ledgerTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(walletConfig.types),
+    required: true
+  },
+  // 用户余额的变动额，增加为正、减少为负
+  amount: {
+    type: Number,
+    required: true
+  },
+  entries: [{
+    _id: false,
+    account: {
+      type: String,
+      enum: Object.keys(walletConfig.accounts),
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    }
+  }],
+  // pending：已创建、尚未计入余额；applied：已计入余额
+  status: {
+    type: String,
+    enum: ['pending', 'applied'],
+    default: 'pending'
+  },
+  // 计入后的余额
+  balanceAfter: {
+    type: Number
+  },
+  appliedAt: {
+    type: Date
+  },
+  // 扣费包含的用量区间
+  usageRecords: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UsageRecord'
+  }],
+  // 外部单号，如充值的付款流水号
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, '单号不能超过100个字符']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, '说明不能超过500个字符']
+  },
+  // 操作的管理员，系统扣费为空
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // 幂等键，同一个键只记一笔流水
+  idempotencyKey: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// 分录必须借贷平衡，且与余额变动额一致
+ledgerTransactionSchema.pre('validate', function(next) {
+  if (!walletConfig.isBalanced(this.entries)) {
+    return next(new Error('流水分录借贷不平衡'));
+  }
+  if (walletConfig.getWalletDelta(this.entries) !== walletConfig.round(this.amount)) {
+    return next(new Error('流水金额与余额分录不一致'));
+  }
+  next();
+});
+
+// 索引
+ledgerTransactionSchema.index({ user: 1, createdAt: -1 });
+ledgerTransactionSchema.index({ status: 1, createdAt: 1 });
+ledgerTransactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
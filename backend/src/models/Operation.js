@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const operationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, '操作类型不能为空'],
+    enum: ['create', 'start', 'stop', 'restart', 'recover', 'resize', 'snapshot', 'restore', 'capture', 'migrate'],
+    index: true
+  },
+  cloudPC: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CloudPC',
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+  // 操作参数
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // 操作结果
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  progress: {
+    type: Number,
+    default: 0,
+    min: [0, '进度不能小于0'],
+    max: [100, '进度不能大于100']
+  },
+  message: {
+    type: String,
+    maxlength: [500, '进度信息不能超过500个字符']
+  },
+  error: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: [1, '至少执行1次'],
+    max: [10, '最多重试10次']
+  },
+  // 下次可执行时间，重试退避时推后
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: {
+    type: String
+  },
+  lockedAt: {
+    type: Date
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  // 触发来源：user（用户操作）、system（系统任务）等
+  source: {
+    type: String,
+    default: 'user'
+  }
+}, {
+  timestamps: true
+});
+
+// 是否已结束
+operationSchema.virtual('isFinished').get(function() {
+  return ['succeeded', 'failed', 'cancelled'].includes(this.status);
+});
+
+operationSchema.set('toJSON', { virtuals: true });
+
+// 索引
+operationSchema.index({ status: 1, runAt: 1 });
+operationSchema.index({ cloudPC: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Operation', operationSchema);
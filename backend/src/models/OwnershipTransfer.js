@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// 云电脑所有权转移：由所有者发起，接收方接受后云电脑及其快照、电源计划归接收方所有
+const ownershipTransferSchema = new mongoose.Schema({
+  cloudPC: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CloudPC',
+    required: true
+  },
+  fromUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // pending: 等待接收方处理；accepted: 已完成转移；rejected: 接收方拒绝；cancelled: 发起方取消；expired: 超时未处理
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [200, '附言不能超过200个字符']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // 完成转移的时间，计费以此为界分属双方
+  transferredAt: {
+    type: Date
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// 索引
+ownershipTransferSchema.index({ cloudPC: 1, createdAt: -1 });
+ownershipTransferSchema.index({ fromUser: 1, createdAt: -1 });
+ownershipTransferSchema.index({ toUser: 1, createdAt: -1 });
+// 同一台云电脑同时只能有一个待处理的转移
+ownershipTransferSchema.index(
+  { cloudPC: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('OwnershipTransfer', ownershipTransferSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const planConfig = require('../config/plans');
+
+// 套餐配额，null 表示不限制
+const quotaFields = Object.keys(planConfig.resources).reduce((fields, resource) => {
+  fields[resource] = { type: Number, min: [0, '配额不能为负数'], default: null };
+  return fields;
+}, {});
+
+const planSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, '套餐代码不能为空'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [planConfig.codePattern, '套餐代码只能包含小写字母、数字和连字符，以字母开头，长度2-30']
+  },
+  name: {
+    type: String,
+    required: [true, '套餐名称不能为空'],
+    trim: true,
+    maxlength: [50, '套餐名称不能超过50个字符']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, '描述不能超过200个字符']
+  },
+  // 各订阅周期的价格（元）
+  prices: {
+    monthly: {
+      type: Number,
+      required: [true, '月付价格不能为空'],
+      min: [0, '价格不能为负数']
+    },
+    yearly: {
+      type: Number,
+      required: [true, '年付价格不能为空'],
+      min: [0, '价格不能为负数']
+    }
+  },
+  quotas: {
+    type: new mongoose.Schema(quotaFields, { _id: false }),
+    default: () => ({})
+  },
+  // 价格页展示的功能列表
+  features: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, '功能名称不能超过100个字符']
+    },
+    included: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  // 价格页标记为最受欢迎
+  popular: {
+    type: Boolean,
+    default: false
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // 下架的套餐不在价格页展示，也不能新订阅，已订阅的用户不受影响
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// 年付相对按月付费12个月节省的比例（%）
+planSchema.virtual('yearlyDiscount').get(function() {
+  const full = this.prices.monthly * 12;
+  return full > 0 ? Math.max(Math.round((1 - this.prices.yearly / full) * 100), 0) : 0;
+});
+
+planSchema.set('toJSON', { virtuals: true });
+
+// 索引
+planSchema.index({ isActive: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('Plan', planSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const scheduleConfig = require('../config/schedules');
+
+// 云电脑电源计划：按cron表达式在指定时区定时开机、关机或重启
+const powerScheduleSchema = new mongoose.Schema({
+  cloudPC: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CloudPC',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, '计划名称不能为空'],
+    trim: true,
+    maxlength: [50, '计划名称不能超过50个字符']
+  },
+  action: {
+    type: String,
+    required: [true, '计划操作不能为空'],
+    enum: {
+      values: ['start', 'stop', 'restart'],
+      message: '计划操作必须为start、stop或restart'
+    }
+  },
+  cron: {
+    type: String,
+    required: [true, 'cron表达式不能为空'],
+    trim: true,
+    validate: {
+      validator: (value) => scheduleConfig.isValidCron(value),
+      message: 'cron表达式格式不正确，例如 50 8 * * 1-5'
+    }
+  },
+  timezone: {
+    type: String,
+    default: scheduleConfig.defaultTimezone,
+    validate: {
+      validator: (value) => scheduleConfig.isValidTimezone(value),
+      message: '时区格式不正确，例如 Asia/Shanghai'
+    }
+  },
+  // 跳过的日期（计划时区的 YYYY-MM-DD），如法定节假日
+  skipDates: [{
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, '跳过日期格式必须为YYYY-MM-DD']
+  }],
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastStatus: {
+    type: String,
+    enum: ['submitted', 'skipped', 'failed']
+  }
+}, {
+  timestamps: true
+});
+
+// 索引
+powerScheduleSchema.index({ enabled: 1 });
+
+module.exports = mongoose.model('PowerSchedule', powerScheduleSchema);
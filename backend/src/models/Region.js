@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const regionConfig = require('../config/regions');
+
+const regionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, '机房代码不能为空'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [regionConfig.codePattern, '机房代码只能包含小写字母、数字和连字符']
+  },
+  name: {
+    type: String,
+    required: [true, '机房名称不能为空'],
+    trim: true,
+    maxlength: [50, '名称不能超过50个字符']
+  },
+  // 关闭后不再接受新的云电脑，已有云电脑不受影响
+  available: {
+    type: Boolean,
+    default: true
+  },
+  // 价格系数，开通和调整配置时与套餐单价相乘
+  pricingMultiplier: {
+    type: Number,
+    default: 1,
+    min: [regionConfig.multiplierRange.min, `价格系数不能小于${regionConfig.multiplierRange.min}`],
+    max: [regionConfig.multiplierRange.max, `价格系数不能大于${regionConfig.multiplierRange.max}`]
+  },
+  description: {
+    type: String,
+    maxlength: [200, '描述不能超过200个字符']
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Region', regionSchema);
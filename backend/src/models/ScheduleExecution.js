@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// 电源计划的执行记录，(schedule, scheduledAt) 唯一，多实例部署时同一次触发只执行一次
+const scheduleExecutionSchema = new mongoose.Schema({
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PowerSchedule',
+    required: true
+  },
+  cloudPC: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CloudPC',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['start', 'stop', 'restart']
+  },
+  // 计划触发的时间（精确到分钟）
+  scheduledAt: {
+    type: Date,
+    required: true
+  },
+  // pending: 执行中；submitted: 已提交电源操作；skipped: 跳过；failed: 提交失败
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'skipped', 'failed'],
+    default: 'pending'
+  },
+  reason: {
+    type: String,
+    maxlength: [500, '原因不能超过500个字符']
+  },
+  operation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Operation'
+  }
+}, {
+  timestamps: true
+});
+
+// 索引
+scheduleExecutionSchema.index({ schedule: 1, scheduledAt: 1 }, { unique: true });
+scheduleExecutionSchema.index({ cloudPC: 1, scheduledAt: -1 });
+
+module.exports = mongoose.model('ScheduleExecution', scheduleExecutionSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const stateTransitionSchema = new mongoose.Schema({
+  cloudPC: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CloudPC',
+    required: true,
+    index: true
+  },
+  from: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // 触发者：用户ID或系统任务
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  source: {
+    type: String,
+    default: 'system'
+  },
+  operation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Operation'
+  },
+  reason: {
+    type: String,
+    maxlength: [500, '原因不能超过500个字符']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 索引
+stateTransitionSchema.index({ cloudPC: 1, at: -1 });
+
+module.exports = mongoose.model('StateTransition', stateTransitionSchema);
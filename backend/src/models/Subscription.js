@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const planConfig = require('../config/plans');
+
+// 用户订阅：每个用户最多一个生效中的订阅，费用从余额中支付
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  plan: {
+    type: String,
+    required: true
+  },
+  cycle: {
+    type: String,
+    enum: Object.keys(planConfig.cycles),
+    required: true
+  },
+  // active：生效中；expired：已到期或续费失败
+  status: {
+    type: String,
+    enum: ['active', 'expired'],
+    default: 'active'
+  },
+  // 当前周期的价格，订阅或变更时锁定，之后套餐调价不影响当前周期
+  price: {
+    type: Number,
+    required: true,
+    min: [0, '价格不能为负数']
+  },
+  currentPeriodStart: {
+    type: Date,
+    required: true
+  },
+  currentPeriodEnd: {
+    type: Date,
+    required: true
+  },
+  // 续费日（1-31），当月没有该日期时在月末续费
+  anchorDay: {
+    type: Number,
+    min: 1,
+    max: 31,
+    required: true
+  },
+  // 到期后不再续费
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+  endedAt: {
+    type: Date
+  },
+  endReason: {
+    type: String
+  },
+  // 每次变更加1，用于并发控制
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // 订阅、变更、续费和到期记录
+  history: [{
+    type: {
+      type: String,
+      enum: ['subscribe', 'upgrade', 'downgrade', 'cycle', 'renew', 'cancel', 'resume', 'expire'],
+      required: true
+    },
+    plan: String,
+    cycle: String,
+    price: Number,
+    // 本次支付（正数）或退还（负数）的金额
+    amount: {
+      type: Number,
+      default: 0
+    },
+    // 对应的余额流水，为空时由续费检查补记
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerTransaction'
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// 索引
+subscriptionSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+subscriptionSchema.index({ user: 1, createdAt: -1 });
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const regionConfig = require('../config/regions');
+
+const templateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, '模板名称不能为空'],
+    trim: true,
+    maxlength: [50, '名称不能超过50个字符']
+  },
+  description: {
+    type: String,
+    maxlength: [500, '描述不能超过500个字符']
+  },
+  image: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image',
+    required: [true, '镜像不能为空'],
+    index: true
+  },
+  cpu: {
+    type: Number,
+    required: [true, 'CPU配置不能为空'],
+    min: [1, '至少需要1个CPU核心'],
+    max: [32, '最多支持32个CPU核心']
+  },
+  memory: {
+    type: Number,
+    required: [true, '内存配置不能为空'],
+    min: [1, '至少需要1GB内存'],
+    max: [128, '最多支持128GB内存']
+  },
+  storage: {
+    type: Number,
+    required: [true, '存储空间不能为空'],
+    min: [10, '至少需要10GB存储空间'],
+    max: [10000, '最多支持10TB存储空间']
+  },
+  bandwidth: {
+    type: Number,
+    default: 100, // Mbps
+    min: [1, '带宽至少1Mbps'],
+    max: [10000, '带宽最多10000Mbps']
+  },
+  location: {
+    type: String,
+    match: [regionConfig.codePattern, '机房代码格式不正确']
+  },
+  // 部署时写入云电脑的标签
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [20, '标签不能超过20个字符']
+  }],
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    default: 'private'
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  deployCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// 静态方法：用户可见模板的查询条件
+templateSchema.statics.accessibleBy = function(userId) {
+  return {
+    isActive: true,
+    $or: [
+      { visibility: 'public' },
+      { owner: userId }
+    ]
+  };
+};
+
+// 实例方法：用户是否可以使用该模板
+templateSchema.methods.isAccessibleBy = function(user) {
+  if (!this.isActive) return false;
+  return this.visibility === 'public' || this.owner.toString() === user.id || user.role === 'admin';
+};
+
+// 实例方法：用户是否可以修改或删除该模板
+templateSchema.methods.isManageableBy = function(user) {
+  return user.role === 'admin' || this.owner.toString() === user.id;
+};
+
+// 索引
+templateSchema.index({ visibility: 1, isActive: 1 });
+
+module.exports = mongoose.model('Template', templateSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const amountFields = (names) => names.reduce((fields, name) => {
+  fields[name] = { type: Number, default: 0 };
+  return fields;
+}, {});
+
+// 用量区间：云电脑状态、规格或单价每变化一次结束旧区间并开始新区间，结束时按区间开始时的快照计费
+const usageRecordSchema = new mongoose.Schema({
+  cloudPC: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CloudPC',
+    required: true
+  },
+  // 区间开始时的所有者，费用归属该用户
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 区间开始时的云电脑名称，用于账单展示
+  name: {
+    type: String
+  },
+  status: {
+    type: String,
+    required: true
+  },
+  // 未结束的区间，每台云电脑最多一条
+  open: {
+    type: Boolean,
+    default: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date
+  },
+  // 结束原因：transition / resize / transfer / snapshot / checkpoint / delete / period
+  closeReason: {
+    type: String
+  },
+  // 区间开始时的规格和单价
+  cpu: Number,
+  memory: Number,
+  storage: Number,
+  bandwidth: Number,
+  snapshotGB: {
+    type: Number,
+    default: 0
+  },
+  hourly: {
+    type: Number,
+    required: true
+  },
+  snapshotHourly: {
+    type: Number,
+    default: 0
+  },
+  // 结束时计算的用量和费用
+  quantities: amountFields(['hours', 'computeHours', 'storageGBHours', 'snapshotGBHours', 'bandwidthMbpsHours']),
+  cost: amountFields(['compute', 'storage', 'snapshot', 'bandwidth', 'total']),
+  // 从余额扣费的时间和扣费流水，未扣费时为空
+  chargedAt: {
+    type: Date,
+    default: null
+  },
+  chargeTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerTransaction'
+  },
+  // 扣费前认领批次时写入的扣费流水幂等键，中断后按此重试同一批区间
+  chargeKey: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// 索引
+usageRecordSchema.index({ cloudPC: 1 }, { unique: true, partialFilterExpression: { open: true } });
+usageRecordSchema.index({ cloudPC: 1, startedAt: -1 });
+usageRecordSchema.index({ user: 1, startedAt: -1 });
+usageRecordSchema.index({ open: 1, startedAt: 1 });
+usageRecordSchema.index({ chargedAt: 1, open: 1, user: 1, startedAt: 1 });
+usageRecordSchema.index({ user: 1, chargeKey: 1, chargedAt: 1 });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
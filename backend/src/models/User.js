@@ -1,5 +1,37 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const planConfig = require('../config/plans');
+
+// 管理员为单个用户调整的配额，未设置的项沿用套餐配额
+const quotaOverridesSchema = new mongoose.Schema({
+  instances: { type: Number, min: [0, '配额不能为负数'] },
+  cpu: { type: Number, min: [0, '配额不能为负数'] },
+  memory: { type: Number, min: [0, '配额不能为负数'] },
+  storage: { type: Number, min: [0, '配额不能为负数'] },
+  snapshots: { type: Number, min: [0, '配额不能为负数'] },
+  snapshotSizeGB: { type: Number, min: [0, '配额不能为负数'] }
+}, { _id: false });
+
+// 连接偏好，生成 .rdp 文件和 SSH config 时使用，未设置的项使用系统默认值
+const preferencesSchema = new mongoose.Schema({
+  rdp: {
+    screenMode: { type: String, enum: ['fullscreen', 'window'] },
+    width: { type: Number, min: [640, '宽度不能小于640'], max: [7680, '宽度不能大于7680'] },
+    height: { type: Number, min: [480, '高度不能小于480'], max: [4320, '高度不能大于4320'] },
+    multiMonitor: Boolean,
+    redirectDrives: Boolean,
+    redirectClipboard: Boolean,
+    redirectPrinters: Boolean,
+    audio: { type: String, enum: ['local', 'remote', 'none'] },
+    username: { type: String, trim: true, maxlength: [64, '用户名不能超过64个字符'] }
+  },
+  ssh: {
+    username: { type: String, trim: true, maxlength: [64, '用户名不能超过64个字符'] },
+    identityFile: { type: String, trim: true, maxlength: [200, '密钥路径不能超过200个字符'] },
+    forwardAgent: Boolean,
+    serverAliveInterval: { type: Number, min: [0, '保活间隔不能为负数'], max: [3600, '保活间隔不能超过3600秒'] }
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -36,10 +68,37 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin'],
     default: 'user'
   },
+  // 套餐代码，对应套餐表；由订阅或管理员设置
+  plan: {
+    type: String,
+    default: planConfig.defaultPlan
+  },
+  quotaOverrides: {
+    type: quotaOverridesSchema,
+    default: () => ({})
+  },
+  preferences: {
+    type: preferencesSchema,
+    default: () => ({})
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // 账户状态，暂停后不能开机或开通云电脑
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'deactivated'],
+    default: 'active'
+  },
+  // 暂停原因：admin（管理员暂停）/ balance（余额不足自动暂停，充值后自动恢复）
+  suspendedReason: {
+    type: String,
+    enum: ['admin', 'balance']
+  },
+  suspendedAt: {
+    type: Date
+  },
   emailVerified: {
     type: Boolean,
     default: false
@@ -58,6 +117,11 @@ const userSchema = new mongoose.Schema({
   lockUntil: {
     type: Date
   },
+  // 配额锁：校验配额到占用资源期间持有，防止并发请求同时通过校验
+  quotaLock: {
+    token: String,
+    expiresAt: Date
+  },
   refreshToken: {
     type: String
   },
@@ -83,6 +147,7 @@ const userSchema = new mongoose.Schema({
       delete ret.verifyEmailToken;
       delete ret.loginAttempts;
       delete ret.lockUntil;
+      delete ret.quotaLock;
       return ret;
     }
   }
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// 用户的预付费余额，只通过余额流水变动
+const walletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  balance: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'CNY'
+  },
+  // 低余额预警阈值（元），未设置时使用系统默认值
+  lowBalanceThreshold: {
+    type: Number,
+    min: [0, '预警阈值不能为负数'],
+    default: null
+  },
+  // 最近一次低余额预警时间，余额回到阈值以上后清除
+  lowBalanceWarnedAt: {
+    type: Date
+  },
+  // 已计入余额、尚未标记完成的流水，用于中断后恢复
+  pendingTransactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerTransaction'
+  }]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.pendingTransactions;
+      return ret;
+    }
+  }
+});
+
+// 索引
+walletSchema.index({ user: 1 }, { unique: true });
+walletSchema.index({ balance: 1 });
+
+module.exports = mongoose.model('Wallet', walletSchema);
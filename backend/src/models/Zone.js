@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const regionConfig = require('../config/regions');
+
+// 资源数量（CPU核数 / 内存GB / 存储GB）
+const resourceFields = () => ({
+  cpu: {
+    type: Number,
+    default: 0,
+    min: [0, 'CPU不能为负数']
+  },
+  memory: {
+    type: Number,
+    default: 0,
+    min: [0, '内存不能为负数']
+  },
+  storage: {
+    type: Number,
+    default: 0,
+    min: [0, '存储不能为负数']
+  }
+});
+
+const zoneSchema = new mongoose.Schema({
+  region: {
+    type: String,
+    required: [true, '所属机房不能为空']
+  },
+  code: {
+    type: String,
+    required: [true, '可用区代码不能为空'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [regionConfig.codePattern, '可用区代码只能包含小写字母、数字和连字符']
+  },
+  name: {
+    type: String,
+    required: [true, '可用区名称不能为空'],
+    trim: true,
+    maxlength: [50, '名称不能超过50个字符']
+  },
+  // 关闭后不再放置新的云电脑，已有云电脑仍可调整配置
+  available: {
+    type: Boolean,
+    default: true
+  },
+  // 可分配的资源总量
+  capacity: resourceFields(),
+  // 已分配给云电脑（含回收站中）的资源
+  allocated: resourceFields()
+}, {
+  timestamps: true
+});
+
+// 虚拟字段：剩余可分配的资源
+zoneSchema.virtual('free').get(function() {
+  return regionConfig.resources.reduce((acc, resource) => {
+    acc[resource] = Math.max((this.capacity[resource] || 0) - (this.allocated[resource] || 0), 0);
+    return acc;
+  }, {});
+});
+
+zoneSchema.set('toJSON', { virtuals: true });
+zoneSchema.set('toObject', { virtuals: true });
+
+// 索引
+zoneSchema.index({ region: 1, code: 1 });
+
+module.exports = mongoose.model('Zone', zoneSchema);
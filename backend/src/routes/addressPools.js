@@ -0,0 +1,157 @@
+const express = require('express');
+const AddressPool = require('../models/AddressPool');
+const AddressAllocation = require('../models/AddressAllocation');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  validatePagination,
+  validatePoolLocation,
+  validateUpdateAddressPool,
+  validateReserveAddress,
+  validateReservationId
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const addressAllocator = require('../services/addressAllocator');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// @desc    获取所有地址池及用量
+// @route   GET /api/address-pools
+// @access  Private/Admin
+const getAddressPools = asyncHandler(async (req, res) => {
+  const pools = await AddressPool.find().sort('location');
+
+  const data = await Promise.all(pools.map(async (pool) => ({
+    ...pool.toObject(),
+    usage: await addressAllocator.getUsage(pool)
+  })));
+
+  res.json({
+    success: true,
+    data
+  });
+});
+
+// @desc    获取地址池详情和分配记录
+// @route   GET /api/address-pools/:location
+// @access  Private/Admin
+const getAddressPool = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, kind, reserved } = req.query;
+  const pool = await addressAllocator.getPool(req.params.location);
+
+  const query = { location: pool.location };
+  if (['ip', 'port'].includes(kind)) {
+    query.kind = kind;
+  }
+  if (reserved === 'true') {
+    query.status = 'reserved';
+  }
+
+  const allocations = await AddressAllocation.find(query)
+    .populate('cloudPC', 'name user status')
+    .sort({ kind: 1, createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await AddressAllocation.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      pool,
+      usage: await addressAllocator.getUsage(pool),
+      allocations,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    更新地址池
+// @route   PUT /api/address-pools/:location
+// @access  Private/Admin
+const updateAddressPool = asyncHandler(async (req, res) => {
+  const { subnet, portRange, description } = req.body;
+  const pool = await addressAllocator.updatePool(req.params.location, { subnet, portRange, description });
+
+  logger.info('更新地址池', {
+    location: pool.location,
+    subnet: pool.subnet,
+    portRange: pool.portRange,
+    adminId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: pool
+  });
+});
+
+// @desc    保留IP或端口
+// @route   POST /api/address-pools/:location/reservations
+// @access  Private/Admin
+const reserveAddress = asyncHandler(async (req, res) => {
+  const { kind, value, reason } = req.body;
+  const reservation = await addressAllocator.reserve(req.params.location, {
+    kind,
+    value,
+    reason,
+    createdBy: req.user.id
+  });
+
+  logger.info('保留地址', {
+    location: reservation.location,
+    kind: reservation.kind,
+    value: reservation.value,
+    adminId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: reservation
+  });
+});
+
+// @desc    取消保留
+// @route   DELETE /api/address-pools/:location/reservations/:reservationId
+// @access  Private/Admin
+const releaseReservation = asyncHandler(async (req, res) => {
+  const reservation = await AddressAllocation.findOneAndDelete({
+    _id: req.params.reservationId,
+    location: req.params.location,
+    status: 'reserved'
+  });
+
+  if (!reservation) {
+    return res.status(404).json({
+      success: false,
+      error: '保留记录未找到'
+    });
+  }
+
+  logger.info('取消保留地址', {
+    location: reservation.location,
+    kind: reservation.kind,
+    value: reservation.value,
+    adminId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    message: '已取消保留'
+  });
+});
+
+// 路由配置（均需管理员权限）
+router.use(authenticate, authorize('admin'));
+router.get('/', getAddressPools);
+router.get('/:location', validatePoolLocation, validatePagination, getAddressPool);
+router.put('/:location', validateUpdateAddressPool, updateAddressPool);
+router.post('/:location/reservations', validateReserveAddress, reserveAddress);
+router.delete('/:location/reservations/:reservationId', validateReservationId, releaseReservation);
+
+module.exports = router;
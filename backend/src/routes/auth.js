@@ -5,7 +5,10 @@ const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { authenticate } = require('../middleware/auth');
+const { validateUpdatePreferences } = require('../middleware/validation');
 const { asyncHandler } = require('../middleware/errorHandler');
+const connectionFileService = require('../services/connectionFileService');
+const promotionService = require('../services/promotionService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -35,6 +38,9 @@ const register = asyncHandler(async (req, res) => {
 
   await user.save();
 
+  // 赠送新用户试用余额
+  await promotionService.grantTrialCredit(user._id);
+
   // 生成JWT令牌
   const token = jwt.sign(
     { id: user._id, email: user.email },
@@ -78,8 +84,8 @@ const login = asyncHandler(async (req, res) => {
     });
   }
 
-  // 检查账户状态
-  if (user.status === 'suspended') {
+  // 检查账户状态，因余额不足暂停的账户仍可登录查看余额
+  if (user.status === 'suspended' && user.suspendedReason !== 'balance') {
     return res.status(403).json({
       success: false,
       error: '账户已被暂停，请联系客服'
@@ -209,6 +215,52 @@ const updateProfile = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    获取连接偏好
+// @route   GET /api/auth/preferences
+// @access  Private
+const getPreferences = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      preferences: req.user.preferences,
+      // 合并默认值后的实际生效选项
+      effective: {
+        rdp: connectionFileService.resolveOptions('rdp', req.user.preferences),
+        ssh: connectionFileService.resolveOptions('ssh', req.user.preferences)
+      }
+    }
+  });
+});
+
+// @desc    更新连接偏好
+// @route   PUT /api/auth/preferences
+// @access  Private
+const updatePreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  ['rdp', 'ssh'].forEach(type => {
+    const values = req.body[type] || {};
+    Object.keys(connectionFileService.config[type]).forEach(key => {
+      if (values[key] !== undefined) {
+        user.preferences[type][key] = values[key];
+      }
+    });
+  });
+
+  await user.save();
+
+  logger.info('连接偏好更新', {
+    userId: user._id
+  });
+
+  res.json({
+    success: true,
+    data: {
+      preferences: user.preferences
+    }
+  });
+});
+
 // @desc    修改密码
 // @route   PUT /api/auth/password
 // @access  Private
@@ -324,6 +376,8 @@ router.post('/register', register);
 router.post('/login', login);
 router.get('/me', authenticate, getMe);
 router.put('/profile', authenticate, updateProfile);
+router.get('/preferences', authenticate, getPreferences);
+router.put('/preferences', authenticate, validateUpdatePreferences, updatePreferences);
 router.put('/password', authenticate, changePassword);
 router.post('/refresh', authenticate, refreshToken);
 router.post('/logout', authenticate, logout);
@@ -0,0 +1,188 @@
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  validateInvoiceQuery,
+  validateGenerateInvoices,
+  validateInvoiceId,
+  validateInvoiceExport,
+  validateInvoicePayment,
+  validateVoidInvoice
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const invoiceService = require('../services/invoiceService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// @desc    获取账单列表（管理员可查看全部用户和草稿）
+// @route   GET /api/billing/invoices?status=&period=&user=
+// @access  Private
+const getInvoices = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, period, user } = req.query;
+
+  const { invoices, total } = await invoiceService.list(req.user, { user, status, period }, {
+    limit: limit * 1,
+    skip: (page - 1) * limit
+  });
+
+  res.json({
+    success: true,
+    data: {
+      invoices,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    获取账单详情
+// @route   GET /api/billing/invoices/:id
+// @access  Private
+const getInvoice = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.getInvoice(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: invoice
+  });
+});
+
+// @desc    下载账单（PDF或CSV）
+// @route   GET /api/billing/invoices/:id/:format
+// @access  Private
+const downloadInvoice = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.getInvoice(req.params.id, req.user);
+  const { filename, contentType, content } = await invoiceService.export(invoice, req.params.format);
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.send(content);
+});
+
+// @desc    生成账单：指定用户时只生成该用户的账单，否则生成账期内全部用户的账单
+// @route   POST /api/billing/invoices
+// @access  Private/Admin
+const generateInvoices = asyncHandler(async (req, res) => {
+  const { period, user, issue } = req.body;
+
+  if (user) {
+    let invoice = await invoiceService.generate(user, period, { actor: req.user.id });
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: '该用户在账期内没有计费用量'
+      });
+    }
+    if (issue && invoice.status === 'draft') {
+      invoice = await invoiceService.issue(invoice, { actor: req.user.id });
+    }
+
+    logger.info('管理员生成账单', {
+      invoiceId: invoice._id,
+      userId: user,
+      period,
+      total: invoice.total,
+      adminId: req.user.id
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: invoice
+    });
+  }
+
+  const result = await invoiceService.generateForPeriod(period, { actor: req.user.id, issue });
+
+  logger.info('管理员批量生成账单', {
+    ...result,
+    adminId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: result
+  });
+});
+
+// @desc    开具账单
+// @route   POST /api/billing/invoices/:id/issue
+// @access  Private/Admin
+const issueInvoice = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.issue(
+    await invoiceService.getInvoice(req.params.id, req.user),
+    { actor: req.user.id }
+  );
+
+  logger.info('开具账单', {
+    invoiceId: invoice._id,
+    number: invoice.number,
+    adminId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: invoice
+  });
+});
+
+// @desc    登记付款
+// @route   POST /api/billing/invoices/:id/pay
+// @access  Private/Admin
+const payInvoice = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.markPaid(
+    await invoiceService.getInvoice(req.params.id, req.user),
+    { actor: req.user.id, reference: req.body.reference }
+  );
+
+  logger.info('账单已付款', {
+    invoiceId: invoice._id,
+    number: invoice.number,
+    total: invoice.total,
+    adminId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: invoice
+  });
+});
+
+// @desc    作废账单
+// @route   POST /api/billing/invoices/:id/void
+// @access  Private/Admin
+const voidInvoice = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.voidInvoice(
+    await invoiceService.getInvoice(req.params.id, req.user),
+    { actor: req.user.id, reason: req.body.reason }
+  );
+
+  logger.info('作废账单', {
+    invoiceId: invoice._id,
+    number: invoice.number,
+    reason: invoice.voidReason,
+    adminId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: invoice
+  });
+});
+
+// 路由配置
+router.get('/invoices', authenticate, validateInvoiceQuery, getInvoices);
+router.post('/invoices', authenticate, authorize('admin'), validateGenerateInvoices, generateInvoices);
+router.get('/invoices/:id', authenticate, validateInvoiceId, getInvoice);
+router.get('/invoices/:id/:format', authenticate, validateInvoiceExport, downloadInvoice);
+router.post('/invoices/:id/issue', authenticate, authorize('admin'), validateInvoiceId, issueInvoice);
+router.post('/invoices/:id/pay', authenticate, authorize('admin'), validateInvoicePayment, payInvoice);
+router.post('/invoices/:id/void', authenticate, authorize('admin'), validateVoidInvoice, voidInvoice);
+
+module.exports = router;
@@ -1,13 +1,70 @@
 const express = require('express');
 const CloudPC = require('../models/CloudPC');
 const { authenticate, optionalAuth } = require('../middleware/auth');
-const { validateCreateCloudPC, validateUpdateCloudPC, validateCloudPCId, validatePagination } = require('../middleware/validation');
+const {
+  validateCreateCloudPC,
+  validateUpdateCloudPC,
+  validateCloudPCId,
+  validatePagination,
+  validateOperationQuery,
+  validateResizeCloudPC,
+  validateCloneCloudPC,
+  validateConnectCloudPC,
+  validateConnectionFile,
+  validateDownloadToken,
+  validateBulkAction,
+  validateSnapshotId,
+  validateCreateSnapshot,
+  validateRestoreSnapshot,
+  validateBackupId,
+  validateScheduleId,
+  validateCreateSchedule,
+  validateUpdateSchedule,
+  validateScheduleExecutionQuery,
+  validateUsageQuery
+} = require('../middleware/validation');
 const { asyncHandler } = require('../middleware/errorHandler');
 const cacheService = require('../services/cacheService');
+const {
+  requestPowerAction,
+  requestRecover,
+  requestResize,
+  requestSnapshot,
+  requestRestore,
+  deleteSnapshot
+} = require('../services/cloudpcLifecycle');
+const {
+  provisionCloudPC,
+  provisionFromSnapshot,
+  provisionClone
+} = require('../services/provisioningService');
+const quotaService = require('../services/quotaService');
+const { runBulkAction } = require('../services/bulkActionService');
+const recycleBinService = require('../services/recycleBinService');
+const meteringService = require('../services/meteringService');
+const connectionBroker = require('../services/connectionBroker');
+const connectionFileService = require('../services/connectionFileService');
+const backupScheduler = require('../services/backupScheduler');
+const powerScheduler = require('../services/powerScheduler');
+const imageService = require('../services/imageService');
+const stateMachine = require('../services/cloudpcStateMachine');
+const Operation = require('../models/Operation');
+const ConnectionGrant = require('../models/ConnectionGrant');
+const PowerSchedule = require('../models/PowerSchedule');
+const ScheduleExecution = require('../models/ScheduleExecution');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// 用户可以直接触发的状态事件
+const USER_ACTIONS = ['start', 'stop', 'restart', 'recover'];
+
+// 更新接口允许修改的字段
+const UPDATABLE_FIELDS = ['name', 'description', 'tags', 'metadata', 'backupEnabled', 'autoBackup', 'idlePolicy', 'monitoring'];
+
+// 电源计划可修改的字段
+const SCHEDULE_FIELDS = ['name', 'action', 'cron', 'timezone', 'skipDates', 'enabled'];
+
 // @desc    获取云电脑列表
 // @route   GET /api/cloudpc
 // @access  Private
@@ -103,7 +160,9 @@ const getCloudPC = asyncHandler(async (req, res) => {
   
   // 尝试从缓存获取
   const cachedCloudPC = await cacheService.get('cloudpc', cacheKey);
-  if (cachedCloudPC) {
+  // 缓存按云电脑共享，命中后仍需确认属于当前用户（所有权可能已转移）
+  const cachedOwner = cachedCloudPC && cachedCloudPC.user && (cachedCloudPC.user._id || cachedCloudPC.user);
+  if (cachedCloudPC && String(cachedOwner) === String(req.user.id)) {
     logger.debug('云电脑详情缓存命中', { userId: req.user.id, cloudPCId: req.params.id });
     return res.json({
       success: true,
@@ -141,25 +200,21 @@ const getCloudPC = asyncHandler(async (req, res) => {
 // @route   POST /api/cloudpc
 // @access  Private
 const createCloudPC = asyncHandler(async (req, res) => {
-  const cloudPCData = {
-    ...req.body,
-    user: req.user.id
-  };
-
-  const cloudPC = new CloudPC(cloudPCData);
-  await cloudPC.save();
-
-  // 缓存新创建的云电脑详情
-  await cacheService.set('cloudpc', `detail:${cloudPC._id}`, cloudPC);
-  
-  // 失效相关缓存
-  await cacheService.invalidateCloudPCCache(cloudPC._id);
-  await cacheService.invalidateStats();
+  // 指定镜像时校验镜像可用，操作系统以镜像为准
+  const image = req.body.image ? await imageService.getUsableImage(req.body.image, req.user) : null;
+
+  // 单价由配置档位和机房价格系数决定，不接受客户端传入
+  const { pricing, ...fields } = req.body;
+  const { cloudPC, operation, driver } = await provisionCloudPC({
+    user: req.user.id,
+    fields,
+    image
+  });
 
-  // 模拟创建云电脑（在实际项目中这里会调用云服务商的API）
   logger.info('创建云电脑', {
     cloudPCId: cloudPC._id,
     userId: req.user.id,
+    driver,
     specs: {
       cpu: cloudPC.cpu,
       memory: cloudPC.memory,
@@ -172,7 +227,8 @@ const createCloudPC = asyncHandler(async (req, res) => {
   res.status(201).json({
     success: true,
     data: {
-      cloudPC
+      cloudPC,
+      operation
     }
   });
 });
@@ -193,17 +249,55 @@ const updateCloudPC = asyncHandler(async (req, res) => {
     });
   }
 
-  // 检查云电脑状态（运行中不能修改某些属性）
-  if (cloudPC.status === 'running' && (req.body.cpu || req.body.memory || req.body.storage)) {
+  // CPU、内存和存储需要通过调整配置接口修改，以便校验档位并重新计价
+  if (req.body.cpu !== undefined || req.body.memory !== undefined || req.body.storage !== undefined) {
     return res.status(400).json({
       success: false,
-      error: '运行中的云电脑不能修改CPU、内存或存储配置'
+      error: '请使用调整配置接口修改CPU、内存或存储配置'
     });
   }
 
+  // 只允许修改描述性字段和备份、空闲、监控设置；状态由状态机管理，价格由配置决定
+  const updates = UPDATABLE_FIELDS.reduce((acc, field) => {
+    if (req.body[field] !== undefined) {
+      acc[field] = req.body[field];
+    }
+    return acc;
+  }, {});
+
+  // 备份设置按字段更新，保留上次备份时间
+  if (updates.autoBackup) {
+    const { frequency, retention } = updates.autoBackup;
+    delete updates.autoBackup;
+    if (frequency !== undefined) updates['autoBackup.frequency'] = frequency;
+    if (retention !== undefined) updates['autoBackup.retention'] = retention;
+  }
+
+  // 空闲策略按字段更新，修改后重新计算空闲时间
+  if (updates.idlePolicy) {
+    const { enabled, cpuThreshold, idleMinutes, warningMinutes } = updates.idlePolicy;
+    delete updates.idlePolicy;
+
+    const nextIdleMinutes = idleMinutes !== undefined ? idleMinutes : cloudPC.idlePolicy.idleMinutes;
+    const nextWarningMinutes = warningMinutes !== undefined ? warningMinutes : cloudPC.idlePolicy.warningMinutes;
+    if (nextWarningMinutes >= nextIdleMinutes) {
+      return res.status(400).json({
+        success: false,
+        error: '预警时间必须小于空闲时间'
+      });
+    }
+
+    if (enabled !== undefined) updates['idlePolicy.enabled'] = enabled;
+    if (cpuThreshold !== undefined) updates['idlePolicy.cpuThreshold'] = cpuThreshold;
+    if (idleMinutes !== undefined) updates['idlePolicy.idleMinutes'] = idleMinutes;
+    if (warningMinutes !== undefined) updates['idlePolicy.warningMinutes'] = warningMinutes;
+    updates['idlePolicy.idleSince'] = null;
+    updates['idlePolicy.warnedAt'] = null;
+  }
+
   const updatedCloudPC = await CloudPC.findByIdAndUpdate(
     req.params.id,
-    req.body,
+    updates,
     { new: true, runValidators: true }
   );
 
@@ -215,7 +309,7 @@ const updateCloudPC = asyncHandler(async (req, res) => {
   logger.info('更新云电脑配置', {
     cloudPCId: cloudPC._id,
     userId: req.user.id,
-    updatedFields: Object.keys(req.body),
+    updatedFields: Object.keys(updates),
     ip: req.ip
   });
 
@@ -227,7 +321,7 @@ const updateCloudPC = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    删除云电脑
+// @desc    删除云电脑（移入回收站）
 // @route   DELETE /api/cloudpc/:id
 // @access  Private
 const deleteCloudPC = asyncHandler(async (req, res) => {
@@ -243,22 +337,58 @@ const deleteCloudPC = asyncHandler(async (req, res) => {
     });
   }
 
-  // 检查云电脑状态
-  if (cloudPC.status === 'running') {
-    return res.status(400).json({
+  const deleted = await recycleBinService.moveToRecycleBin(cloudPC);
+
+  logger.info('删除云电脑', {
+    cloudPCId: cloudPC._id,
+    userId: req.user.id,
+    purgeAt: deleted.purgeAt,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: `云电脑已移入回收站，${recycleBinService.config.retentionDays}天内可以恢复`,
+    data: {
+      deletedAt: deleted.deletedAt,
+      purgeAt: deleted.purgeAt
+    }
+  });
+});
+
+// @desc    获取回收站中的云电脑
+// @route   GET /api/cloudpc/recycle-bin
+// @access  Private
+const getRecycleBin = asyncHandler(async (req, res) => {
+  const cloudPCs = await recycleBinService.find(req.user.id)
+    .select('-logs')
+    .lean();
+
+  res.json({
+    success: true,
+    data: {
+      cloudPCs,
+      retentionDays: recycleBinService.config.retentionDays
+    }
+  });
+});
+
+// @desc    从回收站恢复云电脑
+// @route   POST /api/cloudpc/recycle-bin/:id/restore
+// @access  Private
+const restoreDeletedCloudPC = asyncHandler(async (req, res) => {
+  const cloudPC = await recycleBinService.find(req.user.id, req.params.id);
+
+  if (!cloudPC) {
+    return res.status(404).json({
       success: false,
-      error: '运行中的云电脑不能删除，请先停止'
+      error: '回收站中未找到该云电脑'
     });
   }
 
-  await cloudPC.deleteOne();
-
-  // 清理相关缓存
-  await cacheService.delete('cloudpc', `detail:${cloudPC._id}`);
-  await cacheService.invalidateCloudPCCache(cloudPC._id);
-  await cacheService.invalidateStats();
+  const restored = await recycleBinService.restore(cloudPC);
 
-  logger.info('删除云电脑', {
+  logger.info('从回收站恢复云电脑', {
     cloudPCId: cloudPC._id,
     userId: req.user.id,
     ip: req.ip
@@ -266,7 +396,54 @@ const deleteCloudPC = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    message: '云电脑删除成功'
+    message: '云电脑已恢复',
+    data: {
+      cloudPC: restored
+    }
+  });
+});
+
+// @desc    彻底删除回收站中的云电脑
+// @route   DELETE /api/cloudpc/recycle-bin/:id
+// @access  Private
+const purgeDeletedCloudPC = asyncHandler(async (req, res) => {
+  const cloudPC = await recycleBinService.find(req.user.id, req.params.id);
+
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '回收站中未找到该云电脑'
+    });
+  }
+
+  await recycleBinService.purge(cloudPC);
+
+  res.json({
+    success: true,
+    message: '云电脑已彻底删除'
+  });
+});
+
+// @desc    批量操作云电脑
+// @route   POST /api/cloudpc/bulk
+// @access  Private
+const bulkCloudPCAction = asyncHandler(async (req, res) => {
+  const { action, ids, filter, dryRun } = req.body;
+
+  const result = await runBulkAction(req.user.id, { action, ids, filter, dryRun });
+
+  if (!result.dryRun) {
+    logger.info('批量操作云电脑', {
+      action,
+      userId: req.user.id,
+      ...result.summary,
+      ip: req.ip
+    });
+  }
+
+  res.json({
+    success: true,
+    data: result
   });
 });
 
@@ -286,61 +463,102 @@ const startCloudPC = asyncHandler(async (req, res) => {
     });
   }
 
-  if (cloudPC.status === 'running') {
-    return res.status(400).json({
+  // 状态校验由状态机完成，非法或并发冲突时返回409
+  const { cloudPC: updated, operation } = await requestPowerAction(cloudPC, 'start', { user: req.user.id });
+
+  logger.info('启动云电脑', {
+    cloudPCId: cloudPC._id,
+    userId: req.user.id,
+    operationId: operation._id,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    data: {
+      cloudPC: updated,
+      operation,
+      message: '云电脑启动中，请稍候...'
+    }
+  });
+});
+
+// @desc    停止云电脑
+// @route   POST /api/cloudpc/:id/stop
+// @access  Private
+const stopCloudPC = asyncHandler(async (req, res) => {
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  });
+
+  if (!cloudPC) {
+    return res.status(404).json({
       success: false,
-      error: '云电脑已在运行中'
+      error: '云电脑未找到'
     });
   }
 
-  if (cloudPC.status === 'error') {
-    return res.status(400).json({
+  // 状态校验由状态机完成，非法或并发冲突时返回409
+  const { cloudPC: updated, operation } = await requestPowerAction(cloudPC, 'stop', { user: req.user.id });
+
+  logger.info('停止云电脑', {
+    cloudPCId: cloudPC._id,
+    userId: req.user.id,
+    operationId: operation._id,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    data: {
+      cloudPC: updated,
+      operation,
+      message: '云电脑停止中，请稍候...'
+    }
+  });
+});
+
+// @desc    重启云电脑
+// @route   POST /api/cloudpc/:id/restart
+// @access  Private
+const restartCloudPC = asyncHandler(async (req, res) => {
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  });
+
+  if (!cloudPC) {
+    return res.status(404).json({
       success: false,
-      error: '云电脑处于错误状态，无法启动'
+      error: '云电脑未找到'
     });
   }
 
-  // 更新状态为启动中
-  cloudPC.status = 'starting';
-  cloudPC.startedAt = new Date();
-  await cloudPC.save();
-
-  // 模拟启动过程
-  setTimeout(async () => {
-    cloudPC.status = 'running';
-    cloudPC.connectionInfo = {
-      endpoint: `${process.env.CLOUDPC_BASE_URL || 'https://cloudpc.example.com'}/connect/${cloudPC._id}`,
-      protocol: 'RDP',
-      port: 3389,
-      username: cloudPC.username
-    };
-    await cloudPC.save();
-    
-    logger.info('云电脑启动成功', {
-      cloudPCId: cloudPC._id,
-      userId: req.user.id
-    });
-  }, 3000);
+  // 状态校验由状态机完成，非法或并发冲突时返回409
+  const { cloudPC: updated, operation } = await requestPowerAction(cloudPC, 'restart', { user: req.user.id });
 
-  logger.info('启动云电脑', {
+  logger.info('重启云电脑', {
     cloudPCId: cloudPC._id,
     userId: req.user.id,
+    operationId: operation._id,
     ip: req.ip
   });
 
   res.json({
     success: true,
     data: {
-      cloudPC,
-      message: '云电脑启动中，请稍候...'
+      cloudPC: updated,
+      operation,
+      message: '云电脑重启中，请稍候...'
     }
   });
 });
 
-// @desc    停止云电脑
-// @route   POST /api/cloudpc/:id/stop
+// @desc    调整云电脑配置
+// @route   POST /api/cloudpc/:id/resize
 // @access  Private
-const stopCloudPC = asyncHandler(async (req, res) => {
+const resizeCloudPC = asyncHandler(async (req, res) => {
   const cloudPC = await CloudPC.findOne({
     _id: req.params.id,
     user: req.user.id
@@ -353,59 +571,123 @@ const stopCloudPC = asyncHandler(async (req, res) => {
     });
   }
 
-  if (cloudPC.status === 'stopped') {
-    return res.status(400).json({
+  const { cpu, memory, storage } = req.body;
+  const { cloudPC: updated, operation, restart, hourly } = await requestResize(
+    cloudPC,
+    { cpu, memory, storage },
+    { user: req.user.id }
+  );
+
+  logger.info('调整云电脑配置', {
+    cloudPCId: cloudPC._id,
+    userId: req.user.id,
+    operationId: operation._id,
+    from: { cpu: cloudPC.cpu, memory: cloudPC.memory, storage: cloudPC.storage },
+    to: { cpu, memory, storage },
+    restart,
+    ip: req.ip
+  });
+
+  res.status(202).json({
+    success: true,
+    data: {
+      cloudPC: updated,
+      operation,
+      pricing: {
+        previousHourly: cloudPC.pricing.hourly,
+        hourly
+      },
+      message: restart ? '云电脑将停机调整配置后自动启动' : '云电脑配置调整中，请稍候...'
+    }
+  });
+});
+
+// @desc    克隆云电脑
+// @route   POST /api/cloudpc/:id/clone
+// @access  Private
+const cloneCloudPC = asyncHandler(async (req, res) => {
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  });
+
+  if (!cloudPC) {
+    return res.status(404).json({
       success: false,
-      error: '云电脑已停止'
+      error: '云电脑未找到'
     });
   }
 
-  if (cloudPC.status === 'starting') {
-    return res.status(400).json({
+  const { name, snapshotId, location } = req.body;
+  const { cloudPC: clone, operation, driver } = await provisionClone(cloudPC, {
+    user: req.user,
+    fields: { name, snapshotId, location }
+  });
+
+  logger.info('克隆云电脑', {
+    cloudPCId: clone._id,
+    sourceCloudPCId: cloudPC._id,
+    snapshotId,
+    userId: req.user.id,
+    driver,
+    ip: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      cloudPC: clone,
+      operation,
+      message: snapshotId ? '正在从快照克隆云电脑...' : '正在克隆云电脑配置...'
+    }
+  });
+});
+
+// @desc    从错误状态恢复云电脑
+// @route   POST /api/cloudpc/:id/recover
+// @access  Private
+const recoverCloudPC = asyncHandler(async (req, res) => {
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  });
+
+  if (!cloudPC) {
+    return res.status(404).json({
       success: false,
-      error: '云电脑启动中，无法停止'
+      error: '云电脑未找到'
     });
   }
 
-  // 更新状态为停止中
-  cloudPC.status = 'stopping';
-  await cloudPC.save();
-
-  // 模拟停止过程
-  setTimeout(async () => {
-    cloudPC.status = 'stopped';
-    cloudPC.connectionInfo = undefined;
-    await cloudPC.save();
-    
-    logger.info('云电脑停止成功', {
-      cloudPCId: cloudPC._id,
-      userId: req.user.id
-    });
-  }, 2000);
+  const { cloudPC: updated, operation } = await requestRecover(cloudPC, { user: req.user.id });
 
-  logger.info('停止云电脑', {
+  logger.info('恢复云电脑', {
     cloudPCId: cloudPC._id,
     userId: req.user.id,
+    operationId: operation._id,
     ip: req.ip
   });
 
   res.json({
     success: true,
     data: {
-      cloudPC,
-      message: '云电脑停止中，请稍候...'
+      cloudPC: updated,
+      operation,
+      message: '云电脑恢复中，请稍候...'
     }
   });
 });
 
-// @desc    重启云电脑
-// @route   POST /api/cloudpc/:id/restart
+// @desc    获取云电脑状态迁移历史
+// @route   GET /api/cloudpc/:id/history
 // @access  Private
-const restartCloudPC = asyncHandler(async (req, res) => {
+const getCloudPCHistory = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+
   const cloudPC = await CloudPC.findOne({
     _id: req.params.id,
     user: req.user.id
-  });
+  }).select('status');
 
   if (!cloudPC) {
     return res.status(404).json({
@@ -414,47 +696,113 @@ const restartCloudPC = asyncHandler(async (req, res) => {
     });
   }
 
-  if (cloudPC.status !== 'running') {
-    return res.status(400).json({
+  const history = await stateMachine.getHistory(cloudPC._id, {
+    limit: limit * 1,
+    skip: (page - 1) * limit
+  });
+
+  res.json({
+    success: true,
+    data: {
+      status: cloudPC.status,
+      allowedActions: stateMachine.getAllowedEvents(cloudPC.status)
+        .filter(event => USER_ACTIONS.includes(event)),
+      history
+    }
+  });
+});
+
+// @desc    获取云电脑用量和费用明细
+// @route   GET /api/cloudpc/:id/usage?from=&to=
+// @access  Private
+const getCloudPCUsage = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, from, to } = req.query;
+
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  }).select('billing pricing');
+
+  if (!cloudPC) {
+    return res.status(404).json({
       success: false,
-      error: '只能重启运行中的云电脑'
+      error: '云电脑未找到'
     });
   }
 
-  // 更新状态为重启中
-  cloudPC.status = 'restarting';
-  await cloudPC.save();
+  const { total, ...usage } = await meteringService.getUsage(cloudPC, {
+    from,
+    to,
+    limit: limit * 1,
+    skip: (page - 1) * limit
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...usage,
+      pricing: cloudPC.pricing,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    申请云电脑连接票据
+// @route   POST /api/cloudpc/:id/connect
+// @access  Private
+const connectCloudPC = asyncHandler(async (req, res) => {
+  const { protocol = 'console' } = req.body;
+
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  });
 
-  // 模拟重启过程
-  setTimeout(async () => {
-    cloudPC.status = 'running';
-    await cloudPC.save();
-    
-    logger.info('云电脑重启成功', {
-      cloudPCId: cloudPC._id,
-      userId: req.user.id
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '云电脑未找到'
     });
-  }, 5000);
+  }
 
-  logger.info('重启云电脑', {
+  const { grant, ticket, connectionUrl } = await connectionBroker.issue(cloudPC, {
+    user: req.user.id,
+    protocol,
+    requestIp: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  logger.info('签发云电脑连接票据', {
     cloudPCId: cloudPC._id,
     userId: req.user.id,
+    grantId: grant._id,
+    protocol,
     ip: req.ip
   });
 
   res.json({
     success: true,
     data: {
-      cloudPC,
-      message: '云电脑重启中，请稍候...'
+      grantId: grant._id,
+      protocol,
+      ticket,
+      connectionUrl,
+      expiresAt: grant.expiresAt
     }
   });
 });
 
-// @desc    获取云电脑监控数据
-// @route   GET /api/cloudpc/:id/monitor
+// @desc    申请连接文件下载链接
+// @route   POST /api/cloudpc/:id/connection-files
 // @access  Private
-const getMonitorData = asyncHandler(async (req, res) => {
+const createConnectionFile = asyncHandler(async (req, res) => {
+  const { type, options } = req.body;
+
   const cloudPC = await CloudPC.findOne({
     _id: req.params.id,
     user: req.user.id
@@ -467,9 +815,524 @@ const getMonitorData = asyncHandler(async (req, res) => {
     });
   }
 
-  // 生成模拟监控数据
-  const now = new Date();
-  const monitorData = {
+  const { token, expiresAt } = await connectionFileService.createDownload(cloudPC, req.user, { type, options });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      type,
+      downloadUrl: `${req.baseUrl}/connection-files/${token}`,
+      expiresAt
+    }
+  });
+});
+
+// @desc    下载连接文件（.rdp 或 SSH config），以一次性令牌代替登录认证
+// @route   GET /api/cloudpc/connection-files/:token
+// @access  Public
+const downloadConnectionFile = asyncHandler(async (req, res) => {
+  const { filename, contentType, content } = await connectionFileService.download(req.params.token, req.ip);
+
+  res.set({
+    'Content-Type': `${contentType}; charset=utf-8`,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.send(content);
+});
+
+// @desc    获取云电脑连接记录
+// @route   GET /api/cloudpc/:id/connections
+// @access  Private
+const getCloudPCConnections = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  }).select('_id');
+
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '云电脑未找到'
+    });
+  }
+
+  const query = { cloudPC: cloudPC._id, user: req.user.id };
+
+  const [grants, total] = await Promise.all([
+    ConnectionGrant.find(query)
+      .select('-ticketId')
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit),
+    ConnectionGrant.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      grants,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    获取云电脑快照列表
+// @route   GET /api/cloudpc/:id/snapshots
+// @access  Private
+const getCloudPCSnapshots = asyncHandler(async (req, res) => {
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  }).select('snapshots pricing');
+
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '云电脑未找到'
+    });
+  }
+
+  const snapshots = cloudPC.snapshots
+    .filter(snapshot => snapshot.isActive)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  res.json({
+    success: true,
+    data: {
+      snapshots,
+      totalSize: cloudPC.snapshotSize,
+      snapshotHourly: cloudPC.pricing.snapshotHourly,
+      quota: (await quotaService.getQuota(req.user.id)).quotas
+        .filter(({ resource }) => resource.startsWith('snapshot'))
+    }
+  });
+});
+
+// @desc    创建快照
+// @route   POST /api/cloudpc/:id/snapshots
+// @access  Private
+const createCloudPCSnapshot = asyncHandler(async (req, res) => {
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  });
+
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '云电脑未找到'
+    });
+  }
+
+  const { snapshot, operation } = await requestSnapshot(
+    cloudPC,
+    { name: req.body.name, description: req.body.description },
+    { user: req.user.id }
+  );
+
+  logger.info('创建快照', {
+    cloudPCId: cloudPC._id,
+    userId: req.user.id,
+    snapshotId: snapshot._id,
+    operationId: operation._id,
+    ip: req.ip
+  });
+
+  res.status(202).json({
+    success: true,
+    data: {
+      snapshot,
+      operation,
+      message: '快照创建中，请稍候...'
+    }
+  });
+});
+
+// @desc    删除快照
+// @route   DELETE /api/cloudpc/:id/snapshots/:snapshotId
+// @access  Private
+const deleteCloudPCSnapshot = asyncHandler(async (req, res) => {
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  });
+
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '云电脑未找到'
+    });
+  }
+
+  const snapshot = await deleteSnapshot(cloudPC, req.params.snapshotId);
+
+  logger.info('删除快照', {
+    cloudPCId: cloudPC._id,
+    userId: req.user.id,
+    snapshotId: snapshot._id,
+    size: snapshot.size,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: '快照删除成功'
+  });
+});
+
+// @desc    恢复快照（原地恢复或恢复为新云电脑）
+// @route   POST /api/cloudpc/:id/snapshots/:snapshotId/restore
+// @access  Private
+const restoreCloudPCSnapshot = asyncHandler(async (req, res) => {
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  });
+
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '云电脑未找到'
+    });
+  }
+
+  if (req.body.asNew) {
+    const { name, description, location } = req.body;
+    const { cloudPC: created, operation } = await provisionFromSnapshot(cloudPC, req.params.snapshotId, {
+      user: req.user.id,
+      fields: { name, description, location }
+    });
+
+    logger.info('从快照创建云电脑', {
+      cloudPCId: created._id,
+      sourceCloudPCId: cloudPC._id,
+      snapshotId: req.params.snapshotId,
+      userId: req.user.id,
+      ip: req.ip
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        cloudPC: created,
+        operation,
+        message: '正在从快照创建云电脑...'
+      }
+    });
+  }
+
+  const { cloudPC: updated, operation } = await requestRestore(cloudPC, req.params.snapshotId, {
+    user: req.user.id
+  });
+
+  logger.info('恢复快照', {
+    cloudPCId: cloudPC._id,
+    snapshotId: req.params.snapshotId,
+    operationId: operation._id,
+    userId: req.user.id,
+    ip: req.ip
+  });
+
+  res.status(202).json({
+    success: true,
+    data: {
+      cloudPC: updated,
+      operation,
+      message: '云电脑正在恢复快照，请稍候...'
+    }
+  });
+});
+
+// @desc    获取云电脑备份记录和备份计划
+// @route   GET /api/cloudpc/:id/backups
+// @access  Private
+const getCloudPCBackups = asyncHandler(async (req, res) => {
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  }).select('snapshots backupEnabled autoBackup');
+
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '云电脑未找到'
+    });
+  }
+
+  const backups = cloudPC.snapshots
+    .filter(snapshot => snapshot.isActive && snapshot.kind === 'backup')
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  res.json({
+    success: true,
+    data: {
+      schedule: backupScheduler.getSchedule(cloudPC),
+      backups
+    }
+  });
+});
+
+// @desc    一键恢复备份
+// @route   POST /api/cloudpc/:id/backups/:backupId/restore
+// @access  Private
+const restoreCloudPCBackup = asyncHandler(async (req, res) => {
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  });
+
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '云电脑未找到'
+    });
+  }
+
+  const backup = cloudPC.snapshots.id(req.params.backupId);
+  if (!backup || backup.kind !== 'backup') {
+    return res.status(404).json({
+      success: false,
+      error: '备份未找到'
+    });
+  }
+
+  const { cloudPC: updated, operation } = await requestRestore(cloudPC, backup._id, {
+    user: req.user.id
+  });
+
+  logger.info('恢复备份', {
+    cloudPCId: cloudPC._id,
+    backupId: backup._id,
+    operationId: operation._id,
+    userId: req.user.id,
+    ip: req.ip
+  });
+
+  res.status(202).json({
+    success: true,
+    data: {
+      cloudPC: updated,
+      operation,
+      message: cloudPC.status === 'running' ? '云电脑将停机恢复备份后自动启动' : '云电脑正在恢复备份，请稍候...'
+    }
+  });
+});
+
+// @desc    获取云电脑的电源计划
+// @route   GET /api/cloudpc/:id/schedules
+// @access  Private
+const getCloudPCSchedules = asyncHandler(async (req, res) => {
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  }).select('_id');
+
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '云电脑未找到'
+    });
+  }
+
+  const schedules = await PowerSchedule.find({ cloudPC: cloudPC._id }).sort('createdAt');
+
+  res.json({
+    success: true,
+    data: schedules
+  });
+});
+
+// @desc    创建电源计划
+// @route   POST /api/cloudpc/:id/schedules
+// @access  Private
+const createCloudPCSchedule = asyncHandler(async (req, res) => {
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  }).select('_id');
+
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '云电脑未找到'
+    });
+  }
+
+  const count = await PowerSchedule.countDocuments({ cloudPC: cloudPC._id });
+  if (count >= powerScheduler.config.maxPerCloudPC) {
+    return res.status(400).json({
+      success: false,
+      error: `每台云电脑最多创建${powerScheduler.config.maxPerCloudPC}个电源计划`
+    });
+  }
+
+  const schedule = new PowerSchedule({ cloudPC: cloudPC._id, user: req.user.id });
+  SCHEDULE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      schedule[field] = req.body[field];
+    }
+  });
+  await schedule.save();
+  powerScheduler.register(schedule);
+
+  logger.info('创建电源计划', {
+    cloudPCId: cloudPC._id,
+    scheduleId: schedule._id,
+    action: schedule.action,
+    cron: schedule.cron,
+    timezone: schedule.timezone,
+    userId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    更新电源计划
+// @route   PUT /api/cloudpc/:id/schedules/:scheduleId
+// @access  Private
+const updateCloudPCSchedule = asyncHandler(async (req, res) => {
+  const schedule = await PowerSchedule.findOne({
+    _id: req.params.scheduleId,
+    cloudPC: req.params.id,
+    user: req.user.id
+  });
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      error: '电源计划未找到'
+    });
+  }
+
+  SCHEDULE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      schedule[field] = req.body[field];
+    }
+  });
+  await schedule.save();
+  powerScheduler.register(schedule);
+
+  logger.info('更新电源计划', {
+    cloudPCId: schedule.cloudPC,
+    scheduleId: schedule._id,
+    userId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    删除电源计划
+// @route   DELETE /api/cloudpc/:id/schedules/:scheduleId
+// @access  Private
+const deleteCloudPCSchedule = asyncHandler(async (req, res) => {
+  const schedule = await PowerSchedule.findOneAndDelete({
+    _id: req.params.scheduleId,
+    cloudPC: req.params.id,
+    user: req.user.id
+  });
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      error: '电源计划未找到'
+    });
+  }
+
+  powerScheduler.unregister(schedule._id);
+
+  logger.info('删除电源计划', {
+    cloudPCId: schedule.cloudPC,
+    scheduleId: schedule._id,
+    userId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    message: '电源计划删除成功'
+  });
+});
+
+// @desc    获取电源计划执行记录
+// @route   GET /api/cloudpc/:id/schedules/executions
+// @access  Private
+const getCloudPCScheduleExecutions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, schedule, status } = req.query;
+
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  }).select('_id');
+
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '云电脑未找到'
+    });
+  }
+
+  const query = { cloudPC: cloudPC._id };
+  if (schedule) {
+    query.schedule = schedule;
+  }
+  if (status) {
+    query.status = status;
+  }
+
+  const executions = await ScheduleExecution.find(query)
+    .populate('schedule', 'name cron timezone')
+    .sort('-scheduledAt')
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await ScheduleExecution.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      executions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    获取云电脑监控数据
+// @route   GET /api/cloudpc/:id/monitor
+// @access  Private
+const getMonitorData = asyncHandler(async (req, res) => {
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  });
+
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '云电脑未找到'
+    });
+  }
+
+  // 生成模拟监控数据
+  const now = new Date();
+  const monitorData = {
     cpu: {
       current: Math.random() * 100,
       history: Array.from({ length: 24 }, (_, i) => ({
@@ -513,15 +1376,84 @@ const getMonitorData = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    获取云电脑的操作记录
+// @route   GET /api/cloudpc/:id/operations
+// @access  Private
+const getCloudPCOperations = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status } = req.query;
+
+  const cloudPC = await CloudPC.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  }).select('_id');
+
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '云电脑未找到'
+    });
+  }
+
+  const query = { cloudPC: cloudPC._id };
+  if (status) {
+    query.status = status;
+  }
+
+  const operations = await Operation.find(query)
+    .sort('-createdAt')
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Operation.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      operations,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
 // 路由配置
 router.get('/', authenticate, validatePagination, getCloudPCs);
+router.get('/recycle-bin', authenticate, getRecycleBin);
+router.get('/connection-files/:token', validateDownloadToken, downloadConnectionFile);
 router.get('/:id', authenticate, validateCloudPCId, getCloudPC);
 router.post('/', authenticate, validateCreateCloudPC, createCloudPC);
+router.post('/bulk', authenticate, validateBulkAction, bulkCloudPCAction);
+router.post('/recycle-bin/:id/restore', authenticate, validateCloudPCId, restoreDeletedCloudPC);
+router.delete('/recycle-bin/:id', authenticate, validateCloudPCId, purgeDeletedCloudPC);
 router.put('/:id', authenticate, validateCloudPCId, validateUpdateCloudPC, updateCloudPC);
 router.delete('/:id', authenticate, validateCloudPCId, deleteCloudPC);
 router.post('/:id/start', authenticate, validateCloudPCId, startCloudPC);
 router.post('/:id/stop', authenticate, validateCloudPCId, stopCloudPC);
 router.post('/:id/restart', authenticate, validateCloudPCId, restartCloudPC);
+router.post('/:id/resize', authenticate, validateCloudPCId, validateResizeCloudPC, resizeCloudPC);
+router.post('/:id/recover', authenticate, validateCloudPCId, recoverCloudPC);
+router.post('/:id/clone', authenticate, validateCloudPCId, validateCloneCloudPC, cloneCloudPC);
+router.post('/:id/connect', authenticate, validateConnectCloudPC, connectCloudPC);
+router.post('/:id/connection-files', authenticate, validateConnectionFile, createConnectionFile);
+router.get('/:id/connections', authenticate, validateCloudPCId, validatePagination, getCloudPCConnections);
+router.get('/:id/history', authenticate, validateCloudPCId, validatePagination, getCloudPCHistory);
+router.get('/:id/usage', authenticate, validateUsageQuery, getCloudPCUsage);
+router.get('/:id/operations', authenticate, validateCloudPCId, validateOperationQuery, getCloudPCOperations);
+router.get('/:id/snapshots', authenticate, validateCloudPCId, getCloudPCSnapshots);
+router.post('/:id/snapshots', authenticate, validateCloudPCId, validateCreateSnapshot, createCloudPCSnapshot);
+router.delete('/:id/snapshots/:snapshotId', authenticate, validateSnapshotId, deleteCloudPCSnapshot);
+router.post('/:id/snapshots/:snapshotId/restore', authenticate, validateSnapshotId, validateRestoreSnapshot, restoreCloudPCSnapshot);
+router.get('/:id/backups', authenticate, validateCloudPCId, getCloudPCBackups);
+router.post('/:id/backups/:backupId/restore', authenticate, validateBackupId, restoreCloudPCBackup);
+router.get('/:id/schedules', authenticate, validateCloudPCId, getCloudPCSchedules);
+router.post('/:id/schedules', authenticate, validateCreateSchedule, createCloudPCSchedule);
+router.get('/:id/schedules/executions', authenticate, validateScheduleExecutionQuery, getCloudPCScheduleExecutions);
+router.put('/:id/schedules/:scheduleId', authenticate, validateUpdateSchedule, updateCloudPCSchedule);
+router.delete('/:id/schedules/:scheduleId', authenticate, validateScheduleId, deleteCloudPCSchedule);
 
 // 监控路由（实时数据，短时间缓存）
 const monitorCacheMiddleware = cacheService.generateMiddleware('realtime', null, 60); // 60秒缓存
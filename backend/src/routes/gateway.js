@@ -0,0 +1,59 @@
+const express = require('express');
+const { validateRedeemTicket } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const connectionBroker = require('../services/connectionBroker');
+
+const router = express.Router();
+
+// 网关以 X-Gateway-Key 请求头认证
+const authenticateGateway = (req, res, next) => {
+  if (!connectionBroker.config.gatewayKey) {
+    return res.status(503).json({
+      success: false,
+      error: '连接网关未配置'
+    });
+  }
+
+  if (!connectionBroker.isGatewayKeyValid(req.get('x-gateway-key'))) {
+    return res.status(401).json({
+      success: false,
+      error: '网关认证失败'
+    });
+  }
+
+  next();
+};
+
+// @desc    网关校验并兑换连接票据，返回云电脑的内部地址
+// @route   POST /api/gateway/validate
+// @access  Gateway
+const validateTicket = asyncHandler(async (req, res) => {
+  const { ticket, protocol, clientIp } = req.body;
+
+  const { grant, cloudPC } = await connectionBroker.redeem(ticket, {
+    protocol,
+    gateway: req.get('x-gateway-id') || req.ip,
+    clientIp
+  });
+
+  res.json({
+    success: true,
+    data: {
+      grantId: grant._id,
+      userId: grant.user,
+      protocol: grant.protocol,
+      cloudPC: {
+        id: cloudPC._id,
+        name: cloudPC.name,
+        os: cloudPC.os,
+        ip: cloudPC.ip,
+        port: cloudPC.port
+      }
+    }
+  });
+});
+
+// 路由配置
+router.post('/validate', authenticateGateway, validateRedeemTicket, validateTicket);
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  validateHostQuery,
+  validateCreateHost,
+  validateUpdateHost,
+  validateHostId,
+  validateHostMaintenance
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const hostService = require('../services/hostService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// @desc    获取宿主机列表及占用
+// @route   GET /api/hosts
+// @access  Private/Admin
+const getHosts = asyncHandler(async (req, res) => {
+  const { zone, status } = req.query;
+  const hosts = await hostService.list({ zone, status });
+
+  res.json({
+    success: true,
+    data: hosts
+  });
+});
+
+// @desc    容量报表
+// @route   GET /api/hosts/report
+// @access  Private/Admin
+const getCapacityReport = asyncHandler(async (req, res) => {
+  const report = await hostService.getCapacityReport();
+
+  res.json({
+    success: true,
+    data: report
+  });
+});
+
+// @desc    登记宿主机
+// @route   POST /api/hosts
+// @access  Private/Admin
+const createHost = asyncHandler(async (req, res) => {
+  const { name, address, zone, capacity } = req.body;
+  const host = await hostService.register({ name, address, zone, capacity });
+
+  logger.info('登记宿主机', {
+    hostId: host._id,
+    name: host.name,
+    zone: host.zone,
+    capacity: host.capacity,
+    adminId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: host
+  });
+});
+
+// @desc    更新宿主机
+// @route   PUT /api/hosts/:id
+// @access  Private/Admin
+const updateHost = asyncHandler(async (req, res) => {
+  const { name, address, capacity } = req.body;
+  const host = await hostService.update(await hostService.getHost(req.params.id), { name, address, capacity });
+
+  logger.info('更新宿主机', {
+    hostId: host._id,
+    name: host.name,
+    capacity: host.capacity,
+    adminId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: host
+  });
+});
+
+// @desc    注销宿主机
+// @route   DELETE /api/hosts/:id
+// @access  Private/Admin
+const deleteHost = asyncHandler(async (req, res) => {
+  const host = await hostService.getHost(req.params.id);
+  await hostService.remove(host);
+
+  logger.info('注销宿主机', {
+    hostId: host._id,
+    name: host.name,
+    adminId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    message: '宿主机已注销'
+  });
+});
+
+// @desc    进入维护模式，默认同时撤离云电脑
+// @route   POST /api/hosts/:id/maintenance
+// @access  Private/Admin
+const enterMaintenance = asyncHandler(async (req, res) => {
+  const { reason, evacuate } = req.body;
+  const result = await hostService.enterMaintenance(await hostService.getHost(req.params.id), {
+    reason,
+    evacuate: evacuate !== false,
+    user: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// @desc    退出维护模式
+// @route   DELETE /api/hosts/:id/maintenance
+// @access  Private/Admin
+const exitMaintenance = asyncHandler(async (req, res) => {
+  const host = await hostService.exitMaintenance(await hostService.getHost(req.params.id));
+
+  logger.info('宿主机退出维护模式', {
+    hostId: host._id,
+    name: host.name,
+    adminId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: host
+  });
+});
+
+// @desc    撤离维护中宿主机上剩余的云电脑
+// @route   POST /api/hosts/:id/evacuate
+// @access  Private/Admin
+const evacuateHost = asyncHandler(async (req, res) => {
+  const evacuation = await hostService.evacuate(await hostService.getHost(req.params.id), {
+    user: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: evacuation
+  });
+});
+
+// 路由配置（均需管理员权限）
+router.use(authenticate, authorize('admin'));
+router.get('/', validateHostQuery, getHosts);
+router.get('/report', getCapacityReport);
+router.post('/', validateCreateHost, createHost);
+router.put('/:id', validateUpdateHost, updateHost);
+router.delete('/:id', validateHostId, deleteHost);
+router.post('/:id/maintenance', validateHostMaintenance, enterMaintenance);
+router.delete('/:id/maintenance', validateHostId, exitMaintenance);
+router.post('/:id/evacuate', validateHostId, evacuateHost);
+
+module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const Image = require('../models/Image');
+const CloudPC = require('../models/CloudPC');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  validateImageId,
+  validateImageQuery,
+  validateCreateImage,
+  validateCaptureImage,
+  validateUpdateImage
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requestCapture } = require('../services/cloudpcLifecycle');
+const imageService = require('../services/imageService');
+const providerRegistry = require('../services/providers');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// 查找镜像并校验访问权限
+const findAccessibleImage = async (req, res) => {
+  const image = await Image.findById(req.params.id);
+
+  if (!image || !image.isAccessibleBy(req.user)) {
+    res.status(404).json({
+      success: false,
+      error: '镜像未找到'
+    });
+    return null;
+  }
+
+  return image;
+};
+
+// @desc    获取可用镜像列表（公共镜像和自己的私有镜像）
+// @route   GET /api/images
+// @access  Private
+const getImages = asyncHandler(async (req, res) => {
+  const { type, os } = req.query;
+
+  const query = Image.accessibleBy(req.user.id);
+  if (type) {
+    query.type = type;
+  }
+  if (os) {
+    query.os = os;
+  }
+
+  const images = await Image.find(query).sort({ type: 1, os: 1, createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: images
+  });
+});
+
+// @desc    获取镜像详情
+// @route   GET /api/images/:id
+// @access  Private
+const getImage = asyncHandler(async (req, res) => {
+  const image = await findAccessibleImage(req, res);
+  if (!image) return;
+
+  res.json({
+    success: true,
+    data: image
+  });
+});
+
+// @desc    创建公共基础镜像
+// @route   POST /api/images
+// @access  Private/Admin
+const createImage = asyncHandler(async (req, res) => {
+  const { name, description, os, driver, providerImageId, minStorage, tags } = req.body;
+
+  if (driver && !providerRegistry.listDrivers().includes(driver)) {
+    return res.status(400).json({
+      success: false,
+      error: `未知的驱动: ${driver}`
+    });
+  }
+
+  const image = await Image.create({
+    name,
+    description,
+    os,
+    type: 'base',
+    visibility: 'public',
+    driver,
+    providerImageId,
+    minStorage,
+    tags,
+    status: 'available'
+  });
+
+  logger.info('创建公共镜像', {
+    imageId: image._id,
+    adminId: req.user.id,
+    os,
+    driver
+  });
+
+  res.status(201).json({
+    success: true,
+    data: image
+  });
+});
+
+// @desc    从已停止的云电脑捕获自定义镜像
+// @route   POST /api/images/capture
+// @access  Private
+const captureImage = asyncHandler(async (req, res) => {
+  const { cloudPC: cloudPCId, name, description, visibility, tags } = req.body;
+
+  // 只有管理员可以发布公共镜像
+  if (visibility === 'public' && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: '只有管理员可以发布公共镜像'
+    });
+  }
+
+  const cloudPC = await CloudPC.findOne({
+    _id: cloudPCId,
+    user: req.user.id
+  });
+
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '云电脑未找到'
+    });
+  }
+
+  const { image, operation } = await requestCapture(
+    cloudPC,
+    { name, description, visibility, tags },
+    { user: req.user.id }
+  );
+
+  logger.info('捕获自定义镜像', {
+    imageId: image._id,
+    cloudPCId: cloudPC._id,
+    userId: req.user.id,
+    operationId: operation._id
+  });
+
+  res.status(202).json({
+    success: true,
+    data: {
+      image,
+      operation,
+      message: '镜像捕获中，请稍候...'
+    }
+  });
+});
+
+// @desc    更新镜像信息
+// @route   PUT /api/images/:id
+// @access  Private
+const updateImage = asyncHandler(async (req, res) => {
+  const image = await findAccessibleImage(req, res);
+  if (!image) return;
+
+  if (!image.isManageableBy(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: '无权修改此镜像'
+    });
+  }
+
+  if (req.body.visibility === 'public' && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: '只有管理员可以发布公共镜像'
+    });
+  }
+
+  ['name', 'description', 'visibility', 'tags'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      image[field] = req.body[field];
+    }
+  });
+  await image.save();
+
+  logger.info('更新镜像', {
+    imageId: image._id,
+    userId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: image
+  });
+});
+
+// @desc    删除镜像
+// @route   DELETE /api/images/:id
+// @access  Private
+const deleteImage = asyncHandler(async (req, res) => {
+  const image = await findAccessibleImage(req, res);
+  if (!image) return;
+
+  if (!image.isManageableBy(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: '无权删除此镜像'
+    });
+  }
+
+  await imageService.deleteImage(image);
+
+  logger.info('删除镜像', {
+    imageId: image._id,
+    userId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    message: '镜像删除成功'
+  });
+});
+
+// 路由配置
+router.get('/', authenticate, validateImageQuery, getImages);
+router.post('/', authenticate, authorize('admin'), validateCreateImage, createImage);
+router.post('/capture', authenticate, validateCaptureImage, captureImage);
+router.get('/:id', authenticate, validateImageId, getImage);
+router.put('/:id', authenticate, validateUpdateImage, updateImage);
+router.delete('/:id', authenticate, validateImageId, deleteImage);
+
+module.exports = router;
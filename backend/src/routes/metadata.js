@@ -0,0 +1,115 @@
+const express = require('express');
+const CloudPC = require('../models/CloudPC');
+const { asyncHandler } = require('../middleware/errorHandler');
+const metadataConfig = require('../config/metadata');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// 元数据服务提供的条目
+const ENTRIES = ['instance-id', 'hostname', 'local-ipv4', 'location', 'os', 'meta-data', 'user-data'];
+
+// 以实例身份令牌识别云电脑，令牌在创建实例时注入
+const identifyInstance = asyncHandler(async (req, res, next) => {
+  const cloudPCId = metadataConfig.parseInstanceToken(req.get('x-cloudpc-instance-token'));
+  if (!cloudPCId) {
+    return res.status(401).type('text/plain').send('无效的实例身份令牌');
+  }
+
+  const cloudPC = await CloudPC.findById(cloudPCId).select('+userData.content');
+  if (!cloudPC) {
+    return res.status(404).type('text/plain').send('云电脑不存在');
+  }
+
+  req.cloudPC = cloudPC;
+  next();
+});
+
+const getHostname = (cloudPC) => `cloudpc-${cloudPC._id}`;
+
+const sendText = (res, value) => res.type('text/plain').send(String(value));
+
+// @desc    元数据条目列表
+// @route   GET /metadata/v1
+// @access  Instance
+const getIndex = (req, res) => sendText(res, ENTRIES.join('\n'));
+
+// @desc    实例基本信息
+// @route   GET /metadata/v1/instance-id | hostname | local-ipv4 | location | os
+// @access  Instance
+const getInstanceId = (req, res) => sendText(res, req.cloudPC._id);
+const getHostnameEntry = (req, res) => sendText(res, getHostname(req.cloudPC));
+const getLocalIpv4 = (req, res) => sendText(res, req.cloudPC.ip);
+const getLocation = (req, res) => sendText(res, req.cloudPC.location);
+const getOs = (req, res) => sendText(res, req.cloudPC.os);
+
+// @desc    完整元数据
+// @route   GET /metadata/v1/meta-data
+// @access  Instance
+const getMetaData = (req, res) => {
+  const { cloudPC } = req;
+
+  res.json({
+    'instance-id': String(cloudPC._id),
+    'local-hostname': getHostname(cloudPC),
+    'local-ipv4': cloudPC.ip,
+    location: cloudPC.location,
+    os: cloudPC.os,
+    name: cloudPC.name,
+    cpu: cloudPC.cpu,
+    memory: cloudPC.memory,
+    storage: cloudPC.storage,
+    tags: cloudPC.tags,
+    metadata: Object.fromEntries(cloudPC.metadata || [])
+  });
+};
+
+// @desc    单个自定义元数据
+// @route   GET /metadata/v1/meta-data/:key
+// @access  Instance
+const getMetaDataKey = (req, res) => {
+  const value = req.cloudPC.metadata && req.cloudPC.metadata.get(req.params.key);
+  if (value === undefined) {
+    return res.status(404).type('text/plain').send('元数据不存在');
+  }
+  sendText(res, value);
+};
+
+// @desc    首次启动脚本（cloud-init 或 PowerShell）
+// @route   GET /metadata/v1/user-data
+// @access  Instance
+const getUserData = asyncHandler(async (req, res) => {
+  const { cloudPC } = req;
+  const userData = cloudPC.userData || {};
+  if (!userData.format || !userData.content) {
+    return res.status(404).type('text/plain').send('未设置用户数据');
+  }
+
+  // 只记录首次获取的时间
+  if (!userData.fetchedAt) {
+    await CloudPC.updateOne(
+      { _id: cloudPC._id, 'userData.fetchedAt': null },
+      { $set: { 'userData.fetchedAt': new Date() } }
+    );
+    logger.info('云电脑获取用户数据', {
+      cloudPCId: cloudPC._id,
+      format: userData.format
+    });
+  }
+
+  res.type(metadataConfig.getUserDataContentType(userData)).send(userData.content);
+});
+
+// 路由配置
+router.use(identifyInstance);
+router.get('/', getIndex);
+router.get('/instance-id', getInstanceId);
+router.get('/hostname', getHostnameEntry);
+router.get('/local-ipv4', getLocalIpv4);
+router.get('/location', getLocation);
+router.get('/os', getOs);
+router.get('/meta-data', getMetaData);
+router.get('/meta-data/:key', getMetaDataKey);
+router.get('/user-data', getUserData);
+
+module.exports = router;
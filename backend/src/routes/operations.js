@@ -0,0 +1,139 @@
+const express = require('express');
+const Operation = require('../models/Operation');
+const { authenticate } = require('../middleware/auth');
+const { validateOperationId } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const operationQueue = require('../services/operationQueue');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// 查找操作并校验访问权限：操作发起人或管理员
+const findAccessibleOperation = async (req, res) => {
+  const operation = await Operation.findById(req.params.opId);
+
+  if (!operation) {
+    res.status(404).json({
+      success: false,
+      error: '操作未找到'
+    });
+    return null;
+  }
+
+  const isOwner = operation.user && operation.user.toString() === req.user.id;
+  if (!isOwner && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      error: '无权访问此操作'
+    });
+    return null;
+  }
+
+  return operation;
+};
+
+// @desc    获取操作详情（轮询进度）
+// @route   GET /api/operations/:opId
+// @access  Private
+const getOperation = asyncHandler(async (req, res) => {
+  const operation = await findAccessibleOperation(req, res);
+  if (!operation) return;
+
+  res.json({
+    success: true,
+    data: {
+      operation
+    }
+  });
+});
+
+// @desc    取消操作
+// @route   POST /api/operations/:opId/cancel
+// @access  Private
+const cancelOperation = asyncHandler(async (req, res) => {
+  const operation = await findAccessibleOperation(req, res);
+  if (!operation) return;
+
+  if (operation.isFinished) {
+    return res.status(400).json({
+      success: false,
+      error: '操作已结束，无法取消'
+    });
+  }
+
+  const cancelled = await operationQueue.cancel(operation._id);
+  if (!cancelled) {
+    return res.status(409).json({
+      success: false,
+      error: '操作正在执行，无法取消'
+    });
+  }
+
+  logger.info('取消操作', {
+    operationId: operation._id,
+    userId: req.user.id,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    data: {
+      operation: cancelled,
+      message: '操作已取消'
+    }
+  });
+});
+
+// @desc    订阅操作进度（Server-Sent Events）
+// @route   GET /api/operations/:opId/events
+// @access  Private
+const streamOperation = asyncHandler(async (req, res) => {
+  const operation = await findAccessibleOperation(req, res);
+  if (!operation) return;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  // compression中间件会缓冲输出，需要手动刷新
+  const send = (data) => {
+    res.write(`event: operation\ndata: ${JSON.stringify(data)}\n\n`);
+    if (res.flush) res.flush();
+  };
+
+  const eventName = `operation:${operation._id}`;
+  const listener = (data) => {
+    send(data);
+    if (['succeeded', 'failed', 'cancelled'].includes(data.status)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  // 保持连接，防止代理超时断开
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    operationQueue.removeListener(eventName, listener);
+  };
+
+  send(operation.toJSON());
+  if (operation.isFinished) {
+    cleanup();
+    return res.end();
+  }
+
+  operationQueue.on(eventName, listener);
+  req.on('close', cleanup);
+});
+
+// 路由配置
+router.get('/:opId', authenticate, validateOperationId, getOperation);
+router.post('/:opId/cancel', authenticate, validateOperationId, cancelOperation);
+router.get('/:opId/events', authenticate, validateOperationId, streamOperation);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const { validateCreatePlan, validateUpdatePlan, validatePlanCode } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const planService = require('../services/planService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// @desc    获取套餐列表（管理员传 all=true 时包含已下架的套餐）
+// @route   GET /api/plans
+// @access  Public
+const getPlans = asyncHandler(async (req, res) => {
+  const includeInactive = req.query.all === 'true' && req.user && req.user.role === 'admin';
+  const plans = await planService.listPlans({ includeInactive });
+
+  res.json({
+    success: true,
+    data: plans
+  });
+});
+
+// @desc    获取套餐详情
+// @route   GET /api/plans/:code
+// @access  Public
+const getPlan = asyncHandler(async (req, res) => {
+  const isAdmin = req.user && req.user.role === 'admin';
+  const plan = await planService.getPlan(req.params.code, { activeOnly: !isAdmin });
+
+  res.json({
+    success: true,
+    data: plan
+  });
+});
+
+// @desc    新增套餐
+// @route   POST /api/plans
+// @access  Private/Admin
+const createPlan = asyncHandler(async (req, res) => {
+  const plan = await planService.createPlan(req.body);
+
+  logger.info('管理员新增套餐', {
+    plan: plan.code,
+    prices: plan.prices,
+    adminId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: plan
+  });
+});
+
+// @desc    调整套餐价格、配额或展示内容，或上架、下架套餐
+// @route   PUT /api/plans/:code
+// @access  Private/Admin
+const updatePlan = asyncHandler(async (req, res) => {
+  const plan = await planService.updatePlan(req.params.code, req.body);
+
+  logger.info('管理员调整套餐', {
+    plan: plan.code,
+    fields: Object.keys(req.body),
+    adminId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: plan
+  });
+});
+
+// 路由配置
+router.get('/', optionalAuth, getPlans);
+router.post('/', authenticate, authorize('admin'), validateCreatePlan, createPlan);
+router.get('/:code', optionalAuth, validatePlanCode, getPlan);
+router.put('/:code', authenticate, authorize('admin'), validateUpdatePlan, updatePlan);
+
+module.exports = router;
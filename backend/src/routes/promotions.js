@@ -0,0 +1,180 @@
+const express = require('express');
+const User = require('../models/User');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  validateRedeemCoupon,
+  validateRedemptionQuery,
+  validateCouponQuery,
+  validateCreateCoupon,
+  validateUpdateCoupon,
+  validateCouponId,
+  validateGrantCoupon
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const promotionService = require('../services/promotionService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// @desc    兑换优惠码
+// @route   POST /api/promotions/redeem
+// @access  Private
+const redeemCoupon = asyncHandler(async (req, res) => {
+  const redemption = await promotionService.redeem(req.user.id, req.body.code, {
+    actor: req.user.id,
+    ip: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    data: redemption
+  });
+});
+
+// @desc    获取兑换记录（管理员可按用户和优惠券筛选全部记录）
+// @route   GET /api/promotions/redemptions?status=&user=&coupon=
+// @access  Private
+const getRedemptions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, user, coupon } = req.query;
+  const filters = req.user.role === 'admin'
+    ? { user, coupon, status }
+    : { user: req.user.id, status };
+
+  const { redemptions, total } = await promotionService.listRedemptions(filters, {
+    limit: limit * 1,
+    skip: (page - 1) * limit
+  });
+
+  res.json({
+    success: true,
+    data: {
+      redemptions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    获取优惠券列表
+// @route   GET /api/promotions/coupons?isActive=&search=
+// @access  Private/Admin
+const getCoupons = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, isActive, search } = req.query;
+
+  const { coupons, total } = await promotionService.listCoupons({ isActive, search }, {
+    limit: limit * 1,
+    skip: (page - 1) * limit
+  });
+
+  res.json({
+    success: true,
+    data: {
+      coupons,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    创建优惠券
+// @route   POST /api/promotions/coupons
+// @access  Private/Admin
+const createCoupon = asyncHandler(async (req, res) => {
+  const coupon = await promotionService.createCoupon(req.body, { actor: req.user.id });
+
+  logger.info('管理员创建优惠券', {
+    couponId: coupon._id,
+    code: coupon.code,
+    type: coupon.type,
+    value: coupon.value,
+    adminId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: coupon
+  });
+});
+
+// @desc    获取优惠券详情和兑换统计
+// @route   GET /api/promotions/coupons/:id
+// @access  Private/Admin
+const getCoupon = asyncHandler(async (req, res) => {
+  const coupon = await promotionService.getCoupon(req.params.id);
+
+  res.json({
+    success: true,
+    data: {
+      coupon,
+      stats: await promotionService.getStats(coupon._id)
+    }
+  });
+});
+
+// @desc    调整优惠券或停用优惠券，只影响之后的兑换
+// @route   PUT /api/promotions/coupons/:id
+// @access  Private/Admin
+const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await promotionService.updateCoupon(req.params.id, req.body, { actor: req.user.id });
+
+  logger.info('管理员调整优惠券', {
+    couponId: coupon._id,
+    code: coupon.code,
+    fields: Object.keys(req.body),
+    adminId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: coupon
+  });
+});
+
+// @desc    为用户兑换优惠码，兑换条件与用户自行兑换相同
+// @route   POST /api/promotions/users/:userId/redeem
+// @access  Private/Admin
+const grantCoupon = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.userId).select('_id');
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: '用户未找到'
+    });
+  }
+
+  const redemption = await promotionService.redeem(user._id, req.body.code, {
+    actor: req.user.id,
+    ip: req.ip
+  });
+
+  logger.info('管理员为用户兑换优惠码', {
+    redemptionId: redemption._id,
+    code: redemption.code,
+    userId: user._id,
+    adminId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: redemption
+  });
+});
+
+// 路由配置
+router.post('/redeem', authenticate, validateRedeemCoupon, redeemCoupon);
+router.get('/redemptions', authenticate, validateRedemptionQuery, getRedemptions);
+router.get('/coupons', authenticate, authorize('admin'), validateCouponQuery, getCoupons);
+router.post('/coupons', authenticate, authorize('admin'), validateCreateCoupon, createCoupon);
+router.get('/coupons/:id', authenticate, authorize('admin'), validateCouponId, getCoupon);
+router.put('/coupons/:id', authenticate, authorize('admin'), validateUpdateCoupon, updateCoupon);
+router.post('/users/:userId/redeem', authenticate, authorize('admin'), validateGrantCoupon, grantCoupon);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const User = require('../models/User');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateQuotaUserId, validateUpdateUserQuota } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const quotaService = require('../services/quotaService');
+const planService = require('../services/planService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// @desc    获取当前用户的配额和用量
+// @route   GET /api/quotas
+// @access  Private
+const getMyQuota = asyncHandler(async (req, res) => {
+  const quota = await quotaService.getQuota(req.user.id);
+
+  res.json({
+    success: true,
+    data: quota
+  });
+});
+
+// @desc    获取指定用户的配额和用量
+// @route   GET /api/quotas/users/:userId
+// @access  Private/Admin
+const getUserQuota = asyncHandler(async (req, res) => {
+  const quota = await quotaService.getQuota(req.params.userId);
+
+  res.json({
+    success: true,
+    data: quota
+  });
+});
+
+// @desc    调整用户套餐或单项配额
+// @route   PUT /api/quotas/users/:userId
+// @access  Private/Admin
+const updateUserQuota = asyncHandler(async (req, res) => {
+  const { plan, overrides } = req.body;
+
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: '用户未找到'
+    });
+  }
+
+  if (plan) {
+    user.plan = (await planService.getPlan(plan)).code;
+  }
+  if (overrides) {
+    // 传 null 的配额项恢复为套餐配额
+    Object.keys(quotaService.config.resources).forEach(resource => {
+      if (overrides[resource] === null) {
+        user.quotaOverrides[resource] = undefined;
+      } else if (overrides[resource] !== undefined) {
+        user.quotaOverrides[resource] = overrides[resource];
+      }
+    });
+  }
+  await user.save();
+
+  logger.info('管理员调整用户配额', {
+    adminId: req.user.id,
+    targetUserId: user._id,
+    plan: user.plan,
+    overrides,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    data: await quotaService.getQuota(user._id)
+  });
+});
+
+// 路由配置
+router.get('/', authenticate, getMyQuota);
+router.get('/users/:userId', authenticate, authorize('admin'), validateQuotaUserId, getUserQuota);
+router.put('/users/:userId', authenticate, authorize('admin'), validateUpdateUserQuota, updateUserQuota);
+
+module.exports = router;
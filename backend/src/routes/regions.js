@@ -0,0 +1,129 @@
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  validateRegionQuery,
+  validateCreateRegion,
+  validateUpdateRegion,
+  validateCreateZone,
+  validateUpdateZone
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const placementService = require('../services/placementService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// @desc    获取机房列表，指定配置时标出各机房能否开通及小时单价
+// @route   GET /api/regions?cpu=&memory=&storage=
+// @access  Private（管理员可见容量明细）
+const getRegions = asyncHandler(async (req, res) => {
+  const { cpu, memory, storage } = req.query;
+  const spec = cpu !== undefined ? { cpu, memory, storage } : undefined;
+
+  const regions = await placementService.listRegions(spec, {
+    detailed: req.user.role === 'admin'
+  });
+
+  res.json({
+    success: true,
+    data: regions
+  });
+});
+
+// @desc    新建机房
+// @route   POST /api/regions
+// @access  Private/Admin
+const createRegion = asyncHandler(async (req, res) => {
+  const { region, zones } = await placementService.createRegion(req.body);
+
+  logger.info('管理员新建机房', {
+    region: region.code,
+    pricingMultiplier: region.pricingMultiplier,
+    adminId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { region, zones }
+  });
+});
+
+// @desc    更新机房
+// @route   PUT /api/regions/:code
+// @access  Private/Admin
+const updateRegion = asyncHandler(async (req, res) => {
+  const { name, available, pricingMultiplier, description } = req.body;
+  const region = await placementService.updateRegion(req.params.code, {
+    name,
+    available,
+    pricingMultiplier,
+    description
+  });
+
+  logger.info('更新机房', {
+    region: region.code,
+    available: region.available,
+    pricingMultiplier: region.pricingMultiplier,
+    adminId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: region
+  });
+});
+
+// @desc    新增可用区
+// @route   POST /api/regions/:code/zones
+// @access  Private/Admin
+const createZone = asyncHandler(async (req, res) => {
+  const region = await placementService.getRegion(req.params.code);
+  const { code, name, available, capacity } = req.body;
+  const zone = await placementService.addZone(region, { code, name, available, capacity });
+
+  logger.info('新增可用区', {
+    region: region.code,
+    zone: zone.code,
+    capacity: zone.capacity,
+    adminId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: zone
+  });
+});
+
+// @desc    更新可用区容量或开通状态
+// @route   PUT /api/regions/:code/zones/:zoneCode
+// @access  Private/Admin
+const updateZone = asyncHandler(async (req, res) => {
+  const { name, available, capacity } = req.body;
+  const zone = await placementService.updateZone(req.params.code, req.params.zoneCode, {
+    name,
+    available,
+    capacity
+  });
+
+  logger.info('更新可用区', {
+    region: zone.region,
+    zone: zone.code,
+    available: zone.available,
+    capacity: zone.capacity,
+    adminId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: zone
+  });
+});
+
+// 路由配置
+router.get('/', authenticate, validateRegionQuery, getRegions);
+router.post('/', authenticate, authorize('admin'), validateCreateRegion, createRegion);
+router.put('/:code', authenticate, authorize('admin'), validateUpdateRegion, updateRegion);
+router.post('/:code/zones', authenticate, authorize('admin'), validateCreateZone, createZone);
+router.put('/:code/zones/:zoneCode', authenticate, authorize('admin'), validateUpdateZone, updateZone);
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { validateSubscribe, validateChangeSubscription, validatePagination } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const subscriptionService = require('../services/subscriptionService');
+
+const router = express.Router();
+
+// @desc    获取当前订阅
+// @route   GET /api/subscription
+// @access  Private
+const getSubscription = asyncHandler(async (req, res) => {
+  const subscription = await subscriptionService.getCurrent(req.user.id);
+
+  res.json({
+    success: true,
+    data: subscription
+  });
+});
+
+// @desc    获取订阅记录
+// @route   GET /api/subscription/history
+// @access  Private
+const getSubscriptionHistory = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const { subscriptions, total } = await subscriptionService.list(req.user.id, {
+    limit: limit * 1,
+    skip: (page - 1) * limit
+  });
+
+  res.json({
+    success: true,
+    data: {
+      subscriptions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    订阅套餐，从余额支付第一个周期的费用
+// @route   POST /api/subscription
+// @access  Private
+const subscribe = asyncHandler(async (req, res) => {
+  const subscription = await subscriptionService.subscribe(req.user.id, req.body, { actor: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    data: subscription
+  });
+});
+
+// @desc    预览套餐变更的折算费用
+// @route   POST /api/subscription/preview
+// @access  Private
+const previewChange = asyncHandler(async (req, res) => {
+  const { subscription, plan, ...change } = await subscriptionService.preview(req.user.id, req.body);
+
+  res.json({
+    success: true,
+    data: {
+      ...change,
+      from: { plan: subscription.plan, cycle: subscription.cycle, price: subscription.price },
+      plan: { code: plan.code, name: plan.name }
+    }
+  });
+});
+
+// @desc    升级、降级套餐或切换订阅周期，立即生效并折算差价
+// @route   PUT /api/subscription
+// @access  Private
+const changeSubscription = asyncHandler(async (req, res) => {
+  const subscription = await subscriptionService.change(req.user.id, req.body, { actor: req.user.id });
+
+  res.json({
+    success: true,
+    data: subscription
+  });
+});
+
+// @desc    取消自动续费
+// @route   POST /api/subscription/cancel
+// @access  Private
+const cancelSubscription = asyncHandler(async (req, res) => {
+  const subscription = await subscriptionService.cancel(req.user.id, { actor: req.user.id });
+
+  res.json({
+    success: true,
+    data: subscription
+  });
+});
+
+// @desc    恢复自动续费
+// @route   POST /api/subscription/resume
+// @access  Private
+const resumeSubscription = asyncHandler(async (req, res) => {
+  const subscription = await subscriptionService.resume(req.user.id, { actor: req.user.id });
+
+  res.json({
+    success: true,
+    data: subscription
+  });
+});
+
+// 路由配置
+router.get('/', authenticate, getSubscription);
+router.get('/history', authenticate, validatePagination, getSubscriptionHistory);
+router.post('/', authenticate, validateSubscribe, subscribe);
+router.post('/preview', authenticate, validateChangeSubscription, previewChange);
+router.put('/', authenticate, validateChangeSubscription, changeSubscription);
+router.post('/cancel', authenticate, cancelSubscription);
+router.post('/resume', authenticate, resumeSubscription);
+
+module.exports = router;
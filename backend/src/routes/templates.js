@@ -0,0 +1,223 @@
+const express = require('express');
+const Template = require('../models/Template');
+const CloudPC = require('../models/CloudPC');
+const { authenticate } = require('../middleware/auth');
+const {
+  validateTemplateId,
+  validateCreateTemplate,
+  validateUpdateTemplate,
+  validateDeployTemplate
+} = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const imageService = require('../services/imageService');
+const { provisionFromTemplate } = require('../services/provisioningService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// 模板可修改的字段
+const TEMPLATE_FIELDS = ['name', 'description', 'image', 'cpu', 'memory', 'storage', 'bandwidth', 'location', 'tags', 'visibility'];
+
+// 查找模板并校验访问权限
+const findAccessibleTemplate = async (req, res) => {
+  const template = await Template.findById(req.params.id);
+
+  if (!template || !template.isAccessibleBy(req.user)) {
+    res.status(404).json({
+      success: false,
+      error: '模板未找到'
+    });
+    return null;
+  }
+
+  return template;
+};
+
+// 校验模板的镜像、配置组合和可见性
+const assertValidTemplate = async (template, user) => {
+  if (template.visibility === 'public' && user.role !== 'admin') {
+    throw new AppError('只有管理员可以发布公共模板', 403);
+  }
+
+  if (!CloudPC.findTier(template.cpu, template.memory)) {
+    throw new AppError(`不支持 ${template.cpu}核/${template.memory}GB 的配置组合`, 400);
+  }
+
+  const image = await imageService.getUsableImage(template.image, user);
+  imageService.assertCompatible(image, {
+    cpu: template.cpu,
+    memory: template.memory,
+    storage: template.storage,
+    location: template.location
+  });
+
+  // 公共模板必须使用公共镜像，否则其他用户无法部署
+  if (template.visibility === 'public' && image.visibility !== 'public') {
+    throw new AppError('公共模板只能使用公共镜像', 400);
+  }
+
+  return image;
+};
+
+// @desc    获取可用模板列表
+// @route   GET /api/templates
+// @access  Private
+const getTemplates = asyncHandler(async (req, res) => {
+  const templates = await Template.find(Template.accessibleBy(req.user.id))
+    .populate('image', 'name os type visibility status')
+    .sort('-createdAt');
+
+  res.json({
+    success: true,
+    data: templates
+  });
+});
+
+// @desc    获取模板详情
+// @route   GET /api/templates/:id
+// @access  Private
+const getTemplate = asyncHandler(async (req, res) => {
+  const template = await findAccessibleTemplate(req, res);
+  if (!template) return;
+
+  await template.populate('image', 'name os type visibility status minStorage');
+
+  res.json({
+    success: true,
+    data: {
+      template,
+      pricing: {
+        hourly: CloudPC.calculateHourlyPrice(template)
+      }
+    }
+  });
+});
+
+// @desc    创建模板
+// @route   POST /api/templates
+// @access  Private
+const createTemplate = asyncHandler(async (req, res) => {
+  const template = new Template({ owner: req.user.id });
+  TEMPLATE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      template[field] = req.body[field];
+    }
+  });
+
+  await assertValidTemplate(template, req.user);
+  await template.save();
+
+  logger.info('创建模板', {
+    templateId: template._id,
+    userId: req.user.id,
+    imageId: template.image
+  });
+
+  res.status(201).json({
+    success: true,
+    data: template
+  });
+});
+
+// @desc    更新模板
+// @route   PUT /api/templates/:id
+// @access  Private
+const updateTemplate = asyncHandler(async (req, res) => {
+  const template = await findAccessibleTemplate(req, res);
+  if (!template) return;
+
+  if (!template.isManageableBy(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: '无权修改此模板'
+    });
+  }
+
+  TEMPLATE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      template[field] = req.body[field];
+    }
+  });
+
+  await assertValidTemplate(template, req.user);
+  await template.save();
+
+  logger.info('更新模板', {
+    templateId: template._id,
+    userId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: template
+  });
+});
+
+// @desc    删除模板
+// @route   DELETE /api/templates/:id
+// @access  Private
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const template = await findAccessibleTemplate(req, res);
+  if (!template) return;
+
+  if (!template.isManageableBy(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: '无权删除此模板'
+    });
+  }
+
+  // 已部署的云电脑保留模板引用，模板只做停用处理
+  template.isActive = false;
+  await template.save();
+
+  logger.info('删除模板', {
+    templateId: template._id,
+    userId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    message: '模板删除成功'
+  });
+});
+
+// @desc    按模板部署云电脑
+// @route   POST /api/templates/:id/deploy
+// @access  Private
+const deployTemplate = asyncHandler(async (req, res) => {
+  const template = await findAccessibleTemplate(req, res);
+  if (!template) return;
+
+  const { name, description, location } = req.body;
+  const { cloudPC, operation, driver } = await provisionFromTemplate(template, {
+    user: req.user,
+    fields: { name, description, location }
+  });
+
+  logger.info('按模板部署云电脑', {
+    templateId: template._id,
+    cloudPCId: cloudPC._id,
+    userId: req.user.id,
+    driver,
+    ip: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      cloudPC,
+      operation
+    }
+  });
+});
+
+// 路由配置
+router.get('/', authenticate, getTemplates);
+router.post('/', authenticate, validateCreateTemplate, createTemplate);
+router.get('/:id', authenticate, validateTemplateId, getTemplate);
+router.put('/:id', authenticate, validateUpdateTemplate, updateTemplate);
+router.delete('/:id', authenticate, validateTemplateId, deleteTemplate);
+router.post('/:id/deploy', authenticate, validateDeployTemplate, deployTemplate);
+
+module.exports = router;
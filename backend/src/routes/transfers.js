@@ -0,0 +1,150 @@
+const express = require('express');
+const CloudPC = require('../models/CloudPC');
+const { authenticate } = require('../middleware/auth');
+const {
+  validateCreateTransfer,
+  validateTransferId,
+  validateTransferQuery
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const ownershipTransferService = require('../services/ownershipTransferService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// @desc    获取当前用户发起或收到的转移请求
+// @route   GET /api/transfers
+// @access  Private
+const getTransfers = asyncHandler(async (req, res) => {
+  const { direction, status, page = 1, limit = 20 } = req.query;
+
+  const { transfers, total } = await ownershipTransferService.list(req.user.id, {
+    direction,
+    status,
+    page,
+    limit
+  });
+
+  res.json({
+    success: true,
+    data: {
+      transfers,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    发起云电脑所有权转移
+// @route   POST /api/transfers
+// @access  Private
+const createTransfer = asyncHandler(async (req, res) => {
+  const { cloudPCId, recipientEmail, message } = req.body;
+
+  const cloudPC = await CloudPC.findOne({
+    _id: cloudPCId,
+    user: req.user.id
+  });
+
+  if (!cloudPC) {
+    return res.status(404).json({
+      success: false,
+      error: '云电脑未找到'
+    });
+  }
+
+  const transfer = await ownershipTransferService.initiate(cloudPC, { recipientEmail, message });
+
+  logger.info('发起云电脑所有权转移', {
+    transferId: transfer._id,
+    cloudPCId: cloudPC._id,
+    userId: req.user.id,
+    toUserId: transfer.toUser,
+    ip: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      transfer
+    }
+  });
+});
+
+// @desc    接受所有权转移
+// @route   POST /api/transfers/:transferId/accept
+// @access  Private
+const acceptTransfer = asyncHandler(async (req, res) => {
+  const transfer = await ownershipTransferService.findPending(req.params.transferId, {
+    toUser: req.user.id
+  });
+
+  const result = await ownershipTransferService.accept(transfer);
+
+  res.json({
+    success: true,
+    message: '云电脑已转移到您的账户',
+    data: result
+  });
+});
+
+// @desc    拒绝所有权转移
+// @route   POST /api/transfers/:transferId/reject
+// @access  Private
+const rejectTransfer = asyncHandler(async (req, res) => {
+  const transfer = await ownershipTransferService.findPending(req.params.transferId, {
+    toUser: req.user.id
+  });
+
+  const rejected = await ownershipTransferService.close(transfer, 'rejected');
+
+  logger.info('拒绝云电脑所有权转移', {
+    transferId: transfer._id,
+    userId: req.user.id,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    data: {
+      transfer: rejected
+    }
+  });
+});
+
+// @desc    取消所有权转移
+// @route   POST /api/transfers/:transferId/cancel
+// @access  Private
+const cancelTransfer = asyncHandler(async (req, res) => {
+  const transfer = await ownershipTransferService.findPending(req.params.transferId, {
+    fromUser: req.user.id
+  });
+
+  const cancelled = await ownershipTransferService.close(transfer, 'cancelled');
+
+  logger.info('取消云电脑所有权转移', {
+    transferId: transfer._id,
+    userId: req.user.id,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    data: {
+      transfer: cancelled
+    }
+  });
+});
+
+// 路由配置
+router.get('/', authenticate, validateTransferQuery, getTransfers);
+router.post('/', authenticate, validateCreateTransfer, createTransfer);
+router.post('/:transferId/accept', authenticate, validateTransferId, acceptTransfer);
+router.post('/:transferId/reject', authenticate, validateTransferId, rejectTransfer);
+router.post('/:transferId/cancel', authenticate, validateTransferId, cancelTransfer);
+
+module.exports = router;
@@ -1,8 +1,11 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const CloudPC = require('../models/CloudPC');
 const { authenticate, authorize } = require('../middleware/auth');
 const { validateUpdateProfile, validatePasswordChange, validatePagination } = require('../middleware/validation');
 const { asyncHandler } = require('../middleware/errorHandler');
+const meteringService = require('../services/meteringService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -130,6 +133,13 @@ const updateUserStatus = asyncHandler(async (req, res) => {
   }
 
   user.status = status;
+  if (status === 'suspended') {
+    user.suspendedReason = 'admin';
+    user.suspendedAt = new Date();
+  } else {
+    user.suspendedReason = undefined;
+    user.suspendedAt = undefined;
+  }
   await user.save();
 
   logger.info('管理员更新用户状态', {
@@ -299,8 +309,6 @@ const getUserStats = asyncHandler(async (req, res) => {
 // @route   GET /api/users/:id/cloudpc-stats
 // @access  Private
 const getUserCloudPCStats = asyncHandler(async (req, res) => {
-  const CloudPC = require('../models/CloudPC');
-  
   const userId = req.params.id;
   
   // 权限检查
@@ -311,11 +319,26 @@ const getUserCloudPCStats = asyncHandler(async (req, res) => {
     });
   }
 
+  if (!mongoose.isValidObjectId(userId)) {
+    return res.status(400).json({
+      success: false,
+      error: '无效的用户ID'
+    });
+  }
+
+  if (!await User.exists({ _id: userId })) {
+    return res.status(404).json({
+      success: false,
+      error: '用户未找到'
+    });
+  }
+
   // 云电脑统计
+  const userObjectId = new mongoose.Types.ObjectId(userId);
   const totalCloudPCs = await CloudPC.countDocuments({ user: userId });
   
   const statusStats = await CloudPC.aggregate([
-    { $match: { user: CloudPC.castObjectId(userId) } },
+    { $match: { user: userObjectId } },
     {
       $group: {
         _id: '$status',
@@ -324,17 +347,8 @@ const getUserCloudPCStats = asyncHandler(async (req, res) => {
     }
   ]);
 
-  // 总计费用
-  const costStats = await CloudPC.aggregate([
-    { $match: { user: CloudPC.castObjectId(userId) } },
-    {
-      $group: {
-        _id: null,
-        totalCost: { $sum: '$billing.total' },
-        totalHours: { $sum: '$billing.hours' }
-      }
-    }
-  ]);
+  // 总计费用：按用户名下的用量区间汇总，含转移前后各自承担的部分和当前区间截至现在的费用
+  const usage = await meteringService.summarize({ user: userObjectId });
 
   const stats = {
     totalCloudPCs,
@@ -342,7 +356,12 @@ const getUserCloudPCStats = asyncHandler(async (req, res) => {
       acc[stat._id] = stat.count;
       return acc;
     }, {}),
-    billing: costStats[0] || { totalCost: 0, totalHours: 0 }
+    billing: {
+      totalCost: usage.cost.total,
+      totalHours: usage.quantities.computeHours,
+      cost: usage.cost,
+      quantities: usage.quantities
+    }
   };
 
   res.json({
@@ -0,0 +1,166 @@
+const express = require('express');
+const User = require('../models/User');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  validateWalletTransactionQuery,
+  validateWalletThreshold,
+  validateWalletTopup,
+  validateWalletRefund,
+  validateWalletAdjustment,
+  validateQuotaUserId
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const walletService = require('../services/walletService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// @desc    获取当前用户的余额
+// @route   GET /api/wallet
+// @access  Private
+const getMyWallet = asyncHandler(async (req, res) => {
+  const wallet = await walletService.getSummary(req.user.id);
+
+  res.json({
+    success: true,
+    data: wallet
+  });
+});
+
+// @desc    获取余额流水（管理员可通过 user 查看其他用户）
+// @route   GET /api/wallet/transactions?type=&from=&to=&user=
+// @access  Private
+const getTransactions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, type, from, to, user } = req.query;
+  const userId = req.user.role === 'admin' && user ? user : req.user.id;
+
+  const { transactions, total } = await walletService.listTransactions(userId, { type, from, to }, {
+    limit: limit * 1,
+    skip: (page - 1) * limit
+  });
+
+  res.json({
+    success: true,
+    data: {
+      transactions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    设置低余额预警阈值
+// @route   PUT /api/wallet/threshold
+// @access  Private
+const updateThreshold = asyncHandler(async (req, res) => {
+  const wallet = await walletService.setThreshold(req.user.id, req.body.lowBalanceThreshold);
+
+  res.json({
+    success: true,
+    data: wallet
+  });
+});
+
+// @desc    对账：各科目合计和余额与流水不一致的用户
+// @route   GET /api/wallet/reconcile
+// @access  Private/Admin
+const reconcile = asyncHandler(async (req, res) => {
+  const report = await walletService.reconcile();
+
+  if (!report.balanced || report.mismatches.length > 0) {
+    logger.error('余额对账不平', {
+      accounts: report.accounts,
+      mismatches: report.mismatches.length,
+      adminId: req.user.id
+    });
+  }
+
+  res.json({
+    success: true,
+    data: report
+  });
+});
+
+// @desc    获取用户的余额
+// @route   GET /api/wallet/users/:userId
+// @access  Private/Admin
+const getUserWallet = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.userId).select('name email status suspendedReason');
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: '用户未找到'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      user,
+      ...(await walletService.getSummary(user._id))
+    }
+  });
+});
+
+// 管理员记账：充值、退款、调整
+const postTransaction = (type, method) => asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.userId).select('_id');
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: '用户未找到'
+    });
+  }
+
+  const { amount, reference, description } = req.body;
+  const options = { actor: req.user.id, reference, description };
+  const transaction = await walletService[method](user._id, amount, options);
+
+  logger.info('管理员余额记账', {
+    transactionId: transaction._id,
+    userId: user._id,
+    type,
+    amount: transaction.amount,
+    reference,
+    adminId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      transaction,
+      wallet: await walletService.getSummary(user._id)
+    }
+  });
+});
+
+// @desc    充值，同一付款流水号只入账一次
+// @route   POST /api/wallet/users/:userId/topup
+// @access  Private/Admin
+const topup = postTransaction('topup', 'topup');
+
+// @desc    退款到余额
+// @route   POST /api/wallet/users/:userId/refund
+// @access  Private/Admin
+const refund = postTransaction('refund', 'refund');
+
+// @desc    调整余额，金额为负数时扣减
+// @route   POST /api/wallet/users/:userId/adjust
+// @access  Private/Admin
+const adjust = postTransaction('adjustment', 'adjust');
+
+// 路由配置
+router.get('/', authenticate, getMyWallet);
+router.get('/transactions', authenticate, validateWalletTransactionQuery, getTransactions);
+router.put('/threshold', authenticate, validateWalletThreshold, updateThreshold);
+router.get('/reconcile', authenticate, authorize('admin'), reconcile);
+router.get('/users/:userId', authenticate, authorize('admin'), validateQuotaUserId, getUserWallet);
+router.post('/users/:userId/topup', authenticate, authorize('admin'), validateWalletTopup, topup);
+router.post('/users/:userId/refund', authenticate, authorize('admin'), validateWalletRefund, refund);
+router.post('/users/:userId/adjust', authenticate, authorize('admin'), validateWalletAdjustment, adjust);
+
+module.exports = router;
@@ -14,6 +14,21 @@ const path = require('path');
 const authRoutes = require('./routes/auth');
 const cloudPCRoutes = require('./routes/cloudpc');
 const userRoutes = require('./routes/users');
+const operationRoutes = require('./routes/operations');
+const imageRoutes = require('./routes/images');
+const templateRoutes = require('./routes/templates');
+const addressPoolRoutes = require('./routes/addressPools');
+const regionRoutes = require('./routes/regions');
+const hostRoutes = require('./routes/hosts');
+const billingRoutes = require('./routes/billing');
+const walletRoutes = require('./routes/wallet');
+const planRoutes = require('./routes/plans');
+const subscriptionRoutes = require('./routes/subscriptions');
+const promotionRoutes = require('./routes/promotions');
+const quotaRoutes = require('./routes/quotas');
+const transferRoutes = require('./routes/transfers');
+const gatewayRoutes = require('./routes/gateway');
+const metadataRoutes = require('./routes/metadata');
 
 // 导入中间件
 const { errorHandler, notFound } = require('./middleware/errorHandler');
@@ -24,11 +39,34 @@ const logger = require('./utils/logger');
 const { connect, healthCheck: dbHealthCheck, getConnectionStatus } = require('./config/database');
 
 // 导入WebSocket服务
-const { initializeCloudPCWebSocket } = require('./services/websocket');
+const { initializeCloudPCWebSocket } = require('./services/cloudpc-websocket');
 
 // 导入缓存服务
 const cacheService = require('./services/cacheService');
 
+// 导入操作队列
+const operationQueue = require('./services/operationQueue');
+
+// 导入自动备份调度
+const backupScheduler = require('./services/backupScheduler');
+const idleMonitor = require('./services/idleMonitor');
+const powerScheduler = require('./services/powerScheduler');
+const recycleBinService = require('./services/recycleBinService');
+const meteringService = require('./services/meteringService');
+const invoiceService = require('./services/invoiceService');
+const walletService = require('./services/walletService');
+const planService = require('./services/planService');
+const subscriptionService = require('./services/subscriptionService');
+const promotionService = require('./services/promotionService');
+
+// 导入镜像服务
+const imageService = require('./services/imageService');
+
+// 导入地址分配服务
+const addressAllocator = require('./services/addressAllocator');
+const placementService = require('./services/placementService');
+const hostScheduler = require('./services/hostScheduler');
+
 // 导入监控服务
 const monitoringService = require('./services/monitoringService');
 const client = require('prom-client');
@@ -97,6 +135,8 @@ const generalLimiter = rateLimit({
     error: '请求过于频繁，请稍后再试',
     retryAfter: '15分钟'
   },
+  // 连接网关从少数地址转发所有用户的连接，不按IP限制
+  skip: (req) => req.path.startsWith('/gateway/'),
   standardHeaders: true,
   legacyHeaders: false
 });
@@ -269,6 +309,23 @@ app.get('/status', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/cloudpc', cloudPCRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/operations', operationRoutes);
+app.use('/api/images', imageRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/address-pools', addressPoolRoutes);
+app.use('/api/regions', regionRoutes);
+app.use('/api/hosts', hostRoutes);
+app.use('/api/billing', billingRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/subscription', subscriptionRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/quotas', quotaRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/gateway', gatewayRoutes);
+
+// 云电脑实例内访问的元数据服务，以实例身份令牌认证
+app.use('/metadata/v1', metadataRoutes);
 
 // 静态文件服务（用于生产环境）
 if (process.env.NODE_ENV === 'production') {
@@ -309,6 +366,44 @@ const startServer = async () => {
       logger.warn('缓存服务初始化失败，但服务器继续运行:', cacheError.message);
     }
     
+    // 启动操作队列工作进程
+    await operationQueue.start();
+    logger.info('操作队列初始化成功');
+    
+    // 启动自动备份、空闲自动关机、电源计划调度、用量计量、月度账单、余额扣费和订阅续费
+    backupScheduler.start();
+    idleMonitor.start();
+    await powerScheduler.start();
+    recycleBinService.start();
+    meteringService.start();
+    invoiceService.start();
+    walletService.start();
+    subscriptionService.start();
+    
+    // 初始化基础镜像
+    await imageService.ensureBaseImages();
+    
+    // 初始化内置套餐
+    await planService.ensurePlans();
+    
+    // 初始化地址池并补录存量云电脑的地址
+    await addressAllocator.ensurePools();
+    await addressAllocator.syncExisting();
+    
+    // 初始化机房和可用区并重新统计可用区和宿主机已分配的容量
+    await placementService.ensureRegions();
+    await placementService.syncUsage();
+    await hostScheduler.syncUsage();
+    
+    // 为尚未计量的云电脑开始计量并重新统计累计费用
+    await meteringService.syncUsage();
+    
+    // 恢复中断的余额流水
+    await walletService.recover();
+    
+    // 补记中断的优惠码赠送余额
+    await promotionService.recover();
+    
     // 初始化监控服务
     try {
       // 设置定期更新监控指标
@@ -360,6 +455,17 @@ const gracefulShutdown = async (signal) => {
     logger.info('HTTP服务器已关闭');
     
     try {
+      // 停止自动备份调度和领取新的异步操作
+      backupScheduler.stop();
+      idleMonitor.stop();
+      powerScheduler.stop();
+      recycleBinService.stop();
+      meteringService.stop();
+      invoiceService.stop();
+      walletService.stop();
+      subscriptionService.stop();
+      await operationQueue.stop();
+      
       // 关闭缓存服务
       if (cacheService) {
         await cacheService.close();
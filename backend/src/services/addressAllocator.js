@@ -0,0 +1,363 @@
+/**
+ * 地址分配服务
+ * 管理各机房的地址池，为云电脑分配和释放IP、端口
+ * 每个IP或端口对应一条带唯一索引的分配记录，按地址池游标轮转选取候选地址，并发分配时冲突的一方自动尝试下一个地址
+ */
+
+const AddressPool = require('../models/AddressPool');
+const AddressAllocation = require('../models/AddressAllocation');
+const CloudPC = require('../models/CloudPC');
+const networkConfig = require('../config/network');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// 按游标选取的候选地址连续被占用的次数上限，超过后改为扫描空闲地址
+const CURSOR_ATTEMPTS = 5;
+
+// 扫描空闲地址时并发冲突最多重试的次数
+const MAX_ATTEMPTS = 20;
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+const ipToNumber = (ip) => ip.split('.').reduce((acc, octet) => acc * 256 + parseInt(octet, 10), 0);
+
+const numberToIp = (value) => [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+
+/**
+ * 解析地址段，返回可分配的主机地址范围（不含网络地址和广播地址）
+ * @param {string} cidr - 如 10.10.1.0/24
+ * @returns {{first: number, last: number}}
+ */
+const parseSubnet = (cidr) => {
+  const [address, bits] = cidr.split('/');
+  const prefix = parseInt(bits, 10);
+  const size = 2 ** (32 - prefix);
+  const network = Math.floor(ipToNumber(address) / size) * size;
+  return { first: network + 1, last: network + size - 2 };
+};
+
+class AddressAllocator {
+  constructor() {
+    this.config = networkConfig;
+  }
+
+  /**
+   * 判断IP是否属于地址段内的可分配地址
+   */
+  isIpInSubnet(ip, cidr) {
+    const { first, last } = parseSubnet(cidr);
+    const value = ipToNumber(ip);
+    return value >= first && value <= last;
+  }
+
+  /**
+   * 地址段可分配的IP数量
+   */
+  getSubnetCapacity(cidr) {
+    const { first, last } = parseSubnet(cidr);
+    return Math.max(last - first + 1, 0);
+  }
+
+  /**
+   * 从地址段中找出第一个未使用的IP
+   * @param {string} cidr - 地址段
+   * @param {Set<string>} used - 已使用的IP
+   * @returns {string|null}
+   */
+  findFreeIp(cidr, used) {
+    const { first, last } = parseSubnet(cidr);
+    for (let value = first; value <= last; value++) {
+      const ip = numberToIp(value);
+      if (!used.has(ip)) {
+        return ip;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 地址池中IP或端口的可分配范围
+   * @returns {{first: number, last: number}} IP以数值表示
+   */
+  getRange(pool, kind) {
+    return kind === 'ip'
+      ? parseSubnet(pool.subnet)
+      : { first: pool.portRange.min, last: pool.portRange.max };
+  }
+
+  /**
+   * 从端口范围中找出第一个未使用的端口
+   * @param {Set<number>} used - 已使用的端口
+   * @param {Object} range - { min, max }，默认使用配置的端口范围
+   * @returns {number|null}
+   */
+  findFreePort(used, range = this.config.portRange) {
+    for (let port = range.min; port <= range.max; port++) {
+      if (!used.has(port)) {
+        return port;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 确保每个机房都有地址池，缺失时按配置创建
+   */
+  async ensurePools() {
+    for (const [location, subnet] of Object.entries(this.config.subnets)) {
+      await this.ensurePool(location, subnet);
+    }
+  }
+
+  /**
+   * 确保机房有地址池，已存在时保持原配置
+   * @param {string} location - 机房位置
+   * @param {string} subnet - 地址段
+   */
+  async ensurePool(location, subnet) {
+    await AddressPool.updateOne(
+      { location },
+      {
+        $setOnInsert: {
+          location,
+          subnet,
+          portRange: { ...this.config.portRange }
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * 获取机房地址池
+   */
+  async getPool(location) {
+    const pool = await AddressPool.findOne({ location });
+    if (!pool) {
+      throw new AppError(`机房 ${location} 未配置地址池`, 400);
+    }
+    return pool;
+  }
+
+  /**
+   * 递增地址池游标，返回下一个候选IP或端口
+   * @returns {Promise<string|number>}
+   */
+  async nextCandidate(pool, kind) {
+    const updated = await AddressPool.findOneAndUpdate(
+      { _id: pool._id },
+      { $inc: { [`cursor.${kind}`]: 1 } },
+      { new: true }
+    );
+    const { first, last } = this.getRange(updated, kind);
+    const value = first + (updated.cursor[kind] - 1) % (last - first + 1);
+    return kind === 'ip' ? numberToIp(value) : value;
+  }
+
+  /**
+   * 写入分配记录，值已被占用时返回 null
+   * @returns {Promise<AddressAllocation|null>}
+   */
+  async tryClaim(pool, kind, value, details) {
+    try {
+      return await AddressAllocation.create({
+        location: pool.location,
+        kind,
+        value: String(value),
+        ...details
+      });
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 占用一个IP或端口
+   * 先按游标轮转选取候选值，通常一次写入即可完成，刚释放的地址也不会立即被复用；
+   * 候选值连续被占用（地址池接近用完）时扫描已占用的值找出空闲值，冲突时重新扫描
+   * @param {AddressPool} pool - 地址池
+   * @param {string} kind - ip / port
+   * @param {Object} details - { cloudPC, status, reason, createdBy }
+   * @returns {Promise<AddressAllocation>}
+   */
+  async claim(pool, kind, details) {
+    for (let attempt = 0; attempt < CURSOR_ATTEMPTS; attempt++) {
+      const allocation = await this.tryClaim(pool, kind, await this.nextCandidate(pool, kind), details);
+      if (allocation) {
+        return allocation;
+      }
+    }
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const taken = await AddressAllocation.distinct('value', { location: pool.location, kind });
+      const value = kind === 'ip'
+        ? this.findFreeIp(pool.subnet, new Set(taken))
+        : this.findFreePort(new Set(taken.map(Number)), pool.portRange);
+
+      if (value === null) {
+        throw new AppError(`机房 ${pool.location} 的${kind === 'ip' ? 'IP地址' : '端口'}已分配完，请选择其他机房`, 503);
+      }
+
+      const allocation = await this.tryClaim(pool, kind, value, details);
+      if (allocation) {
+        return allocation;
+      }
+    }
+
+    throw new AppError('地址分配冲突过多，请稍后重试', 503);
+  }
+
+  /**
+   * 为云电脑分配IP和端口
+   * @param {string} location - 机房位置
+   * @param {string} cloudPCId - 云电脑ID
+   * @returns {Promise<{ip: string, port: number}>}
+   */
+  async allocate(location = 'beijing', cloudPCId) {
+    const pool = await this.getPool(location);
+
+    const ipAllocation = await this.claim(pool, 'ip', { cloudPC: cloudPCId });
+    try {
+      const portAllocation = await this.claim(pool, 'port', { cloudPC: cloudPCId });
+      return { ip: ipAllocation.value, port: parseInt(portAllocation.value, 10) };
+    } catch (error) {
+      await ipAllocation.deleteOne();
+      throw error;
+    }
+  }
+
+  /**
+   * 释放云电脑占用的IP和端口
+   * @returns {Promise<number>} 释放的记录数
+   */
+  async release(cloudPCId) {
+    const result = await AddressAllocation.deleteMany({ cloudPC: cloudPCId, status: 'allocated' });
+    return result.deletedCount;
+  }
+
+  /**
+   * 保留IP或端口，不指定值时保留下一个空闲值
+   * @param {string} location - 机房位置
+   * @param {Object} params - { kind, value, reason, createdBy }
+   * @returns {Promise<AddressAllocation>}
+   */
+  async reserve(location, { kind, value, reason, createdBy }) {
+    const pool = await this.getPool(location);
+    const details = { status: 'reserved', reason, createdBy };
+
+    if (value === undefined || value === null || value === '') {
+      return this.claim(pool, kind, details);
+    }
+
+    if (kind === 'ip' && !this.isIpInSubnet(String(value), pool.subnet)) {
+      throw new AppError(`IP ${value} 不在地址段 ${pool.subnet} 内`, 400);
+    }
+    if (kind === 'port' && (value < pool.portRange.min || value > pool.portRange.max)) {
+      throw new AppError(`端口 ${value} 不在端口范围 ${pool.portRange.min}-${pool.portRange.max} 内`, 400);
+    }
+
+    try {
+      return await AddressAllocation.create({ location, kind, value: String(value), ...details });
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        throw new AppError(`${kind === 'ip' ? 'IP' : '端口'} ${value} 已被占用`, 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 更新地址池，已占用的地址必须仍在新的地址段和端口范围内
+   * @param {string} location - 机房位置
+   * @param {Object} updates - { subnet, portRange, description }
+   * @returns {Promise<AddressPool>}
+   */
+  async updatePool(location, { subnet, portRange, description }) {
+    const pool = await this.getPool(location);
+    const nextSubnet = subnet || pool.subnet;
+    const nextRange = portRange || pool.portRange;
+
+    if (nextRange.min > nextRange.max) {
+      throw new AppError('端口范围的起始值不能大于结束值', 400);
+    }
+
+    const allocations = await AddressAllocation.find({ location }).select('kind value').lean();
+    const outside = allocations.filter(({ kind, value }) => (kind === 'ip'
+      ? !this.isIpInSubnet(value, nextSubnet)
+      : Number(value) < nextRange.min || Number(value) > nextRange.max));
+    if (outside.length > 0) {
+      throw new AppError(`有 ${outside.length} 个已占用的地址不在新的范围内，请先释放`, 409);
+    }
+
+    pool.subnet = nextSubnet;
+    pool.portRange = { min: nextRange.min, max: nextRange.max };
+    if (description !== undefined) {
+      pool.description = description;
+    }
+    await pool.save();
+    return pool;
+  }
+
+  /**
+   * 获取地址池用量
+   */
+  async getUsage(pool) {
+    const counts = await AddressAllocation.aggregate([
+      { $match: { location: pool.location } },
+      { $group: { _id: { kind: '$kind', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const usage = {
+      ip: { capacity: this.getSubnetCapacity(pool.subnet), allocated: 0, reserved: 0 },
+      port: { capacity: pool.portRange.max - pool.portRange.min + 1, allocated: 0, reserved: 0 }
+    };
+    counts.forEach(({ _id, count }) => {
+      usage[_id.kind][_id.status] = count;
+    });
+    return usage;
+  }
+
+  /**
+   * 为尚未登记分配记录的存量云电脑补录IP和端口
+   * 地址冲突的云电脑只记录警告，需要管理员处理
+   * @returns {Promise<number>} 补录的云电脑数量
+   */
+  async syncExisting() {
+    const allocated = await AddressAllocation.distinct('cloudPC', { status: 'allocated' });
+    const cloudPCs = await CloudPC.find({ _id: { $nin: allocated } }).select('location ip port').lean();
+    let synced = 0;
+
+    for (const cloudPC of cloudPCs) {
+      try {
+        await AddressAllocation.insertMany([
+          { location: cloudPC.location, kind: 'ip', value: cloudPC.ip, cloudPC: cloudPC._id },
+          { location: cloudPC.location, kind: 'port', value: String(cloudPC.port), cloudPC: cloudPC._id }
+        ], { ordered: false });
+        synced++;
+      } catch (error) {
+        if (!isDuplicateKey(error)) {
+          throw error;
+        }
+        logger.warn('存量云电脑地址冲突', {
+          cloudPCId: cloudPC._id,
+          location: cloudPC.location,
+          ip: cloudPC.ip,
+          port: cloudPC.port
+        });
+      }
+    }
+
+    if (synced > 0) {
+      logger.info('已补录存量云电脑地址', { count: synced });
+    }
+    return synced;
+  }
+}
+
+// 创建单例实例
+const addressAllocator = new AddressAllocator();
+
+module.exports = addressAllocator;
@@ -0,0 +1,212 @@
+/**
+ * 自动备份调度
+ * 按云电脑的 autoBackup 设置定期提交备份快照，并清理超过保留期的备份
+ */
+
+const cron = require('node-cron');
+const CloudPC = require('../models/CloudPC');
+const backupConfig = require('../config/backups');
+const { requestSnapshot, deleteSnapshot } = require('./cloudpcLifecycle');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// 向云电脑日志追加一条记录
+const appendLog = (cloudPCId, level, message) => {
+  return CloudPC.updateOne({ _id: cloudPCId }, {
+    $push: {
+      logs: {
+        $each: [{ level, message, source: 'backup' }],
+        $slice: -100
+      }
+    }
+  });
+};
+
+// 上次备份早于到期界限（或从未备份）的条件
+const dueCondition = (frequency, now) => ({
+  'autoBackup.frequency': frequency,
+  $or: [
+    { 'autoBackup.lastBackupAt': { $exists: false } },
+    { 'autoBackup.lastBackupAt': null },
+    { 'autoBackup.lastBackupAt': { $lte: backupConfig.getDueBefore(frequency, now) } }
+  ]
+});
+
+class BackupScheduler {
+  constructor() {
+    this.config = backupConfig;
+    this.task = null;
+    this.running = false;
+  }
+
+  /**
+   * 启动定时调度
+   */
+  start() {
+    if (!this.config.enabled || this.task) {
+      return;
+    }
+
+    this.task = cron.schedule(this.config.cron, () => this.run(), {
+      timezone: this.config.timezone
+    });
+
+    logger.info('自动备份调度已启动', {
+      cron: this.config.cron,
+      timezone: this.config.timezone
+    });
+  }
+
+  /**
+   * 停止定时调度
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * 执行一轮调度：提交到期的备份并清理过期备份
+   * 上一轮未结束时跳过本轮
+   */
+  async run(now = new Date()) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const scheduled = await this.scheduleDueBackups(now);
+      const pruned = await this.pruneExpiredBackups(now);
+      return { scheduled, pruned };
+    } catch (error) {
+      logger.error('自动备份调度失败', { error: error.message });
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 为到期的云电脑提交备份
+   * 先以上次备份时间为条件原子更新，多个实例同时调度时只有一个会提交
+   * @returns {Promise<number>} 提交的备份数量
+   */
+  async scheduleDueBackups(now = new Date()) {
+    const candidates = await CloudPC.find({
+      backupEnabled: true,
+      status: { $in: ['stopped', 'running'] },
+      'pendingResize.requestedAt': { $exists: false },
+      'pendingMigration.requestedAt': { $exists: false },
+      $or: FREQUENCIES.map(frequency => dueCondition(frequency, now))
+    })
+      .select('_id autoBackup')
+      .limit(this.config.batchSize);
+
+    let scheduled = 0;
+
+    for (const candidate of candidates) {
+      const frequency = candidate.autoBackup.frequency;
+      const previous = candidate.autoBackup.lastBackupAt;
+
+      const cloudPC = await CloudPC.findOneAndUpdate(
+        { _id: candidate._id, ...dueCondition(frequency, now) },
+        { $set: { 'autoBackup.lastBackupAt': now } },
+        { new: true }
+      );
+      if (!cloudPC) continue;
+
+      try {
+        await requestSnapshot(cloudPC, {
+          name: `自动备份 ${now.toISOString().slice(0, 10)}`,
+          description: `${frequency} 自动备份`,
+          kind: 'backup'
+        }, { source: 'scheduler' });
+        scheduled++;
+      } catch (error) {
+        if (error.statusCode === 409) {
+          // 云电脑状态刚好发生变化，恢复备份时间，下一轮再试
+          await CloudPC.updateOne(
+            { _id: cloudPC._id },
+            previous ? { $set: { 'autoBackup.lastBackupAt': previous } } : { $unset: { 'autoBackup.lastBackupAt': 1 } }
+          );
+          continue;
+        }
+
+        logger.error('提交自动备份失败', {
+          cloudPCId: cloudPC._id,
+          error: error.message
+        });
+        await appendLog(cloudPC._id, 'error', `自动备份失败: ${error.message}`);
+      }
+    }
+
+    if (scheduled > 0) {
+      logger.info('已提交自动备份', { count: scheduled });
+    }
+
+    return scheduled;
+  }
+
+  /**
+   * 删除超过保留期的备份，始终保留最近一个可用的备份
+   * @returns {Promise<number>} 删除的备份数量
+   */
+  async pruneExpiredBackups(now = new Date()) {
+    const cloudPCs = await CloudPC.find({ 'snapshots.kind': 'backup' });
+    let pruned = 0;
+
+    for (const cloudPC of cloudPCs) {
+      const expiredBefore = new Date(now.getTime() - cloudPC.autoBackup.retention * DAY_MS);
+      const backups = cloudPC.snapshots
+        .filter(snapshot => snapshot.kind === 'backup' && snapshot.status !== 'creating')
+        .sort((a, b) => b.createdAt - a.createdAt);
+      const latest = backups.find(snapshot => snapshot.status === 'available');
+
+      const expired = backups.filter(snapshot => snapshot.createdAt < expiredBefore && snapshot !== latest);
+
+      for (const backup of expired) {
+        try {
+          await deleteSnapshot(cloudPC, backup._id);
+          pruned++;
+        } catch (error) {
+          logger.warn('清理过期备份失败', {
+            cloudPCId: cloudPC._id,
+            snapshotId: backup._id,
+            error: error.message
+          });
+          await appendLog(cloudPC._id, 'warning', `清理过期备份 ${backup.name} 失败: ${error.message}`);
+        }
+      }
+    }
+
+    if (pruned > 0) {
+      logger.info('已清理过期备份', { count: pruned });
+    }
+
+    return pruned;
+  }
+
+  /**
+   * 获取云电脑的备份计划
+   */
+  getSchedule(cloudPC) {
+    const { frequency, retention, lastBackupAt } = cloudPC.autoBackup;
+    return {
+      enabled: cloudPC.backupEnabled,
+      frequency,
+      retention,
+      lastBackupAt,
+      nextBackupAt: cloudPC.backupEnabled ? backupConfig.getNextBackupAt(lastBackupAt, frequency) : null
+    };
+  }
+}
+
+// 创建单例实例
+const backupScheduler = new BackupScheduler();
+
+module.exports = backupScheduler;
@@ -0,0 +1,162 @@
+/**
+ * 批量操作服务
+ * 按ID列表或标签、状态筛选出用户的云电脑，并发执行电源操作或删除（移入回收站），逐台返回结果
+ */
+
+const CloudPC = require('../models/CloudPC');
+const stateMachine = require('./cloudpcStateMachine');
+const { requestPowerAction } = require('./cloudpcLifecycle');
+const recycleBinService = require('./recycleBinService');
+const { AppError } = require('../middleware/errorHandler');
+
+// 单次批量操作最多涉及的云电脑数量
+const MAX_TARGETS = 100;
+
+// 同时执行的操作数量
+const CONCURRENCY = 5;
+
+const BULK_ACTIONS = ['start', 'stop', 'restart', 'delete'];
+
+/**
+ * 按并发上限依次处理列表，结果顺序与输入一致
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * 查找批量操作涉及的云电脑
+ * @param {string} userId - 用户ID
+ * @param {Object} target - { ids } 或 { filter: { tag, status } }
+ * @returns {Promise<{cloudPCs: CloudPC[], missing: string[]}>} missing 为不存在或不属于该用户的ID
+ */
+const resolveTargets = async (userId, { ids, filter }) => {
+  if (ids) {
+    const cloudPCs = await CloudPC.find({ _id: { $in: ids }, user: userId });
+    const found = new Set(cloudPCs.map(cloudPC => String(cloudPC._id)));
+    return {
+      cloudPCs,
+      missing: [...new Set(ids.map(String))].filter(id => !found.has(id))
+    };
+  }
+
+  const query = { user: userId };
+  if (filter.tag) {
+    query.tags = filter.tag;
+  }
+  if (filter.status) {
+    query.status = filter.status;
+  }
+
+  const cloudPCs = await CloudPC.find(query).sort('createdAt').limit(MAX_TARGETS + 1);
+  if (cloudPCs.length > MAX_TARGETS) {
+    throw new AppError(`筛选到的云电脑超过${MAX_TARGETS}台，请缩小筛选范围`, 400);
+  }
+  return { cloudPCs, missing: [] };
+};
+
+/**
+ * 判断云电脑当前能否执行操作，删除与移入回收站使用同一校验
+ * @returns {Promise<string|null>} 不能执行的原因
+ */
+const getIneligibleReason = async (cloudPC, action) => {
+  if (action === 'delete') {
+    try {
+      await recycleBinService.assertCanDelete(cloudPC);
+      return null;
+    } catch (error) {
+      if (error instanceof AppError) {
+        return error.message;
+      }
+      throw error;
+    }
+  }
+  if (cloudPC.pendingResize && cloudPC.pendingResize.requestedAt) {
+    return '云电脑正在调整配置';
+  }
+  if (cloudPC.pendingMigration && cloudPC.pendingMigration.requestedAt) {
+    return '云电脑正在迁移';
+  }
+  if (!stateMachine.canTransition(cloudPC.status, action)) {
+    return `云电脑当前状态为${stateMachine.STATE_LABELS[cloudPC.status] || cloudPC.status}`;
+  }
+  return null;
+};
+
+const summarize = (results) => ({
+  total: results.length,
+  succeeded: results.filter(result => result.success).length,
+  failed: results.filter(result => !result.success).length
+});
+
+/**
+ * 执行或预览批量操作
+ * @param {string} userId - 用户ID
+ * @param {Object} params - { action, ids, filter, dryRun }
+ * @returns {Promise<{action: string, dryRun: boolean, summary: Object, results: Object[]}>}
+ */
+const runBulkAction = async (userId, { action, ids, filter, dryRun = false }) => {
+  if (!BULK_ACTIONS.includes(action)) {
+    throw new AppError(`不支持的批量操作: ${action}`, 400);
+  }
+
+  const { cloudPCs, missing } = await resolveTargets(userId, { ids, filter });
+  const missingResults = missing.map(id => ({ id, success: false, error: '云电脑未找到' }));
+
+  // 预览：只判断每台云电脑当前能否执行，不做任何修改
+  if (dryRun) {
+    const checked = await mapWithConcurrency(cloudPCs, CONCURRENCY, async (cloudPC) => {
+      const reason = await getIneligibleReason(cloudPC, action);
+      return {
+        id: String(cloudPC._id),
+        name: cloudPC.name,
+        status: cloudPC.status,
+        success: !reason,
+        ...(reason && { error: reason })
+      };
+    });
+    const results = checked.concat(missingResults);
+
+    return { action, dryRun: true, summary: summarize(results), results };
+  }
+
+  const executed = await mapWithConcurrency(cloudPCs, CONCURRENCY, async (cloudPC) => {
+    const base = { id: String(cloudPC._id), name: cloudPC.name };
+    try {
+      if (action === 'delete') {
+        await recycleBinService.moveToRecycleBin(cloudPC);
+        return { ...base, success: true };
+      }
+
+      const { cloudPC: updated, operation } = await requestPowerAction(cloudPC, action, {
+        user: userId,
+        source: 'bulk'
+      });
+      return { ...base, success: true, status: updated.status, operation: operation._id };
+    } catch (error) {
+      return { ...base, success: false, status: cloudPC.status, error: error.message };
+    }
+  });
+
+  const results = executed.concat(missingResults);
+  return { action, dryRun: false, summary: summarize(results), results };
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_TARGETS,
+  runBulkAction,
+  getIneligibleReason,
+  mapWithConcurrency
+};
@@ -197,6 +197,10 @@ class CacheService {
     }
   }
 
+  async invalidateUserCloudPCCache(userId) {
+    return await this.invalidate('userCloudPCsChanged', { userId });
+  }
+
   /**
    * 统计数据缓存
    */
@@ -1,7 +1,13 @@
 const WebSocket = require('ws');
-const jwt = require('jsonwebtoken');
+const connectionBroker = require('./connectionBroker');
 const logger = require('../utils/logger');
 
+// 表示用户正在操作的消息类型
+const ACTIVITY_TYPES = ['terminal_input', 'clipboard_sync', 'mouse_event', 'keyboard_event'];
+
+// 票据兑换完成前最多缓存的消息数量，超出时断开连接
+const MAX_PENDING_MESSAGES = 50;
+
 // WebSocket连接管理
 class CloudPCWebSocketService {
   constructor() {
@@ -22,34 +28,84 @@ class CloudPCWebSocketService {
     logger.info('云电脑WebSocket服务初始化成功');
   }
 
-  // 处理新连接
-  handleConnection(ws, req) {
+  // 处理新连接，网页控制台以连接票据认证，本服务即控制台协议的网关
+  // 监听器在兑换票据前同步注册：兑换期间收到的消息先缓存，兑换完成后按顺序处理
+  async handleConnection(ws, req) {
+    const pendingMessages = [];
+
+    // 监听消息
+    ws.on('message', (data) => {
+      if (ws.connectionInfo) {
+        this.handleMessage(ws, data);
+        return;
+      }
+      if (pendingMessages.length >= MAX_PENDING_MESSAGES) {
+        ws.close(1008, '连接尚未建立，消息过多');
+        return;
+      }
+      pendingMessages.push(data);
+    });
+
+    // 监听关闭，兑换期间关闭的连接不会注册
+    ws.on('close', () => {
+      this.handleDisconnect(ws);
+    });
+
+    // 监听错误
+    ws.on('error', (error) => {
+      logger.error('云电脑WebSocket错误', {
+        error: error.message,
+        sessionId: ws.connectionInfo?.sessionId,
+        cloudPCId: ws.connectionInfo?.cloudPCId
+      });
+    });
+
+    // 心跳检测
+    ws.on('pong', () => {
+      if (ws.connectionInfo) {
+        ws.connectionInfo.isAlive = true;
+      }
+    });
+
     try {
       const url = new URL(req.url, 'http://localhost');
-      const token = url.searchParams.get('token');
-      const cloudPCId = url.searchParams.get('cloudPCId');
+      const ticket = url.searchParams.get('ticket');
       const sessionId = url.searchParams.get('sessionId') || this.generateSessionId();
 
-      if (!token || !cloudPCId) {
-        ws.close(1008, '缺少必要的认证参数');
+      if (!ticket) {
+        ws.close(1008, '缺少连接票据');
         return;
       }
 
-      // 验证JWT token
-      let decoded;
+      let grant;
       try {
-        decoded = jwt.verify(token, process.env.JWT_SECRET);
+        ({ grant } = await connectionBroker.redeem(ticket, {
+          protocol: 'console',
+          gateway: 'console',
+          clientIp: req.socket.remoteAddress
+        }));
       } catch (error) {
-        ws.close(1008, '无效的认证令牌');
+        ws.close(1008, error.message);
+        return;
+      }
+
+      // 客户端在兑换期间已断开
+      if (ws.readyState !== WebSocket.OPEN) {
+        logger.info('云电脑WebSocket连接在建立前关闭', { sessionId });
         return;
       }
 
+      const cloudPCId = String(grant.cloudPC);
+      const userId = String(grant.user);
+
       // 存储连接信息
       const connectionInfo = {
-        userId: decoded.id,
+        userId,
+        grantId: grant._id,
         cloudPCId,
         sessionId,
         connectedAt: new Date(),
+        lastActivityAt: new Date(),
         isAlive: true,
         userAgent: req.headers['user-agent']
       };
@@ -64,7 +120,7 @@ class CloudPCWebSocketService {
       this.cloudPCConnections.get(cloudPCId).add(ws);
 
       logger.info('云电脑WebSocket连接建立', {
-        userId: decoded.id,
+        userId,
         cloudPCId,
         sessionId,
         userAgent: req.headers['user-agent']
@@ -81,33 +137,12 @@ class CloudPCWebSocketService {
         }
       });
 
-      // 监听消息
-      ws.on('message', (data) => {
-        this.handleMessage(ws, data);
-      });
-
-      // 监听关闭
-      ws.on('close', () => {
-        this.handleDisconnect(ws);
-      });
-
-      // 监听错误
-      ws.on('error', (error) => {
-        logger.error('云电脑WebSocket错误', {
-          error: error.message,
-          sessionId,
-          cloudPCId
-        });
-      });
-
-      // 心跳检测
-      ws.on('pong', () => {
-        ws.connectionInfo.isAlive = true;
-      });
-
       // 初始化Web终端会话
       this.initializeTerminalSession(ws, cloudPCId, sessionId);
 
+      // 处理兑换期间缓存的消息
+      pendingMessages.splice(0).forEach(data => this.handleMessage(ws, data));
+
     } catch (error) {
       logger.error('WebSocket连接处理错误', {
         error: error.message,
@@ -129,6 +164,11 @@ class CloudPCWebSocketService {
         cloudPCId: ws.connectionInfo.cloudPCId
       });
 
+      // 用户输入视为会话活跃，用于空闲检测
+      if (ACTIVITY_TYPES.includes(type)) {
+        ws.connectionInfo.lastActivityAt = new Date();
+      }
+
       switch (type) {
         case 'terminal_input':
           this.handleTerminalInput(ws, payload);
@@ -553,6 +593,50 @@ Swap:       2097152           0     2097152`;
     }
   }
 
+  // 向连接到指定云电脑的所有客户端发送消息
+  sendToCloudPC(cloudPCId, message) {
+    const connections = this.cloudPCConnections.get(cloudPCId);
+    if (!connections) return 0;
+
+    connections.forEach(ws => this.sendMessage(ws, message));
+    return connections.size;
+  }
+
+  // 断开指定用户在云电脑上的所有会话
+  disconnectUser(cloudPCId, userId, reason) {
+    const connections = this.cloudPCConnections.get(cloudPCId);
+    if (!connections) return 0;
+
+    let closed = 0;
+    connections.forEach(ws => {
+      if (String(ws.connectionInfo.userId) === String(userId)) {
+        ws.close(1008, reason);
+        closed++;
+      }
+    });
+    return closed;
+  }
+
+  // 获取云电脑的会话数量和最近一次用户操作时间
+  getSessionActivity(cloudPCId) {
+    const connections = this.cloudPCConnections.get(cloudPCId);
+    let lastActivityAt = null;
+
+    if (connections) {
+      connections.forEach(ws => {
+        const activityAt = ws.connectionInfo.lastActivityAt;
+        if (!lastActivityAt || activityAt > lastActivityAt) {
+          lastActivityAt = activityAt;
+        }
+      });
+    }
+
+    return {
+      sessions: connections ? connections.size : 0,
+      lastActivityAt
+    };
+  }
+
   // 生成会话ID
   generateSessionId() {
     return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -575,8 +659,8 @@ Swap:       2097152           0     2097152`;
       this.connections.forEach((connectionInfo, ws) => {
         if (ws.readyState === WebSocket.OPEN) {
           if (!connectionInfo.isAlive) {
+            // 由 close 事件统一清理连接映射
             ws.terminate();
-            this.connections.delete(ws);
           } else {
             connectionInfo.isAlive = false;
             ws.ping();
@@ -0,0 +1,941 @@
+/**
+ * 云电脑生命周期服务
+ * 注册生命周期操作处理器，并为路由、定时任务等调用方提供统一的操作入口
+ */
+
+const CloudPC = require('../models/CloudPC');
+const operationQueue = require('./operationQueue');
+const providerRegistry = require('./providers');
+const stateMachine = require('./cloudpcStateMachine');
+const cacheService = require('./cacheService');
+const snapshotService = require('./snapshotService');
+const quotaService = require('./quotaService');
+const placementService = require('./placementService');
+const hostScheduler = require('./hostScheduler');
+const meteringService = require('./meteringService');
+const Operation = require('../models/Operation');
+const Image = require('../models/Image');
+const Host = require('../models/Host');
+const metadataConfig = require('../config/metadata');
+const regionConfig = require('../config/regions');
+const capacityUtils = require('../utils/capacity');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// 电源操作：操作类型 -> 驱动方法、完成事件、取消事件
+const POWER_ACTIONS = {
+  start: { method: 'start', done: 'started', cancel: 'cancelStart' },
+  stop: { method: 'stop', done: 'stopped', cancel: 'cancelStop' },
+  restart: { method: 'reboot', done: 'restarted', cancel: 'cancelRestart' }
+};
+
+// 不可重试的错误（如云电脑已被删除、状态已被其他请求改变）
+const fatal = (error) => {
+  const fatalError = error instanceof Error ? error : new Error(error);
+  fatalError.retryable = false;
+  return fatalError;
+};
+
+// 每次执行都重新读取云电脑，避免使用过期文档
+const loadCloudPC = async (operation) => {
+  const cloudPC = await CloudPC.findById(operation.cloudPC);
+  if (!cloudPC) {
+    throw fatal('云电脑不存在');
+  }
+  return cloudPC;
+};
+
+// 创建实例时注入的元数据服务地址和实例身份令牌
+const instanceMetadata = (cloudPC) => ({
+  url: metadataConfig.serviceUrl,
+  token: metadataConfig.getInstanceToken(cloudPC._id)
+});
+
+// 传给驱动的宿主机描述
+const describeHost = (host) => ({
+  id: String(host._id),
+  name: host.name,
+  address: host.address
+});
+
+// 创建或重建实例时传给驱动的参数：元数据服务信息和调度选定的宿主机
+const instanceOptions = async (cloudPC) => {
+  const host = cloudPC.host ? await Host.findById(cloudPC.host).select('name address') : null;
+  return {
+    metadata: instanceMetadata(cloudPC),
+    host: host ? describeHost(host) : undefined
+  };
+};
+
+// conditions 用于定位数组元素，例如 { 'snapshots._id': id }
+const updateCloudPC = async (cloudPCId, update, conditions = {}) => {
+  await CloudPC.updateOne({ _id: cloudPCId, ...conditions }, update);
+  await cacheService.invalidateCloudPCCache(cloudPCId);
+};
+
+// 由操作触发的状态迁移，状态冲突时不再重试
+const settle = async (cloudPC, event, operation, update) => {
+  try {
+    const updated = await stateMachine.transition(cloudPC, event, {
+      source: 'operation',
+      operation: operation._id,
+      update
+    });
+    await cacheService.invalidateCloudPCCache(updated._id);
+    return updated;
+  } catch (error) {
+    throw fatal(error);
+  }
+};
+
+// 操作最终失败时将云电脑置为错误状态并记录日志
+const markError = async (operation, error) => {
+  if (!operation.cloudPC) return;
+
+  const cloudPC = await CloudPC.findById(operation.cloudPC).select('status');
+  if (!cloudPC || !stateMachine.canTransition(cloudPC.status, 'fail')) return;
+
+  await settle(cloudPC, 'fail', operation, {
+    $push: {
+      logs: {
+        $each: [{ level: 'error', message: `${operation.type} 失败: ${error.message}`, source: 'operation' }],
+        $slice: -100
+      }
+    }
+  });
+};
+
+operationQueue.registerHandler('create', {
+  async run(operation, context) {
+    const cloudPC = await loadCloudPC(operation);
+    const provider = providerRegistry.getProviderFor(cloudPC);
+
+    // 从快照创建时使用快照在驱动侧的标识，使用自定义镜像时传入镜像标识
+    const { snapshot, image } = operation.payload || {};
+    const options = await instanceOptions(cloudPC);
+    if (snapshot) {
+      options.snapshot = { snapshotId: snapshot.providerSnapshotId };
+    } else if (image && image.providerImageId) {
+      options.image = image.providerImageId;
+    }
+
+    await context.progress(10, snapshot ? '正在从快照创建实例' : '正在创建实例');
+    const { instanceId } = await provider.create(cloudPC, options);
+
+    await updateCloudPC(cloudPC._id, {
+      'provider.driver': provider.name,
+      'provider.instanceId': instanceId
+    });
+
+    return { driver: provider.name, instanceId };
+  },
+  onFailure: markError
+});
+
+Object.entries(POWER_ACTIONS).forEach(([type, action]) => {
+  operationQueue.registerHandler(type, {
+    async run(operation, context) {
+      const cloudPC = await loadCloudPC(operation);
+      const provider = providerRegistry.getProviderFor(cloudPC);
+
+      await context.progress(10, `正在执行 ${type}`);
+      const result = await provider[action.method](cloudPC);
+
+      const updated = await settle(cloudPC, action.done, operation);
+
+      logger.info('云电脑操作完成', {
+        cloudPCId: cloudPC._id,
+        operationId: operation._id,
+        driver: provider.name,
+        type,
+        status: updated.status
+      });
+
+      return result;
+    },
+    onFailure: markError,
+    // 取消后回到操作前的状态
+    async onCancel(operation) {
+      const cloudPC = await CloudPC.findById(operation.cloudPC).select('status');
+      if (cloudPC && stateMachine.canTransition(cloudPC.status, action.cancel)) {
+        await settle(cloudPC, action.cancel, operation);
+      }
+    }
+  });
+});
+
+// 恢复：按驱动侧实际情况把实例收敛到已停止状态
+operationQueue.registerHandler('recover', {
+  async run(operation, context) {
+    const cloudPC = await loadCloudPC(operation);
+    const provider = providerRegistry.getProviderFor(cloudPC);
+
+    await context.progress(10, '正在检查实例状态');
+    const state = await provider.describe(cloudPC);
+
+    if (!state.exists) {
+      await context.progress(40, '实例不存在，正在重新创建');
+      const { instanceId } = await provider.create(cloudPC, await instanceOptions(cloudPC));
+      await updateCloudPC(cloudPC._id, {
+        'provider.driver': provider.name,
+        'provider.instanceId': instanceId
+      });
+    } else if (state.status !== 'stopped') {
+      await context.progress(40, '正在停止实例');
+      await provider.stop(cloudPC);
+    }
+
+    await settle(cloudPC, 'stopped', operation, {
+      $push: {
+        logs: {
+          $each: [{ level: 'info', message: '云电脑已从错误状态恢复', source: 'operation' }],
+          $slice: -100
+        }
+      }
+    });
+
+    return { previous: state.status, recreated: !state.exists };
+  },
+  onFailure: markError
+});
+
+// 配置调整未生效时退回申请时占用的可用区容量
+const releaseResize = async (operation) => {
+  const cloudPC = await CloudPC.findById(operation.cloudPC);
+  const { cpu, memory, storage } = operation.payload;
+  if (cloudPC && !(cloudPC.cpu === cpu && cloudPC.memory === memory && cloudPC.storage === storage)) {
+    await placementService.releaseResize(cloudPC, { cpu, memory, storage });
+  }
+};
+
+// 调整配置：运行中修改CPU/内存时按 停止 -> 调整 -> 启动 的顺序执行，每一步都可安全重试
+operationQueue.registerHandler('resize', {
+  async run(operation, context) {
+    let cloudPC = await loadCloudPC(operation);
+    const provider = providerRegistry.getProviderFor(cloudPC);
+    const { cpu, memory, storage, hourly, restart } = operation.payload;
+    const spec = { cpu, memory, storage };
+
+    if (restart && cloudPC.status === 'running') {
+      cloudPC = await settle(cloudPC, 'stop', operation);
+    }
+    if (restart && cloudPC.status === 'stopping') {
+      await context.progress(20, '正在停止实例');
+      await provider.stop(cloudPC);
+      cloudPC = await settle(cloudPC, 'stopped', operation);
+    }
+
+    const resized = cloudPC.cpu === cpu && cloudPC.memory === memory && cloudPC.storage === storage;
+    if (!resized) {
+      await context.progress(50, '正在调整配置');
+      await provider.resize(cloudPC, spec);
+
+      const now = new Date();
+      cloudPC = await CloudPC.findByIdAndUpdate(cloudPC._id, {
+        $set: { ...spec, 'pricing.hourly': hourly },
+        $push: {
+          'billing.rateHistory': {
+            hourly,
+            previousHourly: cloudPC.pricing.hourly,
+            effectiveFrom: now,
+            reason: 'resize',
+            ...spec
+          },
+          logs: {
+            $each: [{
+              level: 'info',
+              message: `配置已调整为 ${cpu}核/${memory}GB/${storage}GB`,
+              source: 'operation',
+              timestamp: now
+            }],
+            $slice: -100
+          }
+        }
+      }, { new: true });
+      await cacheService.invalidateCloudPCCache(cloudPC._id);
+      await meteringService.rollover(cloudPC._id, { at: now, reason: 'resize' });
+    }
+
+    if (restart && cloudPC.status === 'stopped') {
+      cloudPC = await settle(cloudPC, 'start', operation);
+    }
+    if (restart && cloudPC.status === 'starting') {
+      await context.progress(80, '正在启动实例');
+      await provider.start(cloudPC);
+      cloudPC = await settle(cloudPC, 'started', operation);
+    }
+
+    await updateCloudPC(cloudPC._id, { $unset: { pendingResize: 1 } });
+
+    return { ...spec, hourly, restarted: !!restart };
+  },
+  async onFailure(operation, error) {
+    await releaseResize(operation);
+    await updateCloudPC(operation.cloudPC, { $unset: { pendingResize: 1 } });
+    await markError(operation, error);
+  },
+  async onCancel(operation) {
+    await releaseResize(operation);
+    await updateCloudPC(operation.cloudPC, { $unset: { pendingResize: 1 } });
+  }
+});
+
+// 迁移未完成时退回申请时在目标宿主机占用的资源
+const releaseMigration = async (operation) => {
+  const cloudPC = await CloudPC.findById(operation.cloudPC);
+  const { toHost } = operation.payload;
+  if (cloudPC && String(cloudPC.host) !== String(toHost)) {
+    await hostScheduler.release(toHost, capacityUtils.getSpec(cloudPC));
+  }
+};
+
+// 迁移：运行中的云电脑按 停止 -> 迁移 -> 启动 的顺序执行，迁移完成后释放原宿主机的资源
+operationQueue.registerHandler('migrate', {
+  async run(operation, context) {
+    let cloudPC = await loadCloudPC(operation);
+    const provider = providerRegistry.getProviderFor(cloudPC);
+    const { fromHost, toHost, restart } = operation.payload;
+
+    if (restart && cloudPC.status === 'running') {
+      cloudPC = await settle(cloudPC, 'stop', operation);
+    }
+    if (restart && cloudPC.status === 'stopping') {
+      await context.progress(20, '正在停止实例');
+      await provider.stop(cloudPC);
+      cloudPC = await settle(cloudPC, 'stopped', operation);
+    }
+
+    if (String(cloudPC.host) !== String(toHost)) {
+      const host = await Host.findById(toHost);
+      if (!host) {
+        throw fatal('目标宿主机不存在');
+      }
+
+      await context.progress(50, `正在迁移到宿主机 ${host.name}`);
+      const { instanceId } = await provider.migrate(cloudPC, describeHost(host));
+
+      cloudPC = await CloudPC.findByIdAndUpdate(cloudPC._id, {
+        $set: { host: host._id, 'provider.instanceId': instanceId },
+        $push: {
+          logs: {
+            $each: [{
+              level: 'info',
+              message: `已迁移到宿主机 ${host.name}`,
+              source: 'operation',
+              timestamp: new Date()
+            }],
+            $slice: -100
+          }
+        }
+      }, { new: true });
+      await hostScheduler.release(fromHost, capacityUtils.getSpec(cloudPC));
+      await cacheService.invalidateCloudPCCache(cloudPC._id);
+    }
+
+    if (restart && cloudPC.status === 'stopped') {
+      cloudPC = await settle(cloudPC, 'start', operation);
+    }
+    if (restart && cloudPC.status === 'starting') {
+      await context.progress(80, '正在启动实例');
+      await provider.start(cloudPC);
+      cloudPC = await settle(cloudPC, 'started', operation);
+    }
+
+    await updateCloudPC(cloudPC._id, { $unset: { pendingMigration: 1 } });
+
+    return { fromHost, toHost, restarted: !!restart };
+  },
+  async onFailure(operation, error) {
+    await releaseMigration(operation);
+    await updateCloudPC(operation.cloudPC, { $unset: { pendingMigration: 1 } });
+    await markError(operation, error);
+  },
+  async onCancel(operation) {
+    await releaseMigration(operation);
+    await updateCloudPC(operation.cloudPC, { $unset: { pendingMigration: 1 } });
+  }
+});
+
+// 快照：记录先以创建中状态保存，驱动完成后回写实际大小，快照失败不影响云电脑状态
+operationQueue.registerHandler('snapshot', {
+  async run(operation, context) {
+    const cloudPC = await loadCloudPC(operation);
+    const snapshot = cloudPC.snapshots.id(operation.payload.snapshotId);
+    if (!snapshot) {
+      throw fatal('快照记录不存在');
+    }
+    if (snapshot.status === 'available') {
+      return { snapshotId: snapshot.providerSnapshotId, size: snapshot.size };
+    }
+
+    const provider = providerRegistry.getProviderFor(cloudPC);
+    await context.progress(10, '正在创建快照');
+    const { snapshotId, size } = await provider.snapshot(cloudPC, { name: snapshot.name });
+
+    await CloudPC.updateOne(
+      { _id: cloudPC._id, 'snapshots._id': snapshot._id },
+      {
+        $set: {
+          'snapshots.$.status': 'available',
+          'snapshots.$.size': size,
+          'snapshots.$.providerSnapshotId': snapshotId,
+          'snapshots.$.completedAt': new Date()
+        }
+      }
+    );
+    const snapshotHourly = await snapshotService.refreshPricing(cloudPC._id);
+    await cacheService.invalidateCloudPCCache(cloudPC._id);
+    await meteringService.rollover(cloudPC._id, { reason: 'snapshot' });
+
+    return { snapshotId, size, snapshotHourly };
+  },
+  async onFailure(operation, error) {
+    const label = operation.payload.kind === 'backup' ? '自动备份' : '快照';
+    await updateCloudPC(
+      operation.cloudPC,
+      {
+        $set: { 'snapshots.$.status': 'failed' },
+        $push: {
+          logs: {
+            $each: [{ level: 'error', message: `${label}创建失败: ${error.message}`, source: 'operation' }],
+            $slice: -100
+          }
+        }
+      },
+      { 'snapshots._id': operation.payload.snapshotId }
+    );
+  },
+  async onCancel(operation) {
+    await updateCloudPC(operation.cloudPC, {
+      $pull: { snapshots: { _id: operation.payload.snapshotId } }
+    });
+  }
+});
+
+// 快照恢复：按 停止 -> 恢复 -> 启动 的顺序执行，提交时已停止的云电脑恢复后保持停止
+operationQueue.registerHandler('restore', {
+  async run(operation, context) {
+    let cloudPC = await loadCloudPC(operation);
+    const { snapshot, startAfter } = operation.payload;
+    const provider = providerRegistry.getProviderFor(cloudPC);
+
+    if (cloudPC.status === 'stopping') {
+      await context.progress(10, '正在停止实例');
+      await provider.stop(cloudPC);
+      cloudPC = await settle(cloudPC, 'stopped', operation);
+    }
+    if (cloudPC.status === 'stopped') {
+      cloudPC = await settle(cloudPC, 'restore', operation);
+    }
+
+    let instanceId = cloudPC.provider && cloudPC.provider.instanceId;
+    if (cloudPC.status === 'restoring') {
+      await context.progress(40, '正在恢复快照');
+      ({ instanceId } = await provider.restoreSnapshot(cloudPC, snapshot, await instanceOptions(cloudPC)));
+
+      cloudPC = await settle(cloudPC, 'restored', operation, {
+        $set: { 'provider.instanceId': instanceId },
+        $push: {
+          logs: {
+            $each: [{ level: 'info', message: `已恢复到快照 ${snapshot.name}`, source: 'operation' }],
+            $slice: -100
+          }
+        }
+      });
+    }
+
+    if (startAfter && cloudPC.status === 'stopped') {
+      cloudPC = await settle(cloudPC, 'start', operation);
+    }
+    if (startAfter && cloudPC.status === 'starting') {
+      await context.progress(80, '正在启动实例');
+      await provider.start(cloudPC);
+      cloudPC = await settle(cloudPC, 'started', operation);
+    }
+
+    return { instanceId, snapshot: snapshot.id, started: !!startAfter };
+  },
+  onFailure: markError,
+  // 取消时只可能处于提交时迁移到的状态
+  async onCancel(operation) {
+    const cloudPC = await CloudPC.findById(operation.cloudPC).select('status');
+    const event = operation.payload.startAfter ? 'cancelStop' : 'cancelRestore';
+    if (cloudPC && stateMachine.canTransition(cloudPC.status, event)) {
+      await settle(cloudPC, event, operation);
+    }
+  }
+});
+
+// 捕获结束后解除锁定，云电脑回到已停止
+const releaseCapture = async (operation, event, update) => {
+  const cloudPC = await CloudPC.findById(operation.cloudPC).select('status');
+  if (cloudPC && stateMachine.canTransition(cloudPC.status, event)) {
+    await settle(cloudPC, event, operation, update);
+  }
+};
+
+// 捕获镜像：对停机的云电脑做快照并登记为自定义镜像，捕获期间云电脑处于“捕获镜像中”
+operationQueue.registerHandler('capture', {
+  async run(operation, context) {
+    const cloudPC = await loadCloudPC(operation);
+    const image = await Image.findById(operation.payload.imageId);
+    if (!image) {
+      throw fatal('镜像记录不存在');
+    }
+
+    if (image.status !== 'available') {
+      const provider = providerRegistry.getProviderFor(cloudPC);
+      await context.progress(10, '正在捕获镜像');
+      const { snapshotId, size } = await provider.snapshot(cloudPC, { name: image.name });
+
+      image.status = 'available';
+      image.driver = provider.name;
+      image.providerImageId = snapshotId;
+      image.size = size;
+      await image.save();
+    }
+
+    await releaseCapture(operation, 'captured');
+
+    return { imageId: image._id, providerImageId: image.providerImageId, size: image.size };
+  },
+  async onFailure(operation, error) {
+    await Image.updateOne({ _id: operation.payload.imageId, status: 'creating' }, { status: 'failed' });
+    await releaseCapture(operation, 'captured', {
+      $push: {
+        logs: {
+          $each: [{ level: 'error', message: `捕获镜像失败: ${error.message}`, source: 'operation' }],
+          $slice: -100
+        }
+      }
+    });
+  },
+  async onCancel(operation) {
+    await Image.deleteOne({ _id: operation.payload.imageId });
+    await releaseCapture(operation, 'cancelCapture');
+  }
+});
+
+// 调整配置或迁移期间不接受其他电源操作
+const assertNoPendingChange = (cloudPC) => {
+  if (cloudPC.pendingResize && cloudPC.pendingResize.requestedAt) {
+    throw new AppError('云电脑正在调整配置，请稍后再试', 409);
+  }
+  if (cloudPC.pendingMigration && cloudPC.pendingMigration.requestedAt) {
+    throw new AppError('云电脑正在迁移，请稍后再试', 409);
+  }
+};
+
+// 先迁移状态再提交操作，提交失败时撤销迁移
+const transitionAndEnqueue = async (cloudPC, event, type, { user, source, payload, rollback } = {}) => {
+  assertNoPendingChange(cloudPC);
+
+  const updated = await stateMachine.transition(cloudPC, event, {
+    actor: user,
+    source: source || 'user'
+  });
+  await cacheService.invalidateCloudPCCache(updated._id);
+
+  try {
+    const operation = await operationQueue.enqueue(type, {
+      cloudPC: updated._id,
+      user: user || updated.user,
+      payload,
+      source
+    });
+    return { cloudPC: updated, operation };
+  } catch (error) {
+    if (rollback) {
+      await stateMachine.transition(updated, rollback, { source: 'system', reason: '操作提交失败' });
+      await cacheService.invalidateCloudPCCache(updated._id);
+    }
+    throw error;
+  }
+};
+
+/**
+ * 提交实例创建操作
+ * @param {Object} options - { user, source, payload }，payload.snapshot 指定来源快照
+ * @returns {Promise<Operation>}
+ */
+const requestCreate = (cloudPC, { user, source, payload } = {}) => {
+  return operationQueue.enqueue('create', {
+    cloudPC: cloudPC._id,
+    user: user || cloudPC.user,
+    payload,
+    source
+  });
+};
+
+/**
+ * 提交电源操作：先通过状态机迁移到过渡状态，再交由操作队列执行
+ * 账户被暂停或停用时只能关机
+ * @param {CloudPC} cloudPC - 云电脑文档
+ * @param {string} type - start / stop / restart
+ * @returns {Promise<{cloudPC: CloudPC, operation: Operation}>}
+ */
+const requestPowerAction = async (cloudPC, type, { user, source } = {}) => {
+  const action = POWER_ACTIONS[type];
+  if (!action) {
+    throw new Error(`不支持的电源操作: ${type}`);
+  }
+
+  if (type !== 'stop') {
+    await quotaService.assertActive(cloudPC.user);
+  }
+
+  return transitionAndEnqueue(cloudPC, type, type, { user, source, rollback: action.cancel });
+};
+
+/**
+ * 提交恢复操作（仅错误状态可用）
+ * @returns {Promise<{cloudPC: CloudPC, operation: Operation}>}
+ */
+const requestRecover = (cloudPC, { user, source } = {}) => {
+  return transitionAndEnqueue(cloudPC, 'recover', 'recover', { user, source, rollback: 'fail' });
+};
+
+/**
+ * 校验并提交配置调整
+ * CPU/内存必须对应某个配置档位，存储只能扩容；运行中修改CPU/内存会自动停机调整后再启动
+ * 新增的资源在申请时从所在可用区占用，单价按所在机房的价格系数计算
+ * @param {CloudPC} cloudPC - 云电脑文档
+ * @param {Object} spec - { cpu, memory, storage }，未提供的字段保持不变
+ * @returns {Promise<{cloudPC: CloudPC, operation: Operation, restart: boolean, hourly: number}>}
+ */
+const requestResize = async (cloudPC, spec, { user, source } = {}) => {
+  const target = {
+    cpu: spec.cpu !== undefined ? spec.cpu : cloudPC.cpu,
+    memory: spec.memory !== undefined ? spec.memory : cloudPC.memory,
+    storage: spec.storage !== undefined ? spec.storage : cloudPC.storage
+  };
+
+  const tier = CloudPC.findTier(target.cpu, target.memory);
+  if (!tier) {
+    throw new AppError(`不支持 ${target.cpu}核/${target.memory}GB 的配置组合`, 400);
+  }
+  if (!tier.os.includes(cloudPC.os)) {
+    throw new AppError(`${tier.name}不支持操作系统 ${cloudPC.os}`, 400);
+  }
+  if (target.storage < cloudPC.storage) {
+    throw new AppError('存储空间只能扩容，不能缩小', 400);
+  }
+  if (target.cpu === cloudPC.cpu && target.memory === cloudPC.memory && target.storage === cloudPC.storage) {
+    throw new AppError('新配置与当前配置相同', 400);
+  }
+
+  if (!['stopped', 'running'].includes(cloudPC.status)) {
+    throw new AppError('只能调整已停止或运行中的云电脑', 409);
+  }
+
+  const computeChanged = target.cpu !== cloudPC.cpu || target.memory !== cloudPC.memory;
+  const restart = cloudPC.status === 'running' && computeChanged;
+  const multiplier = await placementService.getPricingMultiplier(cloudPC.location);
+  const hourly = regionConfig.applyMultiplier(CloudPC.calculateHourlyPrice(target), multiplier);
+
+  // 原子占用调整标记，防止重复提交；标记写入后调整后的配置即计入配额用量
+  const locked = await quotaService.withLock(cloudPC.user, async () => {
+    await quotaService.assertCanResize(cloudPC, target);
+    return CloudPC.findOneAndUpdate(
+      {
+        _id: cloudPC._id,
+        status: cloudPC.status,
+        'pendingResize.requestedAt': { $exists: false },
+        'pendingMigration.requestedAt': { $exists: false }
+      },
+      { $set: { pendingResize: { ...target, requestedAt: new Date() } } },
+      { new: true }
+    );
+  });
+  if (!locked) {
+    throw new AppError('云电脑状态已变更、正在调整配置或迁移，请刷新后重试', 409);
+  }
+
+  let operation;
+  try {
+    await placementService.reserveResize(cloudPC, target);
+  } catch (error) {
+    await updateCloudPC(cloudPC._id, { $unset: { pendingResize: 1 } });
+    throw error;
+  }
+  try {
+    operation = await operationQueue.enqueue('resize', {
+      cloudPC: cloudPC._id,
+      user: user || cloudPC.user,
+      payload: { ...target, hourly, restart },
+      source
+    });
+  } catch (error) {
+    await placementService.releaseResize(cloudPC, target);
+    await updateCloudPC(cloudPC._id, { $unset: { pendingResize: 1 } });
+    throw error;
+  }
+
+  // 操作可能已经执行完毕并清除了标记，此时不再回写
+  const updated = await CloudPC.findOneAndUpdate(
+    { _id: cloudPC._id, 'pendingResize.requestedAt': { $exists: true } },
+    { $set: { 'pendingResize.operation': operation._id } },
+    { new: true }
+  ) || await CloudPC.findById(cloudPC._id);
+  await cacheService.invalidateCloudPCCache(cloudPC._id);
+
+  return { cloudPC: updated, operation, restart, hourly };
+};
+
+/**
+ * 把云电脑迁移到同一可用区的另一台宿主机
+ * 未指定目标时按最佳适配选择；目标宿主机的资源在申请时占用，迁移完成后释放原宿主机的资源
+ * @param {CloudPC} cloudPC - 云电脑文档
+ * @param {Object} params - { toHost: 目标宿主机ID，可选 }
+ * @returns {Promise<{cloudPC: CloudPC, operation: Operation, host: Host}>}
+ */
+const requestMigrate = async (cloudPC, { toHost } = {}, { user, source } = {}) => {
+  if (!cloudPC.host) {
+    throw new AppError('云电脑未登记宿主机，无法迁移', 409);
+  }
+  if (!['stopped', 'running'].includes(cloudPC.status)) {
+    throw new AppError('只能迁移已停止或运行中的云电脑', 409);
+  }
+  const provider = providerRegistry.getProviderFor(cloudPC);
+  if (!provider.supports('migrate')) {
+    throw new AppError(`驱动 ${provider.name} 不支持迁移`, 501);
+  }
+  assertNoPendingChange(cloudPC);
+
+  const spec = capacityUtils.getSpec(cloudPC);
+  let host;
+  if (toHost) {
+    if (String(toHost) === String(cloudPC.host)) {
+      throw new AppError('目标宿主机与当前宿主机相同', 400);
+    }
+    const target = await Host.findOne({ _id: toHost, zone: cloudPC.zone });
+    if (!target) {
+      throw new AppError('目标宿主机不存在或不在云电脑所在的可用区', 400);
+    }
+    host = await hostScheduler.reserve(target._id, spec);
+  } else {
+    const placement = await hostScheduler.allocate(cloudPC.zone, spec, { exclude: cloudPC.host });
+    host = placement && placement.host;
+  }
+  if (!host) {
+    throw new AppError('同一可用区内没有容量足够的宿主机', 503);
+  }
+
+  // 原子占用迁移标记，防止重复提交
+  const locked = await CloudPC.findOneAndUpdate(
+    {
+      _id: cloudPC._id,
+      status: cloudPC.status,
+      host: cloudPC.host,
+      'pendingResize.requestedAt': { $exists: false },
+      'pendingMigration.requestedAt': { $exists: false }
+    },
+    { $set: { pendingMigration: { fromHost: cloudPC.host, toHost: host._id, requestedAt: new Date() } } },
+    { new: true }
+  );
+  if (!locked) {
+    await hostScheduler.release(host._id, spec);
+    throw new AppError('云电脑状态已变更、正在调整配置或迁移，请刷新后重试', 409);
+  }
+
+  let operation;
+  try {
+    operation = await operationQueue.enqueue('migrate', {
+      cloudPC: cloudPC._id,
+      user: user || cloudPC.user,
+      payload: {
+        fromHost: String(cloudPC.host),
+        toHost: String(host._id),
+        restart: cloudPC.status === 'running'
+      },
+      source
+    });
+  } catch (error) {
+    await hostScheduler.release(host._id, spec);
+    await updateCloudPC(cloudPC._id, { $unset: { pendingMigration: 1 } });
+    throw error;
+  }
+
+  const updated = await CloudPC.findOneAndUpdate(
+    { _id: cloudPC._id, 'pendingMigration.requestedAt': { $exists: true } },
+    { $set: { 'pendingMigration.operation': operation._id } },
+    { new: true }
+  ) || await CloudPC.findById(cloudPC._id);
+  await cacheService.invalidateCloudPCCache(cloudPC._id);
+
+  return { cloudPC: updated, operation, host };
+};
+
+// 查找可用于恢复的快照
+const findAvailableSnapshot = (cloudPC, snapshotId) => {
+  const snapshot = cloudPC.snapshots.id(snapshotId);
+  if (!snapshot || !snapshot.isActive) {
+    throw new AppError('快照未找到', 404);
+  }
+  if (snapshot.status !== 'available') {
+    throw new AppError('快照尚未完成，无法使用', 409);
+  }
+  return snapshot;
+};
+
+// 操作中引用快照时使用的描述，驱动据此定位快照
+const describeSnapshot = (cloudPC, snapshot) => ({
+  cloudPC: String(cloudPC._id),
+  id: String(snapshot._id),
+  name: snapshot.name,
+  providerSnapshotId: snapshot.providerSnapshotId
+});
+
+/**
+ * 创建快照：校验配额后保存快照记录，由操作队列在后台完成
+ * @param {CloudPC} cloudPC - 云电脑文档
+ * @param {Object} details - { name, description, kind }，自动备份的 kind 为 backup，不受快照配额限制
+ * @returns {Promise<{snapshot: Object, operation: Operation}>}
+ */
+const requestSnapshot = async (cloudPC, { name, description, kind = 'manual' }, { user, source } = {}) => {
+  if (!['stopped', 'running'].includes(cloudPC.status)) {
+    throw new AppError('只能为已停止或运行中的云电脑创建快照', 409);
+  }
+  assertNoPendingChange(cloudPC);
+
+  // 自动备份不占用快照配额，手动快照在配额锁内校验并保存
+  const snapshot = kind === 'backup'
+    ? await cloudPC.createSnapshot(name, description, kind)
+    : await quotaService.withLock(cloudPC.user, async () => {
+      await quotaService.assertCanSnapshot(cloudPC.user);
+      return cloudPC.createSnapshot(name, description, kind);
+    });
+
+  let operation;
+  try {
+    operation = await operationQueue.enqueue('snapshot', {
+      cloudPC: cloudPC._id,
+      user: user || cloudPC.user,
+      payload: { snapshotId: snapshot._id, kind },
+      source
+    });
+  } catch (error) {
+    await updateCloudPC(cloudPC._id, { $pull: { snapshots: { _id: snapshot._id } } });
+    throw error;
+  }
+
+  await updateCloudPC(
+    cloudPC._id,
+    { $set: { 'snapshots.$.operation': operation._id } },
+    { 'snapshots._id': snapshot._id }
+  );
+  snapshot.operation = operation._id;
+
+  return { snapshot, operation };
+};
+
+/**
+ * 将云电脑恢复到快照或备份
+ * 运行中的云电脑会先停机，恢复完成后自动启动；已停止的云电脑恢复后保持停止
+ * @returns {Promise<{cloudPC: CloudPC, operation: Operation}>}
+ */
+const requestRestore = (cloudPC, snapshotId, { user, source } = {}) => {
+  const snapshot = findAvailableSnapshot(cloudPC, snapshotId);
+  const running = cloudPC.status === 'running';
+
+  return transitionAndEnqueue(cloudPC, running ? 'stop' : 'restore', 'restore', {
+    user,
+    source,
+    payload: { snapshot: describeSnapshot(cloudPC, snapshot), startAfter: running },
+    rollback: running ? 'cancelStop' : 'cancelRestore'
+  });
+};
+
+/**
+ * 删除快照，同时删除驱动侧的快照数据
+ * 正在创建或被未完成操作引用的快照不能删除
+ */
+const deleteSnapshot = async (cloudPC, snapshotId) => {
+  const snapshot = cloudPC.snapshots.id(snapshotId);
+  if (!snapshot) {
+    throw new AppError('快照未找到', 404);
+  }
+  if (snapshot.status === 'creating') {
+    throw new AppError('快照正在创建，请稍后再删除', 409);
+  }
+
+  const inUse = await Operation.exists({
+    status: { $in: ['queued', 'running'] },
+    'payload.snapshot.id': String(snapshot._id)
+  });
+  if (inUse) {
+    throw new AppError('快照正在被恢复操作使用，无法删除', 409);
+  }
+
+  if (snapshot.providerSnapshotId) {
+    await providerRegistry.getProviderFor(cloudPC).deleteSnapshot(cloudPC, snapshot);
+  }
+
+  await CloudPC.updateOne({ _id: cloudPC._id }, { $pull: { snapshots: { _id: snapshot._id } } });
+  await snapshotService.refreshPricing(cloudPC._id);
+  await cacheService.invalidateCloudPCCache(cloudPC._id);
+  await meteringService.rollover(cloudPC._id, { reason: 'snapshot' });
+
+  return snapshot;
+};
+
+/**
+ * 从已停止的云电脑捕获自定义镜像
+ * 云电脑先迁移到“捕获镜像中”，捕获结束前不接受电源操作、恢复快照和删除
+ * @param {CloudPC} cloudPC - 云电脑文档
+ * @param {Object} details - { name, description, visibility, tags }
+ * @returns {Promise<{image: Image, operation: Operation}>}
+ */
+const requestCapture = async (cloudPC, { name, description, visibility = 'private', tags }, { user, source } = {}) => {
+  if (cloudPC.status !== 'stopped') {
+    throw new AppError('只能从已停止的云电脑捕获镜像，请先停止', 409);
+  }
+  assertNoPendingChange(cloudPC);
+
+  const image = await Image.create({
+    name,
+    description,
+    os: cloudPC.os,
+    type: 'custom',
+    visibility,
+    owner: user || cloudPC.user,
+    sourceCloudPC: cloudPC._id,
+    minStorage: cloudPC.storage,
+    tags,
+    status: 'creating'
+  });
+
+  let operation;
+  try {
+    ({ operation } = await transitionAndEnqueue(cloudPC, 'capture', 'capture', {
+      user,
+      source,
+      payload: { imageId: image._id },
+      rollback: 'cancelCapture'
+    }));
+  } catch (error) {
+    await image.deleteOne();
+    throw error;
+  }
+
+  // 操作可能已经执行完毕，只回写操作ID
+  await Image.updateOne({ _id: image._id }, { operation: operation._id });
+  image.operation = operation._id;
+
+  return { image, operation };
+};
+
+module.exports = {
+  POWER_ACTIONS,
+  requestCreate,
+  requestPowerAction,
+  requestRecover,
+  requestResize,
+  requestMigrate,
+  requestSnapshot,
+  requestRestore,
+  deleteSnapshot,
+  requestCapture,
+  findAvailableSnapshot,
+  describeSnapshot
+};
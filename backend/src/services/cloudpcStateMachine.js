@@ -0,0 +1,180 @@
+/**
+ * 云电脑状态机
+ * 集中定义合法的状态迁移，迁移通过带状态条件的原子更新完成，并持久化迁移历史
+ */
+
+const EventEmitter = require('events');
+const CloudPC = require('../models/CloudPC');
+const StateTransition = require('../models/StateTransition');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const STATES = ['stopped', 'starting', 'running', 'stopping', 'restarting', 'restoring', 'capturing', 'error'];
+
+// 事件 -> 允许的起始状态和目标状态
+const TRANSITIONS = {
+  start: { from: ['stopped'], to: 'starting' },
+  started: { from: ['starting'], to: 'running' },
+  stop: { from: ['running'], to: 'stopping' },
+  stopped: { from: ['stopping'], to: 'stopped' },
+  restart: { from: ['running'], to: 'restarting' },
+  restarted: { from: ['restarting'], to: 'running' },
+  // 快照恢复只能在停机状态下进行
+  restore: { from: ['stopped'], to: 'restoring' },
+  restored: { from: ['restoring'], to: 'stopped' },
+  // 捕获镜像期间锁定云电脑，捕获结束（成功或失败）后回到已停止
+  capture: { from: ['stopped'], to: 'capturing' },
+  captured: { from: ['capturing'], to: 'stopped' },
+  // 操作被取消时回到操作前的状态
+  cancelStart: { from: ['starting'], to: 'stopped' },
+  cancelStop: { from: ['stopping'], to: 'running' },
+  cancelRestart: { from: ['restarting'], to: 'running' },
+  cancelRestore: { from: ['restoring'], to: 'stopped' },
+  cancelCapture: { from: ['capturing'], to: 'stopped' },
+  // 从错误状态恢复：先进入停止中，由恢复操作将实例收敛到已停止
+  recover: { from: ['error'], to: 'stopping' },
+  fail: { from: ['stopped', 'starting', 'running', 'stopping', 'restarting', 'restoring', 'capturing'], to: 'error' }
+};
+
+const STATE_LABELS = {
+  stopped: '已停止',
+  starting: '启动中',
+  running: '运行中',
+  stopping: '停止中',
+  restarting: '重启中',
+  restoring: '恢复快照中',
+  capturing: '捕获镜像中',
+  error: '错误'
+};
+
+const EVENT_LABELS = {
+  start: '启动',
+  started: '完成启动',
+  stop: '停止',
+  stopped: '完成停止',
+  restart: '重启',
+  restarted: '完成重启',
+  restore: '恢复快照',
+  restored: '完成快照恢复',
+  capture: '捕获镜像',
+  captured: '结束镜像捕获',
+  cancelStart: '取消启动',
+  cancelStop: '取消停止',
+  cancelRestart: '取消重启',
+  cancelRestore: '取消快照恢复',
+  cancelCapture: '取消镜像捕获',
+  recover: '恢复',
+  fail: '标记为错误'
+};
+
+const emitter = new EventEmitter();
+
+/**
+ * 判断状态迁移是否合法
+ * @param {string} from - 当前状态
+ * @param {string} event - 事件
+ * @returns {boolean}
+ */
+const canTransition = (from, event) => {
+  const transition = TRANSITIONS[event];
+  return !!transition && transition.from.includes(from);
+};
+
+/**
+ * 获取某状态下允许的事件
+ */
+const getAllowedEvents = (from) => {
+  return Object.keys(TRANSITIONS).filter(event => canTransition(from, event));
+};
+
+/**
+ * 校验状态迁移，非法时抛出409错误
+ * @returns {string} 目标状态
+ */
+const assertTransition = (from, event) => {
+  const transition = TRANSITIONS[event];
+  if (!transition) {
+    throw new AppError(`未知的状态事件: ${event}`, 400);
+  }
+  if (!transition.from.includes(from)) {
+    throw new AppError(`云电脑当前状态为${STATE_LABELS[from] || from}，无法${EVENT_LABELS[event]}`, 409);
+  }
+  return transition.to;
+};
+
+/**
+ * 执行状态迁移
+ * 以当前状态作为更新条件，并发请求（如重复点击）中只有一个能成功，其余返回409
+ * @param {CloudPC|string} cloudPC - 云电脑文档或ID
+ * @param {string} event - 事件
+ * @param {Object} context - { actor, source, operation, reason, update }
+ * @returns {Promise<CloudPC>} 更新后的云电脑
+ */
+const transition = async (cloudPC, event, context = {}) => {
+  const cloudPCId = cloudPC._id || cloudPC;
+  const current = cloudPC.status ? cloudPC : await CloudPC.findById(cloudPCId).select('status');
+
+  if (!current) {
+    throw new AppError('云电脑未找到', 404);
+  }
+
+  const from = current.status;
+  const to = assertTransition(from, event);
+
+  const updated = await CloudPC.findOneAndUpdate(
+    { _id: cloudPCId, status: from },
+    { ...(context.update || {}), $set: { ...((context.update && context.update.$set) || {}), status: to } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new AppError('云电脑状态已变更，请刷新后重试', 409);
+  }
+
+  const record = await StateTransition.create({
+    cloudPC: cloudPCId,
+    from,
+    to,
+    event,
+    actor: context.actor,
+    source: context.source || (context.actor ? 'user' : 'system'),
+    operation: context.operation,
+    reason: context.reason
+  });
+
+  logger.info('云电脑状态迁移', {
+    cloudPCId,
+    from,
+    to,
+    event,
+    source: record.source
+  });
+
+  emitter.emit('transition', { cloudPC: updated, from, to, event, record });
+
+  return updated;
+};
+
+/**
+ * 获取迁移历史
+ */
+const getHistory = (cloudPCId, { limit = 50, skip = 0 } = {}) => {
+  return StateTransition.find({ cloudPC: cloudPCId })
+    .sort('-at')
+    .skip(skip)
+    .limit(limit);
+};
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  STATE_LABELS,
+  canTransition,
+  getAllowedEvents,
+  assertTransition,
+  transition,
+  getHistory,
+  // 订阅状态迁移：on('transition', ({ cloudPC, from, to, event }) => {})
+  on: emitter.on.bind(emitter),
+  off: emitter.off.bind(emitter)
+};
@@ -0,0 +1,153 @@
+/**
+ * 连接代理
+ * 为运行中的云电脑签发短期、一次性的连接票据（RDP、SSH、网页控制台），
+ * 网关兑换票据后得到云电脑的内部地址，每次签发和兑换都记录为连接授权
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const CloudPC = require('../models/CloudPC');
+const ConnectionGrant = require('../models/ConnectionGrant');
+const connectionConfig = require('../config/connections');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// 票据的受众，避免与登录令牌混用
+const TICKET_AUDIENCE = 'cloudpc-gateway';
+
+class ConnectionBroker {
+  constructor() {
+    this.config = connectionConfig;
+  }
+
+  /**
+   * 签发连接票据
+   * @param {CloudPC} cloudPC - 云电脑，须属于当前用户
+   * @param {Object} params - { user, protocol, requestIp, userAgent }
+   * @returns {Promise<{grant: ConnectionGrant, ticket: string, connectionUrl: string}>}
+   */
+  async issue(cloudPC, { user, protocol, requestIp, userAgent }) {
+    if (cloudPC.status !== 'running') {
+      throw new AppError('云电脑未运行，请先启动', 409);
+    }
+    if (!this.config.supports(protocol, cloudPC.os)) {
+      throw new AppError(`${cloudPC.os} 不支持${this.config.protocols[protocol].name}连接`, 400);
+    }
+
+    const ticketId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + this.config.ticketTTL * 1000);
+
+    const grant = await ConnectionGrant.create({
+      cloudPC: cloudPC._id,
+      user,
+      protocol,
+      ticketId,
+      expiresAt,
+      requestIp,
+      userAgent
+    });
+
+    const ticket = jwt.sign(
+      { cloudPC: String(cloudPC._id), protocol },
+      this.config.secret,
+      {
+        subject: String(user),
+        audience: TICKET_AUDIENCE,
+        jwtid: ticketId,
+        expiresIn: this.config.ticketTTL
+      }
+    );
+
+    return {
+      grant,
+      ticket,
+      connectionUrl: this.config.buildConnectionUrl(protocol, String(cloudPC._id), ticket)
+    };
+  }
+
+  /**
+   * 兑换连接票据，票据只能兑换一次
+   * 兑换时重新确认云电脑仍在运行且仍属于票据的用户
+   * @param {string} ticket - 连接票据
+   * @param {Object} params - { protocol, gateway, clientIp }
+   * @returns {Promise<{grant: ConnectionGrant, cloudPC: CloudPC}>}
+   */
+  async redeem(ticket, { protocol, gateway, clientIp } = {}) {
+    let claims;
+    try {
+      claims = jwt.verify(ticket, this.config.secret, { audience: TICKET_AUDIENCE });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        const decoded = jwt.decode(ticket);
+        if (decoded && decoded.jti) {
+          await ConnectionGrant.updateOne(
+            { ticketId: decoded.jti, status: 'issued' },
+            { status: 'expired', reason: '票据已过期' }
+          );
+        }
+        throw new AppError('连接票据已过期', 401);
+      }
+      throw new AppError('连接票据无效', 401);
+    }
+
+    if (protocol && claims.protocol !== protocol) {
+      throw new AppError('连接票据与协议不匹配', 401);
+    }
+
+    // 先占用票据，并发兑换时只有一个成功
+    const grant = await ConnectionGrant.findOneAndUpdate(
+      { ticketId: claims.jti, status: 'issued' },
+      { status: 'used', usedAt: new Date(), gateway, clientIp },
+      { new: true }
+    );
+    if (!grant) {
+      throw new AppError('连接票据已使用', 401);
+    }
+
+    const cloudPC = await CloudPC.findOne({ _id: claims.cloudPC, user: claims.sub });
+    let reason = null;
+    if (!cloudPC) {
+      reason = '云电脑不存在或已不属于该用户';
+    } else if (cloudPC.status !== 'running') {
+      reason = '云电脑未运行';
+    }
+
+    if (reason) {
+      grant.status = 'rejected';
+      grant.reason = reason;
+      await grant.save();
+      throw new AppError(reason, 403);
+    }
+
+    logger.info('兑换连接票据', {
+      grantId: grant._id,
+      cloudPCId: cloudPC._id,
+      userId: claims.sub,
+      protocol: claims.protocol,
+      gateway,
+      clientIp
+    });
+
+    return { grant, cloudPC };
+  }
+
+  /**
+   * 校验网关密钥
+   * @param {string} key - 网关请求中携带的密钥
+   * @returns {boolean}
+   */
+  isGatewayKeyValid(key) {
+    if (!this.config.gatewayKey || typeof key !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.config.gatewayKey);
+    const actual = Buffer.from(key);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+// 创建单例实例
+const connectionBroker = new ConnectionBroker();
+
+module.exports = connectionBroker;
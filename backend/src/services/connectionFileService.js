@@ -0,0 +1,210 @@
+/**
+ * 连接文件服务
+ * 按云电脑的地址和用户的连接偏好生成 .rdp 文件和 OpenSSH config 片段，
+ * 下载通过一次性令牌完成，桌面客户端和浏览器无需携带登录令牌
+ */
+
+const crypto = require('crypto');
+const CloudPC = require('../models/CloudPC');
+const ConnectionFileToken = require('../models/ConnectionFileToken');
+const connectionFileConfig = require('../config/connectionFiles');
+const connectionConfig = require('../config/connections');
+const { AppError } = require('../middleware/errorHandler');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// 去掉换行等控制字符，避免写出额外的配置行
+const clean = (value) => String(value).replace(/[\r\n\t]/g, '').trim();
+
+const AUDIO_MODES = { local: 0, remote: 1, none: 2 };
+
+class ConnectionFileService {
+  constructor() {
+    this.config = connectionFileConfig;
+  }
+
+  /**
+   * 合并默认选项、用户偏好和本次下载的参数，未设置的项依次向前沿用
+   * @param {string} type - rdp / ssh
+   * @param {Object} preferences - 用户偏好 user.preferences
+   * @param {Object} overrides - 本次下载指定的选项
+   * @returns {Object}
+   */
+  resolveOptions(type, preferences = {}, overrides = {}) {
+    const defaults = this.config[type];
+    const stored = (preferences && preferences[type]) || {};
+
+    return Object.keys(defaults).reduce((acc, key) => {
+      if (overrides[key] !== undefined && overrides[key] !== null) {
+        acc[key] = overrides[key];
+      } else if (stored[key] !== undefined && stored[key] !== null) {
+        acc[key] = stored[key];
+      } else {
+        acc[key] = defaults[key];
+      }
+      return acc;
+    }, {});
+  }
+
+  /**
+   * 确定连接地址：优先使用云电脑的 rdpUrl / sshUrl，否则使用分配的IP和端口
+   * @returns {{host: string, port: number, username: string}}
+   */
+  resolveEndpoint(cloudPC, type) {
+    const url = type === 'rdp' ? cloudPC.rdpUrl : cloudPC.sshUrl;
+    if (url) {
+      try {
+        const parsed = new URL(url.includes('://') ? url : `${type}://${url}`);
+        if (parsed.hostname) {
+          return {
+            host: parsed.hostname,
+            port: parsed.port ? Number(parsed.port) : cloudPC.port,
+            username: decodeURIComponent(parsed.username)
+          };
+        }
+      } catch (error) {
+        // 地址格式不正确时使用IP和端口
+      }
+    }
+
+    return { host: cloudPC.ip, port: cloudPC.port, username: '' };
+  }
+
+  /**
+   * 生成客户端配置中使用的主机别名
+   */
+  getAlias(cloudPC) {
+    const name = String(cloudPC.name || '').replace(/[^A-Za-z0-9_.-]+/g, '-').replace(/^-+|-+$/g, '');
+    return `cloudpc-${name || cloudPC._id}`;
+  }
+
+  /**
+   * 生成 .rdp 文件内容
+   */
+  renderRdp(cloudPC, options) {
+    const { host, port, username } = this.resolveEndpoint(cloudPC, 'rdp');
+    const fullscreen = options.screenMode === 'fullscreen';
+    const user = options.username || username;
+
+    const lines = [
+      `full address:s:${host}:${port}`,
+      `screen mode id:i:${fullscreen ? 2 : 1}`,
+      `desktopwidth:i:${options.width}`,
+      `desktopheight:i:${options.height}`,
+      `use multimon:i:${options.multiMonitor ? 1 : 0}`,
+      'session bpp:i:32',
+      `redirectclipboard:i:${options.redirectClipboard ? 1 : 0}`,
+      `redirectprinters:i:${options.redirectPrinters ? 1 : 0}`,
+      `drivestoredirect:s:${options.redirectDrives ? '*' : ''}`,
+      `audiomode:i:${AUDIO_MODES[options.audio] !== undefined ? AUDIO_MODES[options.audio] : 0}`,
+      'prompt for credentials:i:1',
+      'authentication level:i:2'
+    ];
+    if (user) {
+      lines.push(`username:s:${clean(user)}`);
+    }
+
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * 生成 OpenSSH config 片段
+   */
+  renderSshConfig(cloudPC, options) {
+    const { host, port, username } = this.resolveEndpoint(cloudPC, 'ssh');
+    const user = options.username || username || this.config.defaultSshUsers[cloudPC.os] || 'root';
+
+    const lines = [
+      `# ${clean(cloudPC.name)}`,
+      `Host ${this.getAlias(cloudPC)}`,
+      `    HostName ${host}`,
+      `    Port ${port}`,
+      `    User ${clean(user)}`
+    ];
+    if (options.identityFile) {
+      lines.push(`    IdentityFile ${clean(options.identityFile)}`, '    IdentitiesOnly yes');
+    }
+    lines.push(`    ForwardAgent ${options.forwardAgent ? 'yes' : 'no'}`);
+    if (options.serverAliveInterval > 0) {
+      lines.push(`    ServerAliveInterval ${options.serverAliveInterval}`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * 生成连接文件
+   * @returns {{filename: string, contentType: string, content: string}}
+   */
+  render(cloudPC, type, options) {
+    const alias = this.getAlias(cloudPC);
+    if (type === 'rdp') {
+      return {
+        filename: `${alias}.rdp`,
+        contentType: 'application/x-rdp',
+        content: this.renderRdp(cloudPC, options)
+      };
+    }
+    return {
+      filename: `${alias}.conf`,
+      contentType: 'text/plain',
+      content: this.renderSshConfig(cloudPC, options)
+    };
+  }
+
+  /**
+   * 申请连接文件下载令牌
+   * @param {CloudPC} cloudPC - 云电脑，须属于当前用户
+   * @param {User} user - 当前用户
+   * @param {Object} params - { type: rdp/ssh, options: 本次下载的选项 }
+   * @returns {Promise<{token: string, expiresAt: Date}>}
+   */
+  async createDownload(cloudPC, user, { type, options = {} }) {
+    if (!connectionConfig.supports(type, cloudPC.os)) {
+      throw new AppError(`${cloudPC.os} 不支持${connectionConfig.protocols[type].name}连接`, 400);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.config.tokenTTL * 1000);
+
+    await ConnectionFileToken.create({
+      tokenHash: hashToken(token),
+      cloudPC: cloudPC._id,
+      user: user._id,
+      type,
+      options: this.resolveOptions(type, user.preferences, options),
+      expiresAt
+    });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * 使用下载令牌生成连接文件，令牌只能使用一次
+   * @param {string} token - 下载令牌
+   * @param {string} ip - 下载来源IP
+   */
+  async download(token, ip) {
+    const now = new Date();
+    const record = await ConnectionFileToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+      { usedAt: now, downloadIp: ip },
+      { new: true }
+    );
+    if (!record) {
+      throw new AppError('下载链接无效、已过期或已使用', 410);
+    }
+
+    const cloudPC = await CloudPC.findOne({ _id: record.cloudPC, user: record.user });
+    if (!cloudPC) {
+      throw new AppError('云电脑未找到', 404);
+    }
+
+    return this.render(cloudPC, record.type, record.options);
+  }
+}
+
+// 创建单例实例
+const connectionFileService = new ConnectionFileService();
+
+module.exports = connectionFileService;
@@ -0,0 +1,147 @@
+/**
+ * 宿主机调度
+ * 在可用区内为云电脑选择宿主机：按最佳适配装箱，优先放入放置后剩余资源最少的宿主机，
+ * 把空闲的宿主机留给大规格的云电脑；占用和释放与可用区一样使用带条件的原子更新
+ * 可用区未登记宿主机时不做宿主机调度，容量只按可用区计算
+ */
+
+const Host = require('../models/Host');
+const CloudPC = require('../models/CloudPC');
+const capacityUtils = require('../utils/capacity');
+const logger = require('../utils/logger');
+
+class HostScheduler {
+  /**
+   * 判断宿主机能否再放置指定规格的云电脑
+   * @param {Host} host - 宿主机
+   * @param {Object} spec - { cpu, memory, storage }
+   * @returns {boolean}
+   */
+  fits(host, spec) {
+    return host.status === 'active' && capacityUtils.hasRoom(host, spec);
+  }
+
+  /**
+   * 放置后宿主机剩余资源的比例之和，越小表示装得越满
+   */
+  getLeftover(host, spec) {
+    return capacityUtils.getRatios(host, spec).reduce((sum, ratio) => sum + (1 - ratio), 0);
+  }
+
+  /**
+   * 筛选能放置指定规格的宿主机，按放置后剩余资源从少到多排序（最佳适配）
+   * @param {Host[]} hosts - 候选宿主机
+   * @param {Object} spec - { cpu, memory, storage }
+   * @returns {Host[]}
+   */
+  rankHosts(hosts, spec) {
+    return hosts
+      .filter(host => this.fits(host, spec))
+      .sort((a, b) => this.getLeftover(a, spec) - this.getLeftover(b, spec) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * 按资源增量占用宿主机，只检查增加的资源
+   * @param {string} hostId - 宿主机ID
+   * @param {Object} delta - { cpu, memory, storage }，可以为负数
+   * @param {Object} options - { requireActive: 是否要求宿主机不在维护中 }
+   * @returns {Promise<Host|null>} 容量不足时返回 null
+   */
+  reserve(hostId, delta, { requireActive = true } = {}) {
+    const query = { _id: hostId };
+    if (requireActive) {
+      query.status = 'active';
+    }
+
+    const condition = capacityUtils.getReserveCondition(delta);
+    if (condition) {
+      query.$expr = condition;
+    }
+
+    return Host.findOneAndUpdate(query, { $inc: capacityUtils.toIncrement(delta) }, { new: true });
+  }
+
+  /**
+   * 释放宿主机中的资源
+   * @param {string} hostId - 宿主机ID
+   * @param {Object} spec - { cpu, memory, storage }
+   */
+  async release(hostId, spec) {
+    if (!hostId) {
+      return;
+    }
+    await Host.updateOne({ _id: hostId }, { $inc: capacityUtils.toIncrement(spec, -1) });
+  }
+
+  /**
+   * 在可用区内选择宿主机并占用资源
+   * @param {string} zoneCode - 可用区代码
+   * @param {Object} spec - { cpu, memory, storage }
+   * @param {Object} options - { exclude: 不参与选择的宿主机ID }
+   * @returns {Promise<{host: Host|null}|null>} 可用区未登记宿主机时 host 为空，宿主机都放不下时返回 null
+   */
+  async allocate(zoneCode, spec, { exclude } = {}) {
+    const hosts = await Host.find({ zone: zoneCode });
+    if (hosts.length === 0) {
+      return { host: null };
+    }
+
+    const candidates = hosts.filter(host => !exclude || String(host._id) !== String(exclude));
+    for (const candidate of this.rankHosts(candidates, spec)) {
+      const host = await this.reserve(candidate._id, spec);
+      if (host) {
+        return { host };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 判断一组宿主机中能否放下指定规格，没有宿主机时视为不限制
+   * @param {Host[]} hosts - 同一可用区的宿主机
+   * @param {Object} spec - { cpu, memory, storage }
+   * @returns {boolean}
+   */
+  canPlace(hosts, spec) {
+    return hosts.length === 0 || hosts.some(host => this.fits(host, spec));
+  }
+
+  /**
+   * 按现有云电脑（含回收站中的）重新统计各宿主机的已分配资源
+   */
+  async syncUsage() {
+    const hosts = await Host.find().select('_id');
+    const group = {
+      $group: {
+        _id: '$host',
+        cpu: { $sum: '$cpu' },
+        memory: { $sum: '$memory' },
+        storage: { $sum: '$storage' }
+      }
+    };
+    const [active, deleted] = await Promise.all([
+      CloudPC.aggregate([{ $match: { deletedAt: null, host: { $ne: null } } }, group]),
+      CloudPC.aggregate([{ $match: { deletedAt: { $ne: null }, host: { $ne: null } } }, group])
+    ]);
+    const usage = [...active, ...deleted];
+
+    for (const host of hosts) {
+      const items = usage.filter(item => String(item._id) === String(host._id));
+      const allocated = capacityUtils.getSpec(items.reduce((acc, item) => ({
+        cpu: (acc.cpu || 0) + item.cpu,
+        memory: (acc.memory || 0) + item.memory,
+        storage: (acc.storage || 0) + item.storage
+      }), {}));
+      await Host.updateOne({ _id: host._id }, { $set: { allocated } });
+    }
+
+    if (hosts.length > 0) {
+      logger.info('已重新统计宿主机用量', { count: hosts.length });
+    }
+  }
+}
+
+// 创建单例实例
+const hostScheduler = new HostScheduler();
+
+module.exports = hostScheduler;
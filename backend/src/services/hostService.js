@@ -0,0 +1,304 @@
+/**
+ * 宿主机管理
+ * 登记和调整宿主机、维护模式与撤离，以及按机房、可用区汇总的容量报表
+ * 撤离时把宿主机上的云电脑逐台迁移到同一可用区的其他宿主机，迁移由操作队列在后台完成
+ */
+
+const Host = require('../models/Host');
+const Zone = require('../models/Zone');
+const Region = require('../models/Region');
+const CloudPC = require('../models/CloudPC');
+const regionConfig = require('../config/regions');
+const { requestMigrate } = require('./cloudpcLifecycle');
+const providerRegistry = require('./providers');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// 占用百分比，保留一位小数
+const percent = (used, total) => (total > 0 ? Math.round((used / total) * 1000) / 10 : 0);
+
+// 按资源逐项求和
+const sumResources = (items, field) => regionConfig.resources.reduce((acc, resource) => {
+  acc[resource] = items.reduce((sum, item) => sum + (item[field][resource] || 0), 0);
+  return acc;
+}, {});
+
+class HostService {
+  /**
+   * 登记宿主机
+   * @param {Object} params - { name, address, zone, capacity }
+   * @returns {Promise<Host>}
+   */
+  async register({ name, address, zone, capacity }) {
+    if (!(await Zone.exists({ code: zone }))) {
+      throw new AppError(`可用区 ${zone} 不存在`, 400);
+    }
+
+    try {
+      return await Host.create({ name, address, zone, capacity });
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        throw new AppError('宿主机名称已存在', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 获取宿主机
+   * @param {string} id - 宿主机ID
+   * @returns {Promise<Host>}
+   */
+  async getHost(id) {
+    const host = await Host.findById(id);
+    if (!host) {
+      throw new AppError('宿主机未找到', 404);
+    }
+    return host;
+  }
+
+  /**
+   * 更新宿主机名称、地址和容量，容量不能小于已分配的资源
+   * @param {Host} host - 宿主机
+   * @param {Object} updates - { name, address, capacity }
+   * @returns {Promise<Host>}
+   */
+  async update(host, { name, address, capacity }) {
+    if (capacity) {
+      const short = regionConfig.resources.filter(resource =>
+        capacity[resource] !== undefined && capacity[resource] < host.allocated[resource]);
+      if (short.length > 0) {
+        throw new AppError(`容量不能小于已分配的资源：${short.join('、')}`, 409);
+      }
+      regionConfig.resources.forEach(resource => {
+        if (capacity[resource] !== undefined) {
+          host.capacity[resource] = capacity[resource];
+        }
+      });
+    }
+    if (name !== undefined) {
+      host.name = name;
+    }
+    if (address !== undefined) {
+      host.address = address;
+    }
+
+    try {
+      await host.save();
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        throw new AppError('宿主机名称已存在', 409);
+      }
+      throw error;
+    }
+    return host;
+  }
+
+  /**
+   * 注销宿主机，宿主机上（含回收站中）不能还有云电脑
+   * @param {Host} host - 宿主机
+   */
+  async remove(host) {
+    const [active, deleted] = await Promise.all([
+      CloudPC.countDocuments({ host: host._id }),
+      CloudPC.countDocuments({ host: host._id, deletedAt: { $ne: null } })
+    ]);
+    if (active + deleted > 0) {
+      throw new AppError(`宿主机上仍有 ${active + deleted} 台云电脑，请先撤离或等待回收站清理`, 409);
+    }
+    await host.deleteOne();
+  }
+
+  /**
+   * 进入维护模式：不再放置新的云电脑，需要时撤离已有的云电脑
+   * @param {Host} host - 宿主机
+   * @param {Object} params - { reason, evacuate, user }
+   * @returns {Promise<{host: Host, evacuation: Object|null}>}
+   */
+  async enterMaintenance(host, { reason, evacuate = true, user } = {}) {
+    if (host.status !== 'maintenance') {
+      host.status = 'maintenance';
+      host.maintenance = { reason, startedAt: new Date(), startedBy: user };
+      await host.save();
+
+      logger.info('宿主机进入维护模式', {
+        hostId: host._id,
+        name: host.name,
+        reason,
+        adminId: user
+      });
+    }
+
+    const evacuation = evacuate ? await this.evacuate(host, { user }) : null;
+    return { host, evacuation };
+  }
+
+  /**
+   * 退出维护模式，恢复放置
+   * @param {Host} host - 宿主机
+   * @returns {Promise<Host>}
+   */
+  async exitMaintenance(host) {
+    host.status = 'active';
+    host.maintenance = undefined;
+    await host.save();
+    return host;
+  }
+
+  /**
+   * 撤离维护中宿主机上的云电脑，逐台提交迁移
+   * 正在迁移或驱动不支持迁移的跳过，无法迁移的记录原因；回收站中的云电脑在彻底删除时释放资源
+   * @param {Host} host - 宿主机，须处于维护模式
+   * @param {Object} params - { user }
+   * @returns {Promise<{migrating: Object[], skipped: Object[], failed: Object[], recycleBin: number}>}
+   */
+  async evacuate(host, { user } = {}) {
+    if (host.status !== 'maintenance') {
+      throw new AppError('请先将宿主机置为维护模式', 409);
+    }
+
+    const [cloudPCs, recycleBin] = await Promise.all([
+      CloudPC.find({ host: host._id }),
+      CloudPC.countDocuments({ host: host._id, deletedAt: { $ne: null } })
+    ]);
+    const result = { migrating: [], skipped: [], failed: [], recycleBin };
+
+    for (const cloudPC of cloudPCs) {
+      const item = { cloudPC: cloudPC._id, name: cloudPC.name };
+
+      if (cloudPC.pendingMigration && cloudPC.pendingMigration.requestedAt) {
+        result.skipped.push({ ...item, reason: '云电脑正在迁移' });
+        continue;
+      }
+
+      const provider = providerRegistry.getProviderFor(cloudPC);
+      if (!provider.supports('migrate')) {
+        result.skipped.push({ ...item, reason: `驱动 ${provider.name} 不支持迁移` });
+        continue;
+      }
+
+      try {
+        const { operation, host: target } = await requestMigrate(cloudPC, {}, {
+          user,
+          source: 'maintenance'
+        });
+        result.migrating.push({ ...item, operation: operation._id, toHost: target._id, toHostName: target.name });
+      } catch (error) {
+        if (!(error instanceof AppError)) {
+          throw error;
+        }
+        result.failed.push({ ...item, reason: error.message });
+      }
+    }
+
+    logger.info('撤离宿主机', {
+      hostId: host._id,
+      name: host.name,
+      migrating: result.migrating.length,
+      skipped: result.skipped.length,
+      failed: result.failed.length,
+      recycleBin,
+      adminId: user
+    });
+
+    return result;
+  }
+
+  /**
+   * 宿主机列表，附带占用百分比和云电脑数量
+   * @param {Object} filters - { zone, status }
+   */
+  async list({ zone, status } = {}) {
+    const query = {};
+    if (zone) {
+      query.zone = zone;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const [hosts, counts] = await Promise.all([
+      Host.find(query).sort({ zone: 1, name: 1 }),
+      CloudPC.aggregate([
+        { $match: { deletedAt: null, host: { $ne: null } } },
+        { $group: { _id: '$host', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    return hosts.map(host => {
+      const count = counts.find(item => String(item._id) === String(host._id));
+      return {
+        ...host.toObject(),
+        cloudPCs: count ? count.count : 0,
+        utilization: this.getUtilization(host.capacity, host.allocated)
+      };
+    });
+  }
+
+  getUtilization(capacity, allocated) {
+    return regionConfig.resources.reduce((acc, resource) => {
+      acc[resource] = percent(allocated[resource] || 0, capacity[resource] || 0);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * 容量报表：按机房、可用区汇总可用区配额、宿主机物理容量、占用和最大剩余块
+   * 最大剩余块为单台运行中宿主机的最大剩余资源，反映还能放下的最大规格
+   * @returns {Promise<Object[]>}
+   */
+  async getCapacityReport() {
+    const [regions, zones, hosts, counts] = await Promise.all([
+      Region.find().sort('code'),
+      Zone.find().sort('code'),
+      Host.find(),
+      CloudPC.aggregate([
+        { $group: { _id: '$zone', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    return regions.map(region => ({
+      code: region.code,
+      name: region.name,
+      available: region.available,
+      zones: zones.filter(zone => zone.region === region.code).map(zone => {
+        const zoneHosts = hosts.filter(host => host.zone === zone.code);
+        const activeHosts = zoneHosts.filter(host => host.status === 'active');
+        const hostCapacity = sumResources(activeHosts, 'capacity');
+        const hostAllocated = sumResources(zoneHosts, 'allocated');
+        const count = counts.find(item => item._id === zone.code);
+
+        return {
+          code: zone.code,
+          name: zone.name,
+          available: zone.available,
+          cloudPCs: count ? count.count : 0,
+          quota: {
+            capacity: zone.capacity,
+            allocated: zone.allocated,
+            utilization: this.getUtilization(zone.capacity, zone.allocated)
+          },
+          hosts: {
+            total: zoneHosts.length,
+            active: activeHosts.length,
+            maintenance: zoneHosts.length - activeHosts.length,
+            capacity: hostCapacity,
+            allocated: hostAllocated,
+            utilization: this.getUtilization(hostCapacity, hostAllocated),
+            largestFree: regionConfig.resources.reduce((acc, resource) => {
+              acc[resource] = activeHosts.reduce((max, host) => Math.max(max, host.free[resource]), 0);
+              return acc;
+            }, {})
+          }
+        };
+      })
+    }));
+  }
+}
+
+// 创建单例实例
+const hostService = new HostService();
+
+module.exports = hostService;
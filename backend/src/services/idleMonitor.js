@@ -0,0 +1,223 @@
+/**
+ * 空闲自动关机
+ * 按云电脑的 idlePolicy 检查会话操作和CPU使用率，空闲超时前向已连接的客户端发出预警，超时后自动关机
+ * 会话信息来自本进程的云电脑WebSocket连接
+ */
+
+const cron = require('node-cron');
+const CloudPC = require('../models/CloudPC');
+const idleConfig = require('../config/idle');
+const stateMachine = require('./cloudpcStateMachine');
+const { requestPowerAction } = require('./cloudpcLifecycle');
+const { cloudPCWebSocketService } = require('./cloudpc-websocket');
+const logger = require('../utils/logger');
+
+// 向云电脑日志追加一条记录
+const appendLog = (cloudPCId, level, message) => {
+  return CloudPC.updateOne({ _id: cloudPCId }, {
+    $push: {
+      logs: {
+        $each: [{ level, message, source: 'idle' }],
+        $slice: -100
+      }
+    }
+  });
+};
+
+// 清除空闲记录
+const clearIdle = (cloudPCId) => {
+  return CloudPC.updateOne({ _id: cloudPCId }, {
+    $unset: { 'idlePolicy.idleSince': 1, 'idlePolicy.warnedAt': 1 }
+  });
+};
+
+class IdleMonitor {
+  constructor() {
+    this.config = idleConfig;
+    this.task = null;
+    this.running = false;
+    this.handleTransition = this.handleTransition.bind(this);
+  }
+
+  /**
+   * 启动定时检查
+   */
+  start() {
+    if (!this.config.enabled || this.task) {
+      return;
+    }
+
+    this.task = cron.schedule(this.config.cron, () => this.run());
+    stateMachine.on('transition', this.handleTransition);
+
+    logger.info('空闲自动关机检查已启动', { cron: this.config.cron });
+  }
+
+  /**
+   * 停止定时检查
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      stateMachine.off('transition', this.handleTransition);
+    }
+  }
+
+  /**
+   * 云电脑离开运行状态时清除空闲记录，下次启动后重新计算
+   */
+  handleTransition({ cloudPC, from }) {
+    if (from !== 'running') {
+      return;
+    }
+
+    clearIdle(cloudPC._id).catch(error => {
+      logger.warn('清除空闲记录失败', {
+        cloudPCId: cloudPC._id,
+        error: error.message
+      });
+    });
+  }
+
+  /**
+   * 执行一轮检查，上一轮未结束时跳过本轮
+   * @returns {Promise<number|null>} 自动关机的云电脑数量
+   */
+  async run(now = new Date()) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const cloudPCs = await CloudPC.find({
+        status: 'running',
+        'idlePolicy.enabled': true
+      });
+
+      let stopped = 0;
+      for (const cloudPC of cloudPCs) {
+        try {
+          if (await this.check(cloudPC, now)) {
+            stopped++;
+          }
+        } catch (error) {
+          logger.error('空闲检查失败', {
+            cloudPCId: cloudPC._id,
+            error: error.message
+          });
+        }
+      }
+
+      if (stopped > 0) {
+        logger.info('已自动关闭空闲云电脑', { count: stopped });
+      }
+      return stopped;
+    } catch (error) {
+      logger.error('空闲自动关机检查失败', { error: error.message });
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 检查单台云电脑并执行相应动作
+   * @returns {Promise<boolean>} 是否提交了关机
+   */
+  async check(cloudPC, now = new Date()) {
+    const cloudPCId = String(cloudPC._id);
+    const policy = cloudPC.idlePolicy;
+    const { lastActivityAt } = cloudPCWebSocketService.getSessionActivity(cloudPCId);
+    const state = idleConfig.getIdleState(policy, {
+      cpuUsage: cloudPC.usage.cpuUsage,
+      lastActivityAt
+    }, now);
+
+    if (state.action === 'active') {
+      if (policy.idleSince || policy.warnedAt) {
+        await clearIdle(cloudPC._id);
+      }
+      if (policy.warnedAt) {
+        this.notify(cloudPCId, 'idle_warning_cancelled', '云电脑已恢复活跃，取消自动关机');
+      }
+      return false;
+    }
+
+    if (state.action === 'stop') {
+      return this.stopIdle(cloudPC, policy);
+    }
+
+    const updates = {};
+    if (!policy.idleSince) {
+      updates['idlePolicy.idleSince'] = state.idleSince;
+    }
+
+    if (state.action === 'warn' && !state.warned) {
+      updates['idlePolicy.warnedAt'] = now;
+      const minutes = Math.max(Math.ceil((state.stopAt - now) / 60000), 1);
+      this.notify(cloudPCId, 'idle_warning', `云电脑已空闲，将在 ${minutes} 分钟后自动关机，继续操作可取消`, {
+        stopAt: state.stopAt.toISOString()
+      });
+      await appendLog(cloudPC._id, 'warning', `云电脑空闲，将在 ${minutes} 分钟后自动关机`);
+    }
+
+    if (state.action === 'idle' && policy.warnedAt) {
+      // 用户在预警后恢复了操作
+      updates['idlePolicy.warnedAt'] = null;
+      this.notify(cloudPCId, 'idle_warning_cancelled', '检测到操作，已取消自动关机');
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await CloudPC.updateOne({ _id: cloudPC._id, status: 'running' }, { $set: updates });
+    }
+    return false;
+  }
+
+  /**
+   * 提交自动关机
+   */
+  async stopIdle(cloudPC, policy) {
+    try {
+      await requestPowerAction(cloudPC, 'stop', { source: 'idle' });
+    } catch (error) {
+      // 云电脑状态刚好发生变化或正在调整配置，下一轮再判断
+      if (error.statusCode === 409) {
+        return false;
+      }
+      throw error;
+    }
+
+    const message = `空闲超过 ${policy.idleMinutes} 分钟，已自动关机`;
+    this.notify(String(cloudPC._id), 'idle_stopped', message);
+    await appendLog(cloudPC._id, 'info', message);
+
+    logger.info('自动关闭空闲云电脑', {
+      cloudPCId: cloudPC._id,
+      userId: cloudPC.user,
+      idleMinutes: policy.idleMinutes
+    });
+    return true;
+  }
+
+  /**
+   * 通知连接到云电脑的客户端
+   */
+  notify(cloudPCId, type, message, data = {}) {
+    cloudPCWebSocketService.sendToCloudPC(cloudPCId, {
+      type,
+      message,
+      data: {
+        cloudPCId,
+        ...data,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+}
+
+// 创建单例实例
+const idleMonitor = new IdleMonitor();
+
+module.exports = idleMonitor;
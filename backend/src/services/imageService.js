@@ -0,0 +1,108 @@
+/**
+ * 镜像服务
+ * 负责基础镜像初始化、镜像访问校验，以及镜像与配置、机房的兼容性检查
+ */
+
+const Image = require('../models/Image');
+const Template = require('../models/Template');
+const CloudPC = require('../models/CloudPC');
+const providerRegistry = require('./providers');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const BASE_OS = ['Windows 10', 'Windows 11', 'Ubuntu 20.04', 'Ubuntu 22.04', 'CentOS 8', 'Debian 11'];
+
+class ImageService {
+  /**
+   * 确保每个操作系统都有一个公共基础镜像
+   * 基础镜像不指定驱动侧镜像，创建时使用驱动按操作系统配置的默认镜像
+   */
+  async ensureBaseImages() {
+    let created = 0;
+
+    for (const os of BASE_OS) {
+      const result = await Image.updateOne(
+        { type: 'base', os, providerImageId: { $exists: false } },
+        {
+          $setOnInsert: {
+            name: os,
+            description: `${os} 基础镜像`,
+            os,
+            type: 'base',
+            visibility: 'public',
+            status: 'available'
+          }
+        },
+        { upsert: true }
+      );
+      created += result.upsertedCount || 0;
+    }
+
+    if (created > 0) {
+      logger.info('已初始化基础镜像', { count: created });
+    }
+    return created;
+  }
+
+  /**
+   * 获取用户可用的镜像，不存在或无权使用时抛出错误
+   * @param {string} imageId - 镜像ID
+   * @param {Object} user - 当前用户
+   * @returns {Promise<Image>}
+   */
+  async getUsableImage(imageId, user) {
+    const image = await Image.findById(imageId);
+
+    if (!image || !image.isAccessibleBy(user)) {
+      throw new AppError('镜像未找到', 404);
+    }
+    if (image.status !== 'available') {
+      throw new AppError('镜像尚未就绪，暂时无法使用', 409);
+    }
+
+    return image;
+  }
+
+  /**
+   * 校验镜像与配置、机房是否兼容
+   * @param {Image} image - 镜像
+   * @param {Object} spec - { cpu, memory, storage, location }
+   */
+  assertCompatible(image, { cpu, memory, storage, location }) {
+    const tier = CloudPC.findTier(cpu, memory);
+    if (tier && !tier.os.includes(image.os)) {
+      throw new AppError(`${tier.name}不支持操作系统 ${image.os}`, 400);
+    }
+    if (storage < image.minStorage) {
+      throw new AppError(`该镜像至少需要 ${image.minStorage}GB 存储空间`, 400);
+    }
+    // 自定义镜像保存在捕获时的驱动中，只能在同一驱动的机房使用
+    if (image.driver && providerRegistry.getProviderForLocation(location).name !== image.driver) {
+      throw new AppError('该镜像不能在所选机房使用，请选择使用相同驱动的机房', 400);
+    }
+  }
+
+  /**
+   * 删除镜像，被模板引用的镜像不能删除
+   */
+  async deleteImage(image) {
+    const inUse = await Template.exists({ image: image._id, isActive: true });
+    if (inUse) {
+      throw new AppError('镜像正在被模板使用，请先删除相关模板', 409);
+    }
+    if (image.status === 'creating') {
+      throw new AppError('镜像正在捕获，请稍后再删除', 409);
+    }
+
+    if (image.type === 'custom' && image.providerImageId && image.driver) {
+      await providerRegistry.getDriver(image.driver).deleteImage(image.providerImageId);
+    }
+
+    await image.deleteOne();
+  }
+}
+
+// 创建单例实例
+const imageService = new ImageService();
+
+module.exports = imageService;
@@ -0,0 +1,131 @@
+/**
+ * 账单导出
+ * 把账单渲染为CSV（带BOM，便于Excel直接打开）和PDF
+ */
+
+const billingConfig = require('../config/billing');
+const { PAGE, renderPdf } = require('../utils/pdf');
+
+const money = (value) => (Number(value) || 0).toFixed(2);
+const quantity = (value) => (Number(value) || 0).toFixed(2);
+
+// CSV字段转义：包含逗号、引号或换行时加引号；以公式字符开头时加单引号，避免在表格软件中被执行
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (cells) => cells.map(csvCell).join(',');
+
+const resourceLabel = (resource) => (billingConfig.resources[resource] || { label: resource }).label;
+
+class InvoiceRenderer {
+  constructor() {
+    this.config = billingConfig;
+  }
+
+  /**
+   * 导出文件名
+   * @param {Invoice} invoice - 账单
+   * @param {string} format - csv / pdf
+   */
+  getFilename(invoice, format) {
+    return `${invoice.number}.${format}`;
+  }
+
+  /**
+   * 渲染CSV：每行一条明细，末尾为小计、优惠、税额和合计
+   * @param {Invoice} invoice - 账单
+   * @returns {string}
+   */
+  renderCsv(invoice) {
+    const rows = [
+      ['账单编号', '账期', '云电脑ID', '云电脑', '资源', '用量', '单位', `金额(${invoice.currency})`],
+      ...invoice.lineItems.map(item => [
+        invoice.number,
+        invoice.period,
+        item.cloudPC ? String(item.cloudPC) : '',
+        item.cloudPCName,
+        resourceLabel(item.resource),
+        quantity(item.quantity),
+        item.unit,
+        money(item.amount)
+      ]),
+      [],
+      ['', '', '', '', '', '', '小计', money(invoice.subtotal)],
+      ...(invoice.discounts || []).map(discount => ['', '', '', '', '', '', discount.description, money(-discount.amount)]),
+      ['', '', '', '', '', '', `税额(${Math.round(invoice.taxRate * 10000) / 100}%)`, money(invoice.tax)],
+      ['', '', '', '', '', '', '合计', money(invoice.total)]
+    ];
+
+    return `\uFEFF${rows.map(csvRow).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * 渲染PDF：抬头、账单信息、明细表、优惠和合计
+   * @param {Invoice} invoice - 账单
+   * @param {Object} customer - 账单所属用户 { name, email }
+   * @returns {Buffer}
+   */
+  renderPdf(invoice, customer = {}) {
+    const left = PAGE.margin;
+    const right = PAGE.width - PAGE.margin;
+    const columns = { name: left, resource: left + 170, quantity: left + 360, amount: right };
+    const formatDate = (date) => this.config.formatDate(date) || '-';
+
+    const rows = [
+      [{ text: this.config.issuer, size: 12 }],
+      [{ text: `账单 ${invoice.number}`, size: 18 }],
+      [],
+      [{ text: `账期：${invoice.period}（${formatDate(invoice.periodStart)} 至 ${formatDate(new Date(invoice.periodEnd.getTime() - 1))}）` }],
+      [{ text: `客户：${customer.name || ''} ${customer.email || ''}`.trim() }],
+      [{ text: `状态：${this.config.statuses[invoice.status] || invoice.status}` }],
+      [{ text: `开具日期：${formatDate(invoice.issuedAt)}` }, { text: `付款期限：${formatDate(invoice.dueAt)}`, x: left + 250 }],
+      [],
+      [
+        { text: '云电脑', x: columns.name },
+        { text: '资源', x: columns.resource },
+        { text: '用量', x: columns.quantity, align: 'right' },
+        { text: `金额(${invoice.currency})`, x: columns.amount, align: 'right' }
+      ],
+      ...invoice.lineItems.map(item => [
+        { text: item.cloudPCName || String(item.cloudPC || ''), x: columns.name },
+        { text: resourceLabel(item.resource), x: columns.resource },
+        { text: `${quantity(item.quantity)} ${item.unit || ''}`.trim(), x: columns.quantity, align: 'right' },
+        { text: money(item.amount), x: columns.amount, align: 'right' }
+      ]),
+      []
+    ];
+
+    if (invoice.lineItems.length === 0) {
+      rows.splice(rows.length - 1, 0, [{ text: '本账期没有计费用量', x: columns.name }]);
+    }
+
+    rows.push(
+      [{ text: '小计', x: columns.quantity, align: 'right' }, { text: money(invoice.subtotal), x: columns.amount, align: 'right' }],
+      ...(invoice.discounts || []).map(discount => [
+        { text: discount.description, x: columns.quantity, align: 'right' },
+        { text: money(-discount.amount), x: columns.amount, align: 'right' }
+      ]),
+      [
+        { text: `税额(${Math.round(invoice.taxRate * 10000) / 100}%)`, x: columns.quantity, align: 'right' },
+        { text: money(invoice.tax), x: columns.amount, align: 'right' }
+      ],
+      [{ text: '合计', x: columns.quantity, align: 'right', size: 12 }, { text: money(invoice.total), x: columns.amount, align: 'right', size: 12 }]
+    );
+
+    if (invoice.status === 'void') {
+      rows.push([], [{ text: `本账单已作废：${invoice.voidReason || ''}` }]);
+    }
+
+    return renderPdf(rows, { title: `账单 ${invoice.number}` });
+  }
+}
+
+// 创建单例实例
+const invoiceRenderer = new InvoiceRenderer();
+
+module.exports = invoiceRenderer;
@@ -0,0 +1,407 @@
+/**
+ * 月度账单
+ * 账期结束后按用户汇总已结束的用量区间，每台云电脑每种资源生成一行明细，抵扣优惠券并计算税额后生成账单
+ * 账单状态：草稿 -> 已开具 -> 已付款，草稿和已开具的账单可以作废，作废后可以重新生成
+ */
+
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Invoice = require('../models/Invoice');
+const UsageRecord = require('../models/UsageRecord');
+const User = require('../models/User');
+const billingConfig = require('../config/billing');
+const meteringConfig = require('../config/metering');
+const meteringService = require('./meteringService');
+const invoiceRenderer = require('./invoiceRenderer');
+const promotionService = require('./promotionService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// 明细的计费用量：计算按运行小时；存储只计关机期间；带宽只计超出套餐的部分
+const USAGE_FIELDS = {
+  compute: { $sum: '$quantities.computeHours' },
+  storage: {
+    $sum: { $multiply: ['$storage', { $subtract: ['$quantities.hours', '$quantities.computeHours'] }] }
+  },
+  snapshot: { $sum: '$quantities.snapshotGBHours' },
+  bandwidth: {
+    $sum: {
+      $multiply: [
+        { $max: [{ $subtract: ['$bandwidth', meteringConfig.bandwidth.includedMbps] }, 0] },
+        '$quantities.computeHours'
+      ]
+    }
+  }
+};
+
+class InvoiceService {
+  constructor() {
+    this.config = billingConfig;
+    this.task = null;
+    this.running = false;
+  }
+
+  /**
+   * 启动月度账单生成
+   */
+  start() {
+    if (!this.config.enabled || this.task) {
+      return;
+    }
+
+    this.task = cron.schedule(this.config.cron, () => this.run(), { timezone: this.config.timezone });
+
+    logger.info('月度账单生成已启动', { cron: this.config.cron, timezone: this.config.timezone });
+  }
+
+  /**
+   * 停止月度账单生成
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * 生成上一账期的账单，配置为自动开具时直接开具；上一轮未结束时跳过本轮
+   */
+  async run(now = new Date()) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const period = this.config.getPreviousPeriod(now);
+      return await this.generateForPeriod(period.key, { issue: this.config.autoIssue }, now);
+    } catch (error) {
+      logger.error('月度账单生成失败', { error: error.message });
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 结束在账期结束前开始、仍未结束的用量区间，区间在账期边界拆分
+   * @param {Object} period - { key, start, end }
+   * @param {string} userId - 只处理指定用户，为空时处理全部
+   */
+  async settle(period, userId) {
+    const query = { open: true, startedAt: { $lt: period.end } };
+    if (userId) {
+      query.user = userId;
+    }
+
+    const records = await UsageRecord.find(query).select('cloudPC');
+    for (const record of records) {
+      await meteringService.rollover(record.cloudPC, { reason: 'period' });
+    }
+  }
+
+  /**
+   * 按云电脑和资源汇总用户在账期内的用量和费用，金额为零的明细不列出
+   * @param {string} userId - 用户ID
+   * @param {Object} period - { key, start, end }
+   * @returns {Promise<Object[]>}
+   */
+  async buildLineItems(userId, period) {
+    const group = { _id: '$cloudPC', name: { $last: '$name' } };
+    Object.keys(this.config.resources).forEach(resource => {
+      group[`${resource}Quantity`] = USAGE_FIELDS[resource];
+      group[`${resource}Amount`] = { $sum: `$cost.${resource}` };
+    });
+
+    const usage = await UsageRecord.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(String(userId)),
+          open: false,
+          startedAt: { $gte: period.start, $lt: period.end }
+        }
+      },
+      { $sort: { startedAt: 1 } },
+      { $group: group },
+      { $sort: { name: 1, _id: 1 } }
+    ]);
+
+    return usage.flatMap(item => Object.entries(this.config.resources)
+      .map(([resource, { label, unit }]) => ({
+        cloudPC: item._id,
+        cloudPCName: item.name,
+        resource,
+        description: `${item.name || item._id} ${label}`,
+        quantity: Number(item[`${resource}Quantity`].toFixed(4)),
+        unit,
+        amount: round(item[`${resource}Amount`])
+      }))
+      .filter(lineItem => lineItem.amount > 0));
+  }
+
+  /**
+   * 生成用户指定账期的账单：已有草稿时按最新用量和优惠重新生成，已开具或已付款的账单保持不变
+   * 账期内没有计费用量时不生成
+   * @param {string} userId - 用户ID
+   * @param {string} periodKey - 账期，如 2026-10
+   * @param {Object} options - { actor: 操作的管理员 }
+   * @returns {Promise<Invoice|null>}
+   */
+  async generate(userId, periodKey, { actor } = {}, now = new Date()) {
+    const period = this.config.getPeriodByKey(periodKey);
+    if (period.end > now) {
+      throw new AppError('账期尚未结束，不能生成账单', 400);
+    }
+
+    await this.settle(period, userId);
+
+    const existing = await Invoice.findOne({ user: userId, period: period.key, status: { $ne: 'void' } });
+    if (existing && existing.status !== 'draft') {
+      return existing;
+    }
+
+    const lineItems = await this.buildLineItems(userId, period);
+    if (!existing && lineItems.length === 0) {
+      return null;
+    }
+
+    const taxRate = this.config.taxRate;
+    const discounts = await promotionService.buildDiscounts(userId, period, lineItems, existing && existing._id);
+    const fields = { lineItems, discounts, taxRate, ...this.calculateTotals(lineItems, discounts, taxRate), updatedBy: actor };
+
+    let invoice = existing;
+    if (invoice) {
+      Object.assign(invoice, fields);
+      await invoice.save();
+    } else {
+      try {
+        invoice = await Invoice.create({
+          number: `INV-${period.key.replace('-', '')}-${uuidv4().slice(0, 8).toUpperCase()}`,
+          user: userId,
+          period: period.key,
+          periodStart: period.start,
+          periodEnd: period.end,
+          revision: await Invoice.countDocuments({ user: userId, period: period.key }),
+          ...fields
+        });
+      } catch (error) {
+        if (isDuplicateKey(error)) {
+          throw new AppError('账单正在生成，请稍后重试', 409);
+        }
+        throw error;
+      }
+    }
+
+    // 优惠券同时被其他账单占用时，去掉该优惠重新计算合计
+    const attached = await promotionService.attach(invoice);
+    if (attached.length !== discounts.length) {
+      Object.assign(invoice, { discounts: attached, ...this.calculateTotals(lineItems, attached, taxRate) });
+      await invoice.save();
+    }
+    return invoice;
+  }
+
+  /**
+   * 计算账单合计：小计为明细合计，减去优惠后计算税额
+   * @param {Object[]} lineItems - 账单明细
+   * @param {Object[]} discounts - 账单优惠
+   * @param {number} taxRate - 税率
+   * @returns {{subtotal: number, discount: number, tax: number, total: number}}
+   */
+  calculateTotals(lineItems, discounts, taxRate) {
+    const subtotal = round(lineItems.reduce((sum, item) => sum + item.amount, 0));
+    const discount = Math.min(round(discounts.reduce((sum, item) => sum + item.amount, 0)), subtotal);
+    const { tax, total } = this.config.calculateTotals(subtotal - discount, taxRate);
+    return { subtotal, discount, tax, total };
+  }
+
+  /**
+   * 为账期内有用量的全部用户生成账单
+   * @param {string} periodKey - 账期
+   * @param {Object} options - { actor, issue: 是否直接开具 }
+   * @returns {Promise<{period: string, generated: number, issued: number, skipped: number, failed: number}>}
+   */
+  async generateForPeriod(periodKey, { actor, issue = false } = {}, now = new Date()) {
+    const period = this.config.getPeriodByKey(periodKey);
+    if (period.end > now) {
+      throw new AppError('账期尚未结束，不能生成账单', 400);
+    }
+
+    await this.settle(period);
+
+    const users = await UsageRecord.distinct('user', {
+      open: false,
+      startedAt: { $gte: period.start, $lt: period.end }
+    });
+    const result = { period: period.key, generated: 0, issued: 0, skipped: 0, failed: 0 };
+
+    for (const userId of users) {
+      try {
+        const invoice = await this.generate(userId, period.key, { actor }, now);
+        if (!invoice || invoice.status !== 'draft') {
+          result.skipped++;
+          continue;
+        }
+        result.generated++;
+
+        if (issue) {
+          await this.issue(invoice, { actor }, now);
+          result.issued++;
+        }
+      } catch (error) {
+        result.failed++;
+        logger.error('生成账单失败', {
+          userId,
+          period: period.key,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('已生成账单', result);
+    return result;
+  }
+
+  // 按当前状态原子更新账单状态
+  async changeStatus(invoice, from, update, message) {
+    const updated = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, status: { $in: from } },
+      { $set: update },
+      { new: true }
+    );
+    if (!updated) {
+      throw new AppError(message, 409);
+    }
+    return updated;
+  }
+
+  /**
+   * 开具草稿账单，开始计算付款期限
+   * @param {Invoice} invoice - 账单
+   * @param {Object} options - { actor }
+   * @returns {Promise<Invoice>}
+   */
+  issue(invoice, { actor } = {}, now = new Date()) {
+    return this.changeStatus(invoice, ['draft'], {
+      status: 'issued',
+      issuedAt: now,
+      dueAt: new Date(now.getTime() + this.config.dueDays * 24 * 60 * 60 * 1000),
+      updatedBy: actor
+    }, '只有草稿账单可以开具');
+  }
+
+  /**
+   * 登记已开具账单的付款
+   * @param {Invoice} invoice - 账单
+   * @param {Object} options - { actor, reference: 付款说明 }
+   * @returns {Promise<Invoice>}
+   */
+  markPaid(invoice, { actor, reference } = {}, now = new Date()) {
+    return this.changeStatus(invoice, ['issued'], {
+      status: 'paid',
+      paidAt: now,
+      paymentReference: reference,
+      updatedBy: actor
+    }, '只有已开具的账单可以登记付款');
+  }
+
+  /**
+   * 作废账单，已付款的账单不能作废；账单使用的优惠券释放给重新生成的账单
+   * @param {Invoice} invoice - 账单
+   * @param {Object} options - { actor, reason }
+   * @returns {Promise<Invoice>}
+   */
+  async voidInvoice(invoice, { actor, reason } = {}, now = new Date()) {
+    const voided = await this.changeStatus(invoice, ['draft', 'issued'], {
+      status: 'void',
+      voidedAt: now,
+      voidReason: reason,
+      updatedBy: actor
+    }, '已付款或已作废的账单不能作废');
+
+    await promotionService.release(voided);
+    return voided;
+  }
+
+  /**
+   * 查询账单，普通用户只能看到自己已开具的账单
+   * @param {Object} requester - 当前用户 { id, role }
+   * @param {Object} filters - { user, status, period }
+   * @param {Object} options - { limit, skip }
+   * @returns {Promise<{invoices: Invoice[], total: number}>}
+   */
+  async list(requester, { user, status, period } = {}, { limit = 20, skip = 0 } = {}) {
+    const query = {};
+    if (requester.role === 'admin') {
+      if (user) {
+        query.user = user;
+      }
+      if (status) {
+        query.status = status;
+      }
+    } else {
+      query.user = requester.id;
+      query.status = status ? { $eq: status, $ne: 'draft' } : { $ne: 'draft' };
+    }
+
+    if (period) {
+      query.period = period;
+    }
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(query).select('-lineItems').sort('-periodStart -revision').skip(skip).limit(limit),
+      Invoice.countDocuments(query)
+    ]);
+    return { invoices, total };
+  }
+
+  /**
+   * 获取账单，普通用户只能访问自己已开具的账单
+   * @param {string} id - 账单ID
+   * @param {Object} requester - 当前用户 { id, role }
+   * @returns {Promise<Invoice>}
+   */
+  async getInvoice(id, requester) {
+    const invoice = await Invoice.findById(id);
+    const visible = invoice && (requester.role === 'admin'
+      || (String(invoice.user) === String(requester.id) && invoice.status !== 'draft'));
+    if (!visible) {
+      throw new AppError('账单未找到', 404);
+    }
+    return invoice;
+  }
+
+  /**
+   * 导出账单
+   * @param {Invoice} invoice - 账单
+   * @param {string} format - csv / pdf
+   * @returns {Promise<{filename: string, contentType: string, content: string|Buffer}>}
+   */
+  async export(invoice, format) {
+    if (format === 'csv') {
+      return {
+        filename: invoiceRenderer.getFilename(invoice, 'csv'),
+        contentType: 'text/csv; charset=utf-8',
+        content: invoiceRenderer.renderCsv(invoice)
+      };
+    }
+
+    const customer = await User.findById(invoice.user).select('name email');
+    return {
+      filename: invoiceRenderer.getFilename(invoice, 'pdf'),
+      contentType: 'application/pdf',
+      content: invoiceRenderer.renderPdf(invoice, customer || {})
+    };
+  }
+}
+
+// 创建单例实例
+const invoiceService = new InvoiceService();
+
+module.exports = invoiceService;
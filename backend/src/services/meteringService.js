@@ -0,0 +1,359 @@
+/**
+ * 用量计量
+ * 云电脑的状态、规格、单价或所有者每变化一次，结束当前用量区间并按区间开始时的快照计费，
+ * 同时以变化后的快照开始新区间；定时结算切分长时间未变化的区间，使累计费用及时更新
+ * 区间费用结束时累加到云电脑的 billing.totalCost
+ */
+
+const cron = require('node-cron');
+const CloudPC = require('../models/CloudPC');
+const UsageRecord = require('../models/UsageRecord');
+const meteringConfig = require('../config/metering');
+const billingConfig = require('../config/billing');
+const stateMachine = require('./cloudpcStateMachine');
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// 区间开始时的快照字段，拆分区间时原样复制
+const SNAPSHOT_FIELDS = ['cloudPC', 'user', 'name', 'status', 'cpu', 'memory', 'storage', 'bandwidth', 'snapshotGB', 'hourly', 'snapshotHourly'];
+
+const pickSnapshot = (record) => SNAPSHOT_FIELDS.reduce((acc, field) => {
+  acc[field] = record[field];
+  return acc;
+}, {});
+
+const QUANTITY_FIELDS = ['hours', 'computeHours', 'storageGBHours', 'snapshotGBHours', 'bandwidthMbpsHours'];
+const COST_FIELDS = ['compute', 'storage', 'snapshot', 'bandwidth', 'total'];
+
+// 逐项累加用量和费用
+const addAmounts = (target, source) => {
+  QUANTITY_FIELDS.forEach(field => {
+    target.quantities[field] = Number((target.quantities[field] + (source.quantities[field] || 0)).toFixed(4));
+  });
+  COST_FIELDS.forEach(field => {
+    target.cost[field] = Number((target.cost[field] + (source.cost[field] || 0)).toFixed(4));
+  });
+  return target;
+};
+
+// 按区间开始时间筛选
+const startedBetween = (from, to) => {
+  if (!from && !to) {
+    return {};
+  }
+  const startedAt = {};
+  if (from) {
+    startedAt.$gte = new Date(from);
+  }
+  if (to) {
+    startedAt.$lt = new Date(to);
+  }
+  return { startedAt };
+};
+
+const emptyAmounts = () => ({
+  quantities: QUANTITY_FIELDS.reduce((acc, field) => ({ ...acc, [field]: 0 }), {}),
+  cost: COST_FIELDS.reduce((acc, field) => ({ ...acc, [field]: 0 }), {})
+});
+
+class MeteringService {
+  constructor() {
+    this.config = meteringConfig;
+    this.task = null;
+    this.running = false;
+    this.handleTransition = this.handleTransition.bind(this);
+  }
+
+  /**
+   * 启动定时结算并监听状态迁移
+   */
+  start() {
+    if (!this.config.enabled || this.task) {
+      return;
+    }
+
+    this.task = cron.schedule(this.config.cron, () => this.checkpoint());
+    stateMachine.on('transition', this.handleTransition);
+
+    logger.info('用量计量已启动', { cron: this.config.cron });
+  }
+
+  /**
+   * 停止定时结算
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      stateMachine.off('transition', this.handleTransition);
+    }
+  }
+
+  /**
+   * 状态迁移时以迁移时间切分用量区间
+   */
+  handleTransition({ cloudPC, record }) {
+    this.rollover(cloudPC._id, { at: record.at, reason: 'transition' }).catch(error => {
+      logger.warn('切分用量区间失败', {
+        cloudPCId: cloudPC._id,
+        error: error.message
+      });
+    });
+  }
+
+  /**
+   * 结束当前用量区间并按云电脑的最新快照开始新区间
+   * @param {string} cloudPCId - 云电脑ID
+   * @param {Object} options - { at: 切分时间, reason: 结束原因 }
+   * @returns {Promise<UsageRecord|null>} 新区间，云电脑已删除时返回 null
+   */
+  async rollover(cloudPCId, { at = new Date(), reason } = {}) {
+    if (!this.config.enabled) {
+      return null;
+    }
+
+    await this.close(cloudPCId, { at, reason });
+    return this.open(cloudPCId, at);
+  }
+
+  /**
+   * 结束当前用量区间并计费，云电脑移入回收站或彻底删除时调用
+   * 跨账期的区间在账期边界拆分，保证每个区间只属于一个账期
+   * 区间晚于切分时间开始（例如迟到的事件）时保持不变
+   * @param {string} cloudPCId - 云电脑ID
+   * @param {Object} options - { at: 结束时间, reason: 结束原因 }
+   * @returns {Promise<UsageRecord|null>} 已结束的区间
+   */
+  async close(cloudPCId, { at = new Date(), reason } = {}) {
+    const current = await UsageRecord.findOne({ cloudPC: cloudPCId, open: true, startedAt: { $lte: at } });
+    if (!current) {
+      return null;
+    }
+
+    const snapshot = pickSnapshot(current);
+    const segments = billingConfig.splitByPeriod(current.startedAt, at);
+    const last = segments.pop();
+
+    const { quantities, cost } = this.config.rate({ ...snapshot, startedAt: last.from }, at);
+    const record = await UsageRecord.findOneAndUpdate(
+      { _id: current._id, open: true },
+      { $set: { open: false, startedAt: last.from, endedAt: at, closeReason: reason, quantities, cost } },
+      { new: true }
+    );
+    if (!record) {
+      // 已被并发的切分结束
+      return null;
+    }
+
+    const earlier = segments.map(({ from, to }) => ({
+      ...snapshot,
+      ...this.config.rate({ ...snapshot, startedAt: from }, to),
+      open: false,
+      startedAt: from,
+      endedAt: to,
+      closeReason: 'period'
+    }));
+    if (earlier.length > 0) {
+      await UsageRecord.insertMany(earlier);
+    }
+    const total = earlier.reduce((sum, item) => sum + item.cost.total, cost.total);
+
+    // 回收站中的云电脑也需要累计，updateOne 不受软删除过滤影响
+    await CloudPC.updateOne({ _id: cloudPCId }, {
+      $inc: { 'billing.totalCost': Number(total.toFixed(4)) },
+      $set: { 'billing.lastBillingDate': at }
+    });
+    await cacheService.invalidateCloudPCCache(cloudPCId);
+
+    return record;
+  }
+
+  /**
+   * 按云电脑的当前状态、规格和区间开始时生效的单价开始新区间，已有未结束的区间时不重复创建
+   * 区间开始时间早于最近一次调整配置时（例如迟到的状态迁移事件）按调整前的单价计价
+   * @returns {Promise<UsageRecord|null>}
+   */
+  async open(cloudPCId, at = new Date()) {
+    const cloudPC = await CloudPC.findById(cloudPCId)
+      .select('user name status cpu memory storage bandwidth pricing billing.rateHistory snapshots');
+    if (!cloudPC) {
+      return null;
+    }
+
+    try {
+      return await UsageRecord.create({
+        cloudPC: cloudPC._id,
+        user: cloudPC.user,
+        name: cloudPC.name,
+        status: cloudPC.status,
+        startedAt: at,
+        cpu: cloudPC.cpu,
+        memory: cloudPC.memory,
+        storage: cloudPC.storage,
+        bandwidth: cloudPC.bandwidth,
+        snapshotGB: Number((cloudPC.snapshotSize / 1024).toFixed(4)),
+        hourly: cloudPC.getHourlyRateAt(at),
+        snapshotHourly: cloudPC.pricing.snapshotHourly || 0
+      });
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 定时结算：切分持续时间超过结算间隔的区间，上一轮未结束时跳过本轮
+   * @returns {Promise<number|null>} 结算的区间数量
+   */
+  async checkpoint(now = new Date()) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const cutoff = new Date(now.getTime() - this.config.checkpointMinutes * 60 * 1000);
+      const records = await UsageRecord.find({ open: true, startedAt: { $lte: cutoff } }).select('cloudPC');
+
+      let settled = 0;
+      for (const record of records) {
+        try {
+          await this.rollover(record.cloudPC, { at: now, reason: 'checkpoint' });
+          settled++;
+        } catch (error) {
+          logger.error('用量结算失败', {
+            cloudPCId: record.cloudPC,
+            error: error.message
+          });
+        }
+      }
+
+      if (settled > 0) {
+        logger.info('已结算用量区间', { count: settled });
+      }
+      return settled;
+    } catch (error) {
+      logger.error('用量结算失败', { error: error.message });
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 启动时为没有未结束区间的云电脑开始计量，并按已结束的区间重新统计累计费用
+   */
+  async syncUsage(now = new Date()) {
+    if (!this.config.enabled) {
+      return;
+    }
+
+    const metered = await UsageRecord.distinct('cloudPC', { open: true });
+    const cloudPCs = await CloudPC.find({ _id: { $nin: metered } }).select('_id');
+    for (const cloudPC of cloudPCs) {
+      await this.open(cloudPC._id, now);
+    }
+
+    const totals = await UsageRecord.aggregate([
+      { $match: { open: false } },
+      { $group: { _id: '$cloudPC', total: { $sum: '$cost.total' }, lastBillingDate: { $max: '$endedAt' } } }
+    ]);
+    for (const item of totals) {
+      await CloudPC.updateOne({ _id: item._id }, {
+        $set: {
+          'billing.totalCost': Number(item.total.toFixed(4)),
+          'billing.lastBillingDate': item.lastBillingDate
+        }
+      });
+    }
+
+    if (cloudPCs.length > 0) {
+      logger.info('已为存量云电脑开始计量', { count: cloudPCs.length });
+    }
+  }
+
+  /**
+   * 计算未结束区间截至当前的用量和费用
+   * @param {UsageRecord} record - 未结束的区间
+   * @returns {Object} 区间及截至当前的用量和费用
+   */
+  accrue(record, now = new Date()) {
+    return {
+      ...record.toObject(),
+      ...this.config.rate(record, now),
+      endedAt: null
+    };
+  }
+
+  /**
+   * 汇总用量和费用，包含未结束区间截至当前的部分
+   * @param {Object} match - 区间筛选条件，例如 { cloudPC } 或 { user }
+   * @param {Object} range - { from, to } 按区间开始时间筛选
+   * @returns {Promise<{records: number, quantities: Object, cost: Object}>}
+   */
+  async summarize(match, { from, to } = {}, now = new Date()) {
+    const query = { ...match, ...startedBetween(from, to) };
+
+    const group = { _id: null, records: { $sum: 1 } };
+    QUANTITY_FIELDS.forEach(field => {
+      group[field] = { $sum: `$quantities.${field}` };
+    });
+    COST_FIELDS.forEach(field => {
+      group[`cost_${field}`] = { $sum: `$cost.${field}` };
+    });
+
+    const [[closed], current] = await Promise.all([
+      UsageRecord.aggregate([{ $match: { ...query, open: false } }, { $group: group }]),
+      UsageRecord.find({ ...query, open: true })
+    ]);
+
+    const summary = emptyAmounts();
+    if (closed) {
+      addAmounts(summary, {
+        quantities: closed,
+        cost: COST_FIELDS.reduce((acc, field) => ({ ...acc, [field]: closed[`cost_${field}`] }), {})
+      });
+    }
+    current.forEach(record => addAmounts(summary, this.config.rate(record, now)));
+
+    return { records: (closed ? closed.records : 0) + current.length, ...summary };
+  }
+
+  /**
+   * 云电脑的用量明细：累计费用、当前区间和分页的历史区间
+   * @param {CloudPC} cloudPC - 云电脑
+   * @param {Object} options - { from, to, limit, skip }
+   */
+  async getUsage(cloudPC, { from, to, limit = 50, skip = 0 } = {}, now = new Date()) {
+    const query = { cloudPC: cloudPC._id, open: false, ...startedBetween(from, to) };
+
+    const [current, records, total, summary] = await Promise.all([
+      UsageRecord.findOne({ cloudPC: cloudPC._id, open: true }),
+      UsageRecord.find(query).sort('-startedAt').skip(skip).limit(limit),
+      UsageRecord.countDocuments(query),
+      this.summarize({ cloudPC: cloudPC._id }, { from, to }, now)
+    ]);
+
+    const accrued = current ? this.accrue(current, now) : null;
+    const totalCost = (cloudPC.billing && cloudPC.billing.totalCost) || 0;
+
+    return {
+      totalCost,
+      // 含当前区间截至现在的费用
+      accruedCost: Number((totalCost + (accrued ? accrued.cost.total : 0)).toFixed(4)),
+      current: accrued,
+      summary,
+      records,
+      total
+    };
+  }
+}
+
+// 创建单例实例
+const meteringService = new MeteringService();
+
+module.exports = meteringService;
@@ -0,0 +1,346 @@
+/**
+ * 异步操作队列
+ * 操作持久化在MongoDB中，由工作进程轮询领取执行，支持失败重试、取消和进度订阅
+ */
+
+const os = require('os');
+const EventEmitter = require('events');
+const Operation = require('../models/Operation');
+const logger = require('../utils/logger');
+
+class OperationQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map(); // 操作类型 -> { run, onFailure }
+    this.running = new Set(); // 当前进程正在执行的操作ID
+    this.timer = null;
+    this.polling = false;
+    this.lastRecoveredAt = 0;
+
+    this.pollInterval = parseInt(process.env.OPERATION_POLL_INTERVAL, 10) || 1000;
+    this.concurrency = parseInt(process.env.OPERATION_CONCURRENCY, 10) || 5;
+    this.lockTimeout = parseInt(process.env.OPERATION_LOCK_TIMEOUT, 10) || 10 * 60 * 1000; // 10分钟
+    // 执行期间定期刷新锁，间隔需明显小于锁超时
+    this.heartbeatInterval = parseInt(process.env.OPERATION_HEARTBEAT_INTERVAL, 10) || 60 * 1000;
+    // 轮询时检查其他进程遗留的过期操作的间隔
+    this.recoverInterval = parseInt(process.env.OPERATION_RECOVER_INTERVAL, 10) || 60 * 1000;
+    this.backoffBase = parseInt(process.env.OPERATION_BACKOFF_BASE, 10) || 5000;
+    this.backoffMax = parseInt(process.env.OPERATION_BACKOFF_MAX, 10) || 5 * 60 * 1000;
+
+    // SSE等订阅者较多时避免告警
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * 注册操作处理器
+   * @param {string} type - 操作类型
+   * @param {Object} handler - { run(operation, context), onFailure(operation, error) }
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * 提交操作
+   * @param {string} type - 操作类型
+   * @param {Object} options - { cloudPC, user, payload, maxAttempts, runAt, source }
+   * @returns {Promise<Operation>}
+   */
+  async enqueue(type, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`未注册的操作类型: ${type}`);
+    }
+
+    const operation = await Operation.create({
+      type,
+      cloudPC: options.cloudPC,
+      user: options.user,
+      payload: options.payload || {},
+      maxAttempts: options.maxAttempts,
+      runAt: options.runAt || new Date(),
+      source: options.source || 'user'
+    });
+
+    logger.info('操作已提交', {
+      operationId: operation._id,
+      type,
+      cloudPCId: options.cloudPC
+    });
+
+    this.publish(operation);
+    setImmediate(() => this.poll());
+
+    return operation;
+  }
+
+  /**
+   * 取消操作
+   * 只有排队中的操作可以取消，已被领取执行的操作会执行到结束
+   * @returns {Promise<Operation|null>} 已取消的操作，操作不在排队中时返回null
+   */
+  async cancel(operationId) {
+    const cancelled = await Operation.findOneAndUpdate(
+      { _id: operationId, status: 'queued' },
+      { $set: { status: 'cancelled', finishedAt: new Date(), message: '操作已取消' } },
+      { new: true }
+    );
+
+    if (cancelled) {
+      await this.runCancelHook(cancelled);
+      this.publish(cancelled);
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * 启动工作进程
+   */
+  async start() {
+    if (this.timer) return;
+
+    await this.recoverStale({ includeOwn: true });
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    logger.info('操作队列工作进程已启动', {
+      workerId: this.workerId,
+      concurrency: this.concurrency
+    });
+  }
+
+  /**
+   * 停止领取新操作
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    logger.info('操作队列工作进程已停止', { workerId: this.workerId });
+  }
+
+  /**
+   * 恢复被中断的操作：锁已过期（执行进程崩溃，不再刷新锁）的操作重新排队
+   * 启动时本进程名下的操作一定是上次运行遗留的，一并恢复；运行期间跳过本进程正在执行的操作
+   * @param {Object} options - { includeOwn: 是否恢复本进程名下的操作 }
+   */
+  async recoverStale({ includeOwn = false } = {}) {
+    this.lastRecoveredAt = Date.now();
+    const staleBefore = new Date(Date.now() - this.lockTimeout);
+    const filter = includeOwn
+      ? { status: 'running', $or: [{ lockedBy: this.workerId }, { lockedAt: { $lt: staleBefore } }] }
+      : { status: 'running', lockedAt: { $lt: staleBefore }, _id: { $nin: Array.from(this.running) } };
+
+    const result = await Operation.updateMany(
+      filter,
+      {
+        $set: { status: 'queued', runAt: new Date(), message: '操作中断，等待重新执行' },
+        $unset: { lockedBy: 1, lockedAt: 1 }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.warn('已恢复中断的操作', { count: result.modifiedCount });
+    }
+  }
+
+  /**
+   * 领取并执行到期操作
+   */
+  async poll() {
+    if (this.polling || !this.timer) return;
+    this.polling = true;
+
+    try {
+      if (Date.now() - this.lastRecoveredAt >= this.recoverInterval) {
+        await this.recoverStale();
+      }
+
+      while (this.running.size < this.concurrency) {
+        const operation = await this.claimNext();
+        if (!operation) break;
+
+        this.running.add(operation.id);
+        this.execute(operation).finally(() => this.running.delete(operation.id));
+      }
+    } catch (error) {
+      logger.error('操作队列轮询失败', { error: error.message });
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // 原子领取一条操作，保证多个工作进程不会重复执行
+  claimNext() {
+    const now = new Date();
+    return Operation.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: now } },
+      {
+        $set: { status: 'running', lockedBy: this.workerId, lockedAt: now, startedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async execute(operation) {
+    const handler = this.handlers.get(operation.type);
+    this.publish(operation);
+
+    const context = {
+      progress: (progress, message) => this.reportProgress(operation, progress, message)
+    };
+
+    // 执行时间可能超过锁超时，定期刷新锁，避免被其他进程当作中断的操作恢复
+    const heartbeat = setInterval(() => {
+      this.refreshLock(operation).catch(error => {
+        logger.warn('刷新操作锁失败', { operationId: operation._id, error: error.message });
+      });
+    }, this.heartbeatInterval);
+
+    try {
+      const result = await handler.run(operation, context);
+
+      const finished = await Operation.findByIdAndUpdate(
+        operation._id,
+        {
+          $set: {
+            status: 'succeeded',
+            progress: 100,
+            result,
+            finishedAt: new Date(),
+            message: '操作完成'
+          },
+          $unset: { lockedBy: 1, lockedAt: 1, error: 1 }
+        },
+        { new: true }
+      );
+
+      logger.info('操作执行成功', {
+        operationId: operation._id,
+        type: operation.type,
+        attempts: operation.attempts
+      });
+      this.publish(finished);
+    } catch (error) {
+      await this.handleFailure(operation, handler, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  // 刷新本进程持有的锁
+  refreshLock(operation) {
+    return Operation.updateOne(
+      { _id: operation._id, status: 'running', lockedBy: this.workerId },
+      { $set: { lockedAt: new Date() } }
+    );
+  }
+
+  async handleFailure(operation, handler, error) {
+    const retryable = error.retryable !== false && operation.attempts < operation.maxAttempts;
+
+    if (retryable) {
+      const delay = this.getBackoff(operation.attempts);
+      const retried = await Operation.findByIdAndUpdate(
+        operation._id,
+        {
+          $set: {
+            status: 'queued',
+            runAt: new Date(Date.now() + delay),
+            error: error.message,
+            message: `执行失败，${Math.round(delay / 1000)}秒后重试`
+          },
+          $unset: { lockedBy: 1, lockedAt: 1 }
+        },
+        { new: true }
+      );
+
+      logger.warn('操作执行失败，等待重试', {
+        operationId: operation._id,
+        type: operation.type,
+        attempts: operation.attempts,
+        error: error.message
+      });
+      this.publish(retried);
+      return;
+    }
+
+    const finished = await Operation.findByIdAndUpdate(
+      operation._id,
+      {
+        $set: {
+          status: 'failed',
+          finishedAt: new Date(),
+          error: error.message,
+          message: '操作失败'
+        },
+        $unset: { lockedBy: 1, lockedAt: 1 }
+      },
+      { new: true }
+    );
+
+    logger.error('操作执行失败', {
+      operationId: operation._id,
+      type: operation.type,
+      attempts: operation.attempts,
+      error: error.message
+    });
+
+    if (handler.onFailure) {
+      try {
+        await handler.onFailure(finished, error);
+      } catch (failureError) {
+        logger.error('操作失败回调出错', {
+          operationId: operation._id,
+          error: failureError.message
+        });
+      }
+    }
+
+    this.publish(finished);
+  }
+
+  // 操作取消后由处理器清理（如回滚过渡状态）
+  async runCancelHook(operation) {
+    const handler = this.handlers.get(operation.type);
+    if (!handler || !handler.onCancel) return;
+
+    try {
+      await handler.onCancel(operation);
+    } catch (error) {
+      logger.error('操作取消回调出错', {
+        operationId: operation._id,
+        error: error.message
+      });
+    }
+  }
+
+  // 指数退避
+  getBackoff(attempts) {
+    return Math.min(this.backoffBase * Math.pow(2, attempts - 1), this.backoffMax);
+  }
+
+  // 上报进度的同时刷新锁
+  async reportProgress(operation, progress, message) {
+    const updated = await Operation.findOneAndUpdate(
+      { _id: operation._id, status: 'running', lockedBy: this.workerId },
+      { $set: { progress, message, lockedAt: new Date() } },
+      { new: true }
+    );
+    this.publish(updated);
+  }
+
+  // 通知订阅者，事件名为 operation:<id>
+  publish(operation) {
+    if (!operation) return;
+    const data = operation.toJSON();
+    this.emit(`operation:${operation._id}`, data);
+    this.emit('operation', data);
+  }
+}
+
+// 创建单例实例
+const operationQueue = new OperationQueue();
+
+module.exports = operationQueue;
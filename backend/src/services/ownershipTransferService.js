@@ -0,0 +1,247 @@
+/**
+ * 云电脑所有权转移
+ * 所有者发起转移，接收方接受时校验其配额并把云电脑、快照和电源计划转到接收方名下
+ * 计费以转移完成时间为界：之前的费用归原所有者，之后归接收方
+ */
+
+const CloudPC = require('../models/CloudPC');
+const User = require('../models/User');
+const Operation = require('../models/Operation');
+const OwnershipTransfer = require('../models/OwnershipTransfer');
+const PowerSchedule = require('../models/PowerSchedule');
+const transferConfig = require('../config/transfers');
+const cacheService = require('./cacheService');
+const quotaService = require('./quotaService');
+const meteringService = require('./meteringService');
+const { cloudPCWebSocketService } = require('./cloudpc-websocket');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// 有进行中操作或配置调整的云电脑不能转移
+const assertIdle = async (cloudPC) => {
+  const pending = await Operation.exists({
+    cloudPC: cloudPC._id,
+    status: { $in: ['queued', 'running'] }
+  });
+  if (pending || (cloudPC.pendingResize && cloudPC.pendingResize.requestedAt)) {
+    throw new AppError('云电脑有进行中的操作，请稍后再转移', 409);
+  }
+};
+
+class OwnershipTransferService {
+  constructor() {
+    this.config = transferConfig;
+  }
+
+  /**
+   * 发起所有权转移
+   * @param {CloudPC} cloudPC - 云电脑，须属于发起方
+   * @param {Object} params - { recipientEmail, message }
+   * @returns {Promise<OwnershipTransfer>}
+   */
+  async initiate(cloudPC, { recipientEmail, message }, now = new Date()) {
+    const recipient = await User.findOne({ email: recipientEmail.toLowerCase() }).select('_id isActive');
+    if (!recipient || !recipient.isActive) {
+      throw new AppError('接收方用户不存在或已停用', 404);
+    }
+    if (String(recipient._id) === String(cloudPC.user)) {
+      throw new AppError('不能转移给自己', 400);
+    }
+
+    await assertIdle(cloudPC);
+    await this.expireStale(now);
+
+    try {
+      return await OwnershipTransfer.create({
+        cloudPC: cloudPC._id,
+        fromUser: cloudPC.user,
+        toUser: recipient._id,
+        message,
+        expiresAt: this.config.getExpiresAt(now)
+      });
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        throw new AppError('该云电脑已有待处理的转移请求', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 查询用户发起或收到的转移请求
+   * @param {string} userId - 用户ID
+   * @param {Object} params - { direction: incoming/outgoing, status, page, limit }
+   */
+  async list(userId, { direction, status, page = 1, limit = 20 } = {}) {
+    await this.expireStale();
+
+    const query = {};
+    if (direction === 'incoming') {
+      query.toUser = userId;
+    } else if (direction === 'outgoing') {
+      query.fromUser = userId;
+    } else {
+      query.$or = [{ fromUser: userId }, { toUser: userId }];
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const [transfers, total] = await Promise.all([
+      OwnershipTransfer.find(query)
+        .sort('-createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('cloudPC', 'name status cpu memory storage location')
+        .populate('fromUser', 'name email')
+        .populate('toUser', 'name email')
+        .lean(),
+      OwnershipTransfer.countDocuments(query)
+    ]);
+
+    return { transfers, total };
+  }
+
+  /**
+   * 查找待处理的转移请求
+   * @param {string} transferId - 转移请求ID
+   * @param {Object} party - { toUser } 或 { fromUser }，限定只能由接收方或发起方处理
+   */
+  async findPending(transferId, party, now = new Date()) {
+    const transfer = await OwnershipTransfer.findOne({ _id: transferId, ...party });
+    if (!transfer) {
+      throw new AppError('转移请求未找到', 404);
+    }
+    if (transfer.status === 'pending' && transfer.expiresAt <= now) {
+      transfer.status = 'expired';
+      await transfer.save();
+    }
+    if (transfer.status !== 'pending') {
+      throw new AppError('转移请求已处理或已失效', 409);
+    }
+    return transfer;
+  }
+
+  /**
+   * 接收方接受转移
+   * @param {OwnershipTransfer} transfer - 待处理的转移请求
+   * @returns {Promise<{transfer: OwnershipTransfer, cloudPC: CloudPC}>}
+   */
+  async accept(transfer, now = new Date()) {
+    const cloudPC = await CloudPC.findOne({ _id: transfer.cloudPC, user: transfer.fromUser });
+    if (!cloudPC) {
+      await OwnershipTransfer.updateOne({ _id: transfer._id, status: 'pending' }, {
+        status: 'cancelled',
+        respondedAt: now
+      });
+      throw new AppError('云电脑已删除或已不属于发起方，转移请求已取消', 409);
+    }
+
+    await assertIdle(cloudPC);
+    await quotaService.assertActive(transfer.toUser);
+
+    // 校验接收方配额到变更归属在接收方的配额锁内完成，并发接受多个转移不会同时通过校验
+    const { claimed, transferred } = await quotaService.withLock(transfer.toUser, async () => {
+      await quotaService.assertCanReceive(transfer.toUser, cloudPC);
+
+      // 先占用转移请求，避免重复接受或与取消同时发生
+      const claimed = await OwnershipTransfer.findOneAndUpdate(
+        { _id: transfer._id, status: 'pending' },
+        {
+          status: 'accepted',
+          respondedAt: now,
+          transferredAt: now
+        },
+        { new: true }
+      );
+      if (!claimed) {
+        throw new AppError('转移请求已处理或已失效', 409);
+      }
+
+      const transferred = await CloudPC.findOneAndUpdate(
+        { _id: cloudPC._id, user: transfer.fromUser },
+        {
+          $set: { user: transfer.toUser },
+          $push: {
+            logs: {
+              $each: [{
+                level: 'info',
+                message: '所有权已转移',
+                source: 'user',
+                timestamp: now
+              }],
+              $slice: -100
+            }
+          }
+        },
+        { new: true }
+      );
+      if (!transferred) {
+        await OwnershipTransfer.updateOne({ _id: transfer._id }, {
+          $set: { status: 'pending' },
+          $unset: { respondedAt: 1, transferredAt: 1 }
+        });
+        throw new AppError('云电脑状态已变化，请稍后重试', 409);
+      }
+
+      return { claimed, transferred };
+    });
+
+    await PowerSchedule.updateMany({ cloudPC: cloudPC._id }, { user: transfer.toUser });
+
+    // 以转移时间结束原所有者的用量区间，之后的区间归接收方
+    await meteringService.rollover(cloudPC._id, { at: now, reason: 'transfer' });
+
+    // 原所有者的会话立即断开
+    cloudPCWebSocketService.disconnectUser(String(cloudPC._id), transfer.fromUser, '云电脑所有权已转移');
+
+    await cacheService.delete('cloudpc', `detail:${cloudPC._id}`);
+    await cacheService.invalidateCloudPCCache(cloudPC._id);
+    await cacheService.invalidateUserCloudPCCache(transfer.fromUser);
+    await cacheService.invalidateUserCloudPCCache(transfer.toUser);
+
+    logger.info('云电脑所有权转移完成', {
+      transferId: transfer._id,
+      cloudPCId: cloudPC._id,
+      fromUserId: transfer.fromUser,
+      toUserId: transfer.toUser,
+      transferredAt: now
+    });
+
+    return { transfer: claimed, cloudPC: transferred };
+  }
+
+  /**
+   * 结束待处理的转移请求（拒绝或取消）
+   * @param {OwnershipTransfer} transfer - 待处理的转移请求
+   * @param {string} status - rejected 或 cancelled
+   */
+  async close(transfer, status, now = new Date()) {
+    const closed = await OwnershipTransfer.findOneAndUpdate(
+      { _id: transfer._id, status: 'pending' },
+      { status, respondedAt: now },
+      { new: true }
+    );
+    if (!closed) {
+      throw new AppError('转移请求已处理或已失效', 409);
+    }
+    return closed;
+  }
+
+  /**
+   * 把超时未处理的转移请求标记为已失效
+   */
+  expireStale(now = new Date()) {
+    return OwnershipTransfer.updateMany(
+      { status: 'pending', expiresAt: { $lte: now } },
+      { status: 'expired' }
+    );
+  }
+}
+
+// 创建单例实例
+const ownershipTransferService = new OwnershipTransferService();
+
+module.exports = ownershipTransferService;
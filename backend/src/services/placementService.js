@@ -0,0 +1,438 @@
+/**
+ * 放置服务
+ * 管理机房和可用区，开通云电脑时在指定机房中选择有剩余容量的可用区并占用资源，
+ * 可用区登记了宿主机时再由宿主机调度选择宿主机
+ * 占用和释放通过带条件的原子更新完成，并发开通时不会超出可用区容量
+ */
+
+const Region = require('../models/Region');
+const Zone = require('../models/Zone');
+const Host = require('../models/Host');
+const CloudPC = require('../models/CloudPC');
+const regionConfig = require('../config/regions');
+const networkConfig = require('../config/network');
+const addressAllocator = require('./addressAllocator');
+const hostScheduler = require('./hostScheduler');
+const capacityUtils = require('../utils/capacity');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+class PlacementService {
+  constructor() {
+    this.config = regionConfig;
+  }
+
+  getSpec(source) {
+    return capacityUtils.getSpec(source);
+  }
+
+  /**
+   * 判断可用区能否再放置指定规格的云电脑
+   * @param {Zone} zone - 可用区
+   * @param {Object} spec - { cpu, memory, storage }
+   * @returns {boolean}
+   */
+  canHost(zone, spec) {
+    return !!zone.available && capacityUtils.hasRoom(zone, spec);
+  }
+
+  /**
+   * 放置后可用区中占用比例最高的资源的占比
+   */
+  getUtilization(zone, spec = {}) {
+    return Math.max(...capacityUtils.getRatios(zone, spec));
+  }
+
+  /**
+   * 筛选能放置指定规格的可用区，按放置后的占用比例从低到高排序，使负载分散到各可用区
+   * @param {Zone[]} zones - 候选可用区
+   * @param {Object} spec - { cpu, memory, storage }
+   * @returns {Zone[]}
+   */
+  rankZones(zones, spec) {
+    return zones
+      .filter(zone => this.canHost(zone, spec))
+      .sort((a, b) => this.getUtilization(a, spec) - this.getUtilization(b, spec) || a.code.localeCompare(b.code));
+  }
+
+  /**
+   * 确保默认机房和可用区存在，缺失时按配置创建
+   */
+  async ensureRegions() {
+    for (const { code, name } of this.config.defaults) {
+      await Region.updateOne(
+        { code },
+        { $setOnInsert: { code, name } },
+        { upsert: true }
+      );
+      await Zone.updateOne(
+        { region: code },
+        {
+          $setOnInsert: {
+            region: code,
+            code: this.config.getDefaultZoneCode(code),
+            name: `${name}可用区A`,
+            capacity: { ...this.config.defaultCapacity }
+          }
+        },
+        { upsert: true }
+      );
+    }
+  }
+
+  /**
+   * 获取机房
+   * @param {string} code - 机房代码
+   * @returns {Promise<Region>}
+   */
+  async getRegion(code) {
+    const region = await Region.findOne({ code });
+    if (!region) {
+      throw new AppError('机房未找到', 404);
+    }
+    return region;
+  }
+
+  /**
+   * 获取机房的价格系数，机房不存在时按1计算
+   * @param {string} code - 机房代码
+   * @returns {Promise<number>}
+   */
+  async getPricingMultiplier(code) {
+    const region = await Region.findOne({ code }).select('pricingMultiplier').lean();
+    return region ? region.pricingMultiplier : 1;
+  }
+
+  /**
+   * 按资源增量占用可用区容量，只检查增加的资源
+   * @param {string} zoneCode - 可用区代码
+   * @param {Object} delta - { cpu, memory, storage }，可以为负数
+   * @param {Object} options - { requireAvailable: 是否要求可用区接受新的云电脑 }
+   * @returns {Promise<Zone|null>} 容量不足时返回 null
+   */
+  reserve(zoneCode, delta, { requireAvailable = true } = {}) {
+    const query = { code: zoneCode };
+    if (requireAvailable) {
+      query.available = true;
+    }
+
+    const condition = capacityUtils.getReserveCondition(delta);
+    if (condition) {
+      query.$expr = condition;
+    }
+
+    return Zone.findOneAndUpdate(query, { $inc: capacityUtils.toIncrement(delta) }, { new: true });
+  }
+
+  /**
+   * 释放可用区中的资源
+   * @param {string} zoneCode - 可用区代码
+   * @param {Object} spec - { cpu, memory, storage }
+   */
+  async release(zoneCode, spec) {
+    if (!zoneCode) {
+      return;
+    }
+    await Zone.updateOne({ code: zoneCode }, { $inc: capacityUtils.toIncrement(spec, -1) });
+  }
+
+  /**
+   * 为新云电脑选择可用区和宿主机并占用容量
+   * @param {string} location - 机房代码
+   * @param {Object} spec - { cpu, memory, storage }
+   * @param {Object} options - { zone: 指定的可用区代码 }
+   * @returns {Promise<{region: Region, zone: Zone, host: Host|null}>}
+   */
+  async place(location, spec, { zone: zoneCode } = {}) {
+    const region = await Region.findOne({ code: location });
+    if (!region) {
+      throw new AppError(`不支持的机房位置 ${location}`, 400);
+    }
+    if (!region.available) {
+      throw new AppError(`机房 ${region.name} 暂停开通新的云电脑，请选择其他机房`, 409);
+    }
+
+    const query = { region: location };
+    if (zoneCode) {
+      query.code = zoneCode;
+    }
+    const zones = await Zone.find(query);
+    if (zoneCode && zones.length === 0) {
+      throw new AppError(`可用区 ${zoneCode} 不属于机房 ${region.name}`, 400);
+    }
+
+    // 排序基于读取时的用量，并发占用失败时依次尝试下一个可用区
+    for (const candidate of this.rankZones(zones, spec)) {
+      const zone = await this.reserve(candidate.code, spec);
+      if (!zone) {
+        continue;
+      }
+
+      // 可用区内的宿主机都放不下时退回可用区容量，尝试下一个可用区
+      const placement = await hostScheduler.allocate(zone.code, spec);
+      if (placement) {
+        return { region, zone, host: placement.host };
+      }
+      await this.release(zone.code, spec);
+    }
+
+    throw new AppError(`机房 ${region.name} 容量不足，请选择其他机房或较小的配置`, 503);
+  }
+
+  /**
+   * 释放云电脑占用的可用区和宿主机资源
+   * @param {CloudPC} cloudPC - 云电脑文档
+   */
+  async releaseCloudPC(cloudPC) {
+    const spec = this.getSpec(cloudPC);
+    await this.release(cloudPC.zone, spec);
+    await hostScheduler.release(cloudPC.host, spec);
+  }
+
+  /**
+   * 调整配置前从所在可用区和宿主机占用新增的资源，未记录可用区的存量云电脑不检查
+   * @param {CloudPC} cloudPC - 云电脑文档
+   * @param {Object} target - 调整后的 { cpu, memory, storage }
+   */
+  async reserveResize(cloudPC, target) {
+    const delta = this.getDelta(cloudPC, target);
+
+    if (cloudPC.zone) {
+      const zone = await this.reserve(cloudPC.zone, delta, { requireAvailable: false });
+      if (!zone) {
+        throw new AppError('云电脑所在可用区容量不足，无法调整到该配置', 503);
+      }
+    }
+
+    if (cloudPC.host) {
+      const host = await hostScheduler.reserve(cloudPC.host, delta, { requireActive: false });
+      if (!host) {
+        await this.release(cloudPC.zone, delta);
+        throw new AppError('云电脑所在宿主机容量不足，无法调整到该配置', 503);
+      }
+    }
+  }
+
+  /**
+   * 配置调整失败且未生效时退回占用的资源
+   * @param {CloudPC} cloudPC - 云电脑文档（调整前的配置）
+   * @param {Object} target - 调整后的 { cpu, memory, storage }
+   */
+  async releaseResize(cloudPC, target) {
+    const delta = this.getDelta(cloudPC, target);
+    await this.release(cloudPC.zone, delta);
+    await hostScheduler.release(cloudPC.host, delta);
+  }
+
+  getDelta(cloudPC, target) {
+    return capacityUtils.getDelta(cloudPC, target);
+  }
+
+  /**
+   * 列出机房和可用区，指定规格时标出能否放置以及该机房的小时单价
+   * @param {Object} [spec] - { cpu, memory, storage }
+   * @param {Object} options - { detailed: 是否返回容量明细（管理员） }
+   */
+  async listRegions(spec, { detailed = false } = {}) {
+    const [regions, zones, hosts] = await Promise.all([
+      Region.find().sort('code'),
+      Zone.find().sort('code'),
+      spec ? Host.find().select('zone status capacity allocated') : []
+    ]);
+    const baseHourly = spec ? CloudPC.calculateHourlyPrice(spec) : null;
+
+    return regions.map(region => {
+      const regionZones = zones.filter(zone => zone.region === region.code).map(zone => {
+        const item = { code: zone.code, name: zone.name, available: zone.available };
+        if (spec) {
+          item.canHost = region.available && this.canHost(zone, spec) &&
+            hostScheduler.canPlace(hosts.filter(host => host.zone === zone.code), spec);
+        }
+        if (detailed) {
+          Object.assign(item, { capacity: zone.capacity, allocated: zone.allocated, free: zone.free });
+        }
+        return item;
+      });
+
+      const data = {
+        code: region.code,
+        name: region.name,
+        available: region.available,
+        pricingMultiplier: region.pricingMultiplier,
+        description: region.description,
+        zones: regionZones
+      };
+      if (spec) {
+        data.canHost = regionZones.some(zone => zone.canHost);
+        data.hourly = baseHourly !== null ? this.config.applyMultiplier(baseHourly, region.pricingMultiplier) : null;
+      }
+      return data;
+    });
+  }
+
+  /**
+   * 新建机房，同时创建地址池和可用区
+   * @param {Object} params - { code, name, available, pricingMultiplier, description, subnet, zones }
+   * @returns {Promise<{region: Region, zones: Zone[]}>}
+   */
+  async createRegion({ code, name, available, pricingMultiplier, description, subnet, zones = [] }) {
+    if (await Region.exists({ code })) {
+      throw new AppError('机房代码已存在', 409);
+    }
+
+    const poolSubnet = subnet || networkConfig.subnets[code];
+    if (!poolSubnet) {
+      throw new AppError('新机房需要指定地址段', 400);
+    }
+
+    let region;
+    try {
+      region = await Region.create({ code, name, available, pricingMultiplier, description });
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        throw new AppError('机房代码已存在', 409);
+      }
+      throw error;
+    }
+
+    await addressAllocator.ensurePool(code, poolSubnet);
+
+    const created = [];
+    for (const zone of zones) {
+      created.push(await this.addZone(region, zone));
+    }
+
+    logger.info('新建机房', { region: code, zones: created.map(zone => zone.code) });
+
+    return { region, zones: created };
+  }
+
+  /**
+   * 更新机房名称、开通状态、价格系数和描述，价格系数只影响之后开通或调整配置的云电脑
+   * @param {string} code - 机房代码
+   * @param {Object} updates - { name, available, pricingMultiplier, description }
+   * @returns {Promise<Region>}
+   */
+  async updateRegion(code, updates) {
+    const region = await this.getRegion(code);
+    ['name', 'available', 'pricingMultiplier', 'description'].forEach(field => {
+      if (updates[field] !== undefined) {
+        region[field] = updates[field];
+      }
+    });
+    await region.save();
+    return region;
+  }
+
+  /**
+   * 为机房新增可用区
+   * @param {Region} region - 机房
+   * @param {Object} params - { code, name, available, capacity }
+   * @returns {Promise<Zone>}
+   */
+  async addZone(region, { code, name, available, capacity = {} }) {
+    try {
+      return await Zone.create({
+        region: region.code,
+        code,
+        name,
+        available,
+        capacity: { ...this.config.defaultCapacity, ...capacity }
+      });
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        throw new AppError(`可用区代码 ${code} 已存在`, 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 更新可用区，容量不能小于已分配的资源
+   * @param {string} regionCode - 机房代码
+   * @param {string} zoneCode - 可用区代码
+   * @param {Object} updates - { name, available, capacity }
+   * @returns {Promise<Zone>}
+   */
+  async updateZone(regionCode, zoneCode, { name, available, capacity }) {
+    const zone = await Zone.findOne({ region: regionCode, code: zoneCode });
+    if (!zone) {
+      throw new AppError('可用区未找到', 404);
+    }
+
+    if (capacity) {
+      const short = this.config.resources.filter(resource =>
+        capacity[resource] !== undefined && capacity[resource] < zone.allocated[resource]);
+      if (short.length > 0) {
+        throw new AppError(`容量不能小于已分配的资源：${short.join('、')}`, 409);
+      }
+      this.config.resources.forEach(resource => {
+        if (capacity[resource] !== undefined) {
+          zone.capacity[resource] = capacity[resource];
+        }
+      });
+    }
+    if (name !== undefined) {
+      zone.name = name;
+    }
+    if (available !== undefined) {
+      zone.available = available;
+    }
+
+    await zone.save();
+    return zone;
+  }
+
+  /**
+   * 按现有云电脑（含回收站中的）重新统计各可用区的已分配资源
+   * 未记录可用区的存量云电脑归入所在机房的第一个可用区
+   * @returns {Promise<number>} 补录可用区的云电脑数量
+   */
+  async syncUsage() {
+    const zones = await Zone.find().sort('code');
+    let assigned = 0;
+
+    for (const region of [...new Set(zones.map(zone => zone.region))]) {
+      const first = zones.find(zone => zone.region === region);
+      const result = await CloudPC.updateMany(
+        { location: region, zone: { $exists: false } },
+        { $set: { zone: first.code } }
+      );
+      assigned += result.modifiedCount;
+    }
+
+    const group = {
+      $group: {
+        _id: '$zone',
+        cpu: { $sum: '$cpu' },
+        memory: { $sum: '$memory' },
+        storage: { $sum: '$storage' }
+      }
+    };
+    const [active, deleted] = await Promise.all([
+      CloudPC.aggregate([{ $match: { deletedAt: null } }, group]),
+      CloudPC.aggregate([{ $match: { deletedAt: { $ne: null } } }, group])
+    ]);
+
+    for (const zone of zones) {
+      const usage = [...active, ...deleted].filter(item => item._id === zone.code);
+      const allocated = this.config.resources.reduce((acc, resource) => {
+        acc[resource] = usage.reduce((sum, item) => sum + item[resource], 0);
+        return acc;
+      }, {});
+      await Zone.updateOne({ _id: zone._id }, { $set: { allocated } });
+    }
+
+    if (assigned > 0) {
+      logger.info('已为存量云电脑补录可用区', { count: assigned });
+    }
+    return assigned;
+  }
+}
+
+// 创建单例实例
+const placementService = new PlacementService();
+
+module.exports = placementService;
@@ -0,0 +1,123 @@
+/**
+ * 套餐服务
+ * 维护套餐表：启动时写入内置套餐，管理员可以调整价格、配额和展示内容，或新增、下架套餐
+ */
+
+const Plan = require('../models/Plan');
+const planConfig = require('../config/plans');
+const { AppError } = require('../middleware/errorHandler');
+
+const EDITABLE_FIELDS = ['name', 'description', 'prices', 'quotas', 'features', 'popular', 'sortOrder', 'isActive'];
+
+class PlanService {
+  constructor() {
+    this.config = planConfig;
+  }
+
+  /**
+   * 写入内置套餐，已存在的套餐保持管理员调整后的内容
+   */
+  async ensurePlans() {
+    for (const [code, plan] of Object.entries(this.config.plans)) {
+      await Plan.updateOne(
+        { code },
+        {
+          $setOnInsert: {
+            code,
+            name: plan.name,
+            description: plan.description,
+            prices: plan.prices,
+            quotas: plan.quotas,
+            features: plan.features,
+            popular: plan.popular,
+            sortOrder: plan.sortOrder
+          }
+        },
+        { upsert: true }
+      );
+    }
+  }
+
+  /**
+   * 获取套餐列表
+   * @param {Object} options - { includeInactive: 是否包含已下架的套餐 }
+   * @returns {Promise<Plan[]>}
+   */
+  listPlans({ includeInactive = false } = {}) {
+    const query = includeInactive ? {} : { isActive: true };
+    return Plan.find(query).sort('sortOrder code');
+  }
+
+  /**
+   * 获取套餐
+   * @param {string} code - 套餐代码
+   * @param {Object} options - { activeOnly: 只查找上架中的套餐 }
+   * @returns {Promise<Plan>}
+   */
+  async getPlan(code, { activeOnly = false } = {}) {
+    const plan = await Plan.findOne({ code: String(code).toLowerCase() });
+    if (!plan || (activeOnly && !plan.isActive)) {
+      throw new AppError('套餐不存在或已下架', 404);
+    }
+    return plan;
+  }
+
+  /**
+   * 新增套餐
+   * @param {Object} data - 套餐内容
+   * @returns {Promise<Plan>}
+   */
+  async createPlan(data) {
+    const fields = EDITABLE_FIELDS.reduce((result, field) => {
+      if (data[field] !== undefined) {
+        result[field] = data[field];
+      }
+      return result;
+    }, { code: data.code });
+
+    try {
+      return await Plan.create(fields);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('套餐代码已存在', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 调整套餐，价格变更只影响之后的订阅、变更和续费
+   * 默认套餐不能下架
+   * @param {string} code - 套餐代码
+   * @param {Object} updates - 要调整的字段，prices 和 quotas 可以只提供部分项
+   * @returns {Promise<Plan>}
+   */
+  async updatePlan(code, updates) {
+    const plan = await this.getPlan(code);
+
+    if (updates.isActive === false && plan.code === this.config.defaultPlan) {
+      throw new AppError('默认套餐不能下架', 400);
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (updates[field] === undefined) {
+        return;
+      }
+      if (field === 'prices' || field === 'quotas') {
+        Object.entries(updates[field]).forEach(([key, value]) => {
+          plan[field][key] = value;
+        });
+      } else {
+        plan[field] = updates[field];
+      }
+    });
+
+    await plan.save();
+    return plan;
+  }
+}
+
+// 创建单例实例
+const planService = new PlanService();
+
+module.exports = planService;
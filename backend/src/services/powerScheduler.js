@@ -0,0 +1,239 @@
+/**
+ * 电源计划调度
+ * 为每个启用的电源计划注册一个 node-cron 任务，触发时提交开机、关机或重启操作并记录执行结果
+ * 执行记录以 (计划, 触发时间) 唯一，多实例部署时同一次触发只有一个实例执行
+ */
+
+const cron = require('node-cron');
+const CloudPC = require('../models/CloudPC');
+const PowerSchedule = require('../models/PowerSchedule');
+const ScheduleExecution = require('../models/ScheduleExecution');
+const scheduleConfig = require('../config/schedules');
+const stateMachine = require('./cloudpcStateMachine');
+const { requestPowerAction } = require('./cloudpcLifecycle');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// 其他实例修改的计划在下一次同步时生效
+const SYNC_CRON = '*/5 * * * *';
+
+const ACTION_LABELS = {
+  start: '开机',
+  stop: '关机',
+  restart: '重启'
+};
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// 向云电脑日志追加一条记录
+const appendLog = (cloudPCId, level, message) => {
+  return CloudPC.updateOne({ _id: cloudPCId }, {
+    $push: {
+      logs: {
+        $each: [{ level, message, source: 'schedule' }],
+        $slice: -100
+      }
+    }
+  });
+};
+
+class PowerScheduler {
+  constructor() {
+    this.config = scheduleConfig;
+    // 计划ID -> { task, version }
+    this.tasks = new Map();
+    this.syncTask = null;
+  }
+
+  /**
+   * 加载所有启用的计划并启动调度
+   */
+  async start() {
+    if (!this.config.enabled || this.syncTask) {
+      return;
+    }
+
+    this.syncTask = cron.schedule(SYNC_CRON, () => {
+      this.sync().catch(error => {
+        logger.error('同步电源计划失败', { error: error.message });
+      });
+    });
+    await this.sync();
+
+    logger.info('电源计划调度已启动', { count: this.tasks.size });
+  }
+
+  /**
+   * 停止所有计划任务
+   */
+  stop() {
+    if (this.syncTask) {
+      this.syncTask.stop();
+      this.syncTask = null;
+    }
+    this.tasks.forEach(({ task }) => task.stop());
+    this.tasks.clear();
+  }
+
+  /**
+   * 按数据库中的计划重建任务：新增或修改过的计划重新注册，已删除或停用的计划注销
+   */
+  async sync() {
+    const schedules = await PowerSchedule.find({ enabled: true });
+    const active = new Set();
+
+    schedules.forEach(schedule => {
+      const id = String(schedule._id);
+      active.add(id);
+
+      const current = this.tasks.get(id);
+      if (!current || current.version !== schedule.updatedAt.getTime()) {
+        this.register(schedule);
+      }
+    });
+
+    Array.from(this.tasks.keys())
+      .filter(id => !active.has(id))
+      .forEach(id => this.unregister(id));
+  }
+
+  /**
+   * 注册或更新计划任务，停用的计划只注销
+   * @param {PowerSchedule} schedule - 电源计划
+   */
+  register(schedule) {
+    this.unregister(schedule._id);
+    if (!this.syncTask || !schedule.enabled) {
+      return;
+    }
+
+    const task = cron.schedule(schedule.cron, () => {
+      this.execute(schedule._id).catch(error => {
+        logger.error('执行电源计划失败', {
+          scheduleId: schedule._id,
+          error: error.message
+        });
+      });
+    }, { timezone: schedule.timezone });
+
+    this.tasks.set(String(schedule._id), { task, version: schedule.updatedAt.getTime() });
+  }
+
+  /**
+   * 注销计划任务
+   */
+  unregister(scheduleId) {
+    const id = String(scheduleId);
+    const current = this.tasks.get(id);
+    if (current) {
+      current.task.stop();
+      this.tasks.delete(id);
+    }
+  }
+
+  /**
+   * 删除云电脑的所有计划，执行记录保留
+   */
+  async removeForCloudPC(cloudPCId) {
+    const schedules = await PowerSchedule.find({ cloudPC: cloudPCId }).select('_id');
+    schedules.forEach(schedule => this.unregister(schedule._id));
+    await PowerSchedule.deleteMany({ cloudPC: cloudPCId });
+  }
+
+  /**
+   * 执行一次计划触发
+   * @param {string} scheduleId - 计划ID
+   * @param {Date} firedAt - 触发时间
+   * @returns {Promise<ScheduleExecution|null>} 执行记录，计划已停用或已由其他实例执行时返回null
+   */
+  async execute(scheduleId, firedAt = new Date()) {
+    const scheduledAt = new Date(Math.floor(firedAt.getTime() / MINUTE_MS) * MINUTE_MS);
+    const schedule = await PowerSchedule.findById(scheduleId);
+    if (!schedule || !schedule.enabled) {
+      this.unregister(scheduleId);
+      return null;
+    }
+
+    let execution;
+    try {
+      execution = await ScheduleExecution.create({
+        schedule: schedule._id,
+        cloudPC: schedule.cloudPC,
+        action: schedule.action,
+        scheduledAt
+      });
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        return null;
+      }
+      throw error;
+    }
+
+    const result = await this.perform(schedule, scheduledAt);
+    execution.set(result);
+    await execution.save();
+    await PowerSchedule.updateOne({ _id: schedule._id }, {
+      lastRunAt: scheduledAt,
+      lastStatus: result.status
+    });
+
+    const label = `电源计划「${schedule.name}」${ACTION_LABELS[schedule.action]}`;
+    if (result.status === 'submitted') {
+      await appendLog(schedule.cloudPC, 'info', `${label}已执行`);
+    } else if (result.status === 'failed') {
+      await appendLog(schedule.cloudPC, 'error', `${label}失败: ${result.reason}`);
+    }
+
+    logger.info('执行电源计划', {
+      scheduleId: schedule._id,
+      cloudPCId: schedule.cloudPC,
+      action: schedule.action,
+      status: result.status,
+      reason: result.reason
+    });
+
+    return execution;
+  }
+
+  /**
+   * 按跳过日期和云电脑当前状态提交电源操作
+   * @returns {Promise<{status: string, reason?: string, operation?: string}>}
+   */
+  async perform(schedule, scheduledAt) {
+    const localDate = this.config.getLocalDate(scheduledAt, schedule.timezone);
+    if (schedule.skipDates.includes(localDate)) {
+      return { status: 'skipped', reason: `${localDate} 在跳过日期中` };
+    }
+
+    // 回收站中的云电脑查询不到，计划保留到彻底删除或恢复
+    const cloudPC = await CloudPC.findById(schedule.cloudPC);
+    if (!cloudPC) {
+      return { status: 'skipped', reason: '云电脑不存在或已删除' };
+    }
+
+    // 已处于目标状态（如已开机）时无需执行
+    if (!stateMachine.canTransition(cloudPC.status, schedule.action)) {
+      const label = stateMachine.STATE_LABELS[cloudPC.status] || cloudPC.status;
+      return { status: 'skipped', reason: `云电脑当前状态为${label}，跳过${ACTION_LABELS[schedule.action]}` };
+    }
+
+    try {
+      const { operation } = await requestPowerAction(cloudPC, schedule.action, {
+        user: schedule.user,
+        source: 'schedule'
+      });
+      return { status: 'submitted', operation: operation._id };
+    } catch (error) {
+      if (error.statusCode === 409) {
+        return { status: 'skipped', reason: error.message };
+      }
+      return { status: 'failed', reason: error.message };
+    }
+  }
+}
+
+// 创建单例实例
+const powerScheduler = new PowerScheduler();
+
+module.exports = powerScheduler;
@@ -0,0 +1,401 @@
+/**
+ * 促销服务
+ * 管理员创建优惠券，用户凭优惠码兑换：折扣和立减券在生成月度账单时按兑换顺序抵扣，
+ * 赠送余额券兑换后直接记入余额；新用户注册时按配置赠送试用余额
+ * 每次兑换都保留兑换记录，记录兑换人、兑换时的优惠条件，以及抵扣的账单或赠送的流水
+ */
+
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const User = require('../models/User');
+const promotionConfig = require('../config/promotions');
+const walletService = require('./walletService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'value', 'maxDiscount', 'plans', 'resources',
+  'startsAt', 'expiresAt', 'maxRedemptions', 'maxRedemptionsPerUser', 'isActive'
+];
+
+class PromotionService {
+  constructor() {
+    this.config = promotionConfig;
+  }
+
+  /**
+   * 查询优惠券
+   * @param {Object} filters - { isActive, search: 按优惠码或名称搜索 }
+   * @param {Object} options - { limit, skip }
+   * @returns {Promise<{coupons: Coupon[], total: number}>}
+   */
+  async listCoupons({ isActive, search } = {}, { limit = 20, skip = 0 } = {}) {
+    const query = {};
+    if (isActive !== undefined) {
+      query.isActive = isActive;
+    }
+    if (search) {
+      const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { code: { $regex: pattern, $options: 'i' } },
+        { name: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(query).sort('-createdAt').skip(skip).limit(limit),
+      Coupon.countDocuments(query)
+    ]);
+    return { coupons, total };
+  }
+
+  /**
+   * 获取优惠券
+   * @param {string} id - 优惠券ID
+   * @returns {Promise<Coupon>}
+   */
+  async getCoupon(id) {
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      throw new AppError('优惠券未找到', 404);
+    }
+    return coupon;
+  }
+
+  /**
+   * 创建优惠券
+   * @param {Object} data - 优惠券内容，含 code 和 type
+   * @param {Object} options - { actor }
+   * @returns {Promise<Coupon>}
+   */
+  async createCoupon(data, { actor } = {}) {
+    const fields = EDITABLE_FIELDS.reduce((result, field) => {
+      if (data[field] !== undefined) {
+        result[field] = data[field];
+      }
+      return result;
+    }, { code: this.config.normalizeCode(data.code), type: data.type, createdBy: actor, updatedBy: actor });
+
+    try {
+      return await Coupon.create(fields);
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        throw new AppError('优惠码已存在', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 调整优惠券，只影响之后的兑换；优惠码和类型不能修改
+   * @param {string} id - 优惠券ID
+   * @param {Object} updates - 要调整的字段
+   * @param {Object} options - { actor }
+   * @returns {Promise<Coupon>}
+   */
+  async updateCoupon(id, updates, { actor } = {}) {
+    const coupon = await this.getCoupon(id);
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        coupon[field] = updates[field];
+      }
+    });
+    coupon.updatedBy = actor;
+
+    await coupon.save();
+    return coupon;
+  }
+
+  /**
+   * 兑换优惠码：检查有效期、套餐和兑换次数后登记兑换记录，赠送余额券立即入账
+   * @param {string} userId - 用户ID
+   * @param {string} code - 优惠码
+   * @param {Object} options - { actor: 操作人, ip }
+   * @returns {Promise<CouponRedemption>}
+   */
+  async redeem(userId, code, { actor, ip } = {}, now = new Date()) {
+    const [coupon, user] = await Promise.all([
+      Coupon.findOne({ code: this.config.normalizeCode(code) }),
+      User.findById(userId).select('plan')
+    ]);
+    if (!coupon) {
+      throw new AppError('优惠码无效', 404);
+    }
+    if (!user) {
+      throw new AppError('用户未找到', 404);
+    }
+
+    const redeemed = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+    const reason = this.config.getRedeemError(coupon, { plan: user.plan, redeemed, now });
+    if (reason) {
+      throw new AppError(reason, 400);
+    }
+
+    // 占用一次兑换次数，并发兑换时总次数不会超过上限
+    const claimed = await Coupon.findOneAndUpdate(
+      {
+        _id: coupon._id,
+        isActive: true,
+        $or: [
+          { maxRedemptions: null },
+          { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+        ]
+      },
+      { $inc: { redemptionCount: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError('优惠码已被领完', 409);
+    }
+
+    let redemption;
+    try {
+      redemption = await CouponRedemption.create({
+        coupon: coupon._id,
+        code: coupon.code,
+        user: userId,
+        sequence: redeemed,
+        type: coupon.type,
+        value: coupon.value,
+        maxDiscount: coupon.maxDiscount,
+        resources: coupon.resources,
+        expiresAt: coupon.expiresAt,
+        redeemedBy: actor || userId,
+        ip
+      });
+    } catch (error) {
+      await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+      if (isDuplicateKey(error)) {
+        throw new AppError('优惠码正在兑换，请稍后重试', 409);
+      }
+      throw error;
+    }
+
+    logger.info('兑换优惠码', {
+      redemptionId: redemption._id,
+      couponId: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      userId,
+      actor: actor || userId
+    });
+
+    if (redemption.type === 'credit') {
+      return this.applyCredit(redemption, now);
+    }
+    return redemption;
+  }
+
+  /**
+   * 把赠送余额券记入余额，同一兑换记录只入账一次
+   * @param {CouponRedemption} redemption - 兑换记录
+   * @returns {Promise<CouponRedemption>}
+   */
+  async applyCredit(redemption, now = new Date()) {
+    const transaction = await walletService.post(redemption.user, 'credit', redemption.value, {
+      actor: redemption.redeemedBy,
+      reference: redemption.code,
+      description: `优惠码 ${redemption.code} 赠送余额`,
+      idempotencyKey: `coupon:${redemption._id}`
+    });
+
+    return CouponRedemption.findOneAndUpdate(
+      { _id: redemption._id },
+      { $set: { status: 'applied', amount: transaction.amount, transaction: transaction._id, appliedAt: now } },
+      { new: true }
+    );
+  }
+
+  /**
+   * 补记中断的赠送余额
+   * @returns {Promise<number>} 补记的兑换记录数量
+   */
+  async recover() {
+    const pending = await CouponRedemption.find({ type: 'credit', status: 'active' });
+    for (const redemption of pending) {
+      try {
+        await this.applyCredit(redemption);
+      } catch (error) {
+        logger.error('补记优惠码赠送余额失败', {
+          redemptionId: redemption._id,
+          error: error.message
+        });
+      }
+    }
+
+    if (pending.length > 0) {
+      logger.info('已补记优惠码赠送余额', { count: pending.length });
+    }
+    return pending.length;
+  }
+
+  /**
+   * 新用户注册赠送试用余额，未配置赠送金额时跳过；赠送失败不影响注册
+   * @param {string} userId - 用户ID
+   * @returns {Promise<LedgerTransaction|null>}
+   */
+  async grantTrialCredit(userId) {
+    if (this.config.trialCredit <= 0) {
+      return null;
+    }
+
+    try {
+      return await walletService.post(userId, 'credit', this.config.trialCredit, {
+        description: '新用户注册赠送',
+        idempotencyKey: `trial:${userId}`
+      });
+    } catch (error) {
+      logger.error('注册赠送余额失败', {
+        userId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 计算账单可以使用的优惠：账期结束前兑换、结束时间晚于账期开始的折扣和立减券，
+   * 以及已抵扣当前草稿的兑换记录；优惠金额为零的券留到之后的账单
+   * @param {string} userId - 用户ID
+   * @param {Object} period - { key, start, end }
+   * @param {Object[]} lineItems - 账单明细
+   * @param {string} invoiceId - 重新生成的草稿账单
+   * @returns {Promise<Object[]>} 账单优惠 { redemption, coupon, code, description, amount }
+   */
+  async buildDiscounts(userId, period, lineItems, invoiceId) {
+    const statuses = [{ status: 'active' }];
+    if (invoiceId) {
+      statuses.push({ status: 'applied', invoice: invoiceId });
+    }
+
+    const redemptions = (await CouponRedemption.find({
+      user: userId,
+      type: { $in: this.config.discountTypes },
+      createdAt: { $lt: period.end },
+      $or: statuses
+    }).sort('createdAt')).filter(redemption => !redemption.expiresAt || redemption.expiresAt > period.start);
+
+    const amounts = this.config.calculateDiscounts(lineItems, redemptions);
+    return redemptions
+      .map((redemption, index) => ({
+        redemption: redemption._id,
+        coupon: redemption.coupon,
+        code: redemption.code,
+        description: redemption.type === 'percentage'
+          ? `优惠码 ${redemption.code}（${redemption.value}%折扣）`
+          : `优惠码 ${redemption.code}（立减${redemption.value}元）`,
+        amount: amounts[index]
+      }))
+      .filter(discount => discount.amount > 0);
+  }
+
+  /**
+   * 把账单优惠对应的兑换记录标记为已使用，并释放重新生成后不再使用的记录
+   * @param {Invoice} invoice - 账单
+   * @returns {Promise<Object[]>} 成功占用的账单优惠，已被其他账单占用的不包含在内
+   */
+  async attach(invoice) {
+    const attached = [];
+    for (const discount of invoice.discounts) {
+      const redemption = await CouponRedemption.findOneAndUpdate(
+        {
+          _id: discount.redemption,
+          $or: [{ status: 'active' }, { status: 'applied', invoice: invoice._id }]
+        },
+        { $set: { status: 'applied', invoice: invoice._id, amount: discount.amount, appliedAt: new Date() } },
+        { new: true }
+      );
+      if (redemption) {
+        attached.push(discount);
+      }
+    }
+
+    await this.release(invoice, attached.map(discount => discount.redemption));
+    return attached;
+  }
+
+  /**
+   * 释放账单占用的兑换记录，账单作废后可以用于重新生成的账单
+   * @param {Invoice} invoice - 账单
+   * @param {string[]} keep - 继续占用的兑换记录
+   */
+  async release(invoice, keep = []) {
+    const result = await CouponRedemption.updateMany(
+      { invoice: invoice._id, status: 'applied', _id: { $nin: keep } },
+      { $set: { status: 'active' }, $unset: { invoice: 1, amount: 1, appliedAt: 1 } }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info('已释放账单优惠', {
+        invoiceId: invoice._id,
+        count: result.modifiedCount
+      });
+    }
+  }
+
+  /**
+   * 查询兑换记录
+   * @param {Object} filters - { user, coupon, status }
+   * @param {Object} options - { limit, skip }
+   * @returns {Promise<{redemptions: CouponRedemption[], total: number}>}
+   */
+  async listRedemptions({ user, coupon, status } = {}, { limit = 20, skip = 0 } = {}) {
+    const query = {};
+    if (user) {
+      query.user = user;
+    }
+    if (coupon) {
+      query.coupon = coupon;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const [redemptions, total] = await Promise.all([
+      CouponRedemption.find(query)
+        .populate('user', 'name email')
+        .populate('redeemedBy', 'name email')
+        .populate('invoice', 'number period status')
+        .sort('-createdAt')
+        .skip(skip)
+        .limit(limit),
+      CouponRedemption.countDocuments(query)
+    ]);
+    return { redemptions, total };
+  }
+
+  /**
+   * 优惠券的兑换统计：兑换次数、兑换人数、已抵扣账单的优惠金额和已赠送的余额
+   * @param {string} couponId - 优惠券ID
+   */
+  async getStats(couponId) {
+    const [stats] = await CouponRedemption.aggregate([
+      { $match: { coupon: new mongoose.Types.ObjectId(String(couponId)) } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          users: { $addToSet: '$user' },
+          applied: { $sum: { $cond: [{ $eq: ['$status', 'applied'] }, 1, 0] } },
+          amount: { $sum: { $cond: [{ $eq: ['$status', 'applied'] }, '$amount', 0] } }
+        }
+      }
+    ]);
+
+    return {
+      redemptions: stats ? stats.redemptions : 0,
+      users: stats ? stats.users.length : 0,
+      applied: stats ? stats.applied : 0,
+      amount: stats ? Math.round(stats.amount * 100) / 100 : 0
+    };
+  }
+}
+
+// 创建单例实例
+const promotionService = new PromotionService();
+
+module.exports = promotionService;
@@ -0,0 +1,138 @@
+/**
+ * 云电脑驱动基类
+ * 所有资源驱动（模拟、本地Docker、云厂商）都需要实现以下方法。
+ * 每个方法接收云电脑文档，返回Promise；实例标识保存在 cloudPC.provider.instanceId 中。
+ */
+
+const { AppError } = require('../../middleware/errorHandler');
+
+class BaseProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  /**
+   * 创建实例
+   * @param {Object} options - { snapshot: { snapshotId }, image, metadata, host }，指定快照时从快照创建，指定 image 时使用该镜像代替操作系统默认镜像；
+   *   metadata 为 { url, token }，需要让实例内能读取到，以便首次启动时从元数据服务获取元数据和用户数据；
+   *   host 为调度选定的宿主机 { id, name, address }，可用区未登记宿主机时为空
+   * @returns {Promise<{instanceId: string}>}
+   */
+  async create(cloudPC, options = {}) {
+    return this.unsupported('create');
+  }
+
+  /**
+   * 启动实例
+   * @returns {Promise<{status: string}>}
+   */
+  async start(cloudPC) {
+    return this.unsupported('start');
+  }
+
+  /**
+   * 停止实例
+   * @returns {Promise<{status: string}>}
+   */
+  async stop(cloudPC) {
+    return this.unsupported('stop');
+  }
+
+  /**
+   * 重启实例
+   * @returns {Promise<{status: string}>}
+   */
+  async reboot(cloudPC) {
+    return this.unsupported('reboot');
+  }
+
+  /**
+   * 销毁实例
+   * @returns {Promise<{destroyed: boolean}>}
+   */
+  async destroy(cloudPC) {
+    return this.unsupported('destroy');
+  }
+
+  /**
+   * 调整实例规格
+   * @param {Object} spec - { cpu, memory, storage }
+   * @returns {Promise<{cpu: number, memory: number, storage: number}>}
+   */
+  async resize(cloudPC, spec) {
+    return this.unsupported('resize');
+  }
+
+  /**
+   * 将已停止的实例迁移到另一台宿主机
+   * @param {Object} host - 目标宿主机 { id, name, address }
+   * @returns {Promise<{instanceId: string}>}
+   */
+  async migrate(cloudPC, host) {
+    return this.unsupported('migrate');
+  }
+
+  /**
+   * 创建快照
+   * @param {Object} options - { name }
+   * @returns {Promise<{snapshotId: string, size: number}>} size单位为MB
+   */
+  async snapshot(cloudPC, options = {}) {
+    return this.unsupported('snapshot');
+  }
+
+  /**
+   * 将实例恢复到快照，调用前实例需已停止
+   * @param {Object} snapshot - 快照记录，包含 providerSnapshotId
+   * @param {Object} options - { metadata }，需要重建实例时与 create 相同
+   * @returns {Promise<{instanceId: string}>}
+   */
+  async restoreSnapshot(cloudPC, snapshot, options = {}) {
+    return this.unsupported('restoreSnapshot');
+  }
+
+  /**
+   * 删除快照
+   * @param {Object} snapshot - 快照记录，包含 providerSnapshotId
+   * @returns {Promise<{deleted: boolean}>}
+   */
+  async deleteSnapshot(cloudPC, snapshot) {
+    return this.unsupported('deleteSnapshot');
+  }
+
+  /**
+   * 删除自定义镜像
+   * @param {string} imageId - 驱动侧的镜像标识
+   * @returns {Promise<{deleted: boolean}>}
+   */
+  async deleteImage(imageId) {
+    return this.unsupported('deleteImage');
+  }
+
+  /**
+   * 查询实例实际状态
+   * @returns {Promise<{instanceId: string, status: string, exists: boolean}>}
+   */
+  async describe(cloudPC) {
+    return this.unsupported('describe');
+  }
+
+  /**
+   * 驱动是否实现了指定操作
+   * @param {string} operation - 方法名，如 migrate
+   * @returns {boolean}
+   */
+  supports(operation) {
+    return typeof this[operation] === 'function' && this[operation] !== BaseProvider.prototype[operation];
+  }
+
+  // 不支持的操作重试也不会成功，操作队列直接标记为失败
+  unsupported(operation) {
+    const error = new AppError(`驱动 ${this.name} 不支持 ${operation} 操作`, 501);
+    error.retryable = false;
+    throw error;
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,214 @@
+/**
+ * 本地Docker驱动
+ * 通过宿主机上的docker命令行管理实例，每台云电脑对应一个容器
+ */
+
+const { execFile } = require('child_process');
+const BaseProvider = require('./BaseProvider');
+const logger = require('../../utils/logger');
+
+// docker inspect 的状态 -> 云电脑状态
+const STATE_MAP = {
+  created: 'stopped',
+  exited: 'stopped',
+  dead: 'error',
+  paused: 'stopped',
+  restarting: 'restarting',
+  running: 'running',
+  removing: 'stopping'
+};
+
+class LocalDockerProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('docker', options);
+  }
+
+  /**
+   * 执行docker命令
+   * @param {string[]} args - 命令参数
+   * @returns {Promise<string>} 标准输出
+   */
+  run(args) {
+    return new Promise((resolve, reject) => {
+      execFile(this.options.binary, args, { timeout: this.options.commandTimeout }, (error, stdout, stderr) => {
+        if (error) {
+          logger.error('Docker命令执行失败', {
+            args,
+            error: error.message,
+            stderr: stderr && stderr.trim()
+          });
+          return reject(new Error((stderr && stderr.trim()) || error.message));
+        }
+        resolve(stdout.trim());
+      });
+    });
+  }
+
+  containerName(cloudPC) {
+    return `${this.options.containerPrefix}${cloudPC._id}`;
+  }
+
+  // 优先使用已记录的容器ID，兼容尚未写回ID的情况
+  containerRef(cloudPC) {
+    return (cloudPC.provider && cloudPC.provider.instanceId) || this.containerName(cloudPC);
+  }
+
+  // 按容器名称查找容器，返回容器ID，不存在时返回 null
+  async findContainer(cloudPC) {
+    try {
+      return await this.run(['inspect', '--type', 'container', '--format', '{{.Id}}', this.containerName(cloudPC)]);
+    } catch (error) {
+      if (/No such (object|container)/i.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  resourceArgs(spec) {
+    return [
+      '--cpus', String(spec.cpu),
+      '--memory', `${spec.memory}g`
+    ];
+  }
+
+  // 从快照创建时使用快照提交的镜像，其次是指定的自定义镜像
+  imageFor(cloudPC, options = {}) {
+    if (options.snapshot) {
+      return options.snapshot.snapshotId;
+    }
+    if (options.image) {
+      return options.image;
+    }
+    const image = this.options.images[cloudPC.os];
+    if (!image) {
+      throw new Error(`未配置操作系统 ${cloudPC.os} 对应的镜像`);
+    }
+    return image;
+  }
+
+  async create(cloudPC, options = {}) {
+    const image = this.imageFor(cloudPC, options);
+
+    // 上次创建在写回容器ID前中断时会留下同名容器，删除后按本次参数重建，重试不会因名称冲突失败
+    const existing = await this.findContainer(cloudPC);
+    if (existing) {
+      logger.warn('删除已存在的同名容器后重新创建', {
+        cloudPCId: cloudPC._id,
+        containerId: existing
+      });
+      await this.run(['rm', '--force', '--volumes', existing]);
+    }
+
+    const args = [
+      'create',
+      '--name', this.containerName(cloudPC),
+      '--hostname', this.containerName(cloudPC),
+      '--label', `cloudpc.id=${cloudPC._id}`,
+      '--label', `cloudpc.user=${cloudPC.user}`,
+      ...this.resourceArgs(cloudPC),
+      '--publish', `${cloudPC.port}:${this.options.guestPort}`
+    ];
+
+    if (this.options.limitStorage) {
+      args.push('--storage-opt', `size=${cloudPC.storage}G`);
+    }
+
+    if (options.metadata) {
+      args.push(
+        '--env', `CLOUDPC_METADATA_URL=${options.metadata.url}`,
+        '--env', `CLOUDPC_METADATA_TOKEN=${options.metadata.token}`
+      );
+    }
+
+    args.push(image);
+
+    const instanceId = await this.run(args);
+    return { instanceId };
+  }
+
+  async start(cloudPC) {
+    await this.run(['start', this.containerRef(cloudPC)]);
+    return { status: 'running' };
+  }
+
+  async stop(cloudPC) {
+    await this.run(['stop', '--time', '30', this.containerRef(cloudPC)]);
+    return { status: 'stopped' };
+  }
+
+  async reboot(cloudPC) {
+    await this.run(['restart', '--time', '30', this.containerRef(cloudPC)]);
+    return { status: 'running' };
+  }
+
+  async destroy(cloudPC) {
+    await this.run(['rm', '--force', '--volumes', this.containerRef(cloudPC)]);
+    return { destroyed: true };
+  }
+
+  async resize(cloudPC, spec) {
+    // docker update 只能调整CPU和内存，存储在容器重建时生效
+    await this.run([
+      'update',
+      ...this.resourceArgs(spec),
+      '--memory-swap', `${spec.memory}g`,
+      this.containerRef(cloudPC)
+    ]);
+    return { cpu: spec.cpu, memory: spec.memory, storage: spec.storage };
+  }
+
+  async snapshot(cloudPC, options = {}) {
+    const tag = `${this.options.containerPrefix}snapshot-${cloudPC._id}:${Date.now()}`;
+    const snapshotId = await this.run(['commit', '--pause=false', this.containerRef(cloudPC), tag]);
+    const bytes = await this.run(['image', 'inspect', '--format', '{{.Size}}', snapshotId]);
+    return {
+      snapshotId,
+      size: Math.ceil(parseInt(bytes, 10) / 1024 / 1024)
+    };
+  }
+
+  // 容器无法原地回滚，删除后以快照镜像按原名称重建
+  async restoreSnapshot(cloudPC, snapshot, options = {}) {
+    await this.run(['rm', '--force', this.containerRef(cloudPC)]);
+    return this.create(cloudPC, { ...options, snapshot: { snapshotId: snapshot.providerSnapshotId } });
+  }
+
+  async deleteSnapshot(cloudPC, snapshot) {
+    return this.deleteImage(snapshot.providerSnapshotId);
+  }
+
+  async deleteImage(imageId) {
+    try {
+      await this.run(['image', 'rm', imageId]);
+    } catch (error) {
+      if (!/No such image/i.test(error.message)) {
+        throw error;
+      }
+    }
+    return { deleted: true };
+  }
+
+  async describe(cloudPC) {
+    let output;
+    try {
+      output = await this.run(['inspect', '--format', '{{json .State}}', this.containerRef(cloudPC)]);
+    } catch (error) {
+      if (/No such (object|container)/i.test(error.message)) {
+        return { instanceId: null, status: 'unknown', exists: false };
+      }
+      throw error;
+    }
+
+    const state = JSON.parse(output);
+    return {
+      instanceId: this.containerRef(cloudPC),
+      status: STATE_MAP[state.Status] || 'error',
+      exists: true,
+      startedAt: state.StartedAt,
+      exitCode: state.ExitCode
+    };
+  }
+}
+
+module.exports = LocalDockerProvider;
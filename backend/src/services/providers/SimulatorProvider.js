@@ -0,0 +1,132 @@
+/**
+ * 模拟驱动
+ * 不接触任何真实资源，按配置的延时模拟实例生命周期，用于开发、测试和演示
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BaseProvider = require('./BaseProvider');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class SimulatorProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('simulator', options);
+    this.instances = new Map(); // instanceId -> 实例状态
+  }
+
+  // 未记录实例ID的存量云电脑以文档ID作为实例ID
+  instanceIdOf(cloudPC) {
+    return (cloudPC.provider && cloudPC.provider.instanceId) || String(cloudPC._id);
+  }
+
+  // 获取实例，进程重启后按数据库记录重新登记
+  getInstance(cloudPC) {
+    const instanceId = this.instanceIdOf(cloudPC);
+    if (!this.instances.has(instanceId)) {
+      this.instances.set(instanceId, {
+        status: cloudPC.status === 'running' ? 'running' : 'stopped',
+        cpu: cloudPC.cpu,
+        memory: cloudPC.memory,
+        storage: cloudPC.storage
+      });
+    }
+    return this.instances.get(instanceId);
+  }
+
+  async create(cloudPC, options = {}) {
+    await delay(this.options.createDelay);
+    const instanceId = `sim-${uuidv4()}`;
+    this.instances.set(instanceId, {
+      status: 'stopped',
+      cpu: cloudPC.cpu,
+      memory: cloudPC.memory,
+      storage: cloudPC.storage,
+      fromSnapshot: options.snapshot ? options.snapshot.snapshotId : null,
+      image: options.image || cloudPC.os,
+      metadata: options.metadata || null,
+      host: options.host ? options.host.name : null
+    });
+    return { instanceId };
+  }
+
+  async start(cloudPC) {
+    const instance = this.getInstance(cloudPC);
+    await delay(this.options.startDelay);
+    instance.status = 'running';
+    return { status: instance.status };
+  }
+
+  async stop(cloudPC) {
+    const instance = this.getInstance(cloudPC);
+    await delay(this.options.stopDelay);
+    instance.status = 'stopped';
+    return { status: instance.status };
+  }
+
+  async reboot(cloudPC) {
+    const instance = this.getInstance(cloudPC);
+    await delay(this.options.rebootDelay);
+    instance.status = 'running';
+    return { status: instance.status };
+  }
+
+  async destroy(cloudPC) {
+    this.instances.delete(this.instanceIdOf(cloudPC));
+    return { destroyed: true };
+  }
+
+  async resize(cloudPC, spec) {
+    const instance = this.getInstance(cloudPC);
+    await delay(this.options.resizeDelay);
+    Object.assign(instance, spec);
+    return { cpu: instance.cpu, memory: instance.memory, storage: instance.storage };
+  }
+
+  async migrate(cloudPC, host) {
+    const instance = this.getInstance(cloudPC);
+    await delay(this.options.migrateDelay);
+    instance.host = host.name;
+    return { instanceId: this.instanceIdOf(cloudPC) };
+  }
+
+  async snapshot(cloudPC, options = {}) {
+    const instance = this.getInstance(cloudPC);
+    await delay(this.options.snapshotDelay);
+    // 按磁盘实际使用率估算快照大小(MB)，至少1GB
+    const usedRatio = Math.max((cloudPC.usage && cloudPC.usage.diskUsage) || 0, 1) / 100;
+    return {
+      snapshotId: `simsnap-${uuidv4()}`,
+      size: Math.max(Math.round(instance.storage * 1024 * usedRatio), 1024)
+    };
+  }
+
+  async restoreSnapshot(cloudPC, snapshot) {
+    const instance = this.getInstance(cloudPC);
+    await delay(this.options.restoreDelay);
+    instance.status = 'stopped';
+    instance.fromSnapshot = snapshot.providerSnapshotId;
+    return { instanceId: this.instanceIdOf(cloudPC) };
+  }
+
+  async deleteSnapshot(cloudPC, snapshot) {
+    return { deleted: true };
+  }
+
+  async deleteImage(imageId) {
+    return { deleted: true };
+  }
+
+  async describe(cloudPC) {
+    const instance = this.getInstance(cloudPC);
+    return {
+      instanceId: this.instanceIdOf(cloudPC),
+      status: instance.status,
+      exists: true,
+      cpu: instance.cpu,
+      memory: instance.memory,
+      storage: instance.storage
+    };
+  }
+}
+
+module.exports = SimulatorProvider;
@@ -0,0 +1,73 @@
+/**
+ * 云电脑驱动注册表
+ * 按机房选择驱动，路由层只依赖统一的驱动接口
+ */
+
+const providerConfig = require('../../config/providers');
+const BaseProvider = require('./BaseProvider');
+const SimulatorProvider = require('./SimulatorProvider');
+const LocalDockerProvider = require('./LocalDockerProvider');
+const logger = require('../../utils/logger');
+
+class ProviderRegistry {
+  constructor() {
+    this.factories = new Map(); // 驱动名称 -> 工厂函数
+    this.instances = new Map(); // 驱动名称 -> 驱动实例
+  }
+
+  /**
+   * 注册驱动
+   * @param {string} name - 驱动名称
+   * @param {Function} factory - 返回 BaseProvider 子类实例的工厂函数
+   */
+  register(name, factory) {
+    this.factories.set(name, factory);
+    this.instances.delete(name);
+    logger.info(`云电脑驱动已注册: ${name}`);
+  }
+
+  /**
+   * 按名称获取驱动实例（惰性创建）
+   */
+  getDriver(name) {
+    if (!this.instances.has(name)) {
+      const factory = this.factories.get(name);
+      if (!factory) {
+        throw new Error(`未知的云电脑驱动: ${name}`);
+      }
+      const driver = factory(providerConfig[name] || {});
+      if (!(driver instanceof BaseProvider)) {
+        throw new Error(`驱动 ${name} 必须继承 BaseProvider`);
+      }
+      this.instances.set(name, driver);
+    }
+    return this.instances.get(name);
+  }
+
+  /**
+   * 获取云电脑对应的驱动
+   * 已创建的实例始终使用创建时记录的驱动，避免配置变更后找不到实例
+   */
+  getProviderFor(cloudPC) {
+    const recorded = cloudPC.provider && cloudPC.provider.driver;
+    return this.getDriver(recorded || providerConfig.getDriverName(cloudPC.location));
+  }
+
+  /**
+   * 获取机房默认驱动
+   */
+  getProviderForLocation(location) {
+    return this.getDriver(providerConfig.getDriverName(location));
+  }
+
+  listDrivers() {
+    return Array.from(this.factories.keys());
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+
+providerRegistry.register('simulator', (options) => new SimulatorProvider(options));
+providerRegistry.register('docker', (options) => new LocalDockerProvider(options));
+
+module.exports = providerRegistry;
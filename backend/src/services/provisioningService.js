@@ -0,0 +1,334 @@
+/**
+ * 云电脑开通服务
+ * 新建和删除云电脑的统一入口：保存记录、确定驱动并提交实例创建操作，删除时回收实例、快照和地址
+ */
+
+const CloudPC = require('../models/CloudPC');
+const providerRegistry = require('./providers');
+const cacheService = require('./cacheService');
+const imageService = require('./imageService');
+const addressAllocator = require('./addressAllocator');
+const quotaService = require('./quotaService');
+const powerScheduler = require('./powerScheduler');
+const placementService = require('./placementService');
+const meteringService = require('./meteringService');
+const Image = require('../models/Image');
+const Template = require('../models/Template');
+const metadataConfig = require('../config/metadata');
+const regionConfig = require('../config/regions');
+const { requestCreate, findAvailableSnapshot, describeSnapshot } = require('./cloudpcLifecycle');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+/**
+ * 开通云电脑
+ * @param {Object} params
+ * @param {string} params.user - 所属用户ID
+ * @param {Object} params.fields - 云电脑字段（名称、配置等），IP和端口由服务端分配
+ * @param {Object} [params.snapshot] - 从快照创建时的来源 { cloudPC, id, name, providerSnapshotId }
+ * @param {Image} [params.image] - 使用的镜像，操作系统以镜像为准
+ * @param {Template} [params.template] - 部署所用的模板
+ * @param {string} [params.source] - 操作来源
+ * @returns {Promise<{cloudPC: CloudPC, operation: Operation, driver: string}>}
+ */
+const provisionCloudPC = async ({ user, fields, snapshot, image, template, source }) => {
+  // 新建云电脑的状态固定为已停止，之后由状态机管理；镜像和模板只能通过参数指定，IP、端口和可用区由服务端分配
+  const {
+    status,
+    image: imageField,
+    template: templateField,
+    ip: ipField,
+    port: portField,
+    zone: zoneField,
+    ...cloudPCData
+  } = fields;
+  cloudPCData.location = cloudPCData.location || regionConfig.defaultRegion;
+
+  if (image) {
+    cloudPCData.os = image.os;
+    imageService.assertCompatible(image, cloudPCData);
+  }
+
+  // 用户数据只在创建时指定，格式须与操作系统匹配
+  if (cloudPCData.userData) {
+    const reason = metadataConfig.validateUserData(cloudPCData.userData, cloudPCData.os);
+    if (reason) {
+      throw new AppError(reason, 400);
+    }
+    cloudPCData.userData = {
+      format: cloudPCData.userData.format,
+      content: cloudPCData.userData.content
+    };
+  }
+
+  const provider = providerRegistry.getProviderForLocation(cloudPCData.location);
+  const cloudPC = new CloudPC({
+    ...cloudPCData,
+    user,
+    image: image ? image._id : undefined,
+    template: template ? template._id : undefined
+  });
+  cloudPC.provider = { driver: provider.name };
+
+  // 单价按配置档位和机房价格系数计算，档位已下线的配置沿用调用方给出的单价
+  const baseHourly = CloudPC.calculateHourlyPrice(cloudPC);
+  const listedHourly = cloudPCData.pricing && cloudPCData.pricing.hourly;
+  if (baseHourly === null && !listedHourly) {
+    throw new AppError(`不支持 ${cloudPC.cpu}核/${cloudPC.memory}GB 的配置组合`, 400);
+  }
+
+  // 校验配额到保存记录在用户的配额锁内完成，并发开通不会同时通过校验
+  await quotaService.withLock(user, async () => {
+    await quotaService.assertCanProvision(user, cloudPC);
+
+    const spec = placementService.getSpec(cloudPC);
+    const { region, zone, host } = await placementService.place(cloudPC.location, spec, { zone: zoneField });
+    cloudPC.zone = zone.code;
+    cloudPC.host = host ? host._id : undefined;
+    if (baseHourly !== null) {
+      cloudPC.pricing.hourly = regionConfig.applyMultiplier(baseHourly, region.pricingMultiplier);
+    }
+
+    try {
+      const { ip, port } = await addressAllocator.allocate(cloudPC.location, cloudPC._id);
+      cloudPC.ip = ip;
+      cloudPC.port = port;
+    } catch (error) {
+      await placementService.releaseCloudPC(cloudPC);
+      throw error;
+    }
+
+    try {
+      await cloudPC.save();
+    } catch (error) {
+      await addressAllocator.release(cloudPC._id);
+      await placementService.releaseCloudPC(cloudPC);
+      // 未登记分配记录的存量云电脑占用了该IP（启动补录时会记录警告）
+      if (isDuplicateKey(error) && error.keyValue && error.keyValue.ip) {
+        throw new AppError(`IP ${cloudPC.ip} 已被其他云电脑使用，请联系管理员处理地址冲突`, 409);
+      }
+      throw error;
+    }
+  });
+
+  // 开始计量，之后每次状态或规格变化切分用量区间
+  await meteringService.open(cloudPC._id);
+
+  // 缓存新创建的云电脑详情
+  await cacheService.set('cloudpc', `detail:${cloudPC._id}`, cloudPC);
+
+  // 失效相关缓存
+  await cacheService.invalidateCloudPCCache(cloudPC._id);
+  await cacheService.invalidateStats();
+
+  // 由操作队列在后台创建实例
+  let payload;
+  if (snapshot) {
+    payload = { snapshot };
+  } else if (image) {
+    payload = { image: { id: String(image._id), name: image.name, providerImageId: image.providerImageId } };
+  }
+  const operation = await requestCreate(cloudPC, { user, source, payload });
+
+  return { cloudPC, operation, driver: provider.name };
+};
+
+/**
+ * 从快照开通新的云电脑，配置与来源云电脑相同
+ * @param {CloudPC} sourceCloudPC - 来源云电脑
+ * @param {string} snapshotId - 快照ID
+ * @param {Object} params - { user, fields: { name, description, location }, source }
+ * @returns {Promise<{cloudPC: CloudPC, operation: Operation, driver: string}>}
+ */
+const provisionFromSnapshot = async (sourceCloudPC, snapshotId, { user, fields, source }) => {
+  const snapshot = findAvailableSnapshot(sourceCloudPC, snapshotId);
+  const location = fields.location || sourceCloudPC.location;
+
+  // 快照保存在来源驱动中，只能在同一驱动下恢复
+  const sourceDriver = providerRegistry.getProviderFor(sourceCloudPC).name;
+  if (providerRegistry.getProviderForLocation(location).name !== sourceDriver) {
+    throw new AppError('快照不能恢复到使用其他驱动的机房', 400);
+  }
+
+  const spec = {
+    cpu: sourceCloudPC.cpu,
+    memory: sourceCloudPC.memory,
+    storage: sourceCloudPC.storage
+  };
+  const hourly = CloudPC.calculateHourlyPrice(spec);
+
+  return provisionCloudPC({
+    user,
+    source,
+    snapshot: describeSnapshot(sourceCloudPC, snapshot),
+    fields: {
+      name: fields.name,
+      description: fields.description || `从快照 ${snapshot.name} 恢复`,
+      os: sourceCloudPC.os,
+      ...spec,
+      bandwidth: sourceCloudPC.bandwidth,
+      location,
+      tags: sourceCloudPC.tags,
+      pricing: {
+        hourly: hourly !== null ? hourly : sourceCloudPC.pricing.hourly,
+        currency: sourceCloudPC.pricing.currency
+      }
+    }
+  });
+};
+
+/**
+ * 按模板部署云电脑：镜像、配置和标签来自模板，名称和网络配置由调用方提供
+ * @param {Template} template - 模板
+ * @param {Object} params - { user: 当前用户, fields: { name, description, location }, source }
+ * @returns {Promise<{cloudPC: CloudPC, operation: Operation, driver: string}>}
+ */
+const provisionFromTemplate = async (template, { user, fields, source }) => {
+  const image = await imageService.getUsableImage(template.image, user);
+  const spec = {
+    cpu: template.cpu,
+    memory: template.memory,
+    storage: template.storage
+  };
+  const hourly = CloudPC.calculateHourlyPrice(spec);
+  if (hourly === null) {
+    throw new AppError(`模板配置 ${spec.cpu}核/${spec.memory}GB 已不再提供`, 400);
+  }
+
+  const result = await provisionCloudPC({
+    user: user.id,
+    source,
+    image,
+    template,
+    fields: {
+      name: fields.name,
+      description: fields.description || template.description,
+      ...spec,
+      bandwidth: template.bandwidth,
+      location: fields.location || template.location,
+      tags: template.tags,
+      pricing: { hourly }
+    }
+  });
+
+  await Template.updateOne({ _id: template._id }, { $inc: { deployCount: 1 } });
+
+  return result;
+};
+
+/**
+ * 克隆云电脑：复制配置、标签、元数据、监控阈值和备份策略，IP和端口重新分配；用户数据不复制
+ * 指定快照时从快照复制磁盘数据，否则以来源云电脑的镜像创建全新实例
+ * @param {CloudPC} sourceCloudPC - 来源云电脑
+ * @param {Object} params - { user: 当前用户, fields: { name, snapshotId, location }, source }
+ * @returns {Promise<{cloudPC: CloudPC, operation: Operation, driver: string}>}
+ */
+const provisionClone = async (sourceCloudPC, { user, fields, source }) => {
+  const location = fields.location || sourceCloudPC.location;
+
+  let snapshot;
+  let image;
+  if (fields.snapshotId) {
+    snapshot = findAvailableSnapshot(sourceCloudPC, fields.snapshotId);
+    if (providerRegistry.getProviderForLocation(location).name !== providerRegistry.getProviderFor(sourceCloudPC).name) {
+      throw new AppError('快照不能克隆到使用其他驱动的机房', 400);
+    }
+  } else if (sourceCloudPC.image) {
+    // 来源镜像已删除或不可用时按操作系统基础镜像创建
+    const sourceImage = await Image.findById(sourceCloudPC.image);
+    if (sourceImage && sourceImage.status === 'available' && sourceImage.isAccessibleBy(user)) {
+      image = sourceImage;
+    }
+  }
+
+  const { monitoring, autoBackup } = sourceCloudPC;
+
+  return provisionCloudPC({
+    user: user.id,
+    source,
+    image,
+    template: sourceCloudPC.template ? { _id: sourceCloudPC.template } : undefined,
+    snapshot: snapshot ? describeSnapshot(sourceCloudPC, snapshot) : undefined,
+    fields: {
+      name: fields.name || `${sourceCloudPC.name.slice(0, 46)}-副本`,
+      description: sourceCloudPC.description,
+      os: sourceCloudPC.os,
+      cpu: sourceCloudPC.cpu,
+      memory: sourceCloudPC.memory,
+      storage: sourceCloudPC.storage,
+      bandwidth: sourceCloudPC.bandwidth,
+      location,
+      tags: sourceCloudPC.tags,
+      pricing: {
+        hourly: sourceCloudPC.pricing.hourly,
+        currency: sourceCloudPC.pricing.currency
+      },
+      monitoring: {
+        enabled: monitoring.enabled,
+        alerts: { email: monitoring.alerts.email, sms: monitoring.alerts.sms },
+        thresholds: {
+          cpu: monitoring.thresholds.cpu,
+          memory: monitoring.thresholds.memory,
+          disk: monitoring.thresholds.disk
+        }
+      },
+      metadata: Object.fromEntries(sourceCloudPC.metadata || []),
+      backupEnabled: sourceCloudPC.backupEnabled,
+      autoBackup: {
+        frequency: autoBackup.frequency,
+        retention: autoBackup.retention
+      }
+    }
+  });
+};
+
+/**
+ * 删除云电脑：销毁驱动侧实例和快照，释放地址、可用区和宿主机容量，结束计量并删除电源计划
+ * 只有已停止或错误状态的云电脑可以删除
+ * @param {CloudPC} cloudPC - 云电脑文档
+ */
+const destroyCloudPC = async (cloudPC) => {
+  if (!['stopped', 'error'].includes(cloudPC.status)) {
+    throw new AppError('运行中的云电脑不能删除，请先停止', 400);
+  }
+
+  // 先销毁驱动侧实例，失败时保留记录以便重试
+  const provider = providerRegistry.getProviderFor(cloudPC);
+  if (cloudPC.provider && cloudPC.provider.instanceId) {
+    await provider.destroy(cloudPC);
+  }
+
+  // 快照随云电脑一起删除，驱动侧清理失败只记录日志
+  for (const snapshot of cloudPC.snapshots.filter(item => item.providerSnapshotId)) {
+    try {
+      await provider.deleteSnapshot(cloudPC, snapshot);
+    } catch (error) {
+      logger.warn('删除快照失败', {
+        cloudPCId: cloudPC._id,
+        snapshotId: snapshot._id,
+        error: error.message
+      });
+    }
+  }
+
+  await cloudPC.deleteOne();
+  await addressAllocator.release(cloudPC._id);
+  await placementService.releaseCloudPC(cloudPC);
+  await meteringService.close(cloudPC._id, { reason: 'delete' });
+  await powerScheduler.removeForCloudPC(cloudPC._id);
+
+  // 清理相关缓存
+  await cacheService.delete('cloudpc', `detail:${cloudPC._id}`);
+  await cacheService.invalidateCloudPCCache(cloudPC._id);
+  await cacheService.invalidateStats();
+};
+
+module.exports = {
+  provisionCloudPC,
+  provisionFromSnapshot,
+  provisionFromTemplate,
+  provisionClone,
+  destroyCloudPC
+};
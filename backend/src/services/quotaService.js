@@ -0,0 +1,300 @@
+/**
+ * 配额服务
+ * 按用户套餐和管理员调整计算资源配额，统计用量，并在开通、调整配置和创建快照前校验
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CloudPC = require('../models/CloudPC');
+const Plan = require('../models/Plan');
+const snapshotService = require('./snapshotService');
+const planConfig = require('../config/plans');
+const { AppError } = require('../middleware/errorHandler');
+
+const RESOURCES = Object.keys(planConfig.resources);
+
+// 配额锁的有效期，持有进程崩溃时到期自动失效
+const LOCK_TIMEOUT = 30 * 1000;
+const LOCK_RETRY_DELAY = 100;
+const LOCK_ATTEMPTS = 50;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class QuotaService {
+  constructor() {
+    this.config = planConfig;
+  }
+
+  /**
+   * 合并套餐配额和管理员调整，调整值优先
+   * @param {string} plan - 套餐
+   * @param {Object} [overrides] - 管理员调整的配额
+   * @param {Object} [planQuotas] - 套餐表中的配额，未提供时使用内置套餐配置
+   * @returns {Object} 各配额项的上限，null 表示不限制
+   */
+  resolveLimits(plan, overrides = {}, planQuotas) {
+    const base = planQuotas || (this.config.plans[plan] || this.config.plans[this.config.defaultPlan]).quotas;
+
+    return RESOURCES.reduce((limits, resource) => {
+      const override = overrides[resource];
+      limits[resource] = override !== undefined && override !== null ? override : base[resource];
+      return limits;
+    }, {});
+  }
+
+  /**
+   * 找出第一个会超出上限的配额项
+   * 请求量为0的项（如创建时大小未知的快照）在用量达到上限时即视为超出
+   * @param {Object} limits - 配额上限
+   * @param {Object} usage - 当前用量
+   * @param {Object} requested - 本次请求的增量
+   * @returns {string|null} 超出的配额项
+   */
+  findExceeded(limits, usage, requested) {
+    return Object.keys(requested).find(resource => {
+      const limit = limits[resource];
+      if (limit === null || limit === undefined) {
+        return false;
+      }
+      const amount = requested[resource];
+      const next = usage[resource] + amount;
+      return amount > 0 ? next > limit : next >= limit;
+    }) || null;
+  }
+
+  /**
+   * 获取用户的套餐和配额上限，套餐配额以套餐表为准
+   * @returns {Promise<{plan: string, planName: string, overrides: Object, limits: Object}>}
+   */
+  async getLimits(userId) {
+    const user = await User.findById(userId).select('plan quotaOverrides').lean();
+    if (!user) {
+      throw new AppError('用户未找到', 404);
+    }
+
+    // 套餐字段上线前注册的用户使用默认套餐
+    const plan = user.plan || this.config.defaultPlan;
+    const overrides = user.quotaOverrides || {};
+    const planDoc = await Plan.findOne({ code: plan }).select('name quotas').lean();
+    const builtin = this.config.plans[plan];
+    return {
+      plan,
+      planName: planDoc ? planDoc.name : (builtin ? builtin.name : plan),
+      overrides,
+      limits: this.resolveLimits(plan, overrides, planDoc ? planDoc.quotas : undefined)
+    };
+  }
+
+  /**
+   * 在用户的配额锁内执行校验和资源占用
+   * 配额按已保存的记录统计，校验和保存之间不加锁时并发请求可能同时通过校验；
+   * task 失败时锁同样释放，未保存的资源不会计入用量
+   * @param {string} userId - 用户ID
+   * @param {Function} task - 校验配额并保存资源的函数
+   * @returns {Promise<*>} task 的返回值
+   */
+  async withLock(userId, task) {
+    const token = crypto.randomUUID();
+
+    for (let attempt = 0; ; attempt++) {
+      const now = new Date();
+      const locked = await User.findOneAndUpdate(
+        {
+          _id: userId,
+          $or: [
+            { 'quotaLock.expiresAt': { $exists: false } },
+            { 'quotaLock.expiresAt': { $lte: now } }
+          ]
+        },
+        { $set: { quotaLock: { token, expiresAt: new Date(now.getTime() + LOCK_TIMEOUT) } } },
+        { new: true }
+      );
+      if (locked) break;
+
+      if (!await User.exists({ _id: userId })) {
+        throw new AppError('用户未找到', 404);
+      }
+      if (attempt + 1 >= LOCK_ATTEMPTS) {
+        throw new AppError('有其他请求正在占用配额，请稍后重试', 409);
+      }
+      await sleep(LOCK_RETRY_DELAY);
+    }
+
+    try {
+      return await task();
+    } finally {
+      await User.updateOne({ _id: userId, 'quotaLock.token': token }, { $unset: { quotaLock: 1 } });
+    }
+  }
+
+  /**
+   * 统计用户名下云电脑和快照的资源用量
+   * 调整中的云电脑按调整前后较大的配置计算，避免并发调整同时通过校验
+   * @returns {Promise<Object>} 各配额项的用量，快照大小单位为GB
+   */
+  async getUsage(userId) {
+    const [[compute], snapshots] = await Promise.all([
+      CloudPC.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+        {
+          $group: {
+            _id: null,
+            instances: { $sum: 1 },
+            cpu: { $sum: { $max: ['$cpu', { $ifNull: ['$pendingResize.cpu', 0] }] } },
+            memory: { $sum: { $max: ['$memory', { $ifNull: ['$pendingResize.memory', 0] }] } },
+            storage: { $sum: { $max: ['$storage', { $ifNull: ['$pendingResize.storage', 0] }] } }
+          }
+        }
+      ]),
+      snapshotService.getUsage(userId)
+    ]);
+
+    return {
+      instances: compute ? compute.instances : 0,
+      cpu: compute ? compute.cpu : 0,
+      memory: compute ? compute.memory : 0,
+      storage: compute ? compute.storage : 0,
+      snapshots: snapshots.count,
+      snapshotSizeGB: Number((snapshots.size / 1024).toFixed(2))
+    };
+  }
+
+  /**
+   * 获取用户的配额上限、用量和剩余量
+   */
+  async getQuota(userId) {
+    const [{ plan, planName, overrides, limits }, usage] = await Promise.all([
+      this.getLimits(userId),
+      this.getUsage(userId)
+    ]);
+
+    const quotas = RESOURCES.map(resource => ({
+      resource,
+      ...this.config.resources[resource],
+      limit: limits[resource],
+      used: usage[resource],
+      remaining: limits[resource] === null ? null : Math.max(limits[resource] - usage[resource], 0),
+      overridden: overrides[resource] !== undefined && overrides[resource] !== null
+    }));
+
+    return {
+      plan,
+      planName,
+      quotas
+    };
+  }
+
+  /**
+   * 校验本次请求是否超出配额，超出时抛出403错误
+   * 需要在 withLock 内调用，并在释放锁前保存占用的资源
+   * @param {string} userId - 用户ID
+   * @param {Object} requested - 各配额项的增量，如 { instances: 1, cpu: 4 }
+   */
+  async assertAvailable(userId, requested) {
+    const [{ limits }, usage] = await Promise.all([
+      this.getLimits(userId),
+      this.getUsage(userId)
+    ]);
+
+    const exceeded = this.findExceeded(limits, usage, requested);
+    if (exceeded) {
+      const { label, unit } = this.config.resources[exceeded];
+      const amount = requested[exceeded] > 0 ? `，本次需要 ${requested[exceeded]}${unit}` : '';
+      throw new AppError(
+        `${label}超出配额：已使用 ${usage[exceeded]}${unit}${amount}，上限 ${limits[exceeded]}${unit}。请升级套餐或释放不需要的资源`,
+        403
+      );
+    }
+
+    return usage;
+  }
+
+  /**
+   * 校验账户状态，暂停或停用的账户不能开机或开通云电脑
+   * 余额不足暂停时抛出402错误，其余抛出403错误
+   * @param {string} userId - 用户ID
+   */
+  async assertActive(userId) {
+    const user = await User.findById(userId).select('status suspendedReason').lean();
+    if (!user) {
+      throw new AppError('用户未找到', 404);
+    }
+
+    // 状态字段上线前注册的用户视为正常
+    if (user.status === 'suspended') {
+      if (user.suspendedReason === 'balance') {
+        throw new AppError('账户余额不足，已暂停使用，请充值后再试', 402);
+      }
+      throw new AppError('账户已被暂停，请联系客服', 403);
+    }
+    if (user.status === 'deactivated') {
+      throw new AppError('账户已被停用', 403);
+    }
+  }
+
+  /**
+   * 校验能否新开通一台云电脑
+   * @param {string} userId - 用户ID
+   * @param {Object} spec - { cpu, memory, storage }
+   */
+  async assertCanProvision(userId, { cpu, memory, storage }) {
+    await this.assertActive(userId);
+    return this.assertAvailable(userId, { instances: 1, cpu, memory, storage });
+  }
+
+  /**
+   * 校验能否把云电脑调整到目标配置，只校验增加的部分
+   * @param {CloudPC} cloudPC - 云电脑
+   * @param {Object} target - { cpu, memory, storage }
+   */
+  async assertCanResize(cloudPC, target) {
+    const requested = {};
+    ['cpu', 'memory', 'storage'].forEach(resource => {
+      const delta = target[resource] - cloudPC[resource];
+      if (delta > 0) {
+        requested[resource] = delta;
+      }
+    });
+
+    if (Object.keys(requested).length > 0) {
+      await this.assertAvailable(cloudPC.user, requested);
+    }
+  }
+
+  /**
+   * 校验用户能否接收转移过来的云电脑，云电脑的手动快照一并计入
+   * @param {string} userId - 接收方用户ID
+   * @param {CloudPC} cloudPC - 转移的云电脑
+   */
+  assertCanReceive(userId, cloudPC) {
+    const requested = {
+      instances: 1,
+      cpu: cloudPC.cpu,
+      memory: cloudPC.memory,
+      storage: cloudPC.storage
+    };
+
+    const snapshots = (cloudPC.snapshots || []).filter(snapshot =>
+      snapshot.isActive && snapshot.status !== 'failed' && snapshot.kind !== 'backup'
+    );
+    if (snapshots.length > 0) {
+      requested.snapshots = snapshots.length;
+      requested.snapshotSizeGB = Number((snapshots.reduce((sum, snapshot) => sum + snapshot.size, 0) / 1024).toFixed(2));
+    }
+
+    return this.assertAvailable(userId, requested);
+  }
+
+  /**
+   * 校验能否再创建一个手动快照，快照大小在创建完成后才知道，只校验已用量
+   */
+  assertCanSnapshot(userId) {
+    return this.assertAvailable(userId, { snapshots: 1, snapshotSizeGB: 0 });
+  }
+}
+
+// 创建单例实例
+const quotaService = new QuotaService();
+
+module.exports = quotaService;
@@ -0,0 +1,223 @@
+/**
+ * 云电脑回收站
+ * 删除云电脑时先移入回收站，保留期内可以恢复；到期后由定时任务彻底删除实例、快照并释放地址
+ */
+
+const cron = require('node-cron');
+const CloudPC = require('../models/CloudPC');
+const Operation = require('../models/Operation');
+const recycleBinConfig = require('../config/recycleBin');
+const cacheService = require('./cacheService');
+const quotaService = require('./quotaService');
+const meteringService = require('./meteringService');
+const { destroyCloudPC } = require('./provisioningService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// 回收站中的云电脑需要显式指定 deletedAt 才能查到
+const IN_RECYCLE_BIN = { deletedAt: { $ne: null } };
+
+const invalidateCaches = async (cloudPCId) => {
+  await cacheService.delete('cloudpc', `detail:${cloudPCId}`);
+  await cacheService.invalidateCloudPCCache(cloudPCId);
+  await cacheService.invalidateStats();
+};
+
+class RecycleBinService {
+  constructor() {
+    this.config = recycleBinConfig;
+    this.task = null;
+    this.running = false;
+  }
+
+  /**
+   * 启动到期清理
+   */
+  start() {
+    if (!this.config.enabled || this.task) {
+      return;
+    }
+
+    this.task = cron.schedule(this.config.cron, () => this.run());
+
+    logger.info('回收站清理已启动', {
+      cron: this.config.cron,
+      retentionDays: this.config.retentionDays
+    });
+  }
+
+  /**
+   * 停止到期清理
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * 查找用户回收站中的云电脑
+   * @param {string} userId - 用户ID
+   * @param {string} [cloudPCId] - 指定云电脑ID时只返回该云电脑
+   */
+  find(userId, cloudPCId) {
+    if (cloudPCId) {
+      return CloudPC.findOne({ _id: cloudPCId, user: userId, ...IN_RECYCLE_BIN });
+    }
+    return CloudPC.find({ user: userId, ...IN_RECYCLE_BIN }).sort('-deletedAt');
+  }
+
+  /**
+   * 校验云电脑能否移入回收站：只有已停止或错误状态、且没有进行中操作的云电脑可以删除
+   * 批量删除的预览使用同一校验
+   * @param {CloudPC} cloudPC - 云电脑文档
+   */
+  async assertCanDelete(cloudPC) {
+    if (!['stopped', 'error'].includes(cloudPC.status)) {
+      throw new AppError('运行中的云电脑不能删除，请先停止', 400);
+    }
+
+    const pending = await Operation.exists({
+      cloudPC: cloudPC._id,
+      status: { $in: ['queued', 'running'] }
+    });
+    if (pending) {
+      throw new AppError('云电脑有进行中的操作，请稍后再删除', 409);
+    }
+  }
+
+  /**
+   * 将云电脑移入回收站
+   * @param {CloudPC} cloudPC - 云电脑文档
+   * @returns {Promise<CloudPC>} 移入回收站后的云电脑
+   */
+  async moveToRecycleBin(cloudPC, now = new Date()) {
+    await this.assertCanDelete(cloudPC);
+
+    const deleted = await CloudPC.findOneAndUpdate(
+      { _id: cloudPC._id, status: { $in: ['stopped', 'error'] } },
+      {
+        $set: {
+          deletedAt: now,
+          purgeAt: this.config.getPurgeAt(now)
+        }
+      },
+      { new: true }
+    );
+    if (!deleted) {
+      throw new AppError('云电脑状态已变化，请刷新后重试', 409);
+    }
+
+    // 回收站中的云电脑不再计费
+    await meteringService.close(cloudPC._id, { at: now, reason: 'delete' });
+
+    await invalidateCaches(cloudPC._id);
+    return deleted;
+  }
+
+  /**
+   * 从回收站恢复云电脑，恢复后重新占用配额并恢复计量
+   * @param {CloudPC} cloudPC - 回收站中的云电脑
+   * @returns {Promise<CloudPC>} 恢复后的云电脑
+   */
+  async restore(cloudPC) {
+    const restored = await quotaService.withLock(cloudPC.user, async () => {
+      await quotaService.assertCanProvision(cloudPC.user, cloudPC);
+
+      return CloudPC.findOneAndUpdate(
+        { _id: cloudPC._id, ...IN_RECYCLE_BIN },
+        {
+          $set: { deletedAt: null },
+          $unset: { purgeAt: 1 }
+        },
+        { new: true }
+      );
+    });
+    if (!restored) {
+      throw new AppError('云电脑已不在回收站中', 409);
+    }
+
+    await meteringService.open(cloudPC._id);
+
+    await invalidateCaches(cloudPC._id);
+    return restored;
+  }
+
+  /**
+   * 彻底删除回收站中的云电脑
+   * @param {CloudPC} cloudPC - 回收站中的云电脑
+   */
+  async purge(cloudPC) {
+    await destroyCloudPC(cloudPC);
+
+    logger.info('彻底删除云电脑', {
+      cloudPCId: cloudPC._id,
+      userId: cloudPC.user,
+      deletedAt: cloudPC.deletedAt
+    });
+  }
+
+  /**
+   * 执行一轮清理，上一轮未结束时跳过本轮
+   * @returns {Promise<number|null>} 彻底删除的云电脑数量
+   */
+  async run(now = new Date()) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      return await this.purgeExpired(now);
+    } catch (error) {
+      logger.error('回收站清理失败', { error: error.message });
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 彻底删除保留期已到的云电脑
+   * 处理前先把清理时间推后，多实例部署时同一台云电脑只由一个实例处理，失败后稍后重试
+   */
+  async purgeExpired(now = new Date()) {
+    const expired = await CloudPC.find({ ...IN_RECYCLE_BIN, purgeAt: { $lte: now } })
+      .sort('purgeAt')
+      .limit(this.config.batchSize)
+      .select('_id purgeAt');
+
+    let purged = 0;
+    for (const { _id, purgeAt } of expired) {
+      const cloudPC = await CloudPC.findOneAndUpdate(
+        { _id, purgeAt, ...IN_RECYCLE_BIN },
+        { $set: { purgeAt: new Date(now.getTime() + this.config.retryDelay) } },
+        { new: true }
+      );
+      if (!cloudPC) {
+        continue;
+      }
+
+      try {
+        await this.purge(cloudPC);
+        purged++;
+      } catch (error) {
+        logger.error('彻底删除云电脑失败', {
+          cloudPCId: _id,
+          error: error.message
+        });
+      }
+    }
+
+    if (purged > 0) {
+      logger.info('已清理回收站中到期的云电脑', { count: purged });
+    }
+    return purged;
+  }
+}
+
+// 创建单例实例
+const recycleBinService = new RecycleBinService();
+
+module.exports = recycleBinService;
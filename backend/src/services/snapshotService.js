@@ -0,0 +1,74 @@
+/**
+ * 快照服务
+ * 负责快照用量统计和快照存储计价，配额校验见配额服务
+ */
+
+const mongoose = require('mongoose');
+const CloudPC = require('../models/CloudPC');
+const snapshotConfig = require('../config/snapshots');
+
+class SnapshotService {
+  constructor() {
+    this.config = snapshotConfig;
+  }
+
+  /**
+   * 统计用户手动快照的数量和总大小，自动备份由保留期控制，不计入配额
+   * @param {string} userId - 用户ID
+   * @returns {Promise<{count: number, size: number}>} size单位为MB
+   */
+  async getUsage(userId) {
+    const [usage] = await CloudPC.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+      { $unwind: '$snapshots' },
+      {
+        $match: {
+          'snapshots.isActive': true,
+          'snapshots.status': { $ne: 'failed' },
+          'snapshots.kind': { $ne: 'backup' }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          size: { $sum: '$snapshots.size' }
+        }
+      }
+    ]);
+
+    return {
+      count: usage ? usage.count : 0,
+      size: usage ? usage.size : 0
+    };
+  }
+
+  /**
+   * 计算快照存储的小时费用
+   * @param {number} size - 快照总大小(MB)
+   * @returns {number} 元/小时
+   */
+  calculateHourlyPrice(size) {
+    return Number(((size / 1024) * this.config.hourlyRatePerGB).toFixed(4));
+  }
+
+  /**
+   * 按已完成快照的实际大小重新计算云电脑的快照存储费用
+   * @returns {Promise<number>} 新的快照小时费用
+   */
+  async refreshPricing(cloudPCId) {
+    const cloudPC = await CloudPC.findById(cloudPCId).select('snapshots');
+    if (!cloudPC) {
+      return 0;
+    }
+
+    const snapshotHourly = this.calculateHourlyPrice(cloudPC.snapshotSize);
+    await CloudPC.updateOne({ _id: cloudPCId }, { 'pricing.snapshotHourly': snapshotHourly });
+    return snapshotHourly;
+  }
+}
+
+// 创建单例实例
+const snapshotService = new SnapshotService();
+
+module.exports = snapshotService;
@@ -0,0 +1,451 @@
+/**
+ * 套餐订阅
+ * 用户按月或按年订阅套餐，费用从余额中支付；订阅期间可以随时升级、降级或切换周期，
+ * 按当前周期的剩余时间折算差价，需要补交的从余额扣除，多付的退还到余额
+ * 到期时自动续费，余额不足或已取消续费的订阅到期后恢复为默认套餐
+ * 订阅先变更再记余额流水，流水未记入的历史记录由续费检查补记，不会出现未付费的周期
+ */
+
+const cron = require('node-cron');
+const Subscription = require('../models/Subscription');
+const User = require('../models/User');
+const planConfig = require('../config/plans');
+const planService = require('./planService');
+const walletService = require('./walletService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+class SubscriptionService {
+  constructor() {
+    this.config = planConfig;
+    this.task = null;
+    this.running = false;
+  }
+
+  /**
+   * 启动到期续费检查
+   */
+  start() {
+    if (!this.config.renewEnabled || this.task) {
+      return;
+    }
+
+    this.task = cron.schedule(this.config.renewCron, () => this.run());
+
+    logger.info('订阅续费检查已启动', { cron: this.config.renewCron });
+  }
+
+  /**
+   * 停止到期续费检查
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * 补记未记入的订阅费用，再处理到期的订阅，上一轮未结束时跳过本轮
+   * @returns {Promise<{recovered: number, renewed: number, expired: number}|null>}
+   */
+  async run(now = new Date()) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const result = { recovered: await this.recoverUnsettled(), renewed: 0, expired: 0 };
+      const subscriptions = await Subscription.find({
+        status: 'active',
+        currentPeriodEnd: { $lte: now }
+      });
+
+      for (const subscription of subscriptions) {
+        try {
+          const renewed = await this.renew(subscription, now);
+          result[renewed ? 'renewed' : 'expired']++;
+        } catch (error) {
+          logger.error('订阅续费失败', {
+            subscriptionId: subscription._id,
+            userId: subscription.user,
+            error: error.message
+          });
+        }
+      }
+
+      if (subscriptions.length > 0 || result.recovered > 0) {
+        logger.info('订阅续费检查完成', result);
+      }
+      return result;
+    } catch (error) {
+      logger.error('订阅续费检查失败', { error: error.message });
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 获取用户生效中的订阅
+   * @returns {Promise<Subscription|null>}
+   */
+  getCurrent(userId) {
+    return Subscription.findOne({ user: userId, status: 'active' });
+  }
+
+  /**
+   * 查询用户的订阅记录
+   */
+  async list(userId, { limit = 20, skip = 0 } = {}) {
+    const [subscriptions, total] = await Promise.all([
+      Subscription.find({ user: userId }).sort('-createdAt').skip(skip).limit(limit),
+      Subscription.countDocuments({ user: userId })
+    ]);
+    return { subscriptions, total };
+  }
+
+  /**
+   * 订阅套餐，从余额支付第一个周期的费用
+   * @param {string} userId - 用户ID
+   * @param {Object} target - { plan, cycle }
+   * @param {Object} options - { actor }
+   * @returns {Promise<Subscription>}
+   */
+  async subscribe(userId, { plan: code, cycle }, { actor } = {}, now = new Date()) {
+    if (await this.getCurrent(userId)) {
+      throw new AppError('已有生效中的订阅，请通过升级或降级变更套餐', 409);
+    }
+
+    const plan = await planService.getPlan(code, { activeOnly: true });
+    const price = plan.prices[cycle];
+    await walletService.assertBalance(userId, price);
+
+    let subscription;
+    try {
+      subscription = await Subscription.create({
+        user: userId,
+        plan: plan.code,
+        cycle,
+        price,
+        currentPeriodStart: now,
+        currentPeriodEnd: this.config.getPeriodEnd(now, cycle),
+        anchorDay: now.getUTCDate(),
+        history: [{ type: 'subscribe', plan: plan.code, cycle, price, amount: price, actor, at: now }]
+      });
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        throw new AppError('已有生效中的订阅，请通过升级或降级变更套餐', 409);
+      }
+      throw error;
+    }
+
+    await User.updateOne({ _id: userId }, { $set: { plan: plan.code } });
+    await this.settle(subscription, subscription.history[0], price, `订阅${plan.name}（${this.config.cycles[cycle].label}）`);
+
+    logger.info('用户订阅套餐', {
+      subscriptionId: subscription._id,
+      userId,
+      plan: plan.code,
+      cycle,
+      price
+    });
+    return this.getCurrent(userId);
+  }
+
+  /**
+   * 预览套餐变更的折算费用
+   * @param {string} userId - 用户ID
+   * @param {Object} target - { plan, cycle }，未提供的项保持不变
+   * @returns {Promise<Object>} { subscription, plan, type, cycle, price, credit, charge, amount, periodStart, periodEnd }
+   */
+  async preview(userId, target, now = new Date()) {
+    const subscription = await this.getCurrent(userId);
+    if (!subscription) {
+      throw new AppError('没有生效中的订阅', 404);
+    }
+
+    const code = target.plan || subscription.plan;
+    const cycle = target.cycle || subscription.cycle;
+    if (code === subscription.plan && cycle === subscription.cycle) {
+      throw new AppError('目标套餐和周期与当前订阅相同', 400);
+    }
+
+    const [current, plan] = await Promise.all([
+      planService.getPlan(subscription.plan),
+      planService.getPlan(code, { activeOnly: code !== subscription.plan })
+    ]);
+
+    const sameCycle = cycle === subscription.cycle;
+    const price = plan.prices[cycle];
+    const proration = this.config.calculateProration({
+      price: subscription.price,
+      start: subscription.currentPeriodStart,
+      end: subscription.currentPeriodEnd
+    }, price, sameCycle, now);
+
+    return {
+      subscription,
+      plan,
+      type: this.config.getChangeType(current, plan),
+      cycle,
+      price,
+      ...proration,
+      periodStart: sameCycle ? subscription.currentPeriodStart : now,
+      periodEnd: sameCycle ? subscription.currentPeriodEnd : this.config.getPeriodEnd(now, cycle)
+    };
+  }
+
+  /**
+   * 变更套餐或周期：立即生效，按剩余时间折算差价
+   * @param {string} userId - 用户ID
+   * @param {Object} target - { plan, cycle }
+   * @param {Object} options - { actor }
+   * @returns {Promise<Subscription>}
+   */
+  async change(userId, target, { actor } = {}, now = new Date()) {
+    const change = await this.preview(userId, target, now);
+    const { subscription, plan, cycle, price, amount } = change;
+
+    if (amount > 0) {
+      await walletService.assertBalance(userId, amount);
+    }
+
+    const entry = { type: change.type, plan: plan.code, cycle, price, amount, actor, at: now };
+    const update = {
+      $set: {
+        plan: plan.code,
+        cycle,
+        price,
+        cancelAtPeriodEnd: false
+      },
+      $inc: { revision: 1 },
+      $push: { history: entry }
+    };
+    if (cycle !== subscription.cycle) {
+      Object.assign(update.$set, {
+        currentPeriodStart: change.periodStart,
+        currentPeriodEnd: change.periodEnd,
+        anchorDay: now.getUTCDate()
+      });
+    }
+
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: 'active', revision: subscription.revision },
+      update,
+      { new: true }
+    );
+    if (!updated) {
+      throw new AppError('订阅刚刚发生了变化，请刷新后重试', 409);
+    }
+
+    await User.updateOne({ _id: userId }, { $set: { plan: plan.code } });
+    const action = { upgrade: '升级', downgrade: '降级', cycle: '切换周期' }[change.type];
+    await this.settle(updated, updated.history[updated.history.length - 1], amount,
+      `套餐${action}：${plan.name}（${this.config.cycles[cycle].label}）`);
+
+    logger.info('用户变更套餐', {
+      subscriptionId: updated._id,
+      userId,
+      type: change.type,
+      from: `${subscription.plan}/${subscription.cycle}`,
+      to: `${plan.code}/${cycle}`,
+      amount
+    });
+    return this.getCurrent(userId);
+  }
+
+  /**
+   * 取消自动续费，当前周期结束后恢复为默认套餐
+   */
+  cancel(userId, { actor } = {}, now = new Date()) {
+    return this.setCancelAtPeriodEnd(userId, true, { type: 'cancel', actor, at: now });
+  }
+
+  /**
+   * 恢复自动续费
+   */
+  resume(userId, { actor } = {}, now = new Date()) {
+    return this.setCancelAtPeriodEnd(userId, false, { type: 'resume', actor, at: now });
+  }
+
+  async setCancelAtPeriodEnd(userId, cancelAtPeriodEnd, entry) {
+    const updated = await Subscription.findOneAndUpdate(
+      { user: userId, status: 'active', cancelAtPeriodEnd: !cancelAtPeriodEnd },
+      { $set: { cancelAtPeriodEnd }, $inc: { revision: 1 }, $push: { history: entry } },
+      { new: true }
+    );
+    if (!updated) {
+      const current = await this.getCurrent(userId);
+      if (!current) {
+        throw new AppError('没有生效中的订阅', 404);
+      }
+      throw new AppError(cancelAtPeriodEnd ? '订阅已取消自动续费' : '订阅未取消自动续费', 409);
+    }
+    return updated;
+  }
+
+  /**
+   * 续费到期的订阅；已取消续费或余额不足时结束订阅
+   * @returns {Promise<boolean>} 是否续费成功
+   */
+  async renew(subscription, now = new Date()) {
+    if (subscription.cancelAtPeriodEnd) {
+      await this.expire(subscription, '已取消自动续费', now);
+      return false;
+    }
+
+    let plan;
+    try {
+      plan = await planService.getPlan(subscription.plan);
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+      await this.expire(subscription, '套餐已删除', now);
+      return false;
+    }
+
+    // 续费按套餐当前价格
+    const price = plan.prices[subscription.cycle];
+    try {
+      await walletService.assertBalance(subscription.user, price);
+    } catch (error) {
+      if (error.statusCode !== 402) {
+        throw error;
+      }
+      await this.expire(subscription, '余额不足，自动续费失败', now);
+      return false;
+    }
+
+    const start = subscription.currentPeriodEnd;
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: 'active', revision: subscription.revision },
+      {
+        $set: {
+          price,
+          currentPeriodStart: start,
+          currentPeriodEnd: this.config.getPeriodEnd(start, subscription.cycle, subscription.anchorDay)
+        },
+        $inc: { revision: 1 },
+        $push: { history: { type: 'renew', plan: plan.code, cycle: subscription.cycle, price, amount: price, at: now } }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return false;
+    }
+
+    await this.settle(updated, updated.history[updated.history.length - 1], price,
+      `${plan.name}续费（${this.config.cycles[subscription.cycle].label}）`);
+
+    logger.info('订阅已续费', {
+      subscriptionId: updated._id,
+      userId: updated.user,
+      plan: plan.code,
+      price,
+      periodEnd: updated.currentPeriodEnd
+    });
+    return true;
+  }
+
+  /**
+   * 结束订阅，用户恢复为默认套餐
+   */
+  async expire(subscription, reason, now = new Date()) {
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: 'active', revision: subscription.revision },
+      {
+        $set: { status: 'expired', endedAt: now, endReason: reason },
+        $inc: { revision: 1 },
+        $push: { history: { type: 'expire', plan: subscription.plan, cycle: subscription.cycle, at: now } }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return null;
+    }
+
+    await User.updateOne(
+      { _id: subscription.user, plan: subscription.plan },
+      { $set: { plan: this.config.defaultPlan } }
+    );
+
+    logger.info('订阅已结束', {
+      subscriptionId: subscription._id,
+      userId: subscription.user,
+      plan: subscription.plan,
+      reason
+    });
+    return updated;
+  }
+
+  /**
+   * 补记订阅历史中未记入余额流水的费用
+   * 订阅已变更但记账失败或进程中断时，历史记录没有对应的流水；幂等键按历史记录生成，
+   * 与原请求同时执行也只记一笔流水
+   * @returns {Promise<number>} 补记的历史记录数量
+   */
+  async recoverUnsettled() {
+    const subscriptions = await Subscription.find({
+      history: { $elemMatch: { amount: { $nin: [0, null] }, transaction: null } }
+    });
+
+    let recovered = 0;
+    for (const subscription of subscriptions) {
+      const entries = subscription.history.filter(entry => entry.amount && !entry.transaction);
+      for (const entry of entries) {
+        try {
+          await this.settle(subscription, entry, entry.amount,
+            `订阅费用补记：${entry.plan}（${this.config.cycles[entry.cycle].label}）`);
+          recovered++;
+        } catch (error) {
+          logger.error('订阅费用补记失败', {
+            subscriptionId: subscription._id,
+            entryId: entry._id,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    if (recovered > 0) {
+      logger.info('已补记订阅费用', { recovered });
+    }
+    return recovered;
+  }
+
+  /**
+   * 从余额扣除或退还费用，并把余额流水记录到订阅历史
+   * 幂等键按历史记录生成，同一次变更只记一笔流水
+   * @param {Subscription} subscription - 已更新的订阅
+   * @param {Object} entry - 本次的历史记录
+   * @param {number} amount - 正数扣费，负数退款，为零时不记流水
+   * @param {string} description - 流水说明
+   */
+  async settle(subscription, entry, amount, description) {
+    if (!amount) {
+      return null;
+    }
+
+    const type = amount > 0 ? 'charge' : 'refund';
+    const transaction = await walletService.post(subscription.user, type, Math.abs(amount), {
+      description,
+      idempotencyKey: `subscription:${subscription._id}:${entry._id}`
+    });
+
+    await Subscription.updateOne(
+      { _id: subscription._id, 'history._id': entry._id },
+      { $set: { 'history.$.transaction': transaction._id } }
+    );
+    return transaction;
+  }
+}
+
+// 创建单例实例
+const subscriptionService = new SubscriptionService();
+
+module.exports = subscriptionService;
@@ -0,0 +1,639 @@
+/**
+ * 预付费余额
+ * 每个用户一个余额账户，充值、扣费、退款和调整都记为借贷平衡的余额流水
+ * 定时从余额扣除已结束用量区间的费用；余额低于预警阈值时提醒，欠费时暂停账户并关闭运行中的云电脑，
+ * 充值使余额回到零以上后自动恢复
+ *
+ * 流水分两步计入余额：先在余额上记账并登记为待完成，再把流水标记为已计入，
+ * 中途中断的流水在启动时恢复，保证每笔流水只计入一次
+ */
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const UsageRecord = require('../models/UsageRecord');
+const CloudPC = require('../models/CloudPC');
+const User = require('../models/User');
+const walletConfig = require('../config/wallet');
+const { requestPowerAction } = require('./cloudpcLifecycle');
+const { cloudPCWebSocketService } = require('./cloudpc-websocket');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// 扣费批次的幂等键，由批次中全部区间ID排序后的摘要生成
+const buildChargeKey = (ids) => {
+  const digest = crypto.createHash('sha256')
+    .update(ids.map(String).sort().join(','))
+    .digest('hex');
+  return `usage:${digest}`;
+};
+
+class WalletService {
+  constructor() {
+    this.config = walletConfig;
+    this.task = null;
+    this.running = false;
+  }
+
+  /**
+   * 启动定时扣费
+   */
+  start() {
+    if (!this.config.enabled || this.task) {
+      return;
+    }
+
+    this.task = cron.schedule(this.config.cron, () => this.run());
+
+    logger.info('余额扣费已启动', { cron: this.config.cron });
+  }
+
+  /**
+   * 停止定时扣费
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * 执行一轮扣费，并关闭欠费用户仍在运行的云电脑；上一轮未结束时跳过本轮
+   * @returns {Promise<{charged: number, amount: number, stopped: number}|null>}
+   */
+  async run(now = new Date()) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const result = { charged: 0, amount: 0, stopped: 0 };
+
+      const users = await UsageRecord.distinct('user', this.getChargeableQuery());
+      for (const userId of users) {
+        try {
+          const { count, amount } = await this.chargeUsage(userId, now);
+          result.charged += count;
+          result.amount = this.config.round(result.amount + amount);
+        } catch (error) {
+          logger.error('余额扣费失败', {
+            userId,
+            error: error.message
+          });
+        }
+      }
+
+      // 欠费暂停后才开机完成的云电脑在这里补充关机
+      const overdrawn = await Wallet.find({ balance: { $lt: 0 } }).select('user');
+      for (const wallet of overdrawn) {
+        try {
+          await this.suspend(wallet.user);
+          result.stopped += await this.stopRunning(wallet.user);
+        } catch (error) {
+          logger.error('欠费停机失败', {
+            userId: wallet.user,
+            error: error.message
+          });
+        }
+      }
+
+      if (result.charged > 0 || result.stopped > 0) {
+        logger.info('余额扣费完成', result);
+      }
+      return result;
+    } catch (error) {
+      logger.error('余额扣费任务失败', { error: error.message });
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // 已结束、未扣费的用量区间
+  getChargeableQuery(userId) {
+    const query = { open: false, chargedAt: null };
+    if (userId) {
+      query.user = userId;
+    }
+    if (this.config.chargeSince) {
+      query.endedAt = { $gte: this.config.chargeSince };
+    }
+    return query;
+  }
+
+  /**
+   * 从余额扣除用户已结束用量区间的费用，每批区间记一笔扣费流水
+   * 扣费前先把批次中的区间认领到同一个幂等键（全部区间ID的摘要），中断后重试时沿用已认领的批次，
+   * 批次内容和幂等键不变，重复执行时不会重复扣费
+   * @param {string} userId - 用户ID
+   * @returns {Promise<{count: number, amount: number}>} 扣费的区间数和金额
+   */
+  async chargeUsage(userId, now = new Date()) {
+    const result = { count: 0, amount: 0 };
+    const batchSize = this.config.chargeBatchSize;
+
+    let more = true;
+    while (more) {
+      // 优先完成上次中断的批次
+      const pending = await UsageRecord.findOne({ user: userId, chargedAt: null, chargeKey: { $ne: null } })
+        .select('chargeKey');
+      let chargeKey = pending && pending.chargeKey;
+
+      if (!chargeKey) {
+        const batch = await UsageRecord.find({ ...this.getChargeableQuery(userId), chargeKey: null })
+          .select('_id')
+          .sort('startedAt _id')
+          .limit(batchSize);
+        if (batch.length === 0) {
+          break;
+        }
+        more = batch.length === batchSize;
+
+        const ids = batch.map(record => record._id);
+        chargeKey = buildChargeKey(ids);
+        // 并发执行时已被其他批次认领的区间保持不变
+        await UsageRecord.updateMany(
+          { _id: { $in: ids }, chargedAt: null, chargeKey: null },
+          { $set: { chargeKey } }
+        );
+      }
+
+      const records = await UsageRecord.find({ chargeKey, chargedAt: null }).select('cost.total');
+      if (records.length === 0) {
+        continue;
+      }
+
+      const amount = this.config.round(records.reduce((sum, record) => sum + record.cost.total, 0));
+      const ids = records.map(record => record._id);
+
+      // 费用为零的区间（如关机且没有存储）直接标记，不记流水
+      if (amount <= 0) {
+        await UsageRecord.updateMany({ _id: { $in: ids }, chargedAt: null }, { $set: { chargedAt: now } });
+        result.count += ids.length;
+        continue;
+      }
+
+      const transaction = await this.post(userId, 'charge', amount, {
+        idempotencyKey: chargeKey,
+        usageRecords: ids,
+        description: `云电脑用量扣费（${ids.length} 个计费区间）`
+      });
+
+      const charged = await UsageRecord.updateMany(
+        { _id: { $in: transaction.usageRecords }, chargedAt: null },
+        { $set: { chargedAt: now, chargeTransaction: transaction._id } }
+      );
+      result.count += charged.modifiedCount;
+      result.amount = this.config.round(result.amount - transaction.amount);
+    }
+
+    return result;
+  }
+
+  /**
+   * 获取用户的余额账户，不存在时创建
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Wallet>}
+   */
+  getWallet(userId) {
+    return Wallet.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId, balance: 0, currency: this.config.currency } },
+      { new: true, upsert: true }
+    );
+  }
+
+  /**
+   * 校验余额是否足以支付，不足时抛出402错误
+   * @param {string} userId - 用户ID
+   * @param {number} amount - 需要支付的金额
+   */
+  async assertBalance(userId, amount) {
+    const wallet = await this.getWallet(userId);
+    if (wallet.balance < amount) {
+      throw new AppError(
+        `余额不足：需要支付 ${this.formatAmount(amount)} 元，当前余额 ${this.formatAmount(wallet.balance)} 元，请先充值`,
+        402
+      );
+    }
+    return wallet;
+  }
+
+  /**
+   * 记一笔余额流水并计入余额；幂等键已存在时返回已有流水
+   * @param {string} userId - 用户ID
+   * @param {string} type - topup / charge / refund / adjustment / credit
+   * @param {number} amount - 金额，调整为负数时扣减余额
+   * @param {Object} options - { actor, reference, description, idempotencyKey, usageRecords }
+   * @returns {Promise<LedgerTransaction>}
+   */
+  async post(userId, type, amount, { actor, reference, description, idempotencyKey, usageRecords } = {}) {
+    let entries;
+    try {
+      entries = this.config.buildEntries(type, amount);
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    await this.getWallet(userId);
+
+    let transaction;
+    try {
+      transaction = await LedgerTransaction.create({
+        user: userId,
+        type,
+        amount: this.config.getWalletDelta(entries),
+        entries,
+        usageRecords,
+        reference,
+        description,
+        createdBy: actor,
+        idempotencyKey
+      });
+    } catch (error) {
+      if (!isDuplicateKey(error) || !idempotencyKey) {
+        throw error;
+      }
+      // 已有流水未计入时由启动时的恢复任务计入，这里不重复计入
+      const existing = await LedgerTransaction.findOne({ idempotencyKey });
+      const conflict = !existing || String(existing.user) !== String(userId) || existing.type !== type
+        || existing.amount !== this.config.getWalletDelta(entries);
+      if (conflict) {
+        throw new AppError('幂等键已被其他流水使用', 409);
+      }
+      return existing;
+    }
+
+    return this.apply(transaction);
+  }
+
+  /**
+   * 把流水计入余额，只由新建流水和启动时的恢复任务调用
+   * 余额变动和待完成登记在同一次更新中完成，已登记的流水不会再次计入
+   * @param {LedgerTransaction} transaction - 待计入的流水
+   * @returns {Promise<LedgerTransaction>}
+   */
+  async apply(transaction) {
+    let wallet = await Wallet.findOneAndUpdate(
+      { user: transaction.user, pendingTransactions: { $ne: transaction._id } },
+      { $inc: { balance: transaction.amount }, $push: { pendingTransactions: transaction._id } },
+      { new: true }
+    );
+    if (!wallet) {
+      // 上次计入后中断，余额已包含本笔流水
+      wallet = await Wallet.findOne({ user: transaction.user });
+      if (!wallet) {
+        throw new Error(`余额账户不存在: ${transaction.user}`);
+      }
+    }
+
+    const applied = await LedgerTransaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'pending' },
+      { $set: { status: 'applied', balanceAfter: this.config.round(wallet.balance), appliedAt: new Date() } },
+      { new: true }
+    );
+    await Wallet.updateOne({ _id: wallet._id }, { $pull: { pendingTransactions: transaction._id } });
+
+    if (!applied) {
+      return LedgerTransaction.findById(transaction._id);
+    }
+
+    logger.info('余额流水已计入', {
+      transactionId: applied._id,
+      userId: applied.user,
+      type: applied.type,
+      amount: applied.amount,
+      balance: applied.balanceAfter
+    });
+
+    await this.checkBalance(wallet).catch(error => {
+      logger.error('余额状态处理失败', {
+        userId: wallet.user,
+        error: error.message
+      });
+    });
+    return applied;
+  }
+
+  /**
+   * 恢复中断的流水：计入未计入的流水，清除已完成的待完成登记
+   * @returns {Promise<number>} 恢复的流水数量
+   */
+  async recover() {
+    const pending = await LedgerTransaction.find({ status: 'pending' }).sort('createdAt');
+    for (const transaction of pending) {
+      await this.apply(transaction);
+    }
+
+    const wallets = await Wallet.find({ 'pendingTransactions.0': { $exists: true } });
+    for (const wallet of wallets) {
+      const applied = await LedgerTransaction.find({
+        _id: { $in: wallet.pendingTransactions },
+        status: 'applied'
+      }).distinct('_id');
+      if (applied.length > 0) {
+        await Wallet.updateOne({ _id: wallet._id }, { $pull: { pendingTransactions: { $in: applied } } });
+      }
+    }
+
+    if (pending.length > 0) {
+      logger.info('已恢复中断的余额流水', { count: pending.length });
+    }
+    return pending.length;
+  }
+
+  /**
+   * 按余额状态处理：欠费时暂停账户并关机，余额回到零以上时恢复因欠费暂停的账户，
+   * 低于预警阈值时提醒一次，回到阈值以上后清除提醒
+   * @param {Wallet} wallet - 余额账户
+   */
+  async checkBalance(wallet) {
+    const state = this.config.getBalanceState(wallet.balance, wallet.lowBalanceThreshold);
+
+    if (state === 'negative') {
+      if (await this.suspend(wallet.user)) {
+        await this.stopRunning(wallet.user);
+      }
+      return state;
+    }
+
+    await this.resume(wallet.user);
+
+    if (state === 'low' && !wallet.lowBalanceWarnedAt) {
+      const warned = await Wallet.updateOne(
+        { _id: wallet._id, lowBalanceWarnedAt: null },
+        { $set: { lowBalanceWarnedAt: new Date() } }
+      );
+      if (warned.modifiedCount > 0) {
+        await this.notifyUser(wallet.user, 'low_balance_warning', `账户余额不足 ${this.formatAmount(wallet.balance)} 元，请及时充值，欠费后云电脑将自动关机`, {
+          balance: this.config.round(wallet.balance)
+        });
+        logger.warn('账户余额低于预警阈值', {
+          userId: wallet.user,
+          balance: wallet.balance
+        });
+      }
+    }
+
+    if (state === 'ok' && wallet.lowBalanceWarnedAt) {
+      await Wallet.updateOne({ _id: wallet._id }, { $unset: { lowBalanceWarnedAt: 1 } });
+    }
+    return state;
+  }
+
+  /**
+   * 因欠费暂停账户，已被管理员暂停或停用的账户保持不变
+   * @returns {Promise<boolean>} 是否新暂停了账户
+   */
+  async suspend(userId) {
+    const result = await User.updateOne(
+      { _id: userId, status: { $in: ['active', null] } },
+      { $set: { status: 'suspended', suspendedReason: 'balance', suspendedAt: new Date() } }
+    );
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    logger.warn('账户欠费，已暂停', { userId });
+    return true;
+  }
+
+  /**
+   * 恢复因欠费暂停的账户
+   * @returns {Promise<boolean>} 是否恢复了账户
+   */
+  async resume(userId) {
+    const result = await User.updateOne(
+      { _id: userId, status: 'suspended', suspendedReason: 'balance' },
+      { $set: { status: 'active' }, $unset: { suspendedReason: 1, suspendedAt: 1 } }
+    );
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    logger.info('账户已充值，恢复使用', { userId });
+    return true;
+  }
+
+  /**
+   * 关闭用户所有运行中的云电脑
+   * @returns {Promise<number>} 提交关机的数量
+   */
+  async stopRunning(userId) {
+    const cloudPCs = await CloudPC.find({ user: userId, status: 'running' });
+
+    let stopped = 0;
+    for (const cloudPC of cloudPCs) {
+      try {
+        await requestPowerAction(cloudPC, 'stop', { source: 'billing' });
+      } catch (error) {
+        // 云电脑状态刚好发生变化或正在调整配置，下一轮再关机
+        if (error.statusCode === 409) {
+          continue;
+        }
+        throw error;
+      }
+
+      const message = '账户余额不足，云电脑已自动关机，充值后可重新开机';
+      cloudPCWebSocketService.sendToCloudPC(String(cloudPC._id), {
+        type: 'balance_stopped',
+        message,
+        data: {
+          cloudPCId: String(cloudPC._id),
+          timestamp: new Date().toISOString()
+        }
+      });
+      await CloudPC.updateOne({ _id: cloudPC._id }, {
+        $push: { logs: { $each: [{ level: 'warning', message, source: 'billing' }], $slice: -100 } }
+      });
+      stopped++;
+    }
+
+    if (stopped > 0) {
+      logger.info('欠费自动关机', { userId, count: stopped });
+    }
+    return stopped;
+  }
+
+  /**
+   * 通知连接到用户云电脑的客户端
+   */
+  async notifyUser(userId, type, message, data = {}) {
+    const cloudPCs = await CloudPC.find({ user: userId }).select('_id');
+    cloudPCs.forEach(cloudPC => {
+      cloudPCWebSocketService.sendToCloudPC(String(cloudPC._id), {
+        type,
+        message,
+        data: {
+          cloudPCId: String(cloudPC._id),
+          ...data,
+          timestamp: new Date().toISOString()
+        }
+      });
+    });
+  }
+
+  formatAmount(value) {
+    return (Number(value) || 0).toFixed(2);
+  }
+
+  /**
+   * 充值
+   * @param {string} userId - 用户ID
+   * @param {number} amount - 金额
+   * @param {Object} options - { actor, reference: 付款流水号, description }
+   */
+  topup(userId, amount, { actor, reference, description } = {}) {
+    if (amount > this.config.maxTopup) {
+      throw new AppError(`单笔充值不能超过 ${this.config.maxTopup} 元`, 400);
+    }
+    return this.post(userId, 'topup', amount, {
+      actor,
+      reference,
+      description: description || '余额充值',
+      // 同一付款流水号只入账一次
+      idempotencyKey: reference ? `topup:${reference}` : undefined
+    });
+  }
+
+  /**
+   * 退款到余额
+   */
+  refund(userId, amount, { actor, reference, description } = {}) {
+    return this.post(userId, 'refund', amount, { actor, reference, description });
+  }
+
+  /**
+   * 调整余额，金额为负数时扣减
+   */
+  adjust(userId, amount, { actor, reference, description } = {}) {
+    return this.post(userId, 'adjustment', amount, { actor, reference, description });
+  }
+
+  /**
+   * 获取余额概况
+   * @returns {Promise<Object>} { balance, currency, lowBalanceThreshold, state, lowBalanceWarnedAt, accrued }
+   */
+  async getSummary(userId) {
+    const wallet = await this.getWallet(userId);
+    const threshold = wallet.lowBalanceThreshold === null || wallet.lowBalanceThreshold === undefined
+      ? this.config.lowBalanceThreshold
+      : wallet.lowBalanceThreshold;
+
+    // 已结束、尚未扣费的用量费用
+    const [pending] = await UsageRecord.aggregate([
+      { $match: { ...this.getChargeableQuery(), user: new mongoose.Types.ObjectId(String(userId)) } },
+      { $group: { _id: null, amount: { $sum: '$cost.total' } } }
+    ]);
+
+    return {
+      balance: this.config.round(wallet.balance),
+      currency: wallet.currency,
+      lowBalanceThreshold: threshold,
+      customThreshold: wallet.lowBalanceThreshold !== null && wallet.lowBalanceThreshold !== undefined,
+      state: this.config.getBalanceState(wallet.balance, threshold),
+      lowBalanceWarnedAt: wallet.lowBalanceWarnedAt,
+      unchargedCost: this.config.round(pending ? pending.amount : 0)
+    };
+  }
+
+  /**
+   * 设置低余额预警阈值，为空时恢复系统默认值
+   */
+  async setThreshold(userId, threshold) {
+    const wallet = await this.getWallet(userId);
+    wallet.lowBalanceThreshold = threshold === undefined ? null : threshold;
+    wallet.lowBalanceWarnedAt = undefined;
+    await wallet.save();
+    await this.checkBalance(wallet);
+    return this.getSummary(userId);
+  }
+
+  /**
+   * 查询用户的余额流水
+   * @param {string} userId - 用户ID
+   * @param {Object} filters - { type, from, to }
+   * @param {Object} options - { limit, skip }
+   * @returns {Promise<{transactions: LedgerTransaction[], total: number}>}
+   */
+  async listTransactions(userId, { type, from, to } = {}, { limit = 20, skip = 0 } = {}) {
+    const query = { user: userId, status: 'applied' };
+    if (type) {
+      query.type = type;
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) {
+        query.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        query.createdAt.$lt = new Date(to);
+      }
+    }
+
+    const [transactions, total] = await Promise.all([
+      LedgerTransaction.find(query)
+        .select('-usageRecords -idempotencyKey')
+        .populate('createdBy', 'name email')
+        .sort('-createdAt')
+        .skip(skip)
+        .limit(limit),
+      LedgerTransaction.countDocuments(query)
+    ]);
+    return { transactions, total };
+  }
+
+  /**
+   * 对账：各科目的余额合计应为零，每个用户的余额应等于其余额分录的合计
+   * @returns {Promise<{accounts: Object, balanced: boolean, walletTotal: number, mismatches: Object[]}>}
+   */
+  async reconcile() {
+    const [accountTotals, ledgerByUser, wallets] = await Promise.all([
+      LedgerTransaction.aggregate([
+        { $match: { status: 'applied' } },
+        { $unwind: '$entries' },
+        { $group: { _id: '$entries.account', amount: { $sum: '$entries.amount' } } }
+      ]),
+      LedgerTransaction.aggregate([
+        { $match: { status: 'applied' } },
+        { $group: { _id: '$user', amount: { $sum: '$amount' } } }
+      ]),
+      Wallet.find().select('user balance pendingTransactions').lean()
+    ]);
+
+    const accounts = Object.keys(this.config.accounts).reduce((result, account) => {
+      const total = accountTotals.find(item => item._id === account);
+      result[account] = this.config.round(total ? total.amount : 0);
+      return result;
+    }, {});
+
+    const ledger = new Map(ledgerByUser.map(item => [String(item._id), this.config.round(item.amount)]));
+    const mismatches = wallets
+      .filter(wallet => wallet.pendingTransactions.length === 0)
+      .map(wallet => ({
+        user: wallet.user,
+        balance: this.config.round(wallet.balance),
+        ledger: ledger.get(String(wallet.user)) || 0
+      }))
+      .filter(item => item.balance !== item.ledger);
+
+    return {
+      accounts,
+      balanced: this.config.round(Object.values(accounts).reduce((sum, amount) => sum + amount, 0)) === 0,
+      walletTotal: this.config.round(wallets.reduce((sum, wallet) => sum + wallet.balance, 0)),
+      pending: wallets.filter(wallet => wallet.pendingTransactions.length > 0).length,
+      mismatches
+    };
+  }
+}
+
+// 创建单例实例
+const walletService = new WalletService();
+
+module.exports = walletService;
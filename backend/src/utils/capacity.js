@@ -0,0 +1,75 @@
+/**
+ * 容量计算工具
+ * 可用区和宿主机共用的资源占用、释放和余量计算
+ */
+
+const { resources } = require('../config/regions');
+
+/**
+ * 提取资源规格
+ * @param {Object} source - 含 cpu、memory、storage 的对象
+ * @returns {{cpu: number, memory: number, storage: number}}
+ */
+const getSpec = (source) => resources.reduce((acc, resource) => {
+  acc[resource] = Number(source[resource]) || 0;
+  return acc;
+}, {});
+
+/**
+ * 计算从当前配置调整到目标配置的资源增量
+ */
+const getDelta = (current, target) => resources.reduce((acc, resource) => {
+  acc[resource] = (target[resource] || 0) - (current[resource] || 0);
+  return acc;
+}, {});
+
+/**
+ * 判断在已分配资源上再增加指定规格后是否超出容量
+ * @param {Object} target - 含 capacity 和 allocated 的可用区或宿主机
+ * @param {Object} spec - { cpu, memory, storage }
+ * @returns {boolean}
+ */
+const hasRoom = (target, spec) => resources.every(resource =>
+  (target.allocated[resource] || 0) + (spec[resource] || 0) <= (target.capacity[resource] || 0));
+
+/**
+ * 放置后各资源的占用比例
+ * @returns {number[]}
+ */
+const getRatios = (target, spec = {}) => resources.map(resource => {
+  const capacity = target.capacity[resource] || 0;
+  return capacity > 0 ? ((target.allocated[resource] || 0) + (spec[resource] || 0)) / capacity : 1;
+});
+
+/**
+ * 占用资源时的查询条件：增加的资源在占用后不能超出容量
+ * @param {Object} delta - { cpu, memory, storage }，可以为负数
+ * @returns {Object|null} $expr 条件，没有增加的资源时为 null
+ */
+const getReserveCondition = (delta) => {
+  const conditions = resources
+    .filter(resource => delta[resource] > 0)
+    .map(resource => ({
+      $lte: [{ $add: [`$allocated.${resource}`, delta[resource]] }, `$capacity.${resource}`]
+    }));
+  return conditions.length > 0 ? { $and: conditions } : null;
+};
+
+/**
+ * 已分配资源的 $inc 更新
+ * @param {Object} delta - { cpu, memory, storage }
+ * @param {number} sign - 1 为占用，-1 为释放
+ */
+const toIncrement = (delta, sign = 1) => resources.reduce((acc, resource) => {
+  acc[`allocated.${resource}`] = sign * (delta[resource] || 0);
+  return acc;
+}, {});
+
+module.exports = {
+  getSpec,
+  getDelta,
+  hasRoom,
+  getRatios,
+  getReserveCondition,
+  toIncrement
+};
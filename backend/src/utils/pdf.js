@@ -0,0 +1,120 @@
+/**
+ * 简易PDF生成
+ * 只输出文字行，中文使用阅读器内置的 STSong-Light 字体（UniGB-UCS2-H 编码），不需要嵌入字体文件
+ */
+
+// A4 纸张，单位为点
+const PAGE = { width: 595, height: 842, margin: 50 };
+
+const DEFAULT_SIZE = 10;
+const LINE_HEIGHT = 1.6;
+
+// 文字转为 UCS-2 十六进制字符串，超出基本平面的字符以问号代替
+const toHex = (text) => {
+  let hex = '';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    hex += (code > 0xffff ? 0x3f : code).toString(16).padStart(4, '0');
+  }
+  return `<${hex.toUpperCase()}>`;
+};
+
+/**
+ * 估算文字宽度：ASCII 字符为半角，其余为全角
+ * @param {string} text - 文字
+ * @param {number} size - 字号
+ * @returns {number}
+ */
+const measure = (text, size = DEFAULT_SIZE) => {
+  let width = 0;
+  for (const char of String(text)) {
+    width += char.codePointAt(0) < 0x80 ? 0.5 : 1;
+  }
+  return width * size;
+};
+
+// 一行文字的绘制指令，align 为 right 时 x 表示右边界
+const drawRow = (cells, y) => cells.map(({ text, x = PAGE.margin, size = DEFAULT_SIZE, align }) => {
+  const left = align === 'right' ? x - measure(text, size) : x;
+  return `BT /F1 ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td ${toHex(text)} Tj ET`;
+}).join('\n');
+
+// 按页面高度分页
+const paginate = (rows) => {
+  const pages = [[]];
+  let y = PAGE.height - PAGE.margin;
+
+  rows.forEach(cells => {
+    const size = cells.reduce((max, cell) => Math.max(max, cell.size || DEFAULT_SIZE), DEFAULT_SIZE);
+    const height = size * LINE_HEIGHT;
+    if (y - height < PAGE.margin) {
+      pages.push([]);
+      y = PAGE.height - PAGE.margin;
+    }
+    y -= height;
+    if (cells.length > 0) {
+      pages[pages.length - 1].push(drawRow(cells, y));
+    }
+  });
+
+  return pages.map(commands => commands.join('\n'));
+};
+
+/**
+ * 生成PDF文档
+ * @param {Array<Array<{text: string, x?: number, size?: number, align?: string}>>} rows - 每行若干段文字，空数组为空行
+ * @param {Object} info - { title }
+ * @returns {Buffer}
+ */
+const renderPdf = (rows, { title } = {}) => {
+  const contents = paginate(rows);
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalog = add(null);
+  const pages = add(null);
+  const font = add(null);
+  const cidFont = add(null);
+  const descriptor = add('<< /Type /FontDescriptor /FontName /STSong-Light /Flags 6 /FontBBox [-25 -254 1000 880] '
+    + '/ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 880 /StemV 93 >>');
+  objects[cidFont - 1] = '<< /Type /Font /Subtype /CIDFontType0 /BaseFont /STSong-Light '
+    + '/CIDSystemInfo << /Registry (Adobe) /Ordering (GB1) /Supplement 2 >> '
+    + `/FontDescriptor ${descriptor} 0 R /DW 1000 /W [1 95 500] >>`;
+  objects[font - 1] = '<< /Type /Font /Subtype /Type0 /BaseFont /STSong-Light /Encoding /UniGB-UCS2-H '
+    + `/DescendantFonts [${cidFont} 0 R] >>`;
+
+  const kids = contents.map(content => {
+    const stream = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] `
+      + `/Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${stream} 0 R >>`);
+  });
+  objects[pages - 1] = `<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+  objects[catalog - 1] = '<< /Type /Catalog /Pages 2 0 R >>';
+
+  // 文档信息中的文字为带字节序标记的 UTF-16BE
+  const infoId = add(`<< /Title <FEFF${toHex(title || '').slice(1, -1)}> /Producer (CloudPC) >>`);
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoId} 0 R >>\n`;
+  output += `startxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+module.exports = {
+  PAGE,
+  measure,
+  renderPdf
+};
@@ -0,0 +1,127 @@
+/**
+ * 地址分配测试
+ * 测试地址段解析、空闲IP和端口的查找，以及分配、冲突重试、释放和地址用完
+ */
+
+const mongoose = require('mongoose');
+const AddressPool = require('../src/models/AddressPool');
+const AddressAllocation = require('../src/models/AddressAllocation');
+const addressAllocator = require('../src/services/addressAllocator');
+const { mockModel } = require('./helpers/memoryModel');
+
+describe('地址分配测试', () => {
+  describe('findFreeIp', () => {
+    it('应该跳过网络地址并返回第一个主机地址', () => {
+      expect(addressAllocator.findFreeIp('10.10.1.0/24', new Set())).toBe('10.10.1.1');
+    });
+
+    it('应该跳过已使用的地址', () => {
+      const used = new Set(['10.10.1.1', '10.10.1.2']);
+      expect(addressAllocator.findFreeIp('10.10.1.0/24', used)).toBe('10.10.1.3');
+    });
+
+    it('地址段用完时应该返回null', () => {
+      const used = new Set(['192.168.0.1', '192.168.0.2']);
+      expect(addressAllocator.findFreeIp('192.168.0.0/30', used)).toBeNull();
+    });
+  });
+
+  describe('findFreePort', () => {
+    it('应该返回端口范围内第一个未使用的端口', () => {
+      const { min } = addressAllocator.config.portRange;
+      expect(addressAllocator.findFreePort(new Set([min, min + 1]))).toBe(min + 2);
+    });
+  });
+
+  describe('分配和释放', () => {
+    let pools;
+    let allocations;
+
+    const createPool = (overrides = {}) => pools.insert({
+      location: 'beijing',
+      subnet: '10.10.1.0/24',
+      portRange: { min: 20000, max: 20009 },
+      ...overrides
+    });
+
+    const allocate = () => addressAllocator.allocate('beijing', new mongoose.Types.ObjectId());
+
+    beforeEach(() => {
+      pools = mockModel(AddressPool);
+      allocations = mockModel(AddressAllocation);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('并发分配时每台云电脑的IP和端口都不重复', async () => {
+      createPool();
+
+      const results = await Promise.all(Array.from({ length: 8 }, allocate));
+
+      expect(new Set(results.map(result => result.ip)).size).toBe(8);
+      expect(new Set(results.map(result => result.port)).size).toBe(8);
+      expect(results[0]).toEqual({ ip: '10.10.1.1', port: 20000 });
+      expect(allocations.docs()).toHaveLength(16);
+    });
+
+    it('候选地址已被占用时应该尝试下一个地址', async () => {
+      createPool();
+      await addressAllocator.reserve('beijing', { kind: 'ip', value: '10.10.1.1', reason: '网关' });
+      const create = jest.spyOn(AddressAllocation, 'create');
+      create.mockClear();
+
+      const { ip } = await allocate();
+
+      expect(ip).toBe('10.10.1.2');
+      expect(create).toHaveBeenCalledTimes(3);
+      await expect(create.mock.results[0].value).rejects.toMatchObject({ code: 11000 });
+    });
+
+    it('释放的地址不应该立即分配给下一台云电脑', async () => {
+      createPool();
+      const cloudPC = new mongoose.Types.ObjectId();
+      await addressAllocator.allocate('beijing', cloudPC);
+      await addressAllocator.reserve('beijing', { kind: 'port', value: 20005 });
+
+      expect(await addressAllocator.release(cloudPC)).toBe(2);
+      expect(allocations.docs({ cloudPC })).toHaveLength(0);
+      expect(allocations.docs({ status: 'reserved' })).toHaveLength(1);
+      expect(await allocate()).toEqual({ ip: '10.10.1.2', port: 20001 });
+    });
+
+    it('游标候选值连续被占用时应该扫描找出剩余的空闲地址', async () => {
+      createPool({ subnet: '10.10.1.0/29' });
+      for (let host = 1; host <= 5; host++) {
+        await addressAllocator.reserve('beijing', { kind: 'ip', value: `10.10.1.${host}` });
+      }
+
+      expect((await allocate()).ip).toBe('10.10.1.6');
+    });
+
+    it('IP用完时应该返回503', async () => {
+      createPool({ subnet: '10.10.1.0/30' });
+      await allocate();
+      await allocate();
+
+      await expect(allocate()).rejects.toMatchObject({
+        statusCode: 503,
+        message: '机房 beijing 的IP地址已分配完，请选择其他机房'
+      });
+      expect(allocations.docs({ kind: 'ip' })).toHaveLength(2);
+    });
+
+    it('端口用完时应该返回503并释放已占用的IP', async () => {
+      createPool({ portRange: { min: 20000, max: 20001 } });
+      await allocate();
+      await allocate();
+
+      await expect(allocate()).rejects.toMatchObject({
+        statusCode: 503,
+        message: '机房 beijing 的端口已分配完，请选择其他机房'
+      });
+      expect(allocations.docs({ kind: 'ip' })).toHaveLength(2);
+    });
+  });
+});
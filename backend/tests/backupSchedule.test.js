@@ -0,0 +1,210 @@
+/**
+ * 自动备份调度测试
+ * 测试下次备份时间的计算，以及到期备份的提交、跳过条件、多实例去重和过期备份清理
+ */
+
+const mongoose = require('mongoose');
+const backupConfig = require('../src/config/backups');
+const CloudPC = require('../src/models/CloudPC');
+const Operation = require('../src/models/Operation');
+const UsageRecord = require('../src/models/UsageRecord');
+const backupScheduler = require('../src/services/backupScheduler');
+const providerRegistry = require('../src/services/providers');
+const { mockModel } = require('./helpers/memoryModel');
+
+jest.mock('../src/services/cacheService', () => ({
+  invalidateCloudPCCache: jest.fn()
+}));
+
+describe('自动备份调度时间计算测试', () => {
+  const lastBackupAt = new Date(2026, 0, 31, 2, 0, 0);
+
+  it('应该按频率计算下次备份时间', () => {
+    expect(backupConfig.getNextBackupAt(lastBackupAt, 'daily')).toEqual(new Date(2026, 1, 1, 2, 0, 0));
+    expect(backupConfig.getNextBackupAt(lastBackupAt, 'weekly')).toEqual(new Date(2026, 1, 7, 2, 0, 0));
+  });
+
+  it('按月备份应该处理月末日期', () => {
+    expect(backupConfig.getNextBackupAt(lastBackupAt, 'monthly')).toEqual(new Date(2026, 1, 28, 2, 0, 0));
+  });
+
+  it('从未备份时应该立即备份', () => {
+    const now = new Date();
+    expect(backupConfig.getNextBackupAt(null, 'weekly', now)).toBe(now);
+  });
+
+  it('到期界限应该是当前时间往前推一个周期', () => {
+    const now = new Date(2026, 2, 15, 10, 0, 0);
+    expect(backupConfig.getDueBefore('daily', now)).toEqual(new Date(2026, 2, 14, 10, 0, 0));
+    expect(backupConfig.getDueBefore('monthly', now)).toEqual(new Date(2026, 1, 15, 10, 0, 0));
+  });
+});
+
+describe('自动备份调度测试', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const now = new Date('2026-10-18T02:00:00Z');
+  const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+
+  let cloudPCs;
+  let host = 0;
+
+  const createCloudPC = (overrides = {}) => {
+    host++;
+    return cloudPCs.insert({
+      user: new mongoose.Types.ObjectId(),
+      name: `办公电脑${host}`,
+      os: 'Ubuntu 22.04',
+      cpu: 2,
+      memory: 4,
+      storage: 64,
+      location: 'beijing',
+      ip: `10.10.3.${host}`,
+      port: 20000 + host,
+      status: 'stopped',
+      pricing: { hourly: 0.5 },
+      backupEnabled: true,
+      autoBackup: { frequency: 'weekly', retention: 30, lastBackupAt: daysAgo(8) },
+      provider: { driver: 'simulator', instanceId: `sim-${host}` },
+      ...overrides
+    });
+  };
+
+  const backupsOf = (cloudPC) => cloudPCs.get(cloudPC._id).snapshots.filter(snapshot => snapshot.kind === 'backup');
+
+  beforeEach(() => {
+    cloudPCs = mockModel(CloudPC, { defaultFilter: { deletedAt: null } });
+    mockModel(Operation);
+    mockModel(UsageRecord);
+  });
+
+  afterEach(() => {
+    backupScheduler.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('提交备份', () => {
+    it('到达调度时间时应该为到期的云电脑提交备份', async () => {
+      const cloudPC = createCloudPC();
+      jest.useFakeTimers({ now: new Date(now.getTime() - 2000), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+      backupScheduler.start();
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(backupsOf(cloudPC)).toHaveLength(0);
+
+      await jest.advanceTimersByTimeAsync(2000);
+      await new Promise(resolve => setImmediate(resolve));
+
+      const [backup] = backupsOf(cloudPC);
+      expect(backup).toMatchObject({ name: '自动备份 2026-10-18', status: 'creating' });
+      expect(cloudPCs.get(cloudPC._id).autoBackup.lastBackupAt).toEqual(now);
+      const operation = await Operation.findById(backup.operation);
+      expect(operation).toMatchObject({ type: 'snapshot', source: 'scheduler' });
+      expect(operation.payload.kind).toBe('backup');
+    });
+
+    it('未到期、未开启备份或已在回收站的云电脑不提交', async () => {
+      const recent = createCloudPC({ autoBackup: { frequency: 'weekly', retention: 30, lastBackupAt: daysAgo(2) } });
+      const disabled = createCloudPC({ backupEnabled: false });
+      const deleted = createCloudPC({ deletedAt: daysAgo(1) });
+
+      expect(await backupScheduler.scheduleDueBackups(now)).toBe(0);
+
+      [recent, disabled, deleted].forEach(cloudPC => expect(backupsOf(cloudPC)).toHaveLength(0));
+      expect(await Operation.countDocuments({})).toBe(0);
+    });
+
+    it('正在执行其他操作的云电脑应该跳过，备份时间保持不变', async () => {
+      const starting = createCloudPC({ status: 'starting' });
+      const resizing = createCloudPC({ pendingResize: { cpu: 4, memory: 8, requestedAt: daysAgo(0) } });
+
+      expect(await backupScheduler.scheduleDueBackups(now)).toBe(0);
+
+      [starting, resizing].forEach(cloudPC => {
+        expect(backupsOf(cloudPC)).toHaveLength(0);
+        expect(cloudPCs.get(cloudPC._id).autoBackup.lastBackupAt).toEqual(daysAgo(8));
+      });
+    });
+
+    it('多个实例同时调度时只提交一次', async () => {
+      const cloudPC = createCloudPC({ autoBackup: { frequency: 'daily', retention: 7 } });
+      const otherInstance = new backupScheduler.constructor();
+
+      const counts = await Promise.all([
+        backupScheduler.scheduleDueBackups(now),
+        otherInstance.scheduleDueBackups(now)
+      ]);
+
+      expect(counts.reduce((sum, count) => sum + count, 0)).toBe(1);
+      expect(backupsOf(cloudPC)).toHaveLength(1);
+      expect(await Operation.countDocuments({ type: 'snapshot' })).toBe(1);
+    });
+  });
+
+  describe('清理过期备份', () => {
+    let provider;
+
+    const backup = (name, days, overrides = {}) => ({
+      name,
+      kind: 'backup',
+      status: 'available',
+      providerSnapshotId: `simsnap-${name}`,
+      createdAt: daysAgo(days),
+      ...overrides
+    });
+
+    beforeEach(() => {
+      provider = providerRegistry.getDriver('simulator');
+      jest.spyOn(provider, 'deleteSnapshot').mockResolvedValue();
+    });
+
+    it('应该删除超过保留期的备份，保留期内的备份和手动快照保留', async () => {
+      const cloudPC = createCloudPC({
+        autoBackup: { frequency: 'weekly', retention: 30, lastBackupAt: daysAgo(1) },
+        snapshots: [
+          backup('最近', 1),
+          backup('上月', 29),
+          backup('过期1', 31),
+          backup('过期2', 60),
+          { name: '手动快照', kind: 'manual', status: 'available', createdAt: daysAgo(90) }
+        ]
+      });
+
+      expect(await backupScheduler.pruneExpiredBackups(now)).toBe(2);
+
+      const names = cloudPCs.get(cloudPC._id).snapshots.map(snapshot => snapshot.name);
+      expect(names).toEqual(['最近', '上月', '手动快照']);
+      expect(provider.deleteSnapshot).toHaveBeenCalledTimes(2);
+    });
+
+    it('应该始终保留最近一个可用的备份', async () => {
+      const cloudPC = createCloudPC({
+        autoBackup: { frequency: 'weekly', retention: 7, lastBackupAt: daysAgo(1) },
+        snapshots: [
+          backup('失败', 1, { status: 'failed', providerSnapshotId: undefined }),
+          backup('最后可用', 40),
+          backup('更早', 50)
+        ]
+      });
+
+      expect(await backupScheduler.pruneExpiredBackups(now)).toBe(1);
+
+      const names = cloudPCs.get(cloudPC._id).snapshots.map(snapshot => snapshot.name);
+      expect(names).toEqual(['失败', '最后可用']);
+    });
+
+    it('删除失败时应该记录日志并继续清理', async () => {
+      provider.deleteSnapshot.mockRejectedValueOnce(new Error('存储不可用'));
+      const cloudPC = createCloudPC({
+        snapshots: [backup('最近', 1), backup('过期1', 40), backup('过期2', 50)]
+      });
+
+      expect(await backupScheduler.pruneExpiredBackups(now)).toBe(1);
+
+      const stored = cloudPCs.get(cloudPC._id);
+      expect(stored.snapshots).toHaveLength(2);
+      expect(stored.logs[stored.logs.length - 1]).toMatchObject({ level: 'warning', source: 'backup' });
+      expect(stored.logs[stored.logs.length - 1].message).toContain('存储不可用');
+    });
+  });
+});
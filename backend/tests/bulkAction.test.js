@@ -0,0 +1,106 @@
+/**
+ * 批量操作测试
+ * 测试批量删除的预览和执行：可删除和不可删除的云电脑混合时逐台返回结果
+ */
+
+const mongoose = require('mongoose');
+const CloudPC = require('../src/models/CloudPC');
+const Operation = require('../src/models/Operation');
+const UsageRecord = require('../src/models/UsageRecord');
+const { runBulkAction } = require('../src/services/bulkActionService');
+const { mockModel } = require('./helpers/memoryModel');
+
+jest.mock('../src/services/cacheService', () => ({
+  delete: jest.fn(),
+  invalidateCloudPCCache: jest.fn(),
+  invalidateStats: jest.fn()
+}));
+
+describe('批量删除测试', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let cloudPCs;
+  let stopped;
+  let running;
+  let busy;
+  let failed;
+  let ids;
+
+  const createCloudPC = (name, status, host) => cloudPCs.insert({
+    user: userId,
+    name,
+    os: 'Ubuntu 22.04',
+    cpu: 2,
+    memory: 4,
+    storage: 64,
+    location: 'beijing',
+    ip: `10.10.1.${host}`,
+    port: 20000 + host,
+    status
+  });
+
+  beforeEach(() => {
+    cloudPCs = mockModel(CloudPC);
+    const operations = mockModel(Operation);
+    mockModel(UsageRecord);
+
+    stopped = createCloudPC('已停止', 'stopped', 1);
+    running = createCloudPC('运行中', 'running', 2);
+    busy = createCloudPC('有进行中的操作', 'stopped', 3);
+    failed = createCloudPC('错误', 'error', 4);
+    operations.insert({ type: 'snapshot', cloudPC: busy._id, status: 'running' });
+
+    ids = [stopped, running, busy, failed].map(cloudPC => String(cloudPC._id));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const expectMixedResults = (results) => {
+    const byId = Object.fromEntries(results.map(result => [result.id, result]));
+    expect(byId[stopped._id].success).toBe(true);
+    expect(byId[failed._id].success).toBe(true);
+    expect(byId[running._id]).toMatchObject({ success: false, error: '运行中的云电脑不能删除，请先停止' });
+    expect(byId[busy._id]).toMatchObject({ success: false, error: '云电脑有进行中的操作，请稍后再删除' });
+  };
+
+  it('预览应该使用与删除相同的校验，且不做任何修改', async () => {
+    const missing = String(new mongoose.Types.ObjectId());
+
+    const { dryRun, summary, results } = await runBulkAction(userId, { action: 'delete', ids: [...ids, missing], dryRun: true });
+
+    expect(dryRun).toBe(true);
+    expect(summary).toEqual({ total: 5, succeeded: 2, failed: 3 });
+    expectMixedResults(results);
+    expect(results.find(result => result.id === missing)).toEqual({ id: missing, success: false, error: '云电脑未找到' });
+    expect(cloudPCs.docs({ deletedAt: { $ne: null } })).toHaveLength(0);
+  });
+
+  it('执行时只把可删除的云电脑移入回收站，结果与预览一致', async () => {
+    const preview = await runBulkAction(userId, { action: 'delete', ids, dryRun: true });
+    const { summary, results } = await runBulkAction(userId, { action: 'delete', ids });
+
+    expect(summary).toEqual(preview.summary);
+    expectMixedResults(results);
+
+    const deleted = cloudPCs.docs({ deletedAt: { $ne: null } }).map(cloudPC => String(cloudPC._id));
+    expect(deleted.sort()).toEqual([String(stopped._id), String(failed._id)].sort());
+    expect(cloudPCs.get(stopped._id).purgeAt).toBeInstanceOf(Date);
+  });
+
+  it('其他用户的云电脑应该视为不存在', async () => {
+    const other = cloudPCs.insert({
+      user: new mongoose.Types.ObjectId(),
+      name: '其他用户',
+      location: 'beijing',
+      ip: '10.10.1.9',
+      port: 20009,
+      status: 'stopped'
+    });
+
+    const { results } = await runBulkAction(userId, { action: 'delete', ids: [String(other._id)] });
+
+    expect(results).toEqual([{ id: String(other._id), success: false, error: '云电脑未找到' }]);
+    expect(cloudPCs.get(other._id).deletedAt).toBeFalsy();
+  });
+});
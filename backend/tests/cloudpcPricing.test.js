@@ -0,0 +1,117 @@
+/**
+ * 云电脑计价测试
+ * 测试配置档位匹配、额外存储计价、单价变更记录、用量区间单价和快照存储计价
+ */
+
+const mongoose = require('mongoose');
+const CloudPC = require('../src/models/CloudPC');
+const UsageRecord = require('../src/models/UsageRecord');
+const meteringService = require('../src/services/meteringService');
+const { mockModel } = require('./helpers/memoryModel');
+
+jest.mock('../src/services/cacheService', () => ({
+  invalidateCloudPCCache: jest.fn()
+}));
+const snapshotService = require('../src/services/snapshotService');
+
+describe('云电脑计价测试', () => {
+  describe('calculateHourlyPrice', () => {
+    it('应该返回档位价格', () => {
+      expect(CloudPC.calculateHourlyPrice({ cpu: 4, memory: 8, storage: 100 })).toBe(1);
+    });
+
+    it('超出档位的存储应该额外计价', () => {
+      expect(CloudPC.calculateHourlyPrice({ cpu: 4, memory: 8, storage: 150 })).toBe(1.05);
+    });
+
+    it('不匹配任何档位时应该返回null', () => {
+      expect(CloudPC.calculateHourlyPrice({ cpu: 3, memory: 8, storage: 100 })).toBeNull();
+    });
+  });
+
+  describe('getHourlyRateAt', () => {
+    const cloudPC = new CloudPC({
+      pricing: { hourly: 2 },
+      billing: {
+        rateHistory: [
+          { hourly: 2, previousHourly: 1, effectiveFrom: new Date('2026-02-01T00:00:00Z'), reason: 'resize' },
+          { hourly: 1, previousHourly: 0.5, effectiveFrom: new Date('2026-01-01T00:00:00Z'), reason: 'resize' }
+        ]
+      }
+    });
+
+    it('应该返回指定时间生效的单价', () => {
+      expect(cloudPC.getHourlyRateAt(new Date('2026-01-15T00:00:00Z'))).toBe(1);
+      expect(cloudPC.getHourlyRateAt(new Date('2026-02-01T00:00:00Z'))).toBe(2);
+      expect(cloudPC.getHourlyRateAt(new Date('2026-03-01T00:00:00Z'))).toBe(2);
+    });
+
+    it('早于所有记录时应该返回首次调整前的单价', () => {
+      expect(cloudPC.getHourlyRateAt(new Date('2025-12-01T00:00:00Z'))).toBe(0.5);
+    });
+
+    it('没有调整记录时应该返回当前单价', () => {
+      const unchanged = new CloudPC({ pricing: { hourly: 2 } });
+      expect(unchanged.getHourlyRateAt(new Date('2025-12-01T00:00:00Z'))).toBe(2);
+    });
+  });
+
+  describe('用量区间单价', () => {
+    const resizedAt = new Date('2026-10-18T08:00:00Z');
+    let cloudPC;
+    let usageRecords;
+
+    beforeEach(() => {
+      usageRecords = mockModel(UsageRecord);
+      cloudPC = new CloudPC({
+        user: new mongoose.Types.ObjectId(),
+        name: '办公电脑',
+        os: 'Ubuntu 22.04',
+        cpu: 8,
+        memory: 16,
+        storage: 200,
+        status: 'running',
+        pricing: { hourly: 2 },
+        billing: {
+          rateHistory: [{ hourly: 2, previousHourly: 1, effectiveFrom: resizedAt, reason: 'resize', cpu: 8, memory: 16, storage: 200 }]
+        }
+      });
+      jest.spyOn(CloudPC, 'findById').mockReturnValue({ select: () => Promise.resolve(cloudPC) });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('调整配置后开始的区间按新单价计价', async () => {
+      const record = await meteringService.open(cloudPC._id, resizedAt);
+      expect(record.hourly).toBe(2);
+    });
+
+    it('早于调整配置开始的区间（迟到的状态事件）按调整前的单价计价', async () => {
+      const record = await meteringService.open(cloudPC._id, new Date('2026-10-18T07:30:00Z'));
+      expect(record.hourly).toBe(1);
+      expect(usageRecords.docs()).toHaveLength(1);
+    });
+  });
+
+  describe('快照存储计价', () => {
+    it('只统计已完成的快照大小', () => {
+      const cloudPC = new CloudPC({
+        snapshots: [
+          { name: 'a', size: 2048, status: 'available' },
+          { name: 'b', size: 1024, status: 'creating' },
+          { name: 'c', size: 4096, status: 'failed' },
+          { name: 'd', size: 512, status: 'available', isActive: false }
+        ]
+      });
+      expect(cloudPC.snapshotSize).toBe(2048);
+    });
+
+    it('应该按GB计算快照小时费用', () => {
+      const rate = snapshotService.config.hourlyRatePerGB;
+      expect(snapshotService.calculateHourlyPrice(10 * 1024)).toBeCloseTo(10 * rate, 4);
+      expect(snapshotService.calculateHourlyPrice(0)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * 云电脑状态机测试
+ * 测试状态迁移规则和非法迁移的错误信息
+ */
+
+const stateMachine = require('../src/services/cloudpcStateMachine');
+
+describe('云电脑状态机测试', () => {
+  describe('canTransition', () => {
+    it('应该允许已停止的云电脑启动', () => {
+      expect(stateMachine.canTransition('stopped', 'start')).toBe(true);
+    });
+
+    it('不应该允许启动中的云电脑停止', () => {
+      expect(stateMachine.canTransition('starting', 'stop')).toBe(false);
+    });
+
+    it('只应该允许重启运行中的云电脑', () => {
+      stateMachine.STATES.forEach(state => {
+        expect(stateMachine.canTransition(state, 'restart')).toBe(state === 'running');
+      });
+    });
+
+    it('错误状态只能通过恢复离开', () => {
+      expect(stateMachine.getAllowedEvents('error')).toEqual(['recover']);
+    });
+
+    it('未知事件应该返回false', () => {
+      expect(stateMachine.canTransition('stopped', 'explode')).toBe(false);
+    });
+  });
+
+  describe('assertTransition', () => {
+    it('应该返回目标状态', () => {
+      expect(stateMachine.assertTransition('running', 'stop')).toBe('stopping');
+      expect(stateMachine.assertTransition('error', 'recover')).toBe('stopping');
+    });
+
+    it('非法迁移应该抛出409错误', () => {
+      expect.assertions(2);
+      expect(() => stateMachine.assertTransition('running', 'start')).toThrow('云电脑当前状态为运行中，无法启动');
+
+      try {
+        stateMachine.assertTransition('running', 'start');
+      } catch (error) {
+        expect(error.statusCode).toBe(409);
+      }
+    });
+
+    it('未知事件应该抛出400错误', () => {
+      expect.assertions(1);
+      try {
+        stateMachine.assertTransition('stopped', 'explode');
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+      }
+    });
+  });
+
+  describe('TRANSITIONS', () => {
+    it('所有迁移的起止状态都应该是合法状态', () => {
+      Object.values(stateMachine.TRANSITIONS).forEach(({ from, to }) => {
+        expect(stateMachine.STATES).toContain(to);
+        from.forEach(state => expect(stateMachine.STATES).toContain(state));
+      });
+    });
+
+    it('取消操作应该回到操作前的状态', () => {
+      expect(stateMachine.assertTransition('starting', 'cancelStart')).toBe('stopped');
+      expect(stateMachine.assertTransition('stopping', 'cancelStop')).toBe('running');
+      expect(stateMachine.assertTransition('restarting', 'cancelRestart')).toBe('running');
+      expect(stateMachine.assertTransition('capturing', 'cancelCapture')).toBe('stopped');
+    });
+
+    it('捕获镜像期间只允许结束捕获、取消捕获或标记为错误', () => {
+      expect(stateMachine.assertTransition('stopped', 'capture')).toBe('capturing');
+      expect(stateMachine.getAllowedEvents('capturing')).toEqual(['captured', 'cancelCapture', 'fail']);
+      expect(() => stateMachine.assertTransition('capturing', 'start')).toThrow('云电脑当前状态为捕获镜像中，无法启动');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * 云电脑控制台WebSocket测试
+ * 测试票据兑换期间的消息缓存、提前断开和缓存上限
+ */
+
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const WebSocket = require('ws');
+const connectionBroker = require('../src/services/connectionBroker');
+const { cloudPCWebSocketService } = require('../src/services/cloudpc-websocket');
+
+describe('控制台WebSocket连接测试', () => {
+  const grant = {
+    _id: new mongoose.Types.ObjectId(),
+    cloudPC: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId()
+  };
+  const req = {
+    url: '/ws/cloudpc?ticket=ticket-1&sessionId=session-1',
+    headers: { 'user-agent': 'jest' },
+    socket: { remoteAddress: '127.0.0.1' }
+  };
+  let ws;
+  let redeemed;
+
+  // 模拟客户端连接，close 与真实连接一样触发 close 事件
+  const createSocket = () => {
+    const socket = new EventEmitter();
+    socket.readyState = WebSocket.OPEN;
+    socket.send = jest.fn();
+    socket.close = jest.fn(() => {
+      socket.readyState = WebSocket.CLOSED;
+      socket.emit('close');
+    });
+    return socket;
+  };
+
+  const sentTypes = () => ws.send.mock.calls.map(([data]) => JSON.parse(data).type);
+
+  beforeEach(() => {
+    ws = createSocket();
+    jest.spyOn(connectionBroker, 'redeem').mockReturnValue(new Promise(resolve => {
+      redeemed = () => resolve({ grant });
+    }));
+  });
+
+  afterEach(() => {
+    cloudPCWebSocketService.connections.clear();
+    cloudPCWebSocketService.cloudPCConnections.clear();
+    cloudPCWebSocketService.terminalSessions.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('兑换期间收到的消息应该在连接建立后按顺序处理', async () => {
+    const connecting = cloudPCWebSocketService.handleConnection(ws, req);
+    ws.emit('message', JSON.stringify({ type: 'ping' }));
+    ws.emit('pong');
+
+    expect(ws.send).not.toHaveBeenCalled();
+
+    redeemed();
+    await connecting;
+
+    expect(sentTypes()).toEqual(['connection_established', 'terminal_welcome', 'pong']);
+    expect(cloudPCWebSocketService.connections.get(ws)).toMatchObject({ cloudPCId: String(grant.cloudPC), isAlive: true });
+  });
+
+  it('兑换期间断开的连接不应该被注册', async () => {
+    const connecting = cloudPCWebSocketService.handleConnection(ws, req);
+    ws.close();
+
+    redeemed();
+    await connecting;
+
+    expect(ws.send).not.toHaveBeenCalled();
+    expect(cloudPCWebSocketService.connections.size).toBe(0);
+    expect(cloudPCWebSocketService.cloudPCConnections.size).toBe(0);
+    expect(cloudPCWebSocketService.terminalSessions.size).toBe(0);
+  });
+
+  it('兑换期间缓存的消息超过上限时应该断开连接', async () => {
+    const connecting = cloudPCWebSocketService.handleConnection(ws, req);
+    for (let i = 0; i <= 50; i++) {
+      ws.emit('message', JSON.stringify({ type: 'ping' }));
+    }
+
+    expect(ws.close).toHaveBeenCalledWith(1008, '连接尚未建立，消息过多');
+
+    redeemed();
+    await connecting;
+
+    expect(cloudPCWebSocketService.connections.size).toBe(0);
+  });
+
+  it('票据无效时应该关闭连接', async () => {
+    connectionBroker.redeem.mockRejectedValue(new Error('连接票据无效或已过期'));
+
+    await cloudPCWebSocketService.handleConnection(ws, req);
+
+    expect(ws.close).toHaveBeenCalledWith(1008, '连接票据无效或已过期');
+    expect(cloudPCWebSocketService.connections.size).toBe(0);
+  });
+});
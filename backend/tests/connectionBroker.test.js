@@ -0,0 +1,64 @@
+/**
+ * 连接代理测试
+ */
+
+const connectionConfig = require('../src/config/connections');
+const connectionBroker = require('../src/services/connectionBroker');
+
+describe('连接代理测试', () => {
+  describe('协议与操作系统', () => {
+    it('远程桌面只支持Windows', () => {
+      expect(connectionConfig.supports('rdp', 'Windows 11')).toBe(true);
+      expect(connectionConfig.supports('rdp', 'Ubuntu 22.04')).toBe(false);
+    });
+
+    it('SSH只支持Linux', () => {
+      expect(connectionConfig.supports('ssh', 'Debian 11')).toBe(true);
+      expect(connectionConfig.supports('ssh', 'Windows 10')).toBe(false);
+    });
+
+    it('网页控制台支持所有操作系统', () => {
+      expect(connectionConfig.supports('console', 'Windows 10')).toBe(true);
+      expect(connectionConfig.supports('console', 'CentOS 8')).toBe(true);
+    });
+
+    it('未知协议不支持', () => {
+      expect(connectionConfig.supports('vnc', 'Windows 10')).toBe(false);
+    });
+  });
+
+  describe('连接地址', () => {
+    it('网页控制台地址应该携带编码后的票据', () => {
+      const url = connectionConfig.buildConnectionUrl('console', 'pc1', 'a.b+c');
+      expect(url).toBe(`${connectionConfig.consoleUrl}/pc1?ticket=a.b%2Bc`);
+    });
+
+    it('远程桌面地址应该指向网关', () => {
+      const url = connectionConfig.buildConnectionUrl('rdp', 'pc1', 'ticket');
+      const { host, rdpPort } = connectionConfig.gateway;
+      expect(url).toContain(`full%20address=s:${host}:${rdpPort}`);
+      expect(url).toContain('gatewayaccesstoken=s:ticket');
+    });
+  });
+
+  describe('网关密钥', () => {
+    const original = connectionConfig.gatewayKey;
+
+    afterEach(() => {
+      connectionConfig.gatewayKey = original;
+    });
+
+    it('未配置网关密钥时应该拒绝', () => {
+      connectionConfig.gatewayKey = undefined;
+      expect(connectionBroker.isGatewayKeyValid('anything')).toBe(false);
+    });
+
+    it('应该校验网关密钥', () => {
+      connectionConfig.gatewayKey = 'gateway-secret';
+      expect(connectionBroker.isGatewayKeyValid('gateway-secret')).toBe(true);
+      expect(connectionBroker.isGatewayKeyValid('gateway-secreT')).toBe(false);
+      expect(connectionBroker.isGatewayKeyValid('short')).toBe(false);
+      expect(connectionBroker.isGatewayKeyValid(undefined)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * 连接文件生成测试
+ */
+
+const connectionFileService = require('../src/services/connectionFileService');
+
+describe('连接文件生成测试', () => {
+  const windowsPC = {
+    _id: '64b000000000000000000001',
+    name: 'dev-box',
+    os: 'Windows 11',
+    ip: '10.10.1.20',
+    port: 20001
+  };
+  const linuxPC = {
+    _id: '64b000000000000000000002',
+    name: '开发机',
+    os: 'Ubuntu 22.04',
+    ip: '10.10.2.30',
+    port: 20002
+  };
+
+  describe('resolveOptions', () => {
+    it('应该按默认值、用户偏好、下载参数的顺序覆盖', () => {
+      const options = connectionFileService.resolveOptions(
+        'rdp',
+        { rdp: { width: 2560, height: 1440, multiMonitor: true } },
+        { height: 1600 }
+      );
+      expect(options.width).toBe(2560);
+      expect(options.height).toBe(1600);
+      expect(options.multiMonitor).toBe(true);
+      expect(options.screenMode).toBe('fullscreen');
+    });
+  });
+
+  describe('renderRdp', () => {
+    it('应该使用IP和端口并写入显示和重定向选项', () => {
+      const options = connectionFileService.resolveOptions('rdp', {}, {
+        screenMode: 'window',
+        redirectDrives: true,
+        username: 'alice'
+      });
+      const content = connectionFileService.renderRdp(windowsPC, options);
+      const lines = content.split('\r\n');
+
+      expect(lines).toContain('full address:s:10.10.1.20:20001');
+      expect(lines).toContain('screen mode id:i:1');
+      expect(lines).toContain('drivestoredirect:s:*');
+      expect(lines).toContain('username:s:alice');
+    });
+
+    it('配置了 rdpUrl 时应该使用其中的地址', () => {
+      const options = connectionFileService.resolveOptions('rdp');
+      const content = connectionFileService.renderRdp({ ...windowsPC, rdpUrl: 'rdp://pc.example.com:3390' }, options);
+      expect(content).toContain('full address:s:pc.example.com:3390');
+    });
+  });
+
+  describe('renderSshConfig', () => {
+    it('应该按操作系统选择默认用户，名称无法作为别名时使用ID', () => {
+      const options = connectionFileService.resolveOptions('ssh');
+      const content = connectionFileService.renderSshConfig(linuxPC, options);
+
+      expect(content).toContain(`Host cloudpc-${linuxPC._id}`);
+      expect(content).toContain('    HostName 10.10.2.30');
+      expect(content).toContain('    Port 20002');
+      expect(content).toContain('    User ubuntu');
+      expect(content).not.toContain('IdentityFile');
+    });
+
+    it('应该使用 sshUrl 中的用户和偏好中的密钥', () => {
+      const options = connectionFileService.resolveOptions('ssh', { ssh: { identityFile: '~/.ssh/id_ed25519' } });
+      const content = connectionFileService.renderSshConfig({ ...linuxPC, sshUrl: 'ssh://admin@10.0.0.5:2200' }, options);
+
+      expect(content).toContain('    HostName 10.0.0.5');
+      expect(content).toContain('    Port 2200');
+      expect(content).toContain('    User admin');
+      expect(content).toContain('    IdentityFile ~/.ssh/id_ed25519');
+    });
+  });
+});
@@ -0,0 +1,478 @@
+/**
+ * 测试用内存模型
+ * 把Mongoose模型的查询和保存方法替换为内存实现，在没有MongoDB的环境下测试服务逻辑。
+ * 支持常用的查询操作符、更新操作符（含位置操作符 $）和唯一索引（重复时抛出 code 为 11000 的错误）。
+ */
+
+const mongoose = require('mongoose');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.keys(value).reduce((acc, key) => {
+      acc[key] = clone(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+};
+
+// ObjectId 和 Date 按值比较
+const normalize = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (value && value._id instanceof mongoose.Types.ObjectId) return String(value._id);
+  return value;
+};
+
+const equals = (a, b) => {
+  if (a === undefined || a === null) return b === undefined || b === null;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => equals(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return normalize(a) === normalize(b);
+};
+
+// 取路径上的值，中间遇到数组时展开为多个候选值
+const getValues = (obj, path) => {
+  let values = [obj];
+  for (const key of path.split('.')) {
+    values = values.flatMap(value => {
+      if (value === undefined || value === null) return [undefined];
+      if (Array.isArray(value) && !/^\d+$/.test(key)) {
+        return value.map(item => (item === null || item === undefined ? undefined : item[key]));
+      }
+      return [value[key]];
+    });
+  }
+  return values;
+};
+
+const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  let target = obj;
+  keys.slice(0, -1).forEach(key => {
+    if (target[key] === undefined || target[key] === null) {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+const unsetPath = (obj, path) => {
+  const keys = path.split('.');
+  let target = obj;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] === undefined || target[key] === null) return;
+    target = target[key];
+  }
+  delete target[keys[keys.length - 1]];
+};
+
+const getPath = (obj, path) => path.split('.').reduce(
+  (value, key) => (value === undefined || value === null ? undefined : value[key]),
+  obj
+);
+
+const isOperatorObject = (condition) => isPlainObject(condition) &&
+  Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+
+const compare = (a, b) => {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+};
+
+const matchOperator = (value, operator, operand) => {
+  const items = Array.isArray(value) ? [value, ...value] : [value];
+  switch (operator) {
+    case '$eq':
+      return items.some(item => equals(item, operand));
+    case '$ne':
+      return !items.some(item => equals(item, operand));
+    case '$gt':
+      return items.some(item => item !== undefined && item !== null && compare(item, operand) > 0);
+    case '$gte':
+      return items.some(item => item !== undefined && item !== null && compare(item, operand) >= 0);
+    case '$lt':
+      return items.some(item => item !== undefined && item !== null && compare(item, operand) < 0);
+    case '$lte':
+      return items.some(item => item !== undefined && item !== null && compare(item, operand) <= 0);
+    case '$in':
+      return operand.some(candidate => matchCondition(value, candidate));
+    case '$nin':
+      return !operand.some(candidate => matchCondition(value, candidate));
+    case '$exists':
+      return operand ? value !== undefined : value === undefined;
+    case '$regex':
+      return items.some(item => typeof item === 'string' && new RegExp(operand).test(item));
+    case '$options':
+      return true;
+    case '$size':
+      return Array.isArray(value) && value.length === operand;
+    case '$elemMatch':
+      return Array.isArray(value) && value.some(item => (isOperatorObject(operand)
+        ? matchCondition(item, operand)
+        : matches(item, operand)));
+    case '$not':
+      return !matchCondition(value, operand);
+    default:
+      throw new Error(`内存模型不支持查询操作符 ${operator}`);
+  }
+};
+
+function matchCondition(value, condition) {
+  if (condition instanceof RegExp) {
+    const items = Array.isArray(value) ? value : [value];
+    return items.some(item => typeof item === 'string' && condition.test(item));
+  }
+  if (isOperatorObject(condition)) {
+    if (condition.$regex !== undefined) {
+      const regex = new RegExp(condition.$regex, condition.$options);
+      const items = Array.isArray(value) ? value : [value];
+      if (!items.some(item => typeof item === 'string' && regex.test(item))) return false;
+    }
+    return Object.keys(condition)
+      .filter(operator => operator !== '$regex' && operator !== '$options')
+      .every(operator => matchOperator(value, operator, condition[operator]));
+  }
+  if (Array.isArray(value) && !Array.isArray(condition)) {
+    return value.some(item => equals(item, condition));
+  }
+  return equals(value, condition);
+}
+
+function matches(doc, filter = {}) {
+  return Object.keys(filter).every(key => {
+    const condition = filter[key];
+    if (key === '$or') return condition.some(sub => matches(doc, sub));
+    if (key === '$and') return condition.every(sub => matches(doc, sub));
+    if (key === '$nor') return !condition.some(sub => matches(doc, sub));
+
+    const values = getValues(doc, key);
+    // $ne/$nin/$exists:false 需要所有候选值都满足
+    if (isOperatorObject(condition) && ['$ne', '$nin'].some(op => op in condition)) {
+      return values.every(value => matchCondition(value, condition));
+    }
+    return values.some(value => matchCondition(value, condition));
+  });
+}
+
+const sortDocs = (docs, sort) => {
+  if (!sort) return docs;
+  const spec = typeof sort === 'string'
+    ? sort.split(/\s+/).filter(Boolean).reduce((acc, field) => {
+      if (field.startsWith('-')) acc[field.slice(1)] = -1;
+      else acc[field] = 1;
+      return acc;
+    }, {})
+    : sort;
+  return docs.slice().sort((a, b) => {
+    for (const field of Object.keys(spec)) {
+      const direction = spec[field] === -1 || spec[field] === 'desc' ? -1 : 1;
+      const result = compare(getPath(a, field), getPath(b, field));
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  });
+};
+
+// 把位置操作符 $ 替换为查询条件匹配到的数组下标，如 snapshots.$.status
+const resolvePositional = (doc, path, filter) => {
+  const [prefix, rest] = path.split('.$');
+  if (rest === undefined) return path;
+
+  const condition = Object.keys(filter)
+    .filter(key => key.startsWith(`${prefix}.`))
+    .reduce((acc, key) => ({ ...acc, [key.slice(prefix.length + 1)]: filter[key] }), {});
+  const index = (getPath(doc, prefix) || []).findIndex(item => matches(item, condition));
+  if (index === -1) {
+    throw new Error(`内存模型无法解析位置操作符 ${path}`);
+  }
+  return `${prefix}.${index}${rest}`;
+};
+
+// 更新文档，不含操作符时按 $set 处理；返回是否有字段变化
+const applyUpdate = (doc, update, { isInsert = false, filter = {}, schema } = {}) => {
+  const operations = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+
+  Object.keys(operations).forEach(operator => {
+    const fields = operations[operator];
+    Object.keys(fields).forEach(field => {
+      const path = resolvePositional(doc, field, filter);
+      const operand = clone(fields[field]);
+      const current = getPath(doc, path);
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, operand);
+          break;
+        case '$setOnInsert':
+          if (isInsert) setPath(doc, path, operand);
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (current || 0) + operand);
+          break;
+        case '$min':
+          if (current === undefined || compare(operand, current) < 0) setPath(doc, path, operand);
+          break;
+        case '$max':
+          if (current === undefined || compare(operand, current) > 0) setPath(doc, path, operand);
+          break;
+        case '$push': {
+          const items = isPlainObject(operand) && operand.$each ? operand.$each : [operand];
+          // 与 Mongoose 一样为新增的子文档生成 _id
+          const schemaType = schema && schema.path(path);
+          if (schemaType && schemaType.$isMongooseDocumentArray) {
+            items.forEach(item => {
+              if (isPlainObject(item) && item._id === undefined) item._id = new mongoose.Types.ObjectId();
+            });
+          }
+          setPath(doc, path, [...(current || []), ...items]);
+          break;
+        }
+        case '$addToSet': {
+          const items = isPlainObject(operand) && operand.$each ? operand.$each : [operand];
+          const next = [...(current || [])];
+          items.forEach(item => {
+            if (!next.some(existing => equals(existing, item))) next.push(item);
+          });
+          setPath(doc, path, next);
+          break;
+        }
+        case '$pull':
+          setPath(doc, path, (current || []).filter(item => (isPlainObject(operand) && !isOperatorObject(operand)
+            ? !matches(item, operand)
+            : !matchCondition(item, operand))));
+          break;
+        default:
+          throw new Error(`内存模型不支持更新操作符 ${operator}`);
+      }
+    });
+  });
+};
+
+class MemoryQuery {
+  constructor(run) {
+    this.run = run;
+    this.options = { lean: false };
+  }
+
+  sort(sort) { this.options.sort = sort; return this; }
+  skip(skip) { this.options.skip = skip; return this; }
+  limit(limit) { this.options.limit = limit; return this; }
+  lean() { this.options.lean = true; return this; }
+  select() { return this; }
+  populate() { return this; }
+  session() { return this; }
+
+  exec() {
+    return Promise.resolve().then(() => this.run(this.options));
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+/**
+ * 将模型替换为内存实现（通过 jest.spyOn，可以用 jest.restoreAllMocks 还原）
+ * @param {mongoose.Model} Model - Mongoose 模型
+ * @param {Object} options - defaultFilter: 查询条件未指定对应字段时追加的条件，对应模型的查询中间件（如 { deletedAt: null }）
+ * @returns {{ store: Map, docs: Function, get: Function, insert: Function, clear: Function }}
+ */
+const mockModel = (Model, { defaultFilter = {} } = {}) => {
+  const store = new Map(); // _id -> 普通对象
+  const timestamps = !!Model.schema.options.timestamps;
+  const uniqueIndexes = Model.schema.indexes()
+    .filter(([, options]) => options && options.unique)
+    .map(([fields, options]) => ({ fields: Object.keys(fields), options }));
+
+  const toDocument = (raw, lean) => (lean ? clone(raw) : Model.hydrate(clone(raw)));
+
+  const checkUnique = (raw) => {
+    uniqueIndexes.forEach(({ fields, options }) => {
+      const values = fields.map(field => getPath(raw, field));
+      if (options.sparse && values.some(value => value === undefined || value === null)) return;
+      if (options.partialFilterExpression && !matches(raw, options.partialFilterExpression)) return;
+      const duplicate = Array.from(store.values()).find(other => String(other._id) !== String(raw._id) &&
+        (!options.partialFilterExpression || matches(other, options.partialFilterExpression)) &&
+        fields.every((field, index) => equals(getPath(other, field), values[index])));
+      if (duplicate) {
+        const error = new Error(`E11000 duplicate key error collection: ${Model.collection.name} index: ${fields.join('_')}`);
+        error.name = 'MongoServerError';
+        error.code = 11000;
+        error.keyValue = fields.reduce((acc, field, index) => ({ ...acc, [field]: values[index] }), {});
+        throw error;
+      }
+    });
+  };
+
+  const write = (raw) => {
+    checkUnique(raw);
+    store.set(String(raw._id), raw);
+    return raw;
+  };
+
+  const insert = async (data) => {
+    const doc = data instanceof Model ? data : new Model(data);
+    await doc.validate();
+    const raw = doc.toObject({ depopulate: true });
+    if (timestamps) {
+      const now = new Date();
+      raw.createdAt = raw.createdAt || now;
+      raw.updatedAt = raw.updatedAt || now;
+    }
+    return write(raw);
+  };
+
+  const scoped = (filter = {}) => Object.keys(defaultFilter)
+    .filter(key => filter[key] === undefined)
+    .reduce((acc, key) => ({ ...acc, [key]: defaultFilter[key] }), filter);
+
+  const findRaw = (filter, { sort, skip, limit } = {}) => {
+    let docs = sortDocs(Array.from(store.values()).filter(doc => matches(doc, filter)), sort);
+    if (skip) docs = docs.slice(skip);
+    if (limit) docs = docs.slice(0, limit);
+    return docs;
+  };
+
+  // 同步完成查找和修改，与MongoDB单文档更新一样是原子的
+  const updateRaw = (raw, update, options = {}) => {
+    const next = clone(raw);
+    applyUpdate(next, update, { ...options, schema: Model.schema });
+    if (timestamps) next.updatedAt = new Date();
+    return write(next);
+  };
+
+  const upsertRaw = (filter, update) => {
+    const seed = Object.keys(filter)
+      .filter(key => !key.startsWith('$') && !isOperatorObject(filter[key]))
+      .reduce((acc, key) => { setPath(acc, key, filter[key]); return acc; }, {});
+    const raw = new Model(seed).toObject();
+    applyUpdate(raw, update, { isInsert: true, schema: Model.schema });
+    if (timestamps) raw.createdAt = raw.updatedAt = new Date();
+    return write(raw);
+  };
+
+  const findOneAndUpdate = (filter, update, options = {}) => new MemoryQuery((queryOptions) => {
+    const [raw] = findRaw(scoped(filter), { sort: options.sort || queryOptions.sort });
+    if (!raw) {
+      if (!options.upsert) return null;
+      const inserted = upsertRaw(filter, update);
+      return options.new || options.returnDocument === 'after' ? toDocument(inserted, queryOptions.lean) : null;
+    }
+    const updated = updateRaw(raw, update, { filter });
+    const result = options.new || options.returnDocument === 'after' ? updated : raw;
+    return toDocument(result, queryOptions.lean);
+  });
+
+  jest.spyOn(Model, 'find').mockImplementation((filter = {}) => new MemoryQuery(options =>
+    findRaw(scoped(filter), options).map(raw => toDocument(raw, options.lean))));
+  jest.spyOn(Model, 'findOne').mockImplementation((filter = {}) => new MemoryQuery((options) => {
+    const [raw] = findRaw(scoped(filter), { sort: options.sort });
+    return raw ? toDocument(raw, options.lean) : null;
+  }));
+  jest.spyOn(Model, 'findById').mockImplementation((id) => new MemoryQuery((options) => {
+    const [raw] = id ? findRaw(scoped({ _id: id })) : [];
+    return raw ? toDocument(raw, options.lean) : null;
+  }));
+  jest.spyOn(Model, 'exists').mockImplementation((filter) => new MemoryQuery(() => {
+    const [raw] = findRaw(filter);
+    return raw ? { _id: raw._id } : null;
+  }));
+  jest.spyOn(Model, 'countDocuments').mockImplementation((filter = {}) => new MemoryQuery(() => findRaw(scoped(filter)).length));
+  jest.spyOn(Model, 'distinct').mockImplementation((field, filter = {}) => new MemoryQuery(() => {
+    const values = [];
+    findRaw(filter).forEach(raw => getValues(raw, field).flat().forEach(value => {
+      if (value !== undefined && !values.some(existing => equals(existing, value))) values.push(value);
+    }));
+    return values;
+  }));
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation(findOneAndUpdate);
+  jest.spyOn(Model, 'findByIdAndUpdate').mockImplementation((id, update, options) =>
+    findOneAndUpdate({ _id: id }, update, options));
+  jest.spyOn(Model, 'updateOne').mockImplementation((filter, update, options = {}) => new MemoryQuery(() => {
+    const [raw] = findRaw(filter);
+    if (!raw) {
+      if (!options.upsert) return { matchedCount: 0, modifiedCount: 0 };
+      const inserted = upsertRaw(filter, update);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+    }
+    updateRaw(raw, update, { filter });
+    return { matchedCount: 1, modifiedCount: 1 };
+  }));
+  jest.spyOn(Model, 'updateMany').mockImplementation((filter, update) => new MemoryQuery(() => {
+    const docs = findRaw(filter);
+    docs.forEach(raw => updateRaw(raw, update, { filter }));
+    return { matchedCount: docs.length, modifiedCount: docs.length };
+  }));
+  jest.spyOn(Model, 'deleteOne').mockImplementation((filter) => new MemoryQuery(() => {
+    const [raw] = findRaw(filter);
+    if (raw) store.delete(String(raw._id));
+    return { deletedCount: raw ? 1 : 0 };
+  }));
+  jest.spyOn(Model, 'deleteMany').mockImplementation((filter = {}) => new MemoryQuery(() => {
+    const docs = findRaw(filter);
+    docs.forEach(raw => store.delete(String(raw._id)));
+    return { deletedCount: docs.length };
+  }));
+  jest.spyOn(Model, 'create').mockImplementation(async (data) => {
+    if (Array.isArray(data)) {
+      const created = [];
+      for (const item of data) {
+        created.push(Model.hydrate(clone(await insert(item))));
+      }
+      return created;
+    }
+    return Model.hydrate(clone(await insert(data)));
+  });
+  jest.spyOn(Model, 'insertMany').mockImplementation(async (data) => Model.create(data));
+
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+    await this.validate();
+    const raw = this.toObject({ depopulate: true });
+    if (timestamps) {
+      raw.createdAt = raw.createdAt || new Date();
+      raw.updatedAt = new Date();
+    }
+    write(raw);
+    this.isNew = false;
+    return this;
+  });
+  jest.spyOn(Model.prototype, 'deleteOne').mockImplementation(async function() {
+    store.delete(String(this._id));
+    return this;
+  });
+
+  return {
+    store,
+    // 直接写入记录，不经过校验
+    insert: (data) => Model.hydrate(clone(write(new Model(data).toObject()))),
+    get: (id) => {
+      const raw = store.get(String(id));
+      return raw ? clone(raw) : null;
+    },
+    docs: (filter = {}) => findRaw(filter).map(clone),
+    clear: () => store.clear()
+  };
+};
+
+module.exports = { mockModel };
@@ -0,0 +1,57 @@
+/**
+ * 宿主机调度测试
+ */
+
+const hostScheduler = require('../src/services/hostScheduler');
+const capacityUtils = require('../src/utils/capacity');
+
+const host = (name, allocated, status = 'active') => ({
+  name,
+  status,
+  capacity: { cpu: 32, memory: 128, storage: 2000 },
+  allocated
+});
+
+describe('宿主机调度测试', () => {
+  const spec = { cpu: 4, memory: 16, storage: 100 };
+
+  it('优先放入放置后剩余资源最少的宿主机', () => {
+    const hosts = [
+      host('host-1', { cpu: 0, memory: 0, storage: 0 }),
+      host('host-2', { cpu: 24, memory: 96, storage: 1500 }),
+      host('host-3', { cpu: 16, memory: 64, storage: 1000 })
+    ];
+    expect(hostScheduler.rankHosts(hosts, spec).map(item => item.name))
+      .toEqual(['host-2', 'host-3', 'host-1']);
+  });
+
+  it('排除放不下和维护中的宿主机', () => {
+    const hosts = [
+      host('host-1', { cpu: 30, memory: 0, storage: 0 }),
+      host('host-2', { cpu: 0, memory: 120, storage: 0 }),
+      host('host-3', { cpu: 0, memory: 0, storage: 0 }, 'maintenance')
+    ];
+    expect(hostScheduler.rankHosts(hosts, spec)).toEqual([]);
+  });
+
+  it('可用区未登记宿主机时不限制放置', () => {
+    expect(hostScheduler.canPlace([], spec)).toBe(true);
+    expect(hostScheduler.canPlace([host('host-1', { cpu: 30, memory: 0, storage: 0 })], spec)).toBe(false);
+  });
+
+  describe('容量计算', () => {
+    it('只对增加的资源设置容量条件', () => {
+      const condition = capacityUtils.getReserveCondition({ cpu: 2, memory: -4, storage: 0 });
+      expect(condition.$and).toHaveLength(1);
+      expect(capacityUtils.getReserveCondition({ cpu: -2, memory: 0, storage: 0 })).toBeNull();
+    });
+
+    it('释放时按相反数更新已分配资源', () => {
+      expect(capacityUtils.toIncrement(spec, -1)).toEqual({
+        'allocated.cpu': -4,
+        'allocated.memory': -16,
+        'allocated.storage': -100
+      });
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * 空闲自动关机判断测试
+ */
+
+const idleConfig = require('../src/config/idle');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('空闲自动关机判断测试', () => {
+  const now = new Date(2026, 0, 1, 10, 0, 0);
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * MINUTE_MS);
+  const policy = { cpuThreshold: 5, idleMinutes: 30, warningMinutes: 5 };
+
+  it('CPU使用率达到阈值时应该视为活跃', () => {
+    const state = idleConfig.getIdleState({ ...policy, idleSince: minutesAgo(60) }, { cpuUsage: 20 }, now);
+    expect(state.action).toBe('active');
+  });
+
+  it('首次检测到空闲时应该从当前时间开始计时', () => {
+    const state = idleConfig.getIdleState(policy, { cpuUsage: 1 }, now);
+    expect(state.action).toBe('idle');
+    expect(state.idleSince).toEqual(now);
+  });
+
+  it('进入预警时间后应该预警', () => {
+    const state = idleConfig.getIdleState({ ...policy, idleSince: minutesAgo(26) }, { cpuUsage: 1 }, now);
+    expect(state.action).toBe('warn');
+    expect(state.warned).toBe(false);
+    expect(state.stopAt).toEqual(new Date(now.getTime() + 4 * MINUTE_MS));
+  });
+
+  it('没有预警过时超时也应该先预警', () => {
+    const state = idleConfig.getIdleState({ ...policy, idleSince: minutesAgo(40) }, { cpuUsage: 1 }, now);
+    expect(state.action).toBe('warn');
+  });
+
+  it('预警后超时应该关机', () => {
+    const state = idleConfig.getIdleState(
+      { ...policy, idleSince: minutesAgo(31), warnedAt: minutesAgo(4) },
+      { cpuUsage: 1 },
+      now
+    );
+    expect(state.action).toBe('stop');
+  });
+
+  it('会话操作应该重新计算空闲时间', () => {
+    const state = idleConfig.getIdleState(
+      { ...policy, idleSince: minutesAgo(31), warnedAt: minutesAgo(4) },
+      { cpuUsage: 1, lastActivityAt: minutesAgo(2) },
+      now
+    );
+    expect(state.action).toBe('idle');
+    expect(state.warned).toBe(false);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * 镜像捕获测试
+ * 测试捕获期间的状态锁定、并发提交、捕获完成、失败和取消后的状态
+ */
+
+const mongoose = require('mongoose');
+const CloudPC = require('../src/models/CloudPC');
+const Image = require('../src/models/Image');
+const Operation = require('../src/models/Operation');
+const StateTransition = require('../src/models/StateTransition');
+const operationQueue = require('../src/services/operationQueue');
+const providerRegistry = require('../src/services/providers');
+const quotaService = require('../src/services/quotaService');
+const { requestCapture, requestPowerAction } = require('../src/services/cloudpcLifecycle');
+const { mockModel } = require('./helpers/memoryModel');
+
+jest.mock('../src/services/cacheService', () => ({
+  invalidateCloudPCCache: jest.fn()
+}));
+
+describe('镜像捕获测试', () => {
+  let cloudPCs;
+  let images;
+  let cloudPC;
+  let provider;
+
+  const details = { name: '办公镜像', description: '预装办公软件' };
+
+  // 领取并执行捕获操作
+  const runCapture = async () => {
+    const operation = await operationQueue.claimNext();
+    await operationQueue.execute(operation);
+    return operation;
+  };
+
+  beforeEach(() => {
+    cloudPCs = mockModel(CloudPC);
+    images = mockModel(Image);
+    mockModel(Operation);
+    mockModel(StateTransition);
+
+    cloudPC = cloudPCs.insert({
+      user: new mongoose.Types.ObjectId(),
+      name: '办公电脑',
+      os: 'Ubuntu 22.04',
+      cpu: 2,
+      memory: 4,
+      storage: 64,
+      status: 'stopped',
+      location: 'beijing',
+      provider: { driver: 'simulator', instanceId: 'sim-1' }
+    });
+
+    provider = providerRegistry.getDriver('simulator');
+    jest.spyOn(provider, 'snapshot').mockResolvedValue({ snapshotId: 'simsnap-1', size: 2048 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('提交捕获后云电脑应该锁定为捕获镜像中', async () => {
+    const { image, operation } = await requestCapture(cloudPC, details, { user: cloudPC.user });
+
+    expect(cloudPCs.get(cloudPC._id).status).toBe('capturing');
+    expect(images.get(image._id)).toMatchObject({ status: 'creating', minStorage: 64 });
+    expect(String(images.get(image._id).operation)).toBe(String(operation._id));
+    expect(operation.payload.imageId).toEqual(image._id);
+  });
+
+  it('捕获期间不接受电源操作和重复捕获', async () => {
+    await requestCapture(cloudPC, details, { user: cloudPC.user });
+    const current = await CloudPC.findById(cloudPC._id);
+    jest.spyOn(quotaService, 'assertActive').mockResolvedValue();
+
+    await expect(requestPowerAction(current, 'start')).rejects.toMatchObject({
+      statusCode: 409,
+      message: '云电脑当前状态为捕获镜像中，无法启动'
+    });
+    await expect(requestCapture(current, details)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('并发提交时只有一个捕获成功，另一个的镜像记录被删除', async () => {
+    const results = await Promise.allSettled([
+      requestCapture(cloudPC, details, { user: cloudPC.user }),
+      requestCapture(cloudPC, { name: '第二个镜像' }, { user: cloudPC.user })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+    expect(images.docs()).toHaveLength(1);
+    expect(await Operation.countDocuments({ type: 'capture' })).toBe(1);
+  });
+
+  it('捕获完成后镜像可用，云电脑回到已停止', async () => {
+    const { image } = await requestCapture(cloudPC, details, { user: cloudPC.user });
+    const operation = await runCapture();
+
+    expect(provider.snapshot).toHaveBeenCalledTimes(1);
+    expect(images.get(image._id)).toMatchObject({
+      status: 'available',
+      driver: 'simulator',
+      providerImageId: 'simsnap-1',
+      size: 2048
+    });
+    expect(cloudPCs.get(cloudPC._id).status).toBe('stopped');
+    expect((await Operation.findById(operation._id)).status).toBe('succeeded');
+  });
+
+  it('捕获失败时镜像标记为失败，云电脑回到已停止并记录日志', async () => {
+    const error = new Error('磁盘只读');
+    error.retryable = false;
+    provider.snapshot.mockRejectedValue(error);
+
+    const { image } = await requestCapture(cloudPC, details, { user: cloudPC.user });
+    await runCapture();
+
+    expect(images.get(image._id).status).toBe('failed');
+    const stored = cloudPCs.get(cloudPC._id);
+    expect(stored.status).toBe('stopped');
+    expect(stored.logs[stored.logs.length - 1].message).toBe('捕获镜像失败: 磁盘只读');
+  });
+
+  it('取消排队中的捕获时删除镜像记录并解除锁定', async () => {
+    const { image, operation } = await requestCapture(cloudPC, details, { user: cloudPC.user });
+
+    await operationQueue.cancel(operation._id);
+
+    expect(images.get(image._id)).toBeNull();
+    expect(cloudPCs.get(cloudPC._id).status).toBe('stopped');
+    expect(provider.snapshot).not.toHaveBeenCalled();
+  });
+});
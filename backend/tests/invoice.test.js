@@ -0,0 +1,88 @@
+/**
+ * 账期与账单导出测试
+ */
+
+const billingConfig = require('../src/config/billing');
+const invoiceRenderer = require('../src/services/invoiceRenderer');
+
+describe('账期计算测试', () => {
+  it('应该按计费时区确定账期', () => {
+    // 北京时间 2026-11-01 01:30
+    const period = billingConfig.getPeriod(new Date('2026-10-31T17:30:00Z'));
+    expect(period.key).toBe('2026-11');
+    expect(period.start).toEqual(new Date('2026-10-31T16:00:00Z'));
+    expect(period.end).toEqual(new Date('2026-11-30T16:00:00Z'));
+  });
+
+  it('应该跨年计算上一账期', () => {
+    const period = billingConfig.getPreviousPeriod(new Date('2026-01-01T08:00:00Z'));
+    expect(period.key).toBe('2025-12');
+    expect(period.end).toEqual(billingConfig.getPeriodByKey('2026-01').start);
+  });
+
+  it('应该在账期边界拆分时间段', () => {
+    const segments = billingConfig.splitByPeriod(
+      new Date('2026-10-31T15:00:00Z'),
+      new Date('2026-10-31T17:00:00Z')
+    );
+    expect(segments).toEqual([
+      { from: new Date('2026-10-31T15:00:00Z'), to: new Date('2026-10-31T16:00:00Z') },
+      { from: new Date('2026-10-31T16:00:00Z'), to: new Date('2026-10-31T17:00:00Z') }
+    ]);
+  });
+
+  it('同一账期内的时间段不应该拆分', () => {
+    const startedAt = new Date('2026-10-10T00:00:00Z');
+    const endedAt = new Date('2026-10-10T01:00:00Z');
+    expect(billingConfig.splitByPeriod(startedAt, endedAt)).toEqual([{ from: startedAt, to: endedAt }]);
+  });
+
+  it('应该按两位小数计算税额和合计', () => {
+    expect(billingConfig.calculateTotals(123.456, 0.06)).toEqual({ subtotal: 123.46, tax: 7.41, total: 130.87 });
+  });
+
+  it('应该校验账期格式', () => {
+    expect(billingConfig.isValidPeriod('2026-10')).toBe(true);
+    expect(billingConfig.isValidPeriod('2026-13')).toBe(false);
+    expect(billingConfig.isValidPeriod('202610')).toBe(false);
+  });
+});
+
+describe('账单导出测试', () => {
+  const invoice = {
+    number: 'INV-202610-ABCD1234',
+    period: '2026-10',
+    periodStart: new Date('2026-09-30T16:00:00Z'),
+    periodEnd: new Date('2026-10-31T16:00:00Z'),
+    status: 'issued',
+    currency: 'CNY',
+    issuedAt: new Date('2026-11-01T02:00:00Z'),
+    dueAt: new Date('2026-11-16T02:00:00Z'),
+    lineItems: [
+      { cloudPC: 'pc1', cloudPCName: '办公,电脑', resource: 'compute', quantity: 100, unit: '小时', amount: 100 },
+      { cloudPC: 'pc1', cloudPCName: '=HYPERLINK()', resource: 'snapshot', quantity: 7200, unit: 'GB·小时', amount: 3.6 }
+    ],
+    subtotal: 103.6,
+    taxRate: 0.06,
+    tax: 6.22,
+    total: 109.82
+  };
+
+  it('CSV应该包含明细和合计并转义特殊字符', () => {
+    const csv = invoiceRenderer.renderCsv(invoice);
+    expect(csv.startsWith('\uFEFF')).toBe(true);
+    expect(csv).toContain('"办公,电脑"');
+    expect(csv).toContain("'=HYPERLINK()");
+    expect(csv).toContain('税额(6%),6.22');
+    expect(csv).toContain('合计,109.82');
+  });
+
+  it('PDF应该是完整的文档', () => {
+    const pdf = invoiceRenderer.renderPdf(invoice, { name: '张三', email: 'test@example.com' }).toString('latin1');
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.trim().endsWith('%%EOF')).toBe(true);
+
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xref, xref + 4)).toBe('xref');
+  });
+});
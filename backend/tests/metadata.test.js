@@ -0,0 +1,63 @@
+/**
+ * 元数据服务配置测试
+ */
+
+const metadataConfig = require('../src/config/metadata');
+
+describe('元数据服务配置测试', () => {
+  const cloudPCId = '64b0000000000000000000aa';
+
+  describe('实例身份令牌', () => {
+    const original = metadataConfig.secret;
+
+    beforeAll(() => {
+      metadataConfig.secret = 'metadata-test-secret';
+    });
+
+    afterAll(() => {
+      metadataConfig.secret = original;
+    });
+
+    it('应该能解析出云电脑ID', () => {
+      const token = metadataConfig.getInstanceToken(cloudPCId);
+      expect(metadataConfig.parseInstanceToken(token)).toBe(cloudPCId);
+    });
+
+    it('篡改过的令牌应该无效', () => {
+      const [, signature] = metadataConfig.getInstanceToken(cloudPCId).split('.');
+      expect(metadataConfig.parseInstanceToken(`64b0000000000000000000ab.${signature}`)).toBeNull();
+      expect(metadataConfig.parseInstanceToken('invalid')).toBeNull();
+      expect(metadataConfig.parseInstanceToken(undefined)).toBeNull();
+    });
+  });
+
+  describe('用户数据校验', () => {
+    it('cloud-init 只能用于Linux', () => {
+      const userData = { format: 'cloud-init', content: '#cloud-config\npackages: [git]' };
+      expect(metadataConfig.validateUserData(userData, 'Ubuntu 22.04')).toBeNull();
+      expect(metadataConfig.validateUserData(userData, 'Windows 11')).toMatch('不支持');
+    });
+
+    it('cloud-init 内容须以 #cloud-config 或 #! 开头', () => {
+      expect(metadataConfig.validateUserData({ format: 'cloud-init', content: '#!/bin/bash\necho hi' }, 'Debian 11')).toBeNull();
+      expect(metadataConfig.validateUserData({ format: 'cloud-init', content: 'packages: [git]' }, 'Debian 11')).toMatch('#cloud-config');
+    });
+
+    it('PowerShell 只能用于Windows', () => {
+      const userData = { format: 'powershell', content: 'Set-TimeZone -Id "China Standard Time"' };
+      expect(metadataConfig.validateUserData(userData, 'Windows 10')).toBeNull();
+      expect(metadataConfig.validateUserData(userData, 'CentOS 8')).toMatch('不支持');
+    });
+
+    it('超过大小限制应该无效', () => {
+      const content = `#!/bin/bash\n${'x'.repeat(metadataConfig.maxUserDataBytes)}`;
+      expect(metadataConfig.validateUserData({ format: 'cloud-init', content }, 'Ubuntu 20.04')).toMatch('不能超过');
+    });
+
+    it('应该按格式和内容返回内容类型', () => {
+      expect(metadataConfig.getUserDataContentType({ format: 'cloud-init', content: '#cloud-config' })).toBe('text/cloud-config');
+      expect(metadataConfig.getUserDataContentType({ format: 'cloud-init', content: '#!/bin/sh' })).toBe('text/x-shellscript');
+      expect(metadataConfig.getUserDataContentType({ format: 'powershell', content: 'Get-Date' })).toBe('text/x-powershell');
+    });
+  });
+});
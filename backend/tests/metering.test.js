@@ -0,0 +1,54 @@
+/**
+ * 用量计费测试
+ */
+
+const meteringConfig = require('../src/config/metering');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('用量计费测试', () => {
+  const startedAt = new Date(2026, 0, 1, 10, 0, 0);
+  const hoursLater = (hours) => new Date(startedAt.getTime() + hours * HOUR_MS);
+  const record = {
+    startedAt,
+    storage: 100,
+    bandwidth: 100,
+    snapshotGB: 20,
+    hourly: 1.0,
+    snapshotHourly: 0.01
+  };
+
+  it('运行中应该按小时单价计费，不另收系统盘存储费用', () => {
+    const { quantities, cost } = meteringConfig.rate({ ...record, status: 'running' }, hoursLater(2));
+    expect(quantities.hours).toBe(2);
+    expect(quantities.computeHours).toBe(2);
+    expect(quantities.storageGBHours).toBe(200);
+    expect(cost.compute).toBe(2);
+    expect(cost.storage).toBe(0);
+    expect(cost.snapshot).toBe(0.02);
+    expect(cost.total).toBe(2.02);
+  });
+
+  it('已停止时应该只收取存储和快照费用', () => {
+    const { quantities, cost } = meteringConfig.rate({ ...record, status: 'stopped' }, hoursLater(10));
+    expect(quantities.computeHours).toBe(0);
+    expect(cost.compute).toBe(0);
+    expect(cost.storage).toBe(Number((100 * 10 * meteringConfig.storageHourlyPerGB).toFixed(4)));
+    expect(cost.snapshot).toBe(0.1);
+    expect(quantities.snapshotGBHours).toBe(200);
+  });
+
+  it('超出套餐内带宽的部分应该按Mbps计费', () => {
+    const extra = 50;
+    const bandwidth = meteringConfig.bandwidth.includedMbps + extra;
+    const { quantities, cost } = meteringConfig.rate({ ...record, bandwidth, status: 'running' }, hoursLater(1));
+    expect(quantities.bandwidthMbpsHours).toBe(bandwidth);
+    expect(cost.bandwidth).toBe(Number((extra * meteringConfig.bandwidth.hourlyPerMbps).toFixed(4)));
+  });
+
+  it('结束时间早于开始时间时应该不计费', () => {
+    const { quantities, cost } = meteringConfig.rate({ ...record, status: 'running' }, hoursLater(-1));
+    expect(quantities.hours).toBe(0);
+    expect(cost.total).toBe(0);
+  });
+});
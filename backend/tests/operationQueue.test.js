@@ -0,0 +1,234 @@
+/**
+ * 异步操作队列测试
+ * 测试领取的原子性、失败重试的退避、重试次数上限、取消、锁刷新和中断恢复
+ */
+
+const mongoose = require('mongoose');
+const Operation = require('../src/models/Operation');
+const operationQueue = require('../src/services/operationQueue');
+const { mockModel } = require('./helpers/memoryModel');
+
+describe('操作队列测试', () => {
+  let operations;
+  let handler;
+
+  const createOperation = (overrides = {}) => operations.insert({
+    type: 'start',
+    cloudPC: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    runAt: new Date(Date.now() - 1000),
+    ...overrides
+  });
+
+  // 领取并执行一次，返回执行后的记录
+  const runOnce = async (queue = operationQueue) => {
+    const operation = await queue.claimNext();
+    await queue.execute(operation);
+    return operations.get(operation._id);
+  };
+
+  beforeEach(() => {
+    operations = mockModel(Operation);
+    handler = {
+      run: jest.fn().mockResolvedValue({ status: 'running' }),
+      onFailure: jest.fn(),
+      onCancel: jest.fn()
+    };
+    operationQueue.registerHandler('start', handler);
+  });
+
+  afterEach(async () => {
+    await operationQueue.stop();
+    jest.restoreAllMocks();
+  });
+
+  describe('领取', () => {
+    it('多个工作进程同时领取时同一操作只会被领取一次', async () => {
+      const operation = createOperation();
+      const otherWorker = new operationQueue.constructor();
+      otherWorker.workerId = 'other-host:1';
+
+      const claimed = await Promise.all([operationQueue.claimNext(), otherWorker.claimNext()]);
+
+      expect(claimed.filter(Boolean)).toHaveLength(1);
+      const stored = operations.get(operation._id);
+      expect(stored.status).toBe('running');
+      expect(stored.attempts).toBe(1);
+    });
+
+    it('并发轮询时处理器只执行一次', async () => {
+      const operation = createOperation();
+      await operationQueue.start();
+
+      await Promise.all([operationQueue.poll(), operationQueue.poll()]);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(handler.run).toHaveBeenCalledTimes(1);
+      expect(operations.get(operation._id)).toMatchObject({ status: 'succeeded', progress: 100, attempts: 1 });
+    });
+
+    it('未到执行时间的操作不会被领取', async () => {
+      createOperation({ runAt: new Date(Date.now() + 60000) });
+      expect(await operationQueue.claimNext()).toBeNull();
+    });
+  });
+
+  describe('失败重试', () => {
+    it('失败后应该按指数退避重新排队', async () => {
+      const operation = createOperation();
+      handler.run.mockRejectedValue(new Error('驱动超时'));
+
+      const before = Date.now();
+      let stored = await runOnce();
+      expect(stored).toMatchObject({ status: 'queued', attempts: 1, error: '驱动超时' });
+      expect(stored.lockedBy).toBeUndefined();
+      expect(stored.runAt.getTime()).toBeGreaterThanOrEqual(before + operationQueue.backoffBase);
+      expect(await operationQueue.claimNext()).toBeNull();
+
+      await Operation.updateOne({ _id: operation._id }, { $set: { runAt: new Date(Date.now() - 1000) } });
+      const retriedAt = Date.now();
+      stored = await runOnce();
+      expect(stored).toMatchObject({ status: 'queued', attempts: 2 });
+      expect(stored.runAt.getTime()).toBeGreaterThanOrEqual(retriedAt + operationQueue.backoffBase * 2);
+      expect(handler.onFailure).not.toHaveBeenCalled();
+    });
+
+    it('退避时间不应超过上限', () => {
+      expect(operationQueue.getBackoff(1)).toBe(operationQueue.backoffBase);
+      expect(operationQueue.getBackoff(3)).toBe(operationQueue.backoffBase * 4);
+      expect(operationQueue.getBackoff(20)).toBe(operationQueue.backoffMax);
+    });
+
+    it('达到最大执行次数后应该标记为失败并回调', async () => {
+      const operation = createOperation({ maxAttempts: 2 });
+      const error = new Error('驱动超时');
+      handler.run.mockRejectedValue(error);
+
+      await runOnce();
+      await Operation.updateOne({ _id: operation._id }, { $set: { runAt: new Date(Date.now() - 1000) } });
+      const stored = await runOnce();
+
+      expect(handler.run).toHaveBeenCalledTimes(2);
+      expect(stored).toMatchObject({ status: 'failed', attempts: 2, error: '驱动超时', message: '操作失败' });
+      expect(stored.finishedAt).toBeInstanceOf(Date);
+      expect(handler.onFailure).toHaveBeenCalledTimes(1);
+      expect(handler.onFailure.mock.calls[0][0].status).toBe('failed');
+      expect(handler.onFailure.mock.calls[0][1]).toBe(error);
+    });
+
+    it('不可重试的错误应该直接标记为失败', async () => {
+      createOperation({ maxAttempts: 3 });
+      const error = new Error('驱动 docker 不支持 migrate 操作');
+      error.retryable = false;
+      handler.run.mockRejectedValue(error);
+
+      const stored = await runOnce();
+
+      expect(stored).toMatchObject({ status: 'failed', attempts: 1, error: error.message });
+      expect(handler.onFailure).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('取消', () => {
+    it('排队中的操作应该直接取消，不再被领取', async () => {
+      const operation = createOperation({ runAt: new Date(Date.now() + 60000) });
+      const listener = jest.fn();
+      operationQueue.on(`operation:${operation._id}`, listener);
+
+      const cancelled = await operationQueue.cancel(operation._id);
+      operationQueue.removeListener(`operation:${operation._id}`, listener);
+
+      expect(cancelled.status).toBe('cancelled');
+      expect(handler.onCancel).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ status: 'cancelled', isFinished: true }));
+      await Operation.updateOne({ _id: operation._id }, { $set: { runAt: new Date(Date.now() - 1000) } });
+      expect(await operationQueue.claimNext()).toBeNull();
+    });
+
+    it('执行中的操作不能取消，会执行到结束', async () => {
+      const operation = createOperation();
+      handler.run.mockImplementation(async (current) => {
+        expect(await operationQueue.cancel(current._id)).toBeNull();
+        return { status: 'running' };
+      });
+
+      const stored = await runOnce();
+
+      expect(stored.status).toBe('succeeded');
+      expect(handler.onCancel).not.toHaveBeenCalled();
+      expect(operations.get(operation._id).finishedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('中断恢复', () => {
+    it('应该重新排队本进程和锁已过期的操作，保留其他进程正在执行的操作', async () => {
+      const expiredAt = new Date(Date.now() - operationQueue.lockTimeout - 1000);
+      const own = createOperation({ status: 'running', lockedBy: operationQueue.workerId, lockedAt: new Date(), attempts: 1 });
+      const stale = createOperation({ status: 'running', lockedBy: 'other-host:1', lockedAt: expiredAt, attempts: 1 });
+      const active = createOperation({ status: 'running', lockedBy: 'other-host:2', lockedAt: new Date(), attempts: 1 });
+      const finished = createOperation({ status: 'succeeded', lockedAt: expiredAt });
+
+      await operationQueue.recoverStale({ includeOwn: true });
+
+      [own, stale].forEach(operation => {
+        const stored = operations.get(operation._id);
+        expect(stored.status).toBe('queued');
+        expect(stored.lockedBy).toBeUndefined();
+        expect(stored.attempts).toBe(1);
+      });
+      expect(operations.get(active._id)).toMatchObject({ status: 'running', lockedBy: 'other-host:2' });
+      expect(operations.get(finished._id).status).toBe('succeeded');
+
+      const claimed = await operationQueue.claimNext();
+      expect(claimed.attempts).toBe(2);
+    });
+
+    it('轮询时应该定期恢复其他进程遗留的过期操作，跳过本进程正在执行的操作', async () => {
+      const expiredAt = new Date(Date.now() - operationQueue.lockTimeout - 1000);
+      await operationQueue.start();
+      const stale = createOperation({ status: 'running', lockedBy: 'crashed-host:1', lockedAt: expiredAt, attempts: 1 });
+      const own = createOperation({ status: 'running', lockedBy: operationQueue.workerId, lockedAt: expiredAt, attempts: 1 });
+      operationQueue.running.add(String(own._id));
+      operationQueue.lastRecoveredAt = 0;
+
+      await operationQueue.poll();
+      await new Promise(resolve => setImmediate(resolve));
+      operationQueue.running.delete(String(own._id));
+
+      expect(handler.run).toHaveBeenCalledTimes(1);
+      expect(operations.get(stale._id)).toMatchObject({ status: 'succeeded', attempts: 2 });
+      expect(operations.get(own._id)).toMatchObject({ status: 'running', lockedBy: operationQueue.workerId });
+    });
+
+    it('执行期间应该刷新锁，避免长时间运行的操作被当作中断恢复', async () => {
+      const operation = createOperation();
+      const queue = new operationQueue.constructor();
+      queue.heartbeatInterval = 10;
+      let lockedAt;
+      handler.run.mockImplementation(async () => {
+        const claimedAt = operations.get(operation._id).lockedAt;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        lockedAt = operations.get(operation._id).lockedAt;
+        expect(lockedAt.getTime()).toBeGreaterThan(claimedAt.getTime());
+      });
+      queue.registerHandler('start', handler);
+
+      const stored = await runOnce(queue);
+
+      expect(lockedAt).toBeInstanceOf(Date);
+      expect(stored.status).toBe('succeeded');
+    });
+
+    it('上报进度时应该刷新锁', async () => {
+      const operation = createOperation();
+      const claimed = await operationQueue.claimNext();
+      await Operation.updateOne({ _id: operation._id }, { $set: { lockedAt: new Date(Date.now() - 60000) } });
+
+      await operationQueue.reportProgress(claimed, 50, '正在执行');
+
+      const stored = operations.get(operation._id);
+      expect(stored.progress).toBe(50);
+      expect(Date.now() - stored.lockedAt.getTime()).toBeLessThan(1000);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * 所有权转移测试
+ * 测试接受转移时按转移时间切分用量区间，以及转移失败时的回滚
+ */
+
+const CloudPC = require('../src/models/CloudPC');
+const User = require('../src/models/User');
+const Operation = require('../src/models/Operation');
+const OwnershipTransfer = require('../src/models/OwnershipTransfer');
+const PowerSchedule = require('../src/models/PowerSchedule');
+const UsageRecord = require('../src/models/UsageRecord');
+const ownershipTransferService = require('../src/services/ownershipTransferService');
+const quotaService = require('../src/services/quotaService');
+const { cloudPCWebSocketService } = require('../src/services/cloudpc-websocket');
+const { mockModel } = require('./helpers/memoryModel');
+
+jest.mock('../src/services/cacheService', () => ({
+  delete: jest.fn(),
+  invalidateCloudPCCache: jest.fn(),
+  invalidateUserCloudPCCache: jest.fn(),
+  invalidateStats: jest.fn()
+}));
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('所有权转移测试', () => {
+  const now = new Date('2026-10-18T08:00:00Z');
+  let cloudPCs;
+  let transfers;
+  let usageRecords;
+  let fromUser;
+  let toUser;
+  let cloudPC;
+  let transfer;
+
+  beforeEach(() => {
+    const users = mockModel(User);
+    cloudPCs = mockModel(CloudPC, { defaultFilter: { deletedAt: null } });
+    transfers = mockModel(OwnershipTransfer);
+    usageRecords = mockModel(UsageRecord);
+    mockModel(Operation);
+    mockModel(PowerSchedule);
+    jest.spyOn(quotaService, 'assertActive').mockResolvedValue();
+    jest.spyOn(quotaService, 'assertCanReceive').mockResolvedValue();
+    jest.spyOn(cloudPCWebSocketService, 'disconnectUser').mockImplementation(() => {});
+
+    fromUser = users.insert({ username: 'owner', email: 'owner@example.com' });
+    toUser = users.insert({ username: 'receiver', email: 'receiver@example.com' });
+    cloudPC = cloudPCs.insert({
+      user: fromUser._id,
+      name: '办公电脑',
+      os: 'Ubuntu 22.04',
+      cpu: 2,
+      memory: 4,
+      storage: 64,
+      location: 'beijing',
+      ip: '10.10.1.1',
+      status: 'running',
+      pricing: { hourly: 1 },
+      billing: { totalCost: 0 }
+    });
+    usageRecords.insert({
+      cloudPC: cloudPC._id,
+      user: fromUser._id,
+      name: cloudPC.name,
+      status: 'running',
+      startedAt: new Date(now.getTime() - 2 * HOUR_MS),
+      cpu: 2,
+      memory: 4,
+      storage: 64,
+      bandwidth: 0,
+      snapshotGB: 0,
+      hourly: 1,
+      snapshotHourly: 0,
+      open: true
+    });
+    transfer = transfers.insert({
+      cloudPC: cloudPC._id,
+      fromUser: fromUser._id,
+      toUser: toUser._id,
+      status: 'pending',
+      expiresAt: new Date(now.getTime() + 24 * HOUR_MS)
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('接受转移时应该在转移时间结束原所有者的用量区间，之后的区间归接收方', async () => {
+    const result = await ownershipTransferService.accept(transfer, now);
+
+    expect(String(result.cloudPC.user)).toBe(String(toUser._id));
+    expect(result.transfer).toMatchObject({ status: 'accepted', transferredAt: now });
+
+    const [previous, current] = usageRecords.docs({}).sort((a, b) => a.startedAt - b.startedAt);
+    expect(String(previous.user)).toBe(String(fromUser._id));
+    expect(previous).toMatchObject({ open: false, endedAt: now, closeReason: 'transfer' });
+    expect(previous.cost.compute).toBe(2);
+    expect(String(current.user)).toBe(String(toUser._id));
+    expect(current).toMatchObject({ open: true, startedAt: now });
+    expect(cloudPCs.get(cloudPC._id).billing.totalCost).toBe(previous.cost.total);
+  });
+
+  it('云电脑已不属于发起方时应该取消转移且不切分用量区间', async () => {
+    cloudPCs.store.get(String(cloudPC._id)).user = toUser._id;
+
+    await expect(ownershipTransferService.accept(transfer, now)).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(transfers.get(transfer._id).status).toBe('cancelled');
+    expect(usageRecords.docs({ open: true })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * 机房放置测试
+ */
+
+const regionConfig = require('../src/config/regions');
+const placementService = require('../src/services/placementService');
+
+const zone = (code, allocated, available = true) => ({
+  code,
+  available,
+  capacity: { cpu: 16, memory: 64, storage: 1000 },
+  allocated
+});
+
+describe('机房放置测试', () => {
+  const spec = { cpu: 4, memory: 8, storage: 100 };
+
+  describe('可用区容量', () => {
+    it('剩余容量足够时可以放置', () => {
+      expect(placementService.canHost(zone('beijing-a', { cpu: 12, memory: 56, storage: 900 }), spec)).toBe(true);
+    });
+
+    it('任一资源不足时不能放置', () => {
+      expect(placementService.canHost(zone('beijing-a', { cpu: 13, memory: 0, storage: 0 }), spec)).toBe(false);
+      expect(placementService.canHost(zone('beijing-a', { cpu: 0, memory: 0, storage: 901 }), spec)).toBe(false);
+    });
+
+    it('已关闭的可用区不能放置', () => {
+      expect(placementService.canHost(zone('beijing-a', { cpu: 0, memory: 0, storage: 0 }, false), spec)).toBe(false);
+    });
+  });
+
+  describe('选择可用区', () => {
+    it('优先选择放置后占用比例最低的可用区', () => {
+      const zones = [
+        zone('beijing-a', { cpu: 8, memory: 8, storage: 100 }),
+        zone('beijing-b', { cpu: 2, memory: 40, storage: 100 }),
+        zone('beijing-c', { cpu: 2, memory: 8, storage: 100 })
+      ];
+      expect(placementService.rankZones(zones, spec).map(item => item.code))
+        .toEqual(['beijing-c', 'beijing-a', 'beijing-b']);
+    });
+
+    it('排除容量不足和已关闭的可用区', () => {
+      const zones = [
+        zone('beijing-a', { cpu: 14, memory: 0, storage: 0 }),
+        zone('beijing-b', { cpu: 0, memory: 0, storage: 0 }, false)
+      ];
+      expect(placementService.rankZones(zones, spec)).toEqual([]);
+    });
+  });
+
+  describe('配置调整', () => {
+    it('按新旧配置计算资源增量', () => {
+      const cloudPC = { cpu: 4, memory: 8, storage: 100 };
+      expect(placementService.getDelta(cloudPC, { cpu: 2, memory: 4, storage: 200 }))
+        .toEqual({ cpu: -2, memory: -4, storage: 100 });
+    });
+  });
+
+  describe('价格系数', () => {
+    it('按机房价格系数计算小时单价', () => {
+      expect(regionConfig.applyMultiplier(1.0, 1.2)).toBe(1.2);
+      expect(regionConfig.applyMultiplier(0.5)).toBe(0.5);
+    });
+  });
+});
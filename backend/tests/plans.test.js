@@ -0,0 +1,90 @@
+/**
+ * 套餐与订阅测试
+ * 测试订阅周期计算、升降级判断和按剩余时间折算费用
+ */
+
+const planConfig = require('../src/config/plans');
+const Plan = require('../src/models/Plan');
+
+describe('订阅周期测试', () => {
+  it('按月订阅应该在下月同一日到期', () => {
+    const end = planConfig.getPeriodEnd(new Date('2026-10-15T08:00:00Z'), 'monthly');
+    expect(end).toEqual(new Date('2026-11-15T08:00:00Z'));
+  });
+
+  it('当月没有续费日时应该在月末到期，之后仍按续费日续费', () => {
+    const february = planConfig.getPeriodEnd(new Date('2026-01-31T08:00:00Z'), 'monthly');
+    expect(february).toEqual(new Date('2026-02-28T08:00:00Z'));
+    expect(planConfig.getPeriodEnd(february, 'monthly', 31)).toEqual(new Date('2026-03-31T08:00:00Z'));
+  });
+
+  it('按年订阅应该在次年同一日到期', () => {
+    expect(planConfig.getPeriodEnd(new Date('2028-02-29T00:00:00Z'), 'yearly')).toEqual(new Date('2029-02-28T00:00:00Z'));
+  });
+});
+
+describe('套餐变更测试', () => {
+  const basic = { code: 'basic', prices: { monthly: 99, yearly: 999 } };
+  const professional = { code: 'professional', prices: { monthly: 199, yearly: 1999 } };
+
+  it('应该按月价判断升级和降级', () => {
+    expect(planConfig.getChangeType(basic, professional)).toBe('upgrade');
+    expect(planConfig.getChangeType(professional, basic)).toBe('downgrade');
+    expect(planConfig.getChangeType(basic, basic)).toBe('cycle');
+  });
+
+  const current = {
+    price: 99,
+    start: new Date('2026-10-01T00:00:00Z'),
+    end: new Date('2026-10-31T00:00:00Z')
+  };
+  const halfway = new Date('2026-10-16T00:00:00Z');
+
+  it('周期不变时升级应该只补交剩余时间的差价', () => {
+    expect(planConfig.calculateProration(current, 199, true, halfway)).toEqual({
+      remaining: 0.5,
+      credit: 49.5,
+      charge: 99.5,
+      amount: 50
+    });
+  });
+
+  it('降级应该退还差价', () => {
+    const result = planConfig.calculateProration({ ...current, price: 199 }, 99, true, halfway);
+    expect(result.amount).toBe(-50);
+  });
+
+  it('切换周期时应该收取新周期的全额并抵扣剩余费用', () => {
+    expect(planConfig.calculateProration(current, 999, false, halfway)).toEqual({
+      remaining: 0.5,
+      credit: 49.5,
+      charge: 999,
+      amount: 949.5
+    });
+  });
+
+  it('周期结束后变更不应该退还费用', () => {
+    const result = planConfig.calculateProration(current, 199, true, new Date('2026-11-05T00:00:00Z'));
+    expect(result).toEqual({ remaining: 0, credit: 0, charge: 0, amount: 0 });
+  });
+});
+
+describe('套餐模型测试', () => {
+  it('应该计算年付优惠比例', () => {
+    const plan = new Plan({ code: 'basic', name: '基础版', prices: { monthly: 99, yearly: 999 } });
+    expect(plan.yearlyDiscount).toBe(16);
+  });
+
+  it('套餐代码格式不正确时应该验证失败', async () => {
+    const plan = new Plan({ code: '1-team', name: '团队版', prices: { monthly: 1, yearly: 10 } });
+    await expect(plan.validate()).rejects.toThrow('套餐代码只能包含小写字母');
+  });
+
+  it('内置套餐应该包含价格页展示的内容', () => {
+    Object.values(planConfig.plans).forEach(plan => {
+      expect(plan.prices.monthly).toBeGreaterThan(0);
+      expect(plan.prices.yearly).toBeLessThan(plan.prices.monthly * 12);
+      expect(plan.features.length).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * 电源计划测试
+ * 测试cron表达式、时区校验和跳过日期的本地日期计算，以及调度触发、跳过条件和多实例去重
+ */
+
+const mongoose = require('mongoose');
+const scheduleConfig = require('../src/config/schedules');
+const CloudPC = require('../src/models/CloudPC');
+const Operation = require('../src/models/Operation');
+const PowerSchedule = require('../src/models/PowerSchedule');
+const ScheduleExecution = require('../src/models/ScheduleExecution');
+const StateTransition = require('../src/models/StateTransition');
+const quotaService = require('../src/services/quotaService');
+const powerScheduler = require('../src/services/powerScheduler');
+const { mockModel } = require('./helpers/memoryModel');
+
+jest.mock('../src/services/cacheService', () => ({
+  invalidateCloudPCCache: jest.fn()
+}));
+
+describe('电源计划配置测试', () => {
+  it('应该只接受5段cron表达式', () => {
+    expect(scheduleConfig.isValidCron('50 8 * * 1-5')).toBe(true);
+    expect(scheduleConfig.isValidCron('0 19 * * 1-5')).toBe(true);
+    expect(scheduleConfig.isValidCron('0 50 8 * * 1-5')).toBe(false);
+    expect(scheduleConfig.isValidCron('61 8 * * *')).toBe(false);
+    expect(scheduleConfig.isValidCron('')).toBe(false);
+  });
+
+  it('应该校验IANA时区', () => {
+    expect(scheduleConfig.isValidTimezone('Asia/Shanghai')).toBe(true);
+    expect(scheduleConfig.isValidTimezone('America/New_York')).toBe(true);
+    expect(scheduleConfig.isValidTimezone('Mars/Olympus')).toBe(false);
+  });
+
+  it('应该按计划时区计算日期', () => {
+    // UTC 2026-09-30 17:00 在上海为 10月1日凌晨1点
+    const date = new Date(Date.UTC(2026, 8, 30, 17, 0, 0));
+    expect(scheduleConfig.getLocalDate(date, 'Asia/Shanghai')).toBe('2026-10-01');
+    expect(scheduleConfig.getLocalDate(date, 'UTC')).toBe('2026-09-30');
+  });
+});
+
+describe('电源计划调度测试', () => {
+  let cloudPCs;
+  let schedules;
+  let executions;
+  let cloudPC;
+  let schedule;
+
+  // 上海时间 2026-10-19 08:50（周一）
+  const dueAt = new Date('2026-10-19T00:50:00Z');
+
+  const createSchedule = (overrides = {}) => schedules.insert({
+    cloudPC: cloudPC._id,
+    user: cloudPC.user,
+    name: '工作日开机',
+    action: 'start',
+    cron: '50 8 * * 1-5',
+    timezone: 'Asia/Shanghai',
+    updatedAt: new Date('2026-10-01T00:00:00Z'),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    cloudPCs = mockModel(CloudPC, { defaultFilter: { deletedAt: null } });
+    schedules = mockModel(PowerSchedule);
+    executions = mockModel(ScheduleExecution);
+    mockModel(Operation);
+    mockModel(StateTransition);
+    jest.spyOn(quotaService, 'assertActive').mockResolvedValue();
+
+    cloudPC = cloudPCs.insert({
+      user: new mongoose.Types.ObjectId(),
+      name: '办公电脑',
+      os: 'Ubuntu 22.04',
+      cpu: 2,
+      memory: 4,
+      storage: 64,
+      location: 'beijing',
+      ip: '10.10.2.1',
+      port: 20001,
+      status: 'stopped'
+    });
+    schedule = createSchedule();
+  });
+
+  afterEach(() => {
+    powerScheduler.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('到达计划时间时应该按计划时区提交开机', async () => {
+    jest.useFakeTimers({ now: new Date(dueAt.getTime() - 2000), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    await powerScheduler.start();
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(executions.docs()).toHaveLength(0);
+
+    await jest.advanceTimersByTimeAsync(2000);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const [execution] = executions.docs();
+    expect(execution).toMatchObject({ action: 'start', status: 'submitted' });
+    expect(execution.scheduledAt).toEqual(dueAt);
+    expect(cloudPCs.get(cloudPC._id).status).toBe('starting');
+    expect(await Operation.countDocuments({ type: 'start', source: 'schedule' })).toBe(1);
+    expect(schedules.get(schedule._id)).toMatchObject({ lastRunAt: dueAt, lastStatus: 'submitted' });
+  });
+
+  it('同步时应该注销已停用的计划', async () => {
+    jest.useFakeTimers({ now: dueAt, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    await powerScheduler.start();
+    expect(powerScheduler.tasks.has(String(schedule._id))).toBe(true);
+
+    await PowerSchedule.updateOne({ _id: schedule._id }, { enabled: false });
+    await powerScheduler.sync();
+
+    expect(powerScheduler.tasks.size).toBe(0);
+  });
+
+  it('多个实例同时触发时只执行一次', async () => {
+    const results = await Promise.all([
+      powerScheduler.execute(schedule._id, dueAt),
+      powerScheduler.execute(schedule._id, new Date(dueAt.getTime() + 500))
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(executions.docs()).toHaveLength(1);
+    expect(await Operation.countDocuments({ type: 'start' })).toBe(1);
+  });
+
+  it('跳过日期当天不执行', async () => {
+    schedule = createSchedule({ name: '节假日', skipDates: ['2026-10-19'] });
+
+    const execution = await powerScheduler.execute(schedule._id, dueAt);
+
+    expect(execution).toMatchObject({ status: 'skipped', reason: '2026-10-19 在跳过日期中' });
+    expect(cloudPCs.get(cloudPC._id).status).toBe('stopped');
+  });
+
+  it('回收站中的云电脑应该跳过', async () => {
+    await CloudPC.updateOne({ _id: cloudPC._id }, { deletedAt: new Date() });
+
+    const execution = await powerScheduler.execute(schedule._id, dueAt);
+
+    expect(execution).toMatchObject({ status: 'skipped', reason: '云电脑不存在或已删除' });
+    expect(await Operation.countDocuments({})).toBe(0);
+  });
+
+  it('云电脑正在执行其他操作时应该跳过并保持原状态', async () => {
+    await CloudPC.updateOne({ _id: cloudPC._id }, { status: 'capturing' });
+
+    const execution = await powerScheduler.execute(schedule._id, dueAt);
+
+    expect(execution).toMatchObject({ status: 'skipped', reason: '云电脑当前状态为捕获镜像中，跳过开机' });
+    expect(cloudPCs.get(cloudPC._id).status).toBe('capturing');
+    expect(schedules.get(schedule._id).lastStatus).toBe('skipped');
+  });
+
+  it('云电脑正在调整配置时应该跳过', async () => {
+    await CloudPC.updateOne({ _id: cloudPC._id }, { pendingResize: { cpu: 4, memory: 8, requestedAt: new Date() } });
+
+    const execution = await powerScheduler.execute(schedule._id, dueAt);
+
+    expect(execution).toMatchObject({ status: 'skipped', reason: '云电脑正在调整配置，请稍后再试' });
+    expect(cloudPCs.get(cloudPC._id).status).toBe('stopped');
+  });
+
+  it('已停用的计划不执行并注销任务', async () => {
+    await PowerSchedule.updateOne({ _id: schedule._id }, { enabled: false });
+
+    expect(await powerScheduler.execute(schedule._id, dueAt)).toBeNull();
+    expect(executions.docs()).toHaveLength(0);
+  });
+});
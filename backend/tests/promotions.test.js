@@ -0,0 +1,128 @@
+/**
+ * 优惠券与赠送余额测试
+ * 测试兑换条件、账单优惠金额的计算和赠送余额的记账分录
+ */
+
+const promotionConfig = require('../src/config/promotions');
+const walletConfig = require('../src/config/wallet');
+const Coupon = require('../src/models/Coupon');
+const invoiceRenderer = require('../src/services/invoiceRenderer');
+
+describe('优惠码兑换条件测试', () => {
+  const now = new Date('2026-10-18T08:00:00Z');
+  const coupon = {
+    isActive: true,
+    startsAt: new Date('2026-10-01T00:00:00Z'),
+    expiresAt: new Date('2026-11-01T00:00:00Z'),
+    maxRedemptions: 100,
+    redemptionCount: 10,
+    maxRedemptionsPerUser: 1,
+    plans: []
+  };
+
+  it('优惠码应该不区分大小写', () => {
+    expect(promotionConfig.normalizeCode(' summer-2026 ')).toBe('SUMMER-2026');
+  });
+
+  it('有效期内且未达到次数上限时可以兑换', () => {
+    expect(promotionConfig.getRedeemError(coupon, { plan: 'basic', now })).toBeNull();
+  });
+
+  it('应该检查停用、有效期和兑换次数', () => {
+    expect(promotionConfig.getRedeemError({ ...coupon, isActive: false }, { now })).toBe('优惠码无效');
+    expect(promotionConfig.getRedeemError(coupon, { now: new Date('2026-09-30T00:00:00Z') })).toBe('优惠码尚未生效');
+    expect(promotionConfig.getRedeemError(coupon, { now: new Date('2026-11-01T00:00:00Z') })).toBe('优惠码已过期');
+    expect(promotionConfig.getRedeemError({ ...coupon, redemptionCount: 100 }, { now })).toBe('优惠码已被领完');
+    expect(promotionConfig.getRedeemError(coupon, { redeemed: 1, now })).toBe('已达到该优惠码的兑换次数上限');
+  });
+
+  it('限定套餐的优惠码只有对应套餐的用户可以兑换', () => {
+    const scoped = { ...coupon, plans: ['professional', 'enterprise'] };
+    expect(promotionConfig.getRedeemError(scoped, { plan: 'basic', now })).toBe('当前套餐不能使用该优惠码');
+    expect(promotionConfig.getRedeemError(scoped, { plan: 'enterprise', now })).toBeNull();
+  });
+});
+
+describe('账单优惠计算测试', () => {
+  const lineItems = [
+    { resource: 'compute', amount: 100 },
+    { resource: 'storage', amount: 20 },
+    { resource: 'snapshot', amount: 5 }
+  ];
+
+  it('折扣券应该按比例抵扣并受最高优惠金额限制', () => {
+    expect(promotionConfig.calculateDiscounts(lineItems, [{ type: 'percentage', value: 20 }])).toEqual([25]);
+    expect(promotionConfig.calculateDiscounts(lineItems, [{ type: 'percentage', value: 20, maxDiscount: 10 }])).toEqual([10]);
+  });
+
+  it('限定资源的优惠券只抵扣对应的明细', () => {
+    expect(promotionConfig.calculateDiscounts(lineItems, [
+      { type: 'percentage', value: 50, resources: ['storage', 'snapshot'] }
+    ])).toEqual([12.5]);
+    expect(promotionConfig.calculateDiscounts(lineItems, [
+      { type: 'fixed', value: 30, resources: ['storage'] }
+    ])).toEqual([20]);
+  });
+
+  it('多张优惠券应该按兑换顺序抵扣剩余金额', () => {
+    expect(promotionConfig.calculateDiscounts(lineItems, [
+      { type: 'fixed', value: 50, resources: ['compute'] },
+      { type: 'percentage', value: 10 }
+    ])).toEqual([50, 7.5]);
+  });
+
+  it('没有可抵扣的明细时优惠金额为零', () => {
+    expect(promotionConfig.calculateDiscounts([], [{ type: 'fixed', value: 10 }])).toEqual([0]);
+    expect(promotionConfig.calculateDiscounts(lineItems, [
+      { type: 'fixed', value: 10, resources: ['bandwidth'] }
+    ])).toEqual([0]);
+  });
+});
+
+describe('优惠券模型测试', () => {
+  it('折扣比例不能超过100%', async () => {
+    const coupon = new Coupon({ code: 'half-off', name: '半价', type: 'percentage', value: 120 });
+    expect(coupon.code).toBe('HALF-OFF');
+    await expect(coupon.validate()).rejects.toThrow('折扣比例不能超过100%');
+  });
+
+  it('结束时间必须晚于开始时间', async () => {
+    const coupon = new Coupon({
+      code: 'WELCOME',
+      name: '新人立减',
+      type: 'fixed',
+      value: 10,
+      startsAt: new Date('2026-11-01T00:00:00Z'),
+      expiresAt: new Date('2026-10-01T00:00:00Z')
+    });
+    await expect(coupon.validate()).rejects.toThrow('结束时间必须晚于开始时间');
+  });
+});
+
+describe('赠送余额测试', () => {
+  it('赠送应该增加余额并记入促销赠送', () => {
+    const entries = walletConfig.buildEntries('credit', 20);
+    expect(entries).toEqual([
+      { account: 'wallet', amount: 20 },
+      { account: 'promotion', amount: -20 }
+    ]);
+    expect(walletConfig.isBalanced(entries)).toBe(true);
+  });
+
+  it('账单导出应该列出优惠', () => {
+    const csv = invoiceRenderer.renderCsv({
+      number: 'INV-202610-ABCD1234',
+      period: '2026-10',
+      currency: 'CNY',
+      lineItems: [{ cloudPCName: '办公电脑', resource: 'compute', quantity: 100, unit: '小时', amount: 100 }],
+      subtotal: 100,
+      discounts: [{ code: 'SUMMER-2026', description: '优惠码 SUMMER-2026（20%折扣）', amount: 20 }],
+      discount: 20,
+      taxRate: 0.06,
+      tax: 4.8,
+      total: 84.8
+    });
+    expect(csv).toContain('优惠码 SUMMER-2026（20%折扣）,-20.00');
+    expect(csv).toContain('合计,84.80');
+  });
+});
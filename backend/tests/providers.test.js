@@ -0,0 +1,162 @@
+/**
+ * 云电脑驱动测试
+ * 测试模拟驱动和本地Docker驱动对驱动接口的实现，以及不支持的操作
+ */
+
+const mongoose = require('mongoose');
+const BaseProvider = require('../src/services/providers/BaseProvider');
+const SimulatorProvider = require('../src/services/providers/SimulatorProvider');
+const LocalDockerProvider = require('../src/services/providers/LocalDockerProvider');
+const providerRegistry = require('../src/services/providers');
+const providerConfig = require('../src/config/providers');
+
+const buildCloudPC = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  name: '测试电脑',
+  os: 'Ubuntu 22.04',
+  cpu: 2,
+  memory: 4,
+  storage: 64,
+  port: 3390,
+  location: 'beijing',
+  status: 'stopped',
+  provider: {},
+  ...overrides
+});
+
+describe('模拟驱动测试', () => {
+  const provider = new SimulatorProvider({});
+
+  it('应该按驱动接口完成实例生命周期', async () => {
+    const cloudPC = buildCloudPC();
+    const { instanceId } = await provider.create(cloudPC, { host: { name: 'host-01' } });
+    expect(instanceId).toMatch(/^sim-/);
+    cloudPC.provider = { driver: 'simulator', instanceId };
+
+    expect(await provider.start(cloudPC)).toEqual({ status: 'running' });
+    expect((await provider.describe(cloudPC)).status).toBe('running');
+    expect(await provider.stop(cloudPC)).toEqual({ status: 'stopped' });
+
+    expect(await provider.resize(cloudPC, { cpu: 4, memory: 8, storage: 128 })).toEqual({ cpu: 4, memory: 8, storage: 128 });
+    const snapshot = await provider.snapshot(cloudPC);
+    expect(snapshot.snapshotId).toMatch(/^simsnap-/);
+    expect(snapshot.size).toBeGreaterThanOrEqual(1024);
+
+    expect(await provider.migrate(cloudPC, { name: 'host-02' })).toEqual({ instanceId });
+    expect(provider.instances.get(instanceId).host).toBe('host-02');
+
+    expect(await provider.destroy(cloudPC)).toEqual({ destroyed: true });
+    expect(provider.instances.has(instanceId)).toBe(false);
+  });
+
+  it('未登记的存量实例应该按数据库记录恢复状态', async () => {
+    const cloudPC = buildCloudPC({ status: 'running' });
+    const description = await provider.describe(cloudPC);
+    expect(description).toMatchObject({ instanceId: String(cloudPC._id), status: 'running', exists: true, cpu: 2 });
+  });
+
+  it('应该支持迁移', () => {
+    expect(provider.supports('migrate')).toBe(true);
+  });
+});
+
+describe('本地Docker驱动测试', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new LocalDockerProvider(providerConfig.docker);
+    jest.spyOn(provider, 'run').mockResolvedValue('');
+  });
+
+  it('创建容器时应该传入规格、端口和镜像', async () => {
+    const cloudPC = buildCloudPC();
+    provider.run
+      .mockRejectedValueOnce(new Error('Error: No such object: cloudpc-test'))
+      .mockResolvedValueOnce('abc123');
+
+    expect(await provider.create(cloudPC)).toEqual({ instanceId: 'abc123' });
+    expect(provider.run.mock.calls[0][0]).toEqual(['inspect', '--type', 'container', '--format', '{{.Id}}', provider.containerName(cloudPC)]);
+    const args = provider.run.mock.calls[1][0];
+    expect(args[0]).toBe('create');
+    expect(args).toEqual(expect.arrayContaining(['--cpus', '2', '--memory', '4g', '--publish', '3390:3389']));
+    expect(args[args.length - 1]).toBe('ubuntu:22.04');
+  });
+
+  it('重试创建时应该删除上次留下的同名容器后重建', async () => {
+    const cloudPC = buildCloudPC();
+    provider.run
+      .mockResolvedValueOnce('stale123')
+      .mockResolvedValueOnce('')
+      .mockResolvedValueOnce('abc123');
+
+    expect(await provider.create(cloudPC)).toEqual({ instanceId: 'abc123' });
+    expect(provider.run.mock.calls[1][0]).toEqual(['rm', '--force', '--volumes', 'stale123']);
+    expect(provider.run.mock.calls[2][0]).toEqual(expect.arrayContaining(['create', '--name', provider.containerName(cloudPC)]));
+  });
+
+  it('查找同名容器失败时不应该继续创建', async () => {
+    provider.run.mockRejectedValueOnce(new Error('Cannot connect to the Docker daemon'));
+
+    await expect(provider.create(buildCloudPC())).rejects.toThrow('Cannot connect to the Docker daemon');
+    expect(provider.run).toHaveBeenCalledTimes(1);
+  });
+
+  it('电源和调整规格操作应该发往已记录的容器', async () => {
+    const cloudPC = buildCloudPC({ provider: { driver: 'docker', instanceId: 'abc123' } });
+
+    await provider.start(cloudPC);
+    await provider.stop(cloudPC);
+    await provider.resize(cloudPC, { cpu: 4, memory: 8, storage: 64 });
+
+    expect(provider.run.mock.calls.map(call => call[0])).toEqual([
+      ['start', 'abc123'],
+      ['stop', '--time', '30', 'abc123'],
+      ['update', '--cpus', '4', '--memory', '8g', '--memory-swap', '8g', 'abc123']
+    ]);
+  });
+
+  it('应该把容器状态映射为云电脑状态', async () => {
+    const cloudPC = buildCloudPC({ provider: { driver: 'docker', instanceId: 'abc123' } });
+    provider.run.mockResolvedValueOnce(JSON.stringify({ Status: 'exited', ExitCode: 0 }));
+
+    expect(await provider.describe(cloudPC)).toMatchObject({ instanceId: 'abc123', status: 'stopped', exists: true });
+  });
+
+  it('容器不存在时应该返回不存在而不是报错', async () => {
+    provider.run.mockRejectedValueOnce(new Error('Error: No such object: abc123'));
+
+    expect(await provider.describe(buildCloudPC())).toEqual({ instanceId: null, status: 'unknown', exists: false });
+  });
+
+  it('不支持迁移，调用时应该返回不可重试的501错误', async () => {
+    expect(provider.supports('migrate')).toBe(false);
+    expect(provider.supports('snapshot')).toBe(true);
+
+    const error = await provider.migrate(buildCloudPC(), { name: 'host-02' }).catch(err => err);
+    expect(error.statusCode).toBe(501);
+    expect(error.retryable).toBe(false);
+    expect(provider.run).not.toHaveBeenCalled();
+  });
+});
+
+describe('驱动注册表测试', () => {
+  it('未实现的操作都应该返回不可重试的错误', async () => {
+    const provider = new BaseProvider('empty');
+    for (const operation of ['create', 'start', 'describe']) {
+      expect(provider.supports(operation)).toBe(false);
+      await expect(provider[operation](buildCloudPC())).rejects.toMatchObject({ statusCode: 501, retryable: false });
+    }
+  });
+
+  it('已创建的云电脑应该始终使用记录的驱动', () => {
+    const cloudPC = buildCloudPC({ provider: { driver: 'docker', instanceId: 'abc123' } });
+    expect(providerRegistry.getProviderFor(cloudPC).name).toBe('docker');
+    expect(providerRegistry.getProviderFor(buildCloudPC({ provider: {} })).name).toBe(providerConfig.getDriverName('beijing'));
+  });
+
+  it('注册的驱动必须继承 BaseProvider', () => {
+    providerRegistry.register('invalid', () => ({}));
+    expect(() => providerRegistry.getDriver('invalid')).toThrow('驱动 invalid 必须继承 BaseProvider');
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * 资源配额测试
+ * 测试套餐配额与管理员调整的合并、超出配额的判断，以及并发请求下的配额锁
+ */
+
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const quotaService = require('../src/services/quotaService');
+const { mockModel } = require('./helpers/memoryModel');
+
+const usage = {
+  instances: 1,
+  cpu: 2,
+  memory: 4,
+  storage: 50,
+  snapshots: 4,
+  snapshotSizeGB: 20
+};
+
+describe('资源配额测试', () => {
+  describe('resolveLimits', () => {
+    it('应该返回套餐配额', () => {
+      const limits = quotaService.resolveLimits('basic');
+      expect(limits).toEqual(quotaService.config.plans.basic.quotas);
+    });
+
+    it('管理员调整的配额应该覆盖套餐配额，null 沿用套餐配额', () => {
+      const limits = quotaService.resolveLimits('basic', { instances: 10, storage: null });
+      expect(limits.instances).toBe(10);
+      expect(limits.storage).toBe(quotaService.config.plans.basic.quotas.storage);
+    });
+
+    it('未知套餐应该使用默认套餐', () => {
+      const limits = quotaService.resolveLimits('unknown');
+      expect(limits).toEqual(quotaService.config.plans[quotaService.config.defaultPlan].quotas);
+    });
+  });
+
+  describe('findExceeded', () => {
+    const limits = quotaService.resolveLimits('basic');
+
+    it('未超出配额时应该返回null', () => {
+      expect(quotaService.findExceeded(limits, usage, { instances: 1, cpu: 2, memory: 4, storage: 50 })).toBeNull();
+    });
+
+    it('应该返回超出的配额项', () => {
+      expect(quotaService.findExceeded(limits, usage, { instances: 1, cpu: 4, memory: 4, storage: 50 })).toBe('cpu');
+    });
+
+    it('请求量为0的配额项在用量达到上限时视为超出', () => {
+      const full = { ...usage, snapshotSizeGB: limits.snapshotSizeGB };
+      expect(quotaService.findExceeded(limits, usage, { snapshots: 1, snapshotSizeGB: 0 })).toBeNull();
+      expect(quotaService.findExceeded(limits, full, { snapshots: 1, snapshotSizeGB: 0 })).toBe('snapshotSizeGB');
+    });
+
+    it('不限制的配额项不应该超出', () => {
+      const unlimited = quotaService.resolveLimits('enterprise');
+      expect(quotaService.findExceeded(unlimited, { ...usage, instances: 1000 }, { instances: 1 })).toBeNull();
+    });
+  });
+
+  describe('assertCanReceive', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('应该把云电脑配置和手动快照计入接收方配额', async () => {
+      const assertAvailable = jest.spyOn(quotaService, 'assertAvailable').mockResolvedValue(usage);
+      await quotaService.assertCanReceive('user-1', {
+        cpu: 2,
+        memory: 4,
+        storage: 50,
+        snapshots: [
+          { isActive: true, status: 'available', kind: 'manual', size: 1024 },
+          { isActive: true, status: 'available', kind: 'backup', size: 2048 },
+          { isActive: true, status: 'failed', kind: 'manual', size: 0 }
+        ]
+      });
+
+      expect(assertAvailable).toHaveBeenCalledWith('user-1', {
+        instances: 1,
+        cpu: 2,
+        memory: 4,
+        storage: 50,
+        snapshots: 1,
+        snapshotSizeGB: 1
+      });
+    });
+
+    it('没有手动快照时不应该校验快照配额', async () => {
+      const assertAvailable = jest.spyOn(quotaService, 'assertAvailable').mockResolvedValue(usage);
+      await quotaService.assertCanReceive('user-1', { cpu: 2, memory: 4, storage: 50, snapshots: [] });
+
+      expect(assertAvailable.mock.calls[0][1]).not.toHaveProperty('snapshots');
+    });
+  });
+
+  describe('配额锁', () => {
+    let users;
+    let user;
+    let instances;
+
+    // 配额内只能再开通一台：校验后经过一次异步等待再保存，模拟开通过程
+    const provision = () => quotaService.withLock(user._id, async () => {
+      await quotaService.assertAvailable(user._id, { instances: 1 });
+      await new Promise(resolve => setImmediate(resolve));
+      instances++;
+    });
+
+    beforeEach(() => {
+      users = mockModel(User);
+      user = users.insert({ username: 'quotauser', email: 'quota@example.com' });
+      instances = 0;
+      jest.spyOn(quotaService, 'getLimits').mockResolvedValue({ limits: { instances: 1 } });
+      jest.spyOn(quotaService, 'getUsage').mockImplementation(async () => ({ instances }));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('并发请求只有一个能通过配额校验', async () => {
+      const results = await Promise.allSettled([provision(), provision(), provision()]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+      results.filter(result => result.status === 'rejected')
+        .forEach(result => expect(result.reason.statusCode).toBe(403));
+      expect(instances).toBe(1);
+      expect(users.get(user._id).quotaLock).toBeUndefined();
+    });
+
+    it('执行失败时应该释放锁', async () => {
+      await expect(quotaService.withLock(user._id, async () => {
+        throw new Error('地址分配失败');
+      })).rejects.toThrow('地址分配失败');
+
+      expect(users.get(user._id).quotaLock).toBeUndefined();
+      await provision();
+      expect(instances).toBe(1);
+    });
+
+    it('过期的锁可以被其他请求接管', async () => {
+      await User.updateOne({ _id: user._id }, {
+        quotaLock: { token: 'crashed', expiresAt: new Date(Date.now() - 1000) }
+      });
+
+      await provision();
+
+      expect(instances).toBe(1);
+      expect(users.get(user._id).quotaLock).toBeUndefined();
+    });
+
+    it('用户不存在时应该返回404', async () => {
+      await expect(quotaService.withLock(new mongoose.Types.ObjectId(), jest.fn()))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * 回收站测试
+ * 测试保留期计算、移入回收站、恢复和到期彻底删除
+ */
+
+const CloudPC = require('../src/models/CloudPC');
+const User = require('../src/models/User');
+const Operation = require('../src/models/Operation');
+const UsageRecord = require('../src/models/UsageRecord');
+const AddressAllocation = require('../src/models/AddressAllocation');
+const PowerSchedule = require('../src/models/PowerSchedule');
+const recycleBinConfig = require('../src/config/recycleBin');
+const recycleBinService = require('../src/services/recycleBinService');
+const quotaService = require('../src/services/quotaService');
+const meteringService = require('../src/services/meteringService');
+const providerRegistry = require('../src/services/providers');
+const { mockModel } = require('./helpers/memoryModel');
+
+jest.mock('../src/services/cacheService', () => ({
+  delete: jest.fn(),
+  invalidateCloudPCCache: jest.fn(),
+  invalidateStats: jest.fn()
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('回收站配置测试', () => {
+  it('应该按保留天数计算彻底删除时间', () => {
+    const deletedAt = new Date(2026, 0, 1, 10, 0, 0);
+    const purgeAt = recycleBinConfig.getPurgeAt(deletedAt);
+    expect(purgeAt.getTime() - deletedAt.getTime()).toBe(recycleBinConfig.retentionDays * DAY_MS);
+  });
+
+  it('默认保留7天', () => {
+    expect(recycleBinConfig.retentionDays).toBe(7);
+  });
+});
+
+describe('回收站测试', () => {
+  const now = new Date('2026-10-18T08:00:00Z');
+  let cloudPCs;
+  let allocations;
+  let owner;
+  let cloudPC;
+
+  const createCloudPC = (overrides = {}) => cloudPCs.insert({
+    user: owner._id,
+    name: '办公电脑',
+    os: 'Ubuntu 22.04',
+    cpu: 2,
+    memory: 4,
+    storage: 64,
+    location: 'beijing',
+    ip: `10.10.1.${cloudPCs.store.size + 1}`,
+    port: 20000 + cloudPCs.store.size,
+    status: 'stopped',
+    provider: { driver: 'simulator', instanceId: `sim-${cloudPCs.store.size}` },
+    ...overrides
+  });
+
+  // 回收站中的云电脑需要显式指定 deletedAt 才能查到
+  const findInRecycleBin = (id) => CloudPC.findOne({ _id: id, deletedAt: { $ne: null } });
+
+  beforeEach(() => {
+    cloudPCs = mockModel(CloudPC);
+    allocations = mockModel(AddressAllocation);
+    mockModel(Operation);
+    mockModel(UsageRecord);
+    mockModel(PowerSchedule);
+    owner = mockModel(User).insert({ username: 'owner', email: 'owner@example.com' });
+    jest.spyOn(meteringService, 'close').mockResolvedValue(null);
+    jest.spyOn(meteringService, 'open').mockResolvedValue(null);
+
+    cloudPC = createCloudPC();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('移入回收站后应该记录删除时间和到期时间并停止计量', async () => {
+    const deleted = await recycleBinService.moveToRecycleBin(cloudPC, now);
+
+    expect(deleted.deletedAt).toEqual(now);
+    expect(deleted.purgeAt).toEqual(recycleBinConfig.getPurgeAt(now));
+    expect(meteringService.close).toHaveBeenCalledWith(cloudPC._id, { at: now, reason: 'delete' });
+  });
+
+  it('运行中的云电脑不能移入回收站', async () => {
+    const running = createCloudPC({ status: 'running' });
+
+    await expect(recycleBinService.moveToRecycleBin(running, now)).rejects.toMatchObject({ statusCode: 400 });
+    expect(cloudPCs.get(running._id).deletedAt).toBeFalsy();
+  });
+
+  it('恢复后应该清除删除标记并重新开始计量', async () => {
+    jest.spyOn(quotaService, 'assertCanProvision').mockResolvedValue();
+    await recycleBinService.moveToRecycleBin(cloudPC, now);
+
+    const restored = await recycleBinService.restore(await findInRecycleBin(cloudPC._id));
+
+    expect(restored.deletedAt).toBeNull();
+    expect(cloudPCs.get(cloudPC._id).purgeAt).toBeUndefined();
+    expect(meteringService.open).toHaveBeenCalledWith(cloudPC._id);
+    await expect(recycleBinService.restore(restored)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('配额不足时不能恢复', async () => {
+    jest.spyOn(quotaService, 'assertCanProvision').mockRejectedValue(Object.assign(new Error('云电脑数量已达上限'), { statusCode: 403 }));
+    await recycleBinService.moveToRecycleBin(cloudPC, now);
+
+    await expect(recycleBinService.restore(await findInRecycleBin(cloudPC._id))).rejects.toMatchObject({ statusCode: 403 });
+    expect(cloudPCs.get(cloudPC._id).deletedAt).toEqual(now);
+  });
+
+  it('到期清理应该只彻底删除保留期已到的云电脑并释放地址', async () => {
+    const recent = createCloudPC();
+    allocations.insert({ location: 'beijing', kind: 'ip', value: cloudPC.ip, cloudPC: cloudPC._id });
+    allocations.insert({ location: 'beijing', kind: 'port', value: String(cloudPC.port), cloudPC: cloudPC._id });
+    const destroy = jest.spyOn(providerRegistry.getDriver('simulator'), 'destroy');
+
+    const retentionMs = recycleBinConfig.getPurgeAt(now) - now;
+    await recycleBinService.moveToRecycleBin(cloudPC, new Date(now.getTime() - retentionMs - 1000));
+    await recycleBinService.moveToRecycleBin(recent, new Date(now.getTime() - 1000));
+
+    expect(await recycleBinService.run(now)).toBe(1);
+
+    expect(cloudPCs.get(cloudPC._id)).toBeNull();
+    expect(cloudPCs.get(recent._id).deletedAt).toBeInstanceOf(Date);
+    expect(allocations.docs({ cloudPC: cloudPC._id })).toHaveLength(0);
+    expect(destroy).toHaveBeenCalledTimes(1);
+  });
+
+  it('彻底删除失败时应该保留记录并推后清理时间', async () => {
+    jest.spyOn(providerRegistry.getDriver('simulator'), 'destroy').mockRejectedValue(new Error('驱动不可用'));
+    const retentionMs = recycleBinConfig.getPurgeAt(now) - now;
+    await recycleBinService.moveToRecycleBin(cloudPC, new Date(now.getTime() - retentionMs - 1000));
+
+    expect(await recycleBinService.run(now)).toBe(0);
+
+    const stored = cloudPCs.get(cloudPC._id);
+    expect(stored.deletedAt).toBeInstanceOf(Date);
+    expect(stored.purgeAt).toEqual(new Date(now.getTime() + recycleBinConfig.retryDelay));
+  });
+});
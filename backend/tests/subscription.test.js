@@ -0,0 +1,103 @@
+/**
+ * 订阅扣费测试
+ * 测试订阅和续费后记账失败时由续费检查补记余额流水
+ */
+
+const mongoose = require('mongoose');
+const Subscription = require('../src/models/Subscription');
+const User = require('../src/models/User');
+const Wallet = require('../src/models/Wallet');
+const LedgerTransaction = require('../src/models/LedgerTransaction');
+const subscriptionService = require('../src/services/subscriptionService');
+const planService = require('../src/services/planService');
+const walletService = require('../src/services/walletService');
+const { mockModel } = require('./helpers/memoryModel');
+
+jest.mock('../src/services/cacheService', () => ({
+  delete: jest.fn(),
+  invalidateCloudPCCache: jest.fn(),
+  invalidateStats: jest.fn()
+}));
+
+describe('订阅扣费测试', () => {
+  const now = new Date('2026-10-18T08:00:00Z');
+  const plan = { code: 'professional', name: '专业版', prices: { monthly: 50, yearly: 500 } };
+  let subscriptions;
+  let transactions;
+  let wallets;
+  let user;
+
+  const balance = () => wallets.docs({ user: user._id })[0].balance;
+
+  beforeEach(() => {
+    const users = mockModel(User);
+    subscriptions = mockModel(Subscription);
+    transactions = mockModel(LedgerTransaction);
+    wallets = mockModel(Wallet);
+    jest.spyOn(planService, 'getPlan').mockResolvedValue(plan);
+    jest.spyOn(walletService, 'assertBalance').mockResolvedValue();
+    jest.spyOn(walletService, 'checkBalance').mockResolvedValue();
+
+    user = users.insert({ username: 'subscriber', email: 'subscriber@example.com', plan: 'basic' });
+    wallets.insert({ user: user._id, balance: 100 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('订阅时记账失败应该由续费检查补扣，且只扣一次', async () => {
+    jest.spyOn(walletService, 'post').mockRejectedValueOnce(new Error('数据库连接中断'));
+
+    await expect(subscriptionService.subscribe(user._id, { plan: 'professional', cycle: 'monthly' }, {}, now))
+      .rejects.toThrow('数据库连接中断');
+
+    const [subscription] = subscriptions.docs({ user: user._id });
+    expect(subscription.history[0].transaction).toBeUndefined();
+    expect(balance()).toBe(100);
+
+    const result = await subscriptionService.run(now);
+    await subscriptionService.run(now);
+
+    expect(result.recovered).toBe(1);
+    expect(transactions.docs({})).toHaveLength(1);
+    expect(balance()).toBe(50);
+    expect(String(subscriptions.get(subscription._id).history[0].transaction)).toBe(String(transactions.docs({})[0]._id));
+  });
+
+  it('续费时记账失败应该由下一轮续费检查补扣', async () => {
+    const periodEnd = new Date('2026-10-18T00:00:00Z');
+    const subscription = subscriptions.insert({
+      user: user._id,
+      plan: 'professional',
+      cycle: 'monthly',
+      price: 50,
+      currentPeriodStart: new Date('2026-09-18T00:00:00Z'),
+      currentPeriodEnd: periodEnd,
+      anchorDay: 18,
+      history: [{ type: 'subscribe', plan: 'professional', cycle: 'monthly', price: 50, amount: 50, transaction: new mongoose.Types.ObjectId() }]
+    });
+    jest.spyOn(walletService, 'post').mockRejectedValueOnce(new Error('数据库连接中断'));
+
+    const first = await subscriptionService.run(now);
+    expect(first).toMatchObject({ recovered: 0, renewed: 0 });
+    expect(subscriptions.get(subscription._id).currentPeriodStart).toEqual(periodEnd);
+    expect(balance()).toBe(100);
+
+    const second = await subscriptionService.run(now);
+    expect(second).toMatchObject({ recovered: 1, renewed: 0 });
+    expect(balance()).toBe(50);
+    expect(subscriptions.get(subscription._id).history[1]).toMatchObject({ type: 'renew', amount: 50 });
+    expect(subscriptions.get(subscription._id).history[1].transaction).toBeDefined();
+  });
+
+  it('补记与原请求同时记账时应该只记一笔流水', async () => {
+    const subscription = await subscriptionService.subscribe(user._id, { plan: 'professional', cycle: 'monthly' }, {}, now);
+    const [entry] = subscription.history;
+
+    await subscriptionService.settle(subscription, entry, entry.amount, '重复记账');
+
+    expect(transactions.docs({})).toHaveLength(1);
+    expect(balance()).toBe(50);
+  });
+});
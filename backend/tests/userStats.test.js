@@ -0,0 +1,90 @@
+/**
+ * 用户云电脑统计接口测试
+ * 测试用户ID校验、权限检查和不存在的用户
+ */
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const CloudPC = require('../src/models/CloudPC');
+const meteringService = require('../src/services/meteringService');
+const { mockModel } = require('./helpers/memoryModel');
+
+jest.mock('../src/services/cacheService', () => ({
+  delete: jest.fn(),
+  invalidateCloudPCCache: jest.fn(),
+  invalidateStats: jest.fn()
+}));
+
+let mockCurrentUser;
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = mockCurrentUser;
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+
+describe('用户云电脑统计接口测试', () => {
+  let app;
+  let users;
+  let user;
+
+  beforeAll(() => {
+    app = express();
+    app.use('/api/users', require('../src/routes/users'));
+  });
+
+  beforeEach(() => {
+    users = mockModel(User);
+    mockModel(CloudPC);
+    jest.spyOn(CloudPC, 'aggregate').mockResolvedValue([{ _id: 'running', count: 1 }]);
+    jest.spyOn(meteringService, 'summarize').mockResolvedValue({
+      cost: { total: 12.5 },
+      quantities: { computeHours: 25 }
+    });
+
+    user = users.insert({ username: 'statsuser', email: 'stats@example.com', role: 'user' });
+    mockCurrentUser = { id: String(user._id), role: 'user' };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('应该返回本人的云电脑统计', async () => {
+    const response = await request(app).get(`/api/users/${user._id}/cloudpc-stats`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.stats).toMatchObject({
+      status: { running: 1 },
+      billing: { totalCost: 12.5, totalHours: 25 }
+    });
+  });
+
+  it('无效的用户ID应该返回400', async () => {
+    mockCurrentUser = { id: String(user._id), role: 'admin' };
+
+    const response = await request(app).get('/api/users/not-an-id/cloudpc-stats');
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ success: false, error: '无效的用户ID' });
+  });
+
+  it('不存在的用户应该返回404', async () => {
+    mockCurrentUser = { id: String(user._id), role: 'admin' };
+
+    const response = await request(app).get(`/api/users/${new mongoose.Types.ObjectId()}/cloudpc-stats`);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('用户未找到');
+  });
+
+  it('普通用户不能查看其他用户的统计', async () => {
+    const response = await request(app).get(`/api/users/${new mongoose.Types.ObjectId()}/cloudpc-stats`);
+
+    expect(response.status).toBe(403);
+  });
+});
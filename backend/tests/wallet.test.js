@@ -0,0 +1,185 @@
+/**
+ * 余额流水记账测试
+ * 测试流水分录、余额状态和用量扣费的幂等
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const walletConfig = require('../src/config/wallet');
+const LedgerTransaction = require('../src/models/LedgerTransaction');
+const UsageRecord = require('../src/models/UsageRecord');
+const Wallet = require('../src/models/Wallet');
+const walletService = require('../src/services/walletService');
+const { mockModel } = require('./helpers/memoryModel');
+
+jest.mock('../src/services/cacheService', () => ({
+  delete: jest.fn(),
+  invalidateCloudPCCache: jest.fn(),
+  invalidateStats: jest.fn()
+}));
+
+describe('余额流水分录测试', () => {
+  it('充值应该增加余额并记入充值收款', () => {
+    expect(walletConfig.buildEntries('topup', 100)).toEqual([
+      { account: 'wallet', amount: 100 },
+      { account: 'cash', amount: -100 }
+    ]);
+  });
+
+  it('扣费应该减少余额并记入收入', () => {
+    const entries = walletConfig.buildEntries('charge', 1.23456);
+    expect(entries).toEqual([
+      { account: 'wallet', amount: -1.2346 },
+      { account: 'revenue', amount: 1.2346 }
+    ]);
+    expect(walletConfig.isBalanced(entries)).toBe(true);
+    expect(walletConfig.getWalletDelta(entries)).toBe(-1.2346);
+  });
+
+  it('调整可以为负数，其余类型只能为正数', () => {
+    expect(walletConfig.getWalletDelta(walletConfig.buildEntries('adjustment', -20))).toBe(-20);
+    expect(() => walletConfig.buildEntries('refund', -20)).toThrow('金额无效');
+    expect(() => walletConfig.buildEntries('topup', 0)).toThrow('金额无效');
+    expect(() => walletConfig.buildEntries('withdraw', 10)).toThrow('不支持的流水类型');
+  });
+
+  it('应该识别不平衡或无效的分录', () => {
+    expect(walletConfig.isBalanced([{ account: 'wallet', amount: 10 }])).toBe(false);
+    expect(walletConfig.isBalanced([
+      { account: 'wallet', amount: 10 },
+      { account: 'cash', amount: -9.99 }
+    ])).toBe(false);
+    expect(walletConfig.isBalanced([
+      { account: 'wallet', amount: 10 },
+      { account: 'bank', amount: -10 }
+    ])).toBe(false);
+    expect(walletConfig.isBalanced([
+      { account: 'wallet', amount: 0.1 },
+      { account: 'wallet', amount: 0.2 },
+      { account: 'cash', amount: -0.3 }
+    ])).toBe(true);
+  });
+
+  it('应该按余额和阈值判断余额状态', () => {
+    expect(walletConfig.getBalanceState(-0.01, 10)).toBe('negative');
+    expect(walletConfig.getBalanceState(5, 10)).toBe('low');
+    expect(walletConfig.getBalanceState(10, 10)).toBe('ok');
+    expect(walletConfig.getBalanceState(0, 0)).toBe('ok');
+    expect(walletConfig.getBalanceState(walletConfig.lowBalanceThreshold - 1, null)).toBe('low');
+  });
+});
+
+describe('余额流水模型测试', () => {
+  const user = new mongoose.Types.ObjectId();
+
+  it('借贷平衡的流水应该通过验证', async () => {
+    const transaction = new LedgerTransaction({
+      user,
+      type: 'topup',
+      amount: 50,
+      entries: walletConfig.buildEntries('topup', 50)
+    });
+    await expect(transaction.validate()).resolves.toBeUndefined();
+  });
+
+  it('借贷不平衡的流水应该被拒绝', async () => {
+    const transaction = new LedgerTransaction({
+      user,
+      type: 'topup',
+      amount: 50,
+      entries: [{ account: 'wallet', amount: 50 }, { account: 'cash', amount: -40 }]
+    });
+    await expect(transaction.validate()).rejects.toThrow('流水分录借贷不平衡');
+  });
+
+  it('余额变动额与分录不一致的流水应该被拒绝', async () => {
+    const transaction = new LedgerTransaction({
+      user,
+      type: 'charge',
+      amount: 5,
+      entries: walletConfig.buildEntries('charge', 5)
+    });
+    await expect(transaction.validate()).rejects.toThrow('流水金额与余额分录不一致');
+  });
+});
+
+describe('用量扣费测试', () => {
+  const now = new Date('2026-10-18T08:00:00Z');
+  const user = new mongoose.Types.ObjectId();
+  let usageRecords;
+  let transactions;
+  let wallets;
+
+  const createRecord = (hoursAgo, total, overrides = {}) => usageRecords.insert({
+    cloudPC: new mongoose.Types.ObjectId(),
+    user,
+    name: '办公电脑',
+    status: 'running',
+    startedAt: new Date(now.getTime() - hoursAgo * 60 * 60 * 1000),
+    endedAt: new Date(now.getTime() - (hoursAgo - 1) * 60 * 60 * 1000),
+    cpu: 2,
+    memory: 4,
+    storage: 64,
+    hourly: total,
+    open: false,
+    cost: { compute: total, storage: 0, snapshot: 0, bandwidth: 0, total },
+    chargedAt: null,
+    chargeKey: null,
+    ...overrides
+  });
+
+  const balance = () => wallets.docs({ user })[0].balance;
+
+  beforeEach(() => {
+    usageRecords = mockModel(UsageRecord);
+    transactions = mockModel(LedgerTransaction);
+    wallets = mockModel(Wallet);
+    jest.spyOn(walletService, 'checkBalance').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('幂等键应该由批次中全部区间ID生成', async () => {
+    const records = [createRecord(3, 1), createRecord(2, 2)];
+
+    const result = await walletService.chargeUsage(user, now);
+
+    const ids = records.map(record => String(record._id)).sort().join(',');
+    const [transaction] = transactions.docs({});
+    expect(result).toEqual({ count: 2, amount: 3 });
+    expect(transaction.idempotencyKey).toBe(`usage:${crypto.createHash('sha256').update(ids).digest('hex')}`);
+    expect(usageRecords.docs({ chargedAt: null })).toHaveLength(0);
+    expect(balance()).toBe(-3);
+  });
+
+  it('扣费中断后重试应该沿用已认领的批次，不重复扣费', async () => {
+    const claimed = [createRecord(3, 1, { chargeKey: 'usage:interrupted' }), createRecord(2, 2, { chargeKey: 'usage:interrupted' })];
+    // 上次已记流水，尚未标记区间
+    await walletService.post(user, 'charge', 3, {
+      idempotencyKey: 'usage:interrupted',
+      usageRecords: claimed.map(record => record._id)
+    });
+    // 之后结束的区间开始时间更早，排在批次最前面
+    const late = createRecord(5, 4);
+
+    const result = await walletService.chargeUsage(user, now);
+
+    expect(result).toEqual({ count: 3, amount: 7 });
+    expect(transactions.docs({})).toHaveLength(2);
+    expect(balance()).toBe(-7);
+    expect(String(usageRecords.get(late._id).chargeTransaction)).not.toBe(String(usageRecords.get(claimed[0]._id).chargeTransaction));
+  });
+
+  it('重复执行不应该重复扣费', async () => {
+    createRecord(3, 1);
+    await walletService.chargeUsage(user, now);
+
+    const result = await walletService.chargeUsage(user, now);
+
+    expect(result).toEqual({ count: 0, amount: 0 });
+    expect(transactions.docs({})).toHaveLength(1);
+    expect(balance()).toBe(-1);
+  });
+});
@@ -63,13 +63,13 @@ export default function Dashboard() {
   }
 
   const handleDeleteCloudPC = async (id: string) => {
-    if (!confirm('确定要删除这个云电脑吗？此操作不可撤销。')) {
+    if (!confirm('确定要删除这个云电脑吗？删除后将移入回收站，保留期内可以恢复。')) {
       return
     }
     
     try {
       await cloudPCService.deleteCloudPC(id)
-      toast.success('云电脑已删除')
+      toast.success('云电脑已移入回收站')
       loadDashboardData()
     } catch (error) {
       toast.error('删除失败')
@@ -1,4 +1,4 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 import { 
   Check, 
@@ -13,75 +13,35 @@ import {
   Clock,
   ArrowRight
 } from 'lucide-react'
+import { planService, type BillingCycle, type Plan } from '../services/plans'
+
+// 内置套餐的图标和配色，新增的套餐使用默认样式
+const planStyles: Record<string, { icon: typeof Monitor; color: string }> = {
+  basic: { icon: Monitor, color: 'blue' },
+  professional: { icon: Zap, color: 'primary' },
+  enterprise: { icon: Shield, color: 'purple' }
+}
+
+const defaultPlanStyle = { icon: Cloud, color: 'primary' }
 
 export default function Pricing() {
-  const [billingCycle, setBillingCycle] = useState<'monthly' | 'yearly'>('monthly')
+  const [billingCycle, setBillingCycle] = useState<BillingCycle>('monthly')
+  const [plans, setPlans] = useState<Plan[]>([])
+  const [isLoading, setIsLoading] = useState(true)
 
-  const plans = [
-    {
-      id: 'basic',
-      name: '基础版',
-      description: '适合个人用户和轻度使用',
-      price: { monthly: 99, yearly: 999 },
-      icon: Monitor,
-      color: 'blue',
-      features: [
-        { name: '2个云电脑实例', included: true },
-        { name: '4核CPU', included: true },
-        { name: '8GB内存', included: true },
-        { name: '100GB存储空间', included: true },
-        { name: 'Windows 10/11', included: true },
-        { name: '24x7在线支持', included: true },
-        { name: '99.9%可用性保证', included: true },
-        { name: '24小时技术支持', included: false },
-        { name: '数据备份服务', included: false },
-        { name: '定制化配置', included: false }
-      ],
-      popular: false
-    },
-    {
-      id: 'professional',
-      name: '专业版',
-      description: '适合企业和专业用户',
-      price: { monthly: 199, yearly: 1999 },
-      icon: Zap,
-      color: 'primary',
-      features: [
-        { name: '5个云电脑实例', included: true },
-        { name: '8核CPU', included: true },
-        { name: '16GB内存', included: true },
-        { name: '500GB存储空间', included: true },
-        { name: 'Windows/Linux系统', included: true },
-        { name: '24x7在线支持', included: true },
-        { name: '99.9%可用性保证', included: true },
-        { name: '24小时技术支持', included: true },
-        { name: '每日数据备份', included: true },
-        { name: '定制化配置', included: false }
-      ],
-      popular: true
-    },
-    {
-      id: 'enterprise',
-      name: '企业版',
-      description: '适合大型企业和高性能需求',
-      price: { monthly: 399, yearly: 3999 },
-      icon: Shield,
-      color: 'purple',
-      features: [
-        { name: '无限云电脑实例', included: true },
-        { name: '16核CPU', included: true },
-        { name: '32GB内存', included: true },
-        { name: '2TB存储空间', included: true },
-        { name: '多系统支持', included: true },
-        { name: '24x7在线支持', included: true },
-        { name: '99.99%可用性保证', included: true },
-        { name: '专属技术经理', included: true },
-        { name: '实时数据备份', included: true },
-        { name: '定制化配置', included: true }
-      ],
-      popular: false
+  useEffect(() => {
+    loadPlans()
+  }, [])
+
+  const loadPlans = async () => {
+    try {
+      setPlans(await planService.getPlans())
+    } catch (error) {
+      console.error('加载套餐失败:', error)
+    } finally {
+      setIsLoading(false)
     }
-  ]
+  }
 
   const faqs = [
     {
@@ -174,15 +134,22 @@ export default function Pricing() {
       {/* Pricing Cards */}
       <section className="py-20">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          {isLoading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          ) : plans.length === 0 ? (
+            <p className="text-center text-gray-600">套餐信息加载失败，请稍后刷新重试</p>
+          ) : (
           <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
             {plans.map((plan) => {
-              const IconComponent = plan.icon
-              const price = plan.price[billingCycle]
-              const discount = billingCycle === 'yearly' ? Math.round((1 - price / (plan.price.monthly * 12)) * 100) : 0
+              const { icon: IconComponent, color } = planStyles[plan.code] || defaultPlanStyle
+              const price = plan.prices[billingCycle]
+              const discount = billingCycle === 'yearly' ? plan.yearlyDiscount : 0
               
               return (
                 <div
-                  key={plan.id}
+                  key={plan.code}
                   className={`relative bg-white rounded-2xl shadow-lg border-2 ${
                     plan.popular ? 'border-primary-500 scale-105' : 'border-gray-200'
                   } hover:shadow-xl transition-all duration-300`}
@@ -199,8 +166,8 @@ export default function Pricing() {
                   <div className="p-8">
                     {/* Plan Header */}
                     <div className="text-center mb-8">
-                      <div className={`w-16 h-16 ${getColorClasses(plan.color, 'bg').split(' ')[0]}/10 rounded-full flex items-center justify-center mx-auto mb-4`}>
-                        <IconComponent className={`w-8 h-8 ${getColorClasses(plan.color, 'text')}`} />
+                      <div className={`w-16 h-16 ${getColorClasses(color, 'bg').split(' ')[0]}/10 rounded-full flex items-center justify-center mx-auto mb-4`}>
+                        <IconComponent className={`w-8 h-8 ${getColorClasses(color, 'text')}`} />
                       </div>
                       <h3 className="text-2xl font-bold text-gray-900 mb-2">{plan.name}</h3>
                       <p className="text-gray-600">{plan.description}</p>
@@ -217,7 +184,7 @@ export default function Pricing() {
                       {billingCycle === 'yearly' && discount > 0 && (
                         <div className="mt-2">
                           <span className="text-sm text-gray-500 line-through">
-                            ¥{plan.price.monthly * 12}/年
+                            ¥{plan.prices.monthly * 12}/年
                           </span>
                           <span className="text-sm text-green-600 font-medium ml-2">
                             节省 {discount}%
@@ -248,14 +215,14 @@ export default function Pricing() {
 
                     {/* CTA Button */}
                     <Link
-                      to={plan.id === 'basic' ? '/register' : '/contact'}
+                      to={plan.code === 'basic' ? '/register' : '/contact'}
                       className={`w-full py-3 px-4 rounded-lg font-medium transition-all flex items-center justify-center ${
                         plan.popular
-                          ? `${getColorClasses(plan.color, 'bg')} text-white shadow-lg hover:shadow-xl`
+                          ? `${getColorClasses(color, 'bg')} text-white shadow-lg hover:shadow-xl`
                           : 'bg-gray-100 hover:bg-gray-200 text-gray-900'
                       }`}
                     >
-                      {plan.id === 'basic' ? '免费试用' : '联系销售'}
+                      {plan.code === 'basic' ? '免费试用' : '联系销售'}
                       <ArrowRight className="w-4 h-4 ml-2" />
                     </Link>
                   </div>
@@ -263,6 +230,7 @@ export default function Pricing() {
               )
             })}
           </div>
+          )}
         </div>
       </section>
 
@@ -377,4 +345,4 @@ export default function Pricing() {
       </section>
     </div>
   )
-}
\ No newline at end of file
+}
\ No newline at end of file
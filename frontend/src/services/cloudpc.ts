@@ -18,6 +18,68 @@ export interface CloudPCStats {
   uptime: string
 }
 
+export type ConnectionProtocol = 'rdp' | 'ssh' | 'console'
+
+export interface ConnectionTicket {
+  grantId: string
+  protocol: ConnectionProtocol
+  ticket: string
+  connectionUrl: string
+  expiresAt: string
+}
+
+export interface RegionZone {
+  code: string
+  name: string
+  available: boolean
+  canHost?: boolean
+}
+
+export interface Region {
+  code: string
+  name: string
+  available: boolean
+  pricingMultiplier: number
+  description?: string
+  zones: RegionZone[]
+  canHost?: boolean
+  hourly?: number | null
+}
+
+export interface UsageAmounts {
+  quantities: {
+    hours: number
+    computeHours: number
+    storageGBHours: number
+    snapshotGBHours: number
+    bandwidthMbpsHours: number
+  }
+  cost: {
+    compute: number
+    storage: number
+    snapshot: number
+    bandwidth: number
+    total: number
+  }
+}
+
+export interface UsageRecord extends UsageAmounts {
+  _id: string
+  status: string
+  startedAt: string
+  endedAt: string | null
+  hourly: number
+  snapshotHourly: number
+}
+
+export interface CloudPCUsage {
+  totalCost: number
+  accruedCost: number
+  current: UsageRecord | null
+  summary: UsageAmounts & { records: number }
+  records: UsageRecord[]
+}
+
 export const cloudPCService = {
   async getCloudPCs(): Promise<CloudPC[]> {
     const response = await api.get('/cloudpc')
@@ -29,6 +91,11 @@ export const cloudPCService = {
     return response.data
   },
 
+  async getRegions(size?: Pick<CreateCloudPCData, 'cpu' | 'memory' | 'storage'>): Promise<Region[]> {
+    const response = await api.get('/regions', { params: size })
+    return response.data.data
+  },
+
   async createCloudPC(data: CreateCloudPCData): Promise<CloudPC> {
     const response = await api.post('/cloudpc', data)
     return response.data
@@ -48,13 +115,37 @@ export const cloudPCService = {
     await api.delete(`/cloudpc/${id}`)
   },
 
+  async getRecycleBin(): Promise<CloudPC[]> {
+    const response = await api.get('/cloudpc/recycle-bin')
+    return response.data.data.cloudPCs
+  },
+
+  async restoreCloudPC(id: string): Promise<CloudPC> {
+    const response = await api.post(`/cloudpc/recycle-bin/${id}/restore`)
+    return response.data.data.cloudPC
+  },
+
+  async purgeCloudPC(id: string): Promise<void> {
+    await api.delete(`/cloudpc/recycle-bin/${id}`)
+  },
+
   async getCloudPCStats(id: string): Promise<CloudPCStats> {
     const response = await api.get(`/cloudpc/${id}/stats`)
     return response.data
   },
 
-  async connectToCloudPC(id: string): Promise<{ connectionUrl: string; token: string }> {
-    const response = await api.post(`/cloudpc/${id}/connect`)
-    return response.data
+  async getCloudPCUsage(id: string, range?: { from?: string; to?: string }): Promise<CloudPCUsage> {
+    const response = await api.get(`/cloudpc/${id}/usage`, { params: range })
+    return response.data.data
+  },
+
+  async connectToCloudPC(id: string, protocol: ConnectionProtocol = 'console'): Promise<ConnectionTicket> {
+    const response = await api.post(`/cloudpc/${id}/connect`, { protocol })
+    return response.data.data
+  },
+
+  async createConnectionFile(id: string, type: 'rdp' | 'ssh'): Promise<{ downloadUrl: string; expiresAt: string }> {
+    const response = await api.post(`/cloudpc/${id}/connection-files`, { type })
+    return response.data.data
   },
 }
\ No newline at end of file
@@ -0,0 +1,78 @@
+import api from './auth'
+
+export type BillingCycle = 'monthly' | 'yearly'
+
+export interface PlanFeature {
+  name: string
+  included: boolean
+}
+
+export interface Plan {
+  code: string
+  name: string
+  description?: string
+  prices: Record<BillingCycle, number>
+  quotas: Record<string, number | null>
+  features: PlanFeature[]
+  popular: boolean
+  sortOrder: number
+  isActive: boolean
+  yearlyDiscount: number
+}
+
+export interface Subscription {
+  _id: string
+  plan: string
+  cycle: BillingCycle
+  status: 'active' | 'expired'
+  price: number
+  currentPeriodStart: string
+  currentPeriodEnd: string
+  cancelAtPeriodEnd: boolean
+}
+
+export interface SubscriptionChangePreview {
+  type: 'upgrade' | 'downgrade' | 'cycle'
+  plan: Pick<Plan, 'code' | 'name'>
+  from: Pick<Subscription, 'plan' | 'cycle' | 'price'>
+  cycle: BillingCycle
+  price: number
+  remaining: number
+  credit: number
+  charge: number
+  amount: number
+  periodStart: string
+  periodEnd: string
+}
+
+export const planService = {
+  async getPlans(): Promise<Plan[]> {
+    const response = await api.get('/plans')
+    return response.data.data
+  },
+
+  async getSubscription(): Promise<Subscription | null> {
+    const response = await api.get('/subscription')
+    return response.data.data
+  },
+
+  async subscribe(plan: string, cycle: BillingCycle): Promise<Subscription> {
+    const response = await api.post('/subscription', { plan, cycle })
+    return response.data.data
+  },
+
+  async previewChange(target: { plan?: string; cycle?: BillingCycle }): Promise<SubscriptionChangePreview> {
+    const response = await api.post('/subscription/preview', target)
+    return response.data.data
+  },
+
+  async changeSubscription(target: { plan?: string; cycle?: BillingCycle }): Promise<Subscription> {
+    const response = await api.put('/subscription', target)
+    return response.data.data
+  },
+
+  async cancelSubscription(): Promise<Subscription> {
+    const response = await api.post('/subscription/cancel')
+    return response.data.data
+  },
+}